@@ -1,4 +1,10 @@
 import moment from 'moment';
+import { SeededRandom } from './seeded-random.js';
+import { WeatherWarnings } from './warnings.js';
+import { InsightRules } from './insight-rules.js';
+import { UserProfile, DEFAULT_COMFORT_TEMP } from './profile.js';
+import { i18n, t } from './i18n.js';
+import { units } from './units.js';
 
 /**
  * Enhanced AI Insights Engine v2.0
@@ -6,33 +12,18 @@ import moment from 'moment';
  */
 export class AIInsights {
   constructor(options = {}) {
-    this.language = options.language || 'ro';
-    
-    // Enhanced clothing matrix with modifiers
-    this.clothingMatrix = {
-      freezing: { range: [-20, 0], base: '🧥 Echipament de iarnă complet' },
-      cold: { range: [0, 10], base: '🧥 Haină groasă, căciulă, mănuși' },
-      cool: { range: [10, 15], base: '🧥 Jachetă, pulover' },
-      mild: { range: [15, 20], base: '👔 Jachetă ușoară, bluză' },
-      warm: { range: [20, 25], base: '👕 Cămașă, blugi' },
-      hot: { range: [25, 35], base: '👕 Îmbrăcăminte ușoară, tricou' },
-      extreme: { range: [35, 50], base: '🩳 Minim de îmbrăcăminte' }
-    };
-
-    // Activity recommendations
-    this.activities = {
-      sunny: {
-        hot: ['🏊 Înot', '🏖️ Plajă urbană', '🧘 Yoga în parc'],
-        warm: ['🚴 Cycling', '🏃 Jogging', '⚽ Sport în parc'],
-        mild: ['🚶 Plimbare lungă', '📸 Fotografie urbană', '🎨 Picnic']
-      },
-      cloudy: {
-        warm: ['🚴 Ciclism urban', '🏃 Alergare', '🎯 Activități în parc'],
-        mild: ['🚶 Explorare oraș', '🛍️ Piețe outdoor', '📚 Citit în parc']
-      },
-      rainy: ['☔ Plimbare cu umbrelă', '🎬 Cinema', '🏛️ Muzee', '📚 Cafenele']
-    };
-
+    this.language = options.language || i18n.getLocale();
+    this.units = options.units || units; // values quoted in messages; the rules compare metric data
+    this.seed = options.seed ?? null; // fixed seed = reproducible picks
+    this.random = new SeededRandom(this.seed);
+    this.history = options.history || null; // WeatherHistory for "colder than yesterday" comparisons
+    this.warnings = new WeatherWarnings();
+    this.llm = options.llm || null; // LLMInsights: natural-language summary on top of the rules
+    
+    // Clothing, activity and health advice: declarative rules plus the user's overrides
+    this.rules = options.rules || new InsightRules({ file: options.rulesFile, units: this.units });
+    this.profile = options.profile || new UserProfile({ file: options.profileFile }); // commute, sensitivities, activities
+    
     // Bucharest specific locations
     this.locations = {
       parks: ['Herăstrău', 'Cișmigiu', 'Tineretului', 'Bordei'],
@@ -41,43 +32,118 @@ export class AIInsights {
     };
   }
 
-  async generateInsights(weatherData, forecastData = null, airQuality = null, uvIndex = null) {
-    return {
-      clothing: await this.getEnhancedClothingAdvice(weatherData),
-      activities: await this.getContextualActivities(weatherData, airQuality),
-      health: await this.getHealthRecommendations(weatherData, airQuality, uvIndex),
-      alerts: await this.generateSmartAlerts(weatherData, airQuality, uvIndex),
-      locations: await this.getBucharestSpecificAdvice(weatherData)
-    };
+  setSeed(seed) {
+    this.seed = seed;
+    this.random = new SeededRandom(seed);
   }
 
-  async getEnhancedClothingAdvice(weather) {
-    const temp = weather.temp;
-    const category = this.getTemperatureCategory(temp);
-    const rule = this.clothingMatrix[category];
-    
-    if (!rule) return '👕 Îmbrăcăminte standard';
-    
-    let advice = rule.base;
-    const modifiers = [];
-    
-    // Apply weather modifiers
-    if (weather.wind_speed > 15) {
-      modifiers.push('+ protecție vânt');
+  async generateInsights(weatherData, forecastData = null, airQuality = null, uvIndex = null, officialAlerts = []) {
+    // Restart the sequence so the same weather always yields the same picks
+    if (this.seed !== null) {
+      this.random = new SeededRandom(this.seed);
     }
     
-    if (weather.rain_1h > 0 || weather.rain_3h > 0) {
-      modifiers.push('+ impermeabil');
-    }
+    const today = forecastData?.[0] || null;
+    const warnings = this.warnings.build(forecastData, officialAlerts, weatherData.location || t('locations.defaultName'));
+    await this.rules.ensureLoaded();
+    await this.profile.ensureLoaded();
+    const context = this.getRuleContext(weatherData, today, airQuality, uvIndex);
     
-    if (weather.humidity > 80) {
-      modifiers.push('+ materiale respirante');
+    const insights = {
+      clothing: await this.getEnhancedClothingAdvice(context),
+      activities: await this.getContextualActivities(context),
+      health: await this.getHealthRecommendations(context),
+      alerts: await this.generateSmartAlerts(weatherData, airQuality, uvIndex, today, warnings),
+      locations: await this.getBucharestSpecificAdvice(weatherData),
+      trend: await this.getTrendComparison(weatherData),
+      windows: await this.getForecastWindows(weatherData, forecastData),
+      officialAlerts: officialAlerts || [],
+      warnings
+    };
+
+    if (this.llm) {
+      insights.summary = await this.getSummary(insights, weatherData, forecastData, airQuality, uvIndex);
     }
-    
-    if (weather.snow_1h > 0 || weather.snow_3h > 0) {
-      modifiers.push('+ ghete antiderapante');
+    return insights;
+  }
+
+  // LLM summary, or one assembled from the rule engine when the backend fails or the budget is spent
+  async getSummary(insights, weather, forecast, airQuality, uvIndex) {
+    try {
+      const snapshot = this.llm.buildSnapshot(weather, forecast, airQuality, uvIndex, insights.warnings, insights.windows);
+      return await this.llm.summarize(snapshot);
+    } catch (error) {
+      return {
+        text: this.getRuleSummary(weather, insights),
+        source: 'rules',
+        reason: error.message
+      };
     }
+  }
+
+  getRuleSummary(weather, insights) {
+    const parts = [
+      t('insights.summary', {
+        description: `${weather.description.charAt(0).toUpperCase()}${weather.description.slice(1)}`,
+        temp: this.units.format('temperature', Math.round(weather.temp)),
+        feels: this.units.format('temperature', Math.round(weather.feels_like))
+      }),
+      insights.warnings[0] ? `${insights.warnings[0].icon} ${insights.warnings[0].title}.` : null,
+      insights.windows[0] ? `${insights.windows[0].message}.` : null,
+      `${insights.clothing}.`
+    ];
+    return parts.filter(Boolean).join(' ');
+  }
+
+  // What rule conditions can read: the snapshot parts, the user's profile and a few derived facts
+  getRuleContext(weather, today = null, airQuality = null, uvIndex = null) {
+    const raining = weather.rain_1h > 0 || weather.rain_3h > 0;
+    const profile = this.profile.toContext();
+    return {
+      current: weather,
+      today,
+      airQuality,
+      uvIndex,
+      profile,
+      derived: {
+        // Clothing thresholds assume 21°C is comfortable: someone at ease at 24°C dresses as if it were 3°C colder
+        clothing_temp: typeof weather.temp === 'number' ? weather.temp + DEFAULT_COMFORT_TEMP - profile.comfort_temp : undefined,
+        month: moment(weather.timestamp || undefined).month() + 1,
+        weather_type: this.getWeatherType(weather.description || '', weather.main || ''),
+        raining,
+        snowing: weather.snow_1h > 0 || weather.snow_3h > 0,
+        // The day's UV peak counts even when the current reading is missing
+        uv_peak: Math.max(uvIndex?.uv_index ?? 0, today?.uv_max ?? 0),
+        pop_percent: today?.pop != null ? Math.round(today.pop * 100) : null
+      }
+    };
+  }
+
+  // Which rules fired for this weather and why (`bw insights explain`)
+  async explainRules(weatherData, forecastData = null, airQuality = null, uvIndex = null) {
+    await this.rules.ensureLoaded();
+    await this.profile.ensureLoaded();
+    const context = this.getRuleContext(weatherData, forecastData?.[0] || null, airQuality, uvIndex);
+
+    return InsightRules.getSections().map(section => ({
+      section,
+      results: this.rules.evaluate(section, context).map(result => ({
+        ...result,
+        // Activity lists show every option instead of drawing one
+        text: result.status === 'fired'
+          ? this.rules.render(result.rule, context, this.language, { pick: options => options.join(' / ') })
+          : null
+      }))
+    }));
+  }
+
+  // Base outfit for the temperature, then every modifier that applies
+  async getEnhancedClothingAdvice(context) {
+    const fired = this.rules.fired('clothing', context);
+    const base = fired.find(rule => rule.group === 'base');
+    const modifiers = fired.filter(rule => rule !== base).map(rule => this.rules.render(rule, context, this.language));
     
+    let advice = base ? this.rules.render(base, context, this.language) : this.rules.getSectionText('clothing', 'empty', this.language);
     if (modifiers.length > 0) {
       advice += ' ' + modifiers.join(', ');
     }
@@ -85,95 +151,89 @@ export class AIInsights {
     return advice;
   }
 
-  async getContextualActivities(weather, airQuality) {
-    const temp = weather.temp;
-    const tempCategory = this.getTemperatureCategory(temp);
-    const weatherType = this.getWeatherType(weather.description, weather.main);
-    
-    let activities = [];
-    
-    // Check air quality first
-    if (airQuality && airQuality.aqi >= 4) {
-      activities = this.activities.rainy;
-    } else if (this.activities[weatherType] && this.activities[weatherType][tempCategory]) {
-      activities = this.activities[weatherType][tempCategory];
-    } else if (this.activities[weatherType] && Array.isArray(this.activities[weatherType])) {
-      activities = this.activities[weatherType];
-    } else {
-      activities = this.activities.rainy;
-    }
-    
-    const selected = activities[Math.floor(Math.random() * activities.length)];
-    return `🎯 Activitate recomandată: ${selected}`;
+  // One pick from the strongest matching activity list
+  async getContextualActivities(context) {
+    const [rule] = this.rules.fired('activities', context);
+    return rule ? this.rules.render(rule, context, this.language, this.random) : '';
   }
 
-  async getHealthRecommendations(weather, airQuality, uvIndex) {
-    const recommendations = [];
-    
-    // Temperature health advice
-    if (weather.temp > 30) {
-      recommendations.push('💧 Hidratare frecventă', '🧴 Cremă cu SPF', '⏰ Evită 12-16');
-    } else if (weather.temp < 5) {
-      recommendations.push('🫖 Băuturi calde', '💊 Vitamina C', '🧥 Protecție extremități');
-    }
-    
-    // Humidity advice
-    if (weather.humidity > 80) {
-      recommendations.push('🌬️ Aerisire frecventă', '👔 Materiale naturale');
-    } else if (weather.humidity < 30) {
-      recommendations.push('🧴 Hidratant pentru piele', '💧 Umidificator');
-    }
-    
-    // Air quality advice
-    if (airQuality && airQuality.aqi >= 4) {
-      recommendations.push('😷 Mască de protecție', '🏠 Rămâi în interior');
-    }
-    
-    // UV advice
-    if (uvIndex && uvIndex.uv_index > 7) {
-      recommendations.push('🧴 SPF 50+', '👒 Pălărie', '🕶️ Ochelari UV');
-    }
+  async getHealthRecommendations(context) {
+    const recommendations = this.rules.fired('health', context).map(rule => this.rules.render(rule, context, this.language));
     
-    return recommendations.length > 0 ? recommendations.join(', ') : '✅ Condiții normale pentru sănătate';
+    return recommendations.length > 0
+      ? recommendations.join(this.rules.sections.health?.separator ?? ', ')
+      : this.rules.getSectionText('health', 'empty', this.language);
   }
 
-  async generateSmartAlerts(weather, airQuality, uvIndex) {
+  async generateSmartAlerts(weather, airQuality, uvIndex, today = null, warnings = []) {
     const alerts = [];
     
+    // Coded warnings (WeatherWarnings) come first: official ones keep their issuer
+    (warnings || []).forEach(warning => {
+      const source = ` (${warning.official ? warning.source : t('warnings.forecastSource')})`;
+      alerts.push({
+        level: warning.level,
+        code: warning.code,
+        message: `${warning.icon} ${warning.title}${source} · ${this.warnings.formatInterval(warning)}`,
+        official: warning.official
+      });
+    });
+    
     // Temperature alerts
-    if (weather.temp < -5) {
-      alerts.push({ level: 'danger', message: '🥶 PERICOL: Temperaturi extreme!' });
-    } else if (weather.temp > 35) {
-      alerts.push({ level: 'danger', message: '🔥 PERICOL: Caniculă extremă!' });
-    } else if (weather.temp < 0) {
-      alerts.push({ level: 'warning', message: '❄️ ATENȚIE: Temperaturi sub zero!' });
-    } else if (weather.temp > 30) {
-      alerts.push({ level: 'warning', message: '☀️ ATENȚIE: Temperaturi ridicate!' });
+    const limits = this.getAlertThresholds();
+    if (weather.temp < limits.extremeCold) {
+      alerts.push({ level: 'danger', message: t('insights.alerts.extremeCold') });
+    } else if (weather.temp > limits.extremeHeat) {
+      alerts.push({ level: 'danger', message: t('insights.alerts.extremeHeat') });
+    } else if (weather.temp < limits.cold) {
+      alerts.push({ level: 'warning', message: t(weather.temp < 0 ? 'insights.alerts.freezing' : 'insights.alerts.sensitiveCold') });
+    } else if (weather.temp > limits.heat) {
+      alerts.push({ level: 'warning', message: t('insights.alerts.heat') });
     }
     
     // Wind alerts
-    if (weather.wind_speed > 20) {
-      alerts.push({ level: 'danger', message: '💨 PERICOL: Vânt foarte puternic!' });
-    } else if (weather.wind_speed > 15) {
-      alerts.push({ level: 'warning', message: '🌬️ ATENȚIE: Vânt puternic!' });
+    if (weather.wind_speed > limits.strongWind) {
+      alerts.push({ level: 'danger', message: t('insights.alerts.strongWind') });
+    } else if (weather.wind_speed > limits.wind) {
+      alerts.push({ level: 'warning', message: t('insights.alerts.wind') });
     }
     
     // Precipitation alerts
     if (weather.rain_1h > 10) {
-      alerts.push({ level: 'warning', message: '🌧️ ATENȚIE: Ploaie intensă!' });
+      alerts.push({ level: 'warning', message: t('insights.alerts.heavyRain') });
+    } else if (today?.pop >= 0.8) {
+      alerts.push({ level: 'info', message: t('insights.alerts.likelyPrecipitation', { pop: Math.round(today.pop * 100) }) });
     }
     
     // Air quality alerts
     if (airQuality && airQuality.aqi >= 4) {
-      alerts.push({ level: 'danger', message: '😷 PERICOL: Aer foarte poluat!' });
+      alerts.push({ level: 'danger', message: t('insights.alerts.pollution') });
+    } else if (airQuality && airQuality.aqi >= limits.aqi) {
+      alerts.push({ level: 'warning', message: t('insights.alerts.sensitivePollution') });
     }
     
     // UV alerts
-    if (uvIndex && uvIndex.uv_index > 8) {
-      alerts.push({ level: 'warning', message: '☀️ ATENȚIE: Indice UV ridicat!' });
+    if (Math.max(uvIndex?.uv_index ?? 0, today?.uv_max ?? 0) > 8) {
+      alerts.push({ level: 'warning', message: t('insights.alerts.uv') });
     }
     
-    return alerts.length > 0 ? alerts : [{ level: 'success', message: '✅ Condiții normale' }];
+    return alerts.length > 0 ? alerts : [{ level: 'success', message: t('insights.alerts.normal') }];
+  }
+
+  // Built-in alert thresholds, tightened by the profile: sensitivities and commuting on two wheels
+  getAlertThresholds() {
+    const sensitive = sensitivity => this.profile.isSensitive(sensitivity);
+    const twoWheels = ['bike', 'scooter'].includes(this.profile.data.commute);
+    
+    return {
+      extremeCold: sensitive('cold') ? 0 : -5,
+      cold: sensitive('cold') ? 5 : 0,
+      extremeHeat: sensitive('heat') ? 32 : 35,
+      heat: sensitive('heat') ? 27 : 30,
+      strongWind: twoWheels ? 15 : 20,
+      wind: twoWheels ? 10 : 15,
+      aqi: sensitive('pollution') ? 3 : 4
+    };
   }
 
   async getBucharestSpecificAdvice(weather) {
@@ -184,29 +244,218 @@ export class AIInsights {
     let locationAdvice = [];
     
     if (isRaining) {
-      const indoor = this.locations.indoor[Math.floor(Math.random() * this.locations.indoor.length)];
+      const indoor = this.random.pick(this.locations.indoor);
       locationAdvice.push(`🏢 ${indoor}`);
     } else if (isCold) {
-      locationAdvice.push('☕ Cafenele în Centrul Vechi');
+      locationAdvice.push(t('insights.places.cafes'));
     } else {
-      const park = this.locations.parks[Math.floor(Math.random() * this.locations.parks.length)];
-      locationAdvice.push(`🌳 Parcul ${park}`);
+      const park = this.random.pick(this.locations.parks);
+      locationAdvice.push(t('insights.places.park', { park }));
     }
     
-    return `📍 Locuri recomandate: ${locationAdvice.join(', ')}`;
+    return t('insights.places.recommended', { places: locationAdvice.join(', ') });
   }
 
-  // Helper methods
-  getTemperatureCategory(temp) {
-    for (const [category, rule] of Object.entries(this.clothingMatrix)) {
-      const [min, max] = rule.range;
-      if (temp >= min && temp < max) {
-        return category;
-      }
+  // Compares the current temperature with the local history; null until there is some
+  async getTrendComparison(weather) {
+    if (!this.history || weather.offline || typeof weather.temp !== 'number') return null;
+    
+    let comparison;
+    try {
+      comparison = await this.history.compare(weather, {
+        name: weather.location,
+        lat: weather.coord?.lat,
+        lon: weather.coord?.lon
+      });
+    } catch (error) {
+      return null;
+    }
+    
+    const parts = [];
+    if (comparison.yesterday) {
+      parts.push(t('insights.trend.yesterday', { difference: this.describeDifference(comparison.yesterday.diff) }));
+    }
+    // A weekly average needs a few days behind it to mean anything
+    if (comparison.week?.days >= 3) {
+      const diff = comparison.week.diff;
+      parts.push(Math.abs(diff) < 1
+        ? t('insights.trend.weekAverage', { count: comparison.week.days })
+        : t(diff > 0 ? 'insights.trend.weekAbove' : 'insights.trend.weekBelow', { degrees: this.units.format('temperature', Math.abs(Math.round(diff)), { delta: true }), count: comparison.week.days }));
     }
-    return temp < -20 ? 'freezing' : 'extreme';
+    
+    if (parts.length === 0) return null;
+    const icon = (comparison.yesterday?.diff ?? comparison.week.diff) >= 0 ? '📈' : '📉';
+    return `${icon} ${parts.join(', ')}`;
+  }
+  
+  describeDifference(diff) {
+    const degrees = Math.abs(Math.round(diff));
+    if (degrees < 1) return t('insights.trend.same');
+    return t(diff > 0 ? 'insights.trend.warmer' : 'insights.trend.colder', { degrees: this.units.format('temperature', degrees, { delta: true }) });
   }
 
+  /**
+   * Looks ahead in the hourly forecast: rain in the next 12 hours, frost tonight, heat to avoid
+   * today and the best 2-hour window for a run. Each window is
+   * { type: rain | frost | heat | run, start, end (ISO), message, ...values }, earliest first.
+   */
+  async getForecastWindows(weather, forecast) {
+    const slots = (forecast || []).flatMap(day => day.hourly || []).sort((a, b) => a.dt - b.dt);
+    if (slots.length === 0) return [];
+    
+    // Offline copies are old: the windows still start from the real "now"
+    const now = weather.offline ? Date.now() : (Date.parse(weather.timestamp) || Date.now());
+    const step = slots.length > 1 ? slots[1].dt - slots[0].dt : 3600000;
+    const upcoming = slots.filter(slot => slot.dt + step > now);
+    
+    return [
+      this.getRainWindow(upcoming, now, step),
+      this.getFrostWindow(upcoming, now, step),
+      this.getHeatWindow(upcoming, now, step),
+      this.getRunWindow(upcoming, now, step)
+    ].filter(Boolean).sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+  }
+  
+  // First run of wet slots within 12 hours
+  getRainWindow(slots, now, step) {
+    const isWet = slot => slot.pop >= 0.5 || slot.precipitation >= 0.5;
+    const horizon = slots.filter(slot => slot.dt < now + 12 * 3600000);
+    const first = horizon.findIndex(isWet);
+    if (first === -1) return null;
+    
+    const run = [];
+    for (const slot of horizon.slice(first)) {
+      if (!isWet(slot)) break;
+      run.push(slot);
+    }
+    
+    const start = Math.max(run[0].dt, now);
+    const end = run[run.length - 1].dt + step;
+    const snow = run.some(slot => slot.snow > 0 || slot.temp <= 0);
+    const pop = Math.max(...run.map(slot => slot.pop ?? 0));
+    const chance = pop > 0 ? ` (${Math.round(pop * 100)}%)` : '';
+    const what = t(snow ? 'insights.windows.snow' : 'insights.windows.rain');
+    
+    return {
+      type: 'rain',
+      start: new Date(start).toISOString(),
+      end: new Date(end).toISOString(),
+      pop: pop || null,
+      precipitation: Math.round(run.reduce((sum, slot) => sum + (slot.precipitation || 0), 0) * 10) / 10,
+      snow,
+      message: start <= now
+        ? t('insights.windows.until', { what, end: this.formatHour(end), chance })
+        : t('insights.windows.from', { what, start: this.formatHour(start), chance })
+    };
+  }
+  
+  // Tonight: from 18:00 (or now) until 09:00 the next morning
+  getFrostWindow(slots, now, step) {
+    const evening = moment(now).hours() < 9
+      ? moment(now)
+      : moment.max(moment(now), moment(now).hours(18).startOf('hour'));
+    const morning = moment(now).hours() < 9
+      ? moment(now).hours(9).startOf('hour')
+      : moment(now).add(1, 'day').hours(9).startOf('hour');
+    
+    const night = slots.filter(slot => slot.dt + step > evening.valueOf() && slot.dt < morning.valueOf());
+    const frosty = night.filter(slot => slot.temp <= 0);
+    if (frosty.length === 0) return null;
+    
+    const tempMin = Math.min(...frosty.map(slot => slot.temp));
+    const start = Math.max(frosty[0].dt, now);
+    const end = frosty[frosty.length - 1].dt + step;
+    // Plants only need protecting from a light frost in spring and autumn; otherwise it is about the roads
+    const month = moment(now).month() + 1;
+    const advice = t([3, 4, 5, 9, 10, 11].includes(month) && tempMin > -5 ? 'insights.windows.frostPlants' : 'insights.windows.frostRoads');
+    
+    return {
+      type: 'frost',
+      start: new Date(start).toISOString(),
+      end: new Date(end).toISOString(),
+      temp_min: tempMin,
+      message: t('insights.windows.frost', { temp: this.units.format('temperature', tempMin), start: this.formatHour(start), end: this.formatHour(end), advice })
+    };
+  }
+  
+  // Daytime hours (09:00-21:00) today when it feels like 32°C or more
+  getHeatWindow(slots, now, step) {
+    const hot = slots.filter(slot => {
+      const time = moment(slot.dt);
+      return time.isSame(moment(now), 'day') && time.hours() >= 9 && time.hours() < 21 && (slot.feels_like ?? slot.temp) >= 32;
+    });
+    if (hot.length === 0) return null;
+    
+    const peak = Math.max(...hot.map(slot => slot.feels_like ?? slot.temp));
+    const start = Math.max(hot[0].dt, now);
+    const end = hot[hot.length - 1].dt + step;
+    
+    return {
+      type: 'heat',
+      start: new Date(start).toISOString(),
+      end: new Date(end).toISOString(),
+      feels_like_max: peak,
+      message: start <= now
+        ? t('insights.windows.heatUntil', { end: this.formatHour(end), feels: this.units.format('temperature', peak) })
+        : t('insights.windows.heatBetween', { start: this.formatHour(start), end: this.formatHour(end), feels: this.units.format('temperature', peak) })
+    };
+  }
+  
+  /**
+   * Best 2-hour daylight window (06:00-21:00) for a run, today or tomorrow once today is over.
+   * Lower score is better: distance from 14°C felt, rain, wind over 5 m/s and strong UV.
+   */
+  getRunWindow(slots, now, step) {
+    const duration = 2 * 3600000;
+    const candidates = slots
+      .filter(slot => slot.dt >= now)
+      .map(slot => ({ start: slot.dt, day: moment(slot.dt) }))
+      .filter(({ start, day }) => moment(start).hours() >= 6 && start + duration <= day.clone().hours(21).startOf('hour').valueOf());
+    
+    const firstDay = candidates[0]?.day;
+    const sameDay = candidates.filter(candidate => candidate.day.isSame(firstDay, 'day'));
+    
+    const scored = sameDay.map(({ start }) => {
+      const covered = slots.filter(slot => slot.dt < start + duration && slot.dt + step > start);
+      const feels = Math.round(this.average(covered.map(slot => slot.feels_like ?? slot.temp)));
+      const pop = Math.max(...covered.map(slot => slot.pop ?? 0));
+      const rain = covered.reduce((sum, slot) => sum + (slot.precipitation || 0), 0);
+      const wind = Math.max(...covered.map(slot => slot.wind_speed || 0));
+      const uv = Math.max(...covered.map(slot => slot.uvi ?? 0));
+      
+      const score = Math.abs(feels - 14) + pop * 20 + rain * 10 + Math.max(0, wind - 5) * 2 + Math.max(0, uv - 5) * 1.5;
+      return { start, feels, pop, rain, wind, score };
+    });
+    
+    // Nothing worth recommending: heat, deep cold or steady rain all day
+    const best = scored.filter(item => item.feels >= -5 && item.feels <= 30 && item.rain < 1)
+      .sort((a, b) => a.score - b.score || a.start - b.start)[0];
+    if (!best) return null;
+    
+    const when = moment(best.start).isSame(moment(now), 'day') ? '' : t('insights.windows.tomorrow');
+    const end = best.start + duration;
+    const dry = best.pop < 0.3 ? t('insights.windows.dry') : '';
+    
+    return {
+      type: 'run',
+      start: new Date(best.start).toISOString(),
+      end: new Date(end).toISOString(),
+      feels_like: best.feels,
+      pop: best.pop,
+      wind_speed: best.wind,
+      message: t('insights.windows.run', { when, start: this.formatHour(best.start), end: this.formatHour(end), feels: this.units.format('temperature', best.feels), dry })
+    };
+  }
+  
+  // Helper methods
+  formatHour(time) {
+    return moment(time).format('HH:mm');
+  }
+  
+  average(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+  }
+  
   getWeatherType(description, main) {
     const desc = description.toLowerCase();
     const mainType = main.toLowerCase();
@@ -224,7 +473,7 @@ export class AIInsights {
   getPerformanceMetrics() {
     return {
       algorithmVersion: '2.0',
-      features: ['contextual_advice', 'health_tips', 'smart_alerts', 'location_specific'],
+      features: ['contextual_advice', 'health_tips', 'smart_alerts', 'official_alerts', 'anm_warnings', 'precipitation_probability', 'forecast_windows', 'llm_summary', 'history_trends', 'location_specific', 'declarative_rules'],
       accuracy: '95%',
       responseTime: '<50ms'
     };
@@ -0,0 +1,288 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import moment from 'moment';
+import { getConfigPath } from './paths.js';
+import { createChannel, getAvailableChannels } from './notifications/index.js';
+import { t } from './i18n.js';
+import { Units, units } from './units.js';
+
+/**
+ * Values a rule can watch, read from a WeatherAPI snapshot (labels: metrics.*). Snapshots are
+ * metric; metrics with a `quantity` are compared in the unit the rule was created in.
+ */
+const METRICS = {
+  temp: { quantity: 'temperature', read: snapshot => snapshot.current?.temp },
+  feels_like: { quantity: 'temperature', read: snapshot => snapshot.current?.feels_like },
+  humidity: { unit: '%', read: snapshot => snapshot.current?.humidity },
+  pressure: { quantity: 'pressure', read: snapshot => snapshot.current?.pressure },
+  wind_speed: { quantity: 'wind', read: snapshot => snapshot.current?.wind_speed },
+  wind_gust: { quantity: 'wind', read: snapshot => snapshot.current?.wind_gust },
+  precipitation: {
+    quantity: 'precipitation',
+    suffix: '/h',
+    read: snapshot => snapshot.current ? (snapshot.current.rain_1h || 0) + (snapshot.current.snow_1h || 0) : null
+  },
+  visibility: { quantity: 'distance', read: snapshot => snapshot.current?.visibility },
+  cloudiness: { unit: '%', read: snapshot => snapshot.current?.cloudiness },
+  aqi: { unit: '', read: snapshot => snapshot.airQuality?.aqi },
+  uv: { unit: '', read: snapshot => snapshot.uvIndex?.uv_index },
+  pop: {
+    unit: '%',
+    read: snapshot => snapshot.forecast?.[0]?.pop != null ? Math.round(snapshot.forecast[0].pop * 100) : null
+  }
+};
+
+const OPERATORS = {
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold,
+  '==': (value, threshold) => value === threshold,
+  '!=': (value, threshold) => value !== threshold
+};
+
+const QUIET_HOURS = /^([01]\d|2[0-3]):[0-5]\d-([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Alert Rules v1.0
+ * User-defined conditions ("temp > 35 for 30 minutes") stored in ~/.bucharest-weather-cli/alerts.json.
+ * The daemon checks them against every snapshot; a rule fires once its condition has held
+ * for `duration` minutes, outside its quiet hours, at most once per `cooldown` minutes.
+ * Thresholds keep the units they were typed in: a rule added with --units imperial stores
+ * `unit: 'f'` and keeps comparing in °F whatever the display units are later.
+ * Per-rule progress lives in alerts-state.json.
+ */
+export class AlertRules {
+  constructor(options = {}) {
+    this.file = options.file || getConfigPath('alerts.json');
+    this.stateFile = options.stateFile || getConfigPath('alerts-state.json');
+    this.channelOptions = options.channels || {}; // per-channel overrides, e.g. { webhook: { url } }
+    this.units = options.units || units; // units new thresholds are typed in
+
+    this.rules = [];
+    this.state = {};
+    this.channels = new Map();
+  }
+
+  static getMetrics() {
+    return Object.keys(METRICS);
+  }
+
+  static getMetricInfo(metric) {
+    return METRICS[metric] ? { ...METRICS[metric], unit: AlertRules.getUnitSymbol({ metric, unit: units.get(METRICS[metric].quantity) }), label: t(`metrics.${metric}`) } : null;
+  }
+
+  // "°F", "km/h", "mm/h", "%" for a rule; rules without a stored unit are metric
+  static getUnitSymbol(rule) {
+    const { quantity, suffix = '', unit = '' } = METRICS[rule.metric] || {};
+    if (!quantity) return unit;
+    return `${Units.getSymbol(quantity, rule.unit || Units.parse('metric')[quantity])}${suffix}`;
+  }
+
+  static getOperators() {
+    return Object.keys(OPERATORS);
+  }
+
+  // "temp > 35" | "aqi>=4" -> { metric, operator, threshold }
+  static parseCondition(condition) {
+    const match = String(condition).trim().match(/^([a-z_]+)\s*(>=|<=|==|!=|>|<)\s*(-?\d+(?:\.\d+)?)$/);
+    if (!match) {
+      throw new Error(t('alerts.errors.invalidCondition', { condition }));
+    }
+    return { metric: match[1], operator: match[2], threshold: Number(match[3]) };
+  }
+
+  async load() {
+    try {
+      this.rules = JSON.parse(await fs.readFile(this.file, 'utf8')).rules || [];
+    } catch (error) {
+      this.rules = [];
+    }
+
+    try {
+      this.state = JSON.parse(await fs.readFile(this.stateFile, 'utf8'));
+    } catch (error) {
+      this.state = {};
+    }
+    return this.rules;
+  }
+
+  async save() {
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.writeFile(this.file, JSON.stringify({ rules: this.rules }, null, 2), 'utf8');
+  }
+
+  async saveState() {
+    await fs.mkdir(path.dirname(this.stateFile), { recursive: true });
+    await fs.writeFile(this.stateFile, JSON.stringify(this.state, null, 2), 'utf8');
+  }
+
+  list() {
+    return this.rules;
+  }
+
+  async add(options) {
+    const rule = this.validate({
+      id: crypto.randomBytes(3).toString('hex'),
+      name: options.name || `${options.metric} ${options.operator} ${options.threshold}`,
+      metric: options.metric,
+      operator: options.operator,
+      threshold: Number(options.threshold),
+      unit: METRICS[options.metric]?.quantity ? this.units.get(METRICS[options.metric].quantity) : null,
+      duration: Number(options.duration ?? 0), // minutes the condition must hold
+      cooldown: Number(options.cooldown ?? 60), // minutes between two notifications
+      quietHours: options.quietHours || null, // "22:00-07:00"
+      channels: options.channels?.length ? options.channels : ['desktop'],
+      enabled: true,
+      createdAt: new Date().toISOString()
+    });
+
+    this.rules.push(rule);
+    await this.save();
+    return rule;
+  }
+
+  async remove(id) {
+    const rule = this.rules.find(item => item.id === id);
+    if (!rule) return null;
+
+    this.rules = this.rules.filter(item => item.id !== id);
+    delete this.state[id];
+    await this.save();
+    await this.saveState();
+    return rule;
+  }
+
+  validate(rule) {
+    if (!METRICS[rule.metric]) {
+      throw new Error(t('alerts.errors.unknownMetric', { metric: rule.metric, available: AlertRules.getMetrics().join(', ') }));
+    }
+    if (!OPERATORS[rule.operator]) {
+      throw new Error(t('alerts.errors.unknownOperator', { operator: rule.operator, available: AlertRules.getOperators().join(' ') }));
+    }
+    if (!Number.isFinite(rule.threshold)) {
+      throw new Error(t('alerts.errors.invalidThreshold'));
+    }
+    if (!(rule.duration >= 0) || !(rule.cooldown >= 0)) {
+      throw new Error(t('alerts.errors.invalidMinutes'));
+    }
+    if (rule.quietHours && !QUIET_HOURS.test(rule.quietHours)) {
+      throw new Error(t('alerts.errors.invalidQuietHours', { quietHours: rule.quietHours }));
+    }
+
+    const unknown = rule.channels.filter(channel => !getAvailableChannels().includes(channel));
+    if (unknown.length > 0) {
+      throw new Error(t('alerts.errors.unknownChannels', { channels: unknown.join(', '), available: getAvailableChannels().join(', ') }));
+    }
+    return rule;
+  }
+
+  // Whether the condition holds right now, ignoring duration, quiet hours and cooldown; `value` is in the rule's unit
+  test(rule, snapshot) {
+    const { quantity, read } = METRICS[rule.metric];
+    const value = quantity && rule.unit ? Units.convertTo(quantity, read(snapshot), rule.unit) : read(snapshot);
+    return {
+      value: value ?? null,
+      matches: typeof value === 'number' && OPERATORS[rule.operator](value, rule.threshold)
+    };
+  }
+
+  // Rules that fire for this snapshot; updates the per-rule state in memory
+  evaluate(snapshot, now = Date.now()) {
+    const firing = [];
+
+    this.rules.filter(rule => rule.enabled !== false).forEach(rule => {
+      const state = this.state[rule.id] || {};
+      const { value, matches } = this.test(rule, snapshot);
+
+      if (!matches) {
+        delete state.since; // the condition has to hold without interruption
+        this.state[rule.id] = state;
+        return;
+      }
+
+      state.since = state.since || now;
+      this.state[rule.id] = state;
+
+      const held = now - state.since >= rule.duration * 60000;
+      const coolingDown = state.lastFiredAt && now - state.lastFiredAt < rule.cooldown * 60000;
+      if (!held || coolingDown || this.isQuietTime(rule.quietHours, now)) return;
+
+      state.lastFiredAt = now;
+      firing.push({ rule, value, notification: this.buildNotification(rule, value, snapshot, now) });
+    });
+
+    return firing;
+  }
+
+  // Evaluates, delivers and persists; used by the daemon after every collection
+  async check(snapshot, logger = null) {
+    await this.load();
+    const firing = this.evaluate(snapshot);
+    const results = [];
+
+    for (const alert of firing) {
+      const deliveries = await this.deliver(alert.rule.channels, alert.notification);
+      deliveries.forEach(delivery => {
+        const outcome = delivery.ok ? t('alerts.log.sent') : t('alerts.log.failed', { error: delivery.error });
+        logger?.[delivery.ok ? 'info' : 'error'](t('alerts.log.delivery', { name: alert.rule.name, channel: delivery.channel, outcome }));
+      });
+      results.push({ ...alert, deliveries });
+    }
+
+    await this.saveState();
+    return results;
+  }
+
+  // One failing channel never blocks the others
+  async deliver(channels, notification) {
+    return Promise.all(channels.map(async name => {
+      try {
+        await this.getChannel(name).send(notification);
+        return { channel: name, ok: true };
+      } catch (error) {
+        return { channel: name, ok: false, error: error.message };
+      }
+    }));
+  }
+
+  getChannel(name) {
+    if (!this.channels.has(name)) {
+      this.channels.set(name, createChannel(name, this.channelOptions[name]));
+    }
+    return this.channels.get(name);
+  }
+
+  buildNotification(rule, value, snapshot, now = Date.now()) {
+    const { label } = AlertRules.getMetricInfo(rule.metric);
+    const unit = AlertRules.getUnitSymbol(rule);
+    const location = snapshot.location?.name || snapshot.current?.location || t('locations.defaultName');
+
+    return {
+      title: `⚠️ ${rule.name} - ${location}`,
+      message: t('alerts.notification', { label, value, unit, operator: rule.operator, threshold: rule.threshold }),
+      level: 'warning',
+      rule: rule.id,
+      metric: rule.metric,
+      value,
+      location,
+      timestamp: new Date(now).toISOString()
+    };
+  }
+
+  // Helper methods
+  isQuietTime(quietHours, now = Date.now()) {
+    if (!quietHours) return false;
+
+    const [start, end] = quietHours.split('-').map(time => {
+      const [hours, minutes] = time.split(':').map(Number);
+      return hours * 60 + minutes;
+    });
+    const local = moment(now);
+    const minute = local.hours() * 60 + local.minutes();
+
+    // "22:00-07:00" wraps around midnight
+    return start <= end ? minute >= start && minute < end : minute >= start || minute < end;
+  }
+}
@@ -0,0 +1,178 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { getConfigPath } from './paths.js';
+
+// A temp file younger than this may still be renamed into place by another process (CLI and daemon)
+const TMP_GRACE = 60 * 1000;
+
+/**
+ * Persistent Disk Cache v1.0
+ * One JSON file per entry under ~/.bucharest-weather-cli/cache, written atomically
+ * (temp file + rename). Entries outlive their TTL as "stale" so callers can serve
+ * the last good data while revalidating; prune() enforces age and size limits.
+ */
+export class DiskCache {
+  constructor(options = {}) {
+    this.dir = options.dir || getConfigPath('cache');
+    this.defaultTTL = options.defaultTTL || 300; // seconds
+    this.maxAge = options.maxAge || 7 * 24 * 3600; // seconds, hard limit for stale entries
+    this.maxEntries = options.maxEntries || 200;
+    this.maxBytes = options.maxBytes || 5 * 1024 * 1024;
+
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  fileFor(key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.dir, `${hash}.json`);
+  }
+
+  async get(key) {
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(this.fileFor(key), 'utf8'));
+    } catch (error) {
+      // Missing or half-written entry: treat as a miss
+      this.misses++;
+      return null;
+    }
+
+    const age = (Date.now() - entry.storedAt) / 1000;
+    if (entry.key !== key || age > this.maxAge) {
+      this.misses++;
+      return null;
+    }
+
+    this.hits++;
+    return {
+      value: entry.value,
+      storedAt: entry.storedAt,
+      age: Math.round(age),
+      stale: age >= entry.ttl
+    };
+  }
+
+  async set(key, value, ttl = this.defaultTTL) {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    const file = this.fileFor(key);
+    const tmpFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    const entry = { key, storedAt: Date.now(), ttl, value };
+
+    await fs.writeFile(tmpFile, JSON.stringify(entry), 'utf8');
+    await fs.rename(tmpFile, file);
+
+    await this.enforceLimits();
+    return true;
+  }
+
+  async delete(key) {
+    await fs.rm(this.fileFor(key), { force: true });
+  }
+
+  async readEntries() {
+    let files;
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      return [];
+    }
+
+    const entries = [];
+    for (const name of files) {
+      const file = path.join(this.dir, name);
+      if (name.endsWith('.tmp')) {
+        // Leftover of a writer that died before its rename: only a candidate for removal
+        const stat = await fs.stat(file).catch(() => null);
+        if (stat && Date.now() - stat.mtimeMs > TMP_GRACE) {
+          entries.push({ file, key: null, storedAt: 0, ttl: 0, size: 0, corrupted: true });
+        }
+        continue;
+      }
+      if (!name.endsWith('.json')) continue;
+
+      try {
+        const [content, stat] = await Promise.all([fs.readFile(file, 'utf8'), fs.stat(file)]);
+        const entry = JSON.parse(content);
+        entries.push({ file, key: entry.key, storedAt: entry.storedAt, ttl: entry.ttl, size: stat.size });
+      } catch (error) {
+        // Corrupted entries are only candidates for removal
+        entries.push({ file, key: null, storedAt: 0, ttl: 0, size: 0, corrupted: true });
+      }
+    }
+    return entries;
+  }
+
+  async enforceLimits() {
+    const entries = (await this.readEntries())
+      .filter(entry => !entry.corrupted)
+      .sort((a, b) => a.storedAt - b.storedAt);
+
+    let totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+    let removed = 0;
+
+    while (entries.length > 0 && (entries.length > this.maxEntries || totalBytes > this.maxBytes)) {
+      const oldest = entries.shift();
+      totalBytes -= oldest.size;
+      await fs.rm(oldest.file, { force: true });
+      removed++;
+    }
+
+    return removed;
+  }
+
+  // Drops corrupted and too-old entries, then applies the size limits
+  async prune() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const entry of await this.readEntries()) {
+      if (entry.corrupted || (now - entry.storedAt) / 1000 > this.maxAge) {
+        await fs.rm(entry.file, { force: true });
+        removed++;
+      }
+    }
+
+    return removed + await this.enforceLimits();
+  }
+
+  async clear() {
+    const entries = await this.readEntries();
+    await Promise.all(entries.map(entry => fs.rm(entry.file, { force: true })));
+    return entries.length;
+  }
+
+  async stats() {
+    const now = Date.now();
+    const entries = (await this.readEntries()).filter(entry => !entry.corrupted);
+    const stale = entries.filter(entry => (now - entry.storedAt) / 1000 >= entry.ttl);
+
+    return {
+      dir: this.dir,
+      keys: entries.map(entry => entry.key),
+      entries: entries.length,
+      fresh: entries.length - stale.length,
+      stale: stale.length,
+      bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      oldest: entries.length ? new Date(Math.min(...entries.map(entry => entry.storedAt))).toISOString() : null,
+      hits: this.hits,
+      misses: this.misses
+    };
+  }
+}
+
+// Direct execution: `npm run clean-cache`
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const cache = new DiskCache();
+
+  if (process.argv.includes('--clean')) {
+    const removed = await cache.clear();
+    console.log(`Cache cleared: ${removed} entries removed from ${cache.dir}`);
+  } else {
+    console.log(await cache.stats());
+  }
+}
@@ -4,10 +4,32 @@ import { program } from 'commander';
 import { BucharestWeatherApp } from './index.js';
 import { WeatherTemplates } from './templates/weather-templates.js';
 import { TemplateConfig } from './templates/template-config.js';
+import { registry } from './templates/registry.js';
+import { LocationStore } from './locations.js';
+import { getConfigPath } from './paths.js';
+import { DemoProvider } from './providers/index.js';
+import { DevServer } from './dev-server.js';
+import { WeatherHistory } from './history.js';
+import { WeatherDaemon } from './daemon.js';
+import { AlertRules } from './alert-rules.js';
+import { createChannel, getAvailableChannels } from './notifications/index.js';
+import { createBackend, getAvailableBackends } from './llm/index.js';
+import { LLMInsights } from './llm-insights.js';
+import { InsightRules } from './insight-rules.js';
+import { UserProfile } from './profile.js';
+import { CommutePlanner } from './commute.js';
+import { I18n, i18n, label, t } from './i18n.js';
+import { Units, units } from './units.js';
 import chalk from 'chalk';
+import inquirer from 'inquirer';
 import ora from 'ora';
 import boxen from 'boxen';
 import figlet from 'figlet';
+import moment from 'moment';
+import { table } from 'table';
+
+// Headings of `bw insights explain`, the same titles the templates use
+const SECTION_TITLES = { clothing: 'templates.clothing', activities: 'templates.activities', health: 'templates.classic.health' };
 
 /**
  * Enhanced Bucharest Weather CLI v3.0
@@ -19,11 +41,19 @@ class WeatherCLI {
     this.app = new BucharestWeatherApp();
     this.templates = new WeatherTemplates();
     this.config = new TemplateConfig();
+    this.locations = new LocationStore();
     this.version = '3.0.0';
   }
 
   async init() {
     await this.config.init();
+    this.applyLanguage();
+    this.applyUnits();
+    // Plugins first: custom templates cannot take the names of built-in or plugin ones
+    await registry.loadPlugins();
+    this.customTemplates = await this.templates.loadCustomTemplates(this.config.customTemplatesDir);
+    await this.locations.init();
+    await this.applyLocation();
     
     // Apply current theme and template settings
     const currentTheme = this.config.getCurrentTheme();
@@ -34,19 +64,114 @@ class WeatherCLI {
     return { theme: currentTheme, template: currentTemplate };
   }
 
+  // --lang, then DEFAULT_LANGUAGE, then the language chosen in `bw config`
+  applyLanguage() {
+    const language = program.opts().lang || process.env.DEFAULT_LANGUAGE || this.config.getSettings().language;
+    if (!language || !I18n.normalize(language)) {
+      if (language) console.error(chalk.red(`❌ ${t('i18n.unknownLocale', { locale: language, available: I18n.getLocales().join(', ') })}`));
+      return i18n.getLocale();
+    }
+    return this.app.setLanguage(language);
+  }
+
+  // --units, then WEATHER_UNITS, then the units chosen in `bw config`; a bad spec keeps metric
+  applyUnits() {
+    const spec = program.opts().units || process.env.WEATHER_UNITS || this.config.getSettings().units;
+    try {
+      return this.app.setUnits(spec || 'metric');
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      return units.toString();
+    }
+  }
+
+  // Resolve --location against saved locations, then the offline gazetteer;
+  // without a name, use the saved default unless WEATHER_CITY is set
+  async applyLocation(name = null) {
+    let location = name ? this.locations.get(name) : null;
+    
+    if (name && !location) {
+      try {
+        location = this.app.weather.gazetteer.resolve(name);
+      } catch (error) {
+        console.error(chalk.red(`❌ ${error.message}`));
+        console.log(chalk.yellow(`💡 ${t('cli.locations.otherHint', { name })}`));
+        process.exitCode = 1;
+        return false;
+      }
+    }
+    
+    if (!location && !process.env.WEATHER_CITY) {
+      location = this.locations.getDefault();
+    }
+    
+    if (location) {
+      this.app.setLocation(location);
+    }
+    
+    return true;
+  }
+
+  useDemo(scenario, seed = 1) {
+    try {
+      this.app.useDemo(scenario, seed);
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exitCode = 1;
+      return false;
+    }
+    
+    this.templates.setSeed(seed);
+    console.log(chalk.magenta(`🎬 ${t('cli.demoBanner', { label: DemoProvider.getScenarioLabel(scenario), seed: String(seed) })}`));
+    return true;
+  }
+
+  // --llm [backend]: natural-language summary for this run
+  useLLM(backend) {
+    try {
+      this.app.useLLM(backend === true ? null : backend);
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exitCode = 1;
+      return false;
+    }
+    return true;
+  }
+
+  showLocations() {
+    const locations = this.locations.list();
+    console.log(chalk.cyan.bold(`📍 ${label('cli.locations.title')}\n`));
+    
+    if (locations.length === 0) {
+      console.log(chalk.gray(t('cli.locations.empty')));
+      return;
+    }
+    
+    locations.forEach((location, index) => {
+      const status = location.isDefault ? chalk.green(` ✓ ${t('cli.locations.default')}`) : '';
+      console.log(`${index + 1}. ${chalk.yellow(location.name)}${status}`);
+      console.log(chalk.gray(`   ${location.city}, ${location.country} | ${location.lat}, ${location.lon}\n`));
+    });
+  }
+
   async displayWeatherWithTemplate(template, options = {}) {
-    const spinner = ora('Obțin datele meteorologice...').start();
+    const spinner = ora(t('cli.weather.loading')).start();
     
     try {
       // Get weather data
       const weatherResult = await this.app.getCurrentWeather(false);
+      if (!weatherResult) {
+        spinner.stop(); // the app already reported why
+        return;
+      }
+      
       let forecast = null;
       
       if (options.includeForecast) {
-        forecast = await this.app.getForecast(options.forecastDays || 5);
+        forecast = await this.app.getForecast(options.forecastDays || 5, options.showHourly, template);
       }
       
-      spinner.succeed('Date meteo obținute!');
+      spinner.succeed(t('cli.weather.loaded'));
       
       // Render with selected template
       const output = this.templates.renderTemplate(
@@ -57,6 +182,7 @@ class WeatherCLI {
       );
       
       console.log('\n' + output);
+      this.showTemplateHints(template, options);
       
       // Show additional info if verbose
       if (options.verbose) {
@@ -64,8 +190,23 @@ class WeatherCLI {
       }
       
     } catch (error) {
-      spinner.fail('Eroare la obținerea datelor');
-      console.error(chalk.red('❌ Eroare:', error.message));
+      spinner.fail(t('app.current.failed'));
+      console.error(chalk.red(`❌ ${label('app.error')}`, error.message));
+    }
+  }
+
+  // What the chosen template cannot show here: the forecast table, or a terminal this narrow
+  showTemplateHints(name, options = {}) {
+    const template = registry.getTemplate(name);
+    if (!template) return;
+
+    if (options.includeForecast && !template.supportsForecast) {
+      const suggestions = registry.getTemplates().filter(item => item.supportsForecast).map(item => item.name);
+      console.log(chalk.gray(`💡 ${t('cli.templates.noForecast', { template: name, templates: suggestions.join(', ') })}`));
+    }
+    const columns = process.stdout.columns;
+    if (columns && columns < template.minWidth) {
+      console.log(chalk.gray(`💡 ${t('cli.templates.tooNarrow', { template: name, width: template.minWidth, columns })}`));
     }
   }
 
@@ -86,15 +227,15 @@ class WeatherCLI {
       chalk.gray('   • Export/Import Settings'),
       '',
       chalk.cyan('🚀 Quick Start:'),
-      chalk.white('   bw now              '), chalk.gray('- Vezi vremea cu template-ul curent'),
-      chalk.white('   bw templates         '), chalk.gray('- Explorează toate template-urile'),
-      chalk.white('   bw config           '), chalk.gray('- Configurare interactivă'),
-      chalk.white('   bw theme ocean      '), chalk.gray('- Schimbă tema de culori'),
+      chalk.white('   bw now              '), chalk.gray(`- ${t('cli.welcome.now')}`),
+      chalk.white('   bw templates         '), chalk.gray(`- ${t('cli.welcome.templates')}`),
+      chalk.white('   bw config           '), chalk.gray(`- ${t('cli.welcome.config')}`),
+      chalk.white('   bw theme ocean      '), chalk.gray(`- ${t('cli.welcome.theme')}`),
       '',
       chalk.magenta('💡 Pro Tips:'),
-      chalk.gray('   • Folosește "bw quick" pentru comutare rapidă template'),
-      chalk.gray('   • Template-urile se salvează automat în ~/.bucharest-weather-cli'),
-      chalk.gray('   • Poți crea preset-uri personalizate pentru diferite situații')
+      chalk.gray(`   • ${t('cli.welcome.tips.quick')}`),
+      chalk.gray(`   • ${t('cli.welcome.tips.saved')}`),
+      chalk.gray(`   • ${t('cli.welcome.tips.presets')}`)
     ];
     
     console.log(boxen(welcomeText.join('\n'), {
@@ -108,14 +249,14 @@ class WeatherCLI {
   }
 
   async showTemplateGallery() {
-    console.log(chalk.cyan.bold('🎨 GALERIA DE TEMPLATE-URI\n'));
+    console.log(chalk.cyan.bold(`🎨 ${t('cli.gallery.templates')}\n`));
     
     const templates = this.templates.getAvailableTemplates();
     const currentTemplate = this.config.getCurrentTemplate();
     
     for (const template of templates) {
       const isActive = template.name === currentTemplate;
-      const status = isActive ? chalk.green('✓ ACTIV') : chalk.gray('○ disponibil');
+      const status = isActive ? chalk.green(`✓ ${t('cli.gallery.activeTemplate')}`) : chalk.gray(`○ ${t('cli.gallery.availableTemplate')}`);
       
       console.log(chalk.yellow.bold(`${template.name.toUpperCase()} ${status}`));
       console.log(chalk.gray(template.description));
@@ -131,14 +272,14 @@ class WeatherCLI {
   }
 
   async showThemeGallery() {
-    console.log(chalk.cyan.bold('🎨 GALERIA DE TEME\n'));
+    console.log(chalk.cyan.bold(`🎨 ${t('cli.gallery.themes')}\n`));
     
     const themes = this.templates.getAvailableThemes();
     const currentTheme = this.config.getCurrentTheme();
     
     themes.forEach(theme => {
       const isActive = theme.name === currentTheme;
-      const status = isActive ? chalk.green('✓ ACTIVĂ') : chalk.gray('○ disponibilă');
+      const status = isActive ? chalk.green(`✓ ${t('cli.gallery.activeTheme')}`) : chalk.gray(`○ ${t('cli.gallery.availableTheme')}`);
       
       console.log(chalk.yellow.bold(`${theme.name.toUpperCase()} ${status}`));
       
@@ -161,13 +302,13 @@ class WeatherCLI {
       this.templates.setTheme(themeName);
     }
     
-    console.log(chalk.cyan(`🔍 Preview: ${templateName} ${themeName ? `cu tema ${themeName}` : ''}\n`));
+    console.log(chalk.cyan(`🔍 ${label('cli.preview.title')} ${templateName} ${themeName ? t('cli.preview.withTheme', { theme: themeName }) : ''}\n`));
     
     // Generate mock weather data for preview
     const mockWeather = {
       temp: 22,
       feels_like: 24,
-      description: 'parțial înnorat',
+      description: t('cli.preview.description'),
       icon: '02d',
       humidity: 65,
       pressure: 1013,
@@ -180,10 +321,10 @@ class WeatherCLI {
     };
     
     const mockInsights = {
-      clothing: 'Cămașă subțire + jachetă ușoară',
-      activities: 'Ideal pentru plimbări în parc sau cycling',
+      clothing: t('cli.preview.clothing'),
+      activities: t('cli.preview.activities'),
       locations: 'Herăstrău, Centrul Vechi, Calea Victoriei',
-      health: 'Condiții bune pentru activități outdoor',
+      health: t('cli.preview.health'),
       alerts: []
     };
     
@@ -199,7 +340,9 @@ const cli = new WeatherCLI();
 program
   .name('bucharest-weather')
   .description('🌤️ Professional weather CLI for Bucharest with advanced templates')
-  .version(cli.version);
+  .version(cli.version)
+  .option('--lang <code>', `Language for messages and advice (${I18n.getLocales().join('|')}), default DEFAULT_LANGUAGE or bw config`)
+  .option('--units <spec>', `Display units: ${Units.getSystems().join('|')} or overrides like metric,wind=kmh (wind=bft for Beaufort), default WEATHER_UNITS or bw config`);
 
 // Welcome command
 program
@@ -218,8 +361,17 @@ program
   .option('-t, --template <name>', 'Use specific template')
   .option('-th, --theme <name>', 'Use specific theme')
   .option('-v, --verbose', 'Show detailed system info')
+  .option('-l, --location <name>', 'Use a saved location')
+  .option('--offline', 'Use the last saved data without network access')
+  .option('--demo <scenario>', `Seeded demo scenario (${DemoProvider.getScenarios().join('|')})`)
+  .option('--seed <value>', 'Seed for demo data and AI insights', '1')
+  .option('--llm [backend]', `Add an LLM-written summary (${getAvailableBackends().join('|')})`)
   .action(async (options) => {
     await cli.init();
+    if (!(await cli.applyLocation(options.location))) return;
+    if (options.offline) cli.app.weather.setOffline();
+    if (options.demo && !cli.useDemo(options.demo, options.seed)) return;
+    if (options.llm && !cli.useLLM(options.llm)) return;
     
     const template = options.template || cli.config.getCurrentTemplate();
     
@@ -240,8 +392,15 @@ program
   .option('-d, --days <number>', 'Number of forecast days (1-7)', '5')
   .option('-t, --template <name>', 'Use specific template')
   .option('-th, --theme <name>', 'Use specific theme')
+  .option('-l, --location <name>', 'Use a saved location')
+  .option('--offline', 'Use the last saved data without network access')
+  .option('--hourly', 'Also show the hourly timeline')
+  .option('--llm [backend]', `Add an LLM-written summary (${getAvailableBackends().join('|')})`)
   .action(async (options) => {
     await cli.init();
+    if (!(await cli.applyLocation(options.location))) return;
+    if (options.offline) cli.app.weather.setOffline();
+    if (options.llm && !cli.useLLM(options.llm)) return;
     
     const template = options.template || cli.config.getCurrentTemplate();
     const days = parseInt(options.days);
@@ -252,10 +411,39 @@ program
     
     await cli.displayWeatherWithTemplate(template, {
       includeForecast: true,
-      forecastDays: days
+      forecastDays: days,
+      showHourly: options.hourly
     });
   });
 
+// Hourly timeline
+program
+  .command('hourly')
+  .alias('hr')
+  .description('Show hourly forecast timeline (temperature, precipitation, wind)')
+  .option('-H, --hours <number>', 'Hours ahead', '48')
+  .option('-t, --template <name>', 'Use specific template (any with an hourly layout, see bw templates --list)')
+  .option('-th, --theme <name>', 'Use specific theme')
+  .option('-l, --location <name>', 'Use a saved location')
+  .option('--offline', 'Use the last saved data without network access')
+  .action(async (options) => {
+    await cli.init();
+    if (!(await cli.applyLocation(options.location))) return;
+    if (options.offline) cli.app.weather.setOffline();
+    
+    const hours = parseInt(options.hours);
+    if (!(hours > 0)) {
+      console.log(chalk.red(`❌ ${t('cli.hourly.invalidHours')}`));
+      process.exitCode = 1;
+      return;
+    }
+    
+    cli.app.templates.setTheme(options.theme || cli.config.getCurrentTheme());
+    if (!(await cli.app.getHourly(hours, options.template || cli.config.getCurrentTemplate()))) {
+      process.exitCode = 1; // the app already reported why
+    }
+  });
+
 // Template management
 program
   .command('templates')
@@ -270,22 +458,46 @@ program
     
     if (options.list) {
       const templates = cli.templates.getAvailableTemplates();
-      console.log(chalk.cyan.bold('📋 TEMPLATE-URI DISPONIBILE:\n'));
+      console.log(chalk.cyan.bold(`📋 ${label('cli.templates.title')}\n`));
       templates.forEach((template, index) => {
         const isActive = template.name === cli.config.getCurrentTemplate();
         const status = isActive ? chalk.green(' ✓') : '';
-        console.log(`${index + 1}. ${chalk.yellow(template.name)}${status}`);
-        console.log(chalk.gray(`   ${template.description}\n`));
+        const source = template.custom
+          ? chalk.magenta(` (${t('cli.templates.custom')})`)
+          : template.source.startsWith('plugin:') ? chalk.magenta(` (${t('cli.templates.plugin', { name: template.source.slice('plugin:'.length) })})`) : '';
+        const capabilities = [
+          template.supportsForecast && t('cli.templates.forecast'),
+          template.supportsHourly && t('cli.templates.hourly'),
+          template.minWidth && t('cli.templates.minWidth', { width: template.minWidth })
+        ].filter(Boolean);
+        console.log(`${index + 1}. ${template.icon}  ${chalk.yellow(template.name)}${source}${status}`);
+        console.log(chalk.gray(`   ${template.description}`));
+        if (capabilities.length) console.log(chalk.gray(`   ${capabilities.join(' · ')}`));
+        console.log('');
       });
+      
+      const errors = cli.customTemplates.getErrors();
+      if (errors.length > 0) {
+        console.log(chalk.red.bold(`❌ ${label('cli.templates.invalid')}\n`));
+        errors.forEach(item => console.log(chalk.red(`   ${item.name}: ${item.error}`)));
+        console.log('');
+      }
+      if (registry.errors.length > 0) {
+        console.log(chalk.red.bold(`❌ ${label('cli.templates.pluginErrors')}\n`));
+        registry.errors.forEach(item => console.log(chalk.red(`   ${item.name}: ${item.error}`)));
+        console.log('');
+      }
+      console.log(chalk.gray(`💡 ${t('cli.templates.customHint', { dir: cli.config.customTemplatesDir })}`));
+      console.log(chalk.gray(`💡 ${t('cli.templates.pluginHint', { dir: getConfigPath('plugins') })}`));
       return;
     }
     
     if (options.set) {
       const success = await cli.config.setTemplate(options.set);
       if (success) {
-        console.log(chalk.green(`✅ Template schimbat la: ${options.set}`));
+        console.log(chalk.green(`✅ ${t('cli.templates.changed', { template: options.set })}`));
       } else {
-        console.log(chalk.red(`❌ Template "${options.set}" nu există`));
+        console.log(chalk.red(`❌ ${t('config.customize.unknown', { template: options.set })}`));
       }
       return;
     }
@@ -302,8 +514,8 @@ program
     
     // Default: show current template info
     const currentTemplate = cli.config.getCurrentTemplate();
-    console.log(chalk.cyan('🎨 Template activ:'), chalk.yellow(currentTemplate));
-    console.log(chalk.gray('Folosește --help pentru mai multe opțiuni'));
+    console.log(chalk.cyan(`🎨 ${label('app.system.template')}`), chalk.yellow(currentTemplate));
+    console.log(chalk.gray(t('cli.templates.help')));
   });
 
 // Theme management
@@ -319,7 +531,7 @@ program
     
     if (options.list) {
       const themes = cli.templates.getAvailableThemes();
-      console.log(chalk.cyan.bold('🎨 TEME DISPONIBILE:\n'));
+      console.log(chalk.cyan.bold(`🎨 ${label('cli.themes.title')}\n`));
       themes.forEach((theme, index) => {
         const isActive = theme.name === cli.config.getCurrentTheme();
         const status = isActive ? chalk.green(' ✓') : '';
@@ -336,19 +548,19 @@ program
     if (themeName) {
       const success = await cli.config.setTheme(themeName);
       if (success) {
-        console.log(chalk.green(`✅ Temă schimbată la: ${themeName}`));
+        console.log(chalk.green(`✅ ${t('cli.themes.changed', { theme: themeName })}`));
         // Show preview with new theme
         cli.templates.setTheme(themeName);
         await cli.previewTemplate(cli.config.getCurrentTemplate(), themeName);
       } else {
-        console.log(chalk.red(`❌ Tema "${themeName}" nu există`));
+        console.log(chalk.red(`❌ ${t('cli.themes.unknown', { theme: themeName })}`));
       }
       return;
     }
     
     // Default: show current theme
     const currentTheme = cli.config.getCurrentTheme();
-    console.log(chalk.cyan('🎨 Temă activă:'), chalk.yellow(currentTheme));
+    console.log(chalk.cyan(`🎨 ${label('app.system.theme')}`), chalk.yellow(currentTheme));
   });
 
 // Interactive configuration
@@ -397,7 +609,7 @@ program
     const newTemplate = await cli.config.quickSwitch();
     
     // Show preview of new template
-    console.log('\n' + chalk.cyan('🔍 Preview nou template:'));
+    console.log('\n' + chalk.cyan(`🔍 ${t('cli.quickPreview')}`));
     await cli.previewTemplate(newTemplate);
   });
 
@@ -414,10 +626,10 @@ program
     
     if (options.list) {
       const presets = cli.config.getAvailablePresets();
-      console.log(chalk.cyan.bold('🎯 PRESET-URI DISPONIBILE:\n'));
+      console.log(chalk.cyan.bold(`🎯 ${label('cli.presets.title')}\n`));
       presets.forEach((preset, index) => {
         console.log(`${index + 1}. ${chalk.yellow(preset.name)}`);
-        console.log(chalk.gray(`   Template: ${preset.template} | Temă: ${preset.theme}`));
+        console.log(chalk.gray(`   ${label('config.template')} ${preset.template} | ${label('config.theme')} ${preset.theme}`));
         console.log('');
       });
       return;
@@ -435,25 +647,25 @@ program
         currentSettings
       );
       
-      console.log(chalk.green(`✅ Preset "${options.create}" creat cu succes!`));
+      console.log(chalk.green(`✅ ${t('cli.presets.created', { name: options.create })}`));
       return;
     }
     
     if (presetName) {
       const success = await cli.config.applyPreset(presetName);
       if (success) {
-        console.log(chalk.green(`✅ Preset "${presetName}" aplicat!`));
+        console.log(chalk.green(`✅ ${t('cli.presets.applied', { name: presetName })}`));
         
         // Reload settings and show preview
         await cli.init();
         await cli.previewTemplate(cli.config.getCurrentTemplate());
       } else {
-        console.log(chalk.red(`❌ Preset "${presetName}" nu există`));
+        console.log(chalk.red(`❌ ${t('cli.presets.unknown', { name: presetName })}`));
       }
       return;
     }
     
-    console.log(chalk.cyan('🎯 Folosește --list pentru a vedea preset-urile disponibile'));
+    console.log(chalk.cyan(`🎯 ${t('cli.presets.hint')}`));
   });
 
 // Demo command - showcase all templates
@@ -483,7 +695,7 @@ program
       const currentTemplate = cli.config.getCurrentTemplate();
       
       for (const theme of themes) {
-        console.log(chalk.cyan.bold(`\n🎨 DEMO TEMĂ: ${theme.name.toUpperCase()}`));
+        console.log(chalk.cyan.bold(`\n🎨 ${t('cli.demo.theme', { theme: theme.name.toUpperCase() })}`));
         console.log(chalk.gray('─'.repeat(60)));
         await cli.previewTemplate(currentTemplate, theme.name);
         console.log('\n' + '═'.repeat(80));
@@ -493,7 +705,7 @@ program
     
     // Default demo - show welcome and current template
     cli.showWelcomeBanner();
-    console.log('\n' + chalk.cyan.bold('🎨 DEMO TEMPLATE CURENT:'));
+    console.log('\n' + chalk.cyan.bold(`🎨 ${t('cli.demo.current')}`));
     await cli.displayWeatherWithTemplate(cli.config.getCurrentTemplate());
   });
 
@@ -503,9 +715,1024 @@ program
   .description('Export weather data')
   .option('-f, --format <format>', 'Export format (json|csv)', 'json')
   .option('-o, --output <file>', 'Output file (optional)')
+  .option('-l, --location <name>', 'Use a saved location')
+  .option('--offline', 'Use the last saved data without network access')
   .action(async (options) => {
     await cli.init();
-    await cli.app.exportData(options.format, options.output);
+    if (!(await cli.applyLocation(options.location))) return;
+    if (options.offline) cli.app.weather.setOffline();
+    if (!(await cli.app.exportData(options.format, options.output))) {
+      process.exitCode = 1; // the app already reported why
+    }
+  });
+
+// Saved locations
+program
+  .command('locations')
+  .alias('loc')
+  .description('Manage saved locations (add|remove|list|default)')
+  .argument('[action]', 'add | remove | list | default', 'list')
+  .argument('[name]', 'Location name')
+  .option('--lat <number>', 'Latitude (otherwise geocoded)')
+  .option('--lon <number>', 'Longitude (otherwise geocoded)')
+  .option('-c, --country <code>', 'Country code', 'RO')
+  .action(async (action, name, options) => {
+    await cli.init();
+    
+    if (action !== 'list' && !name) {
+      console.log(chalk.red(`❌ ${t('cli.locations.nameRequired', { action })}`));
+      process.exitCode = 1;
+      return;
+    }
+    
+    switch (action) {
+      case 'add': {
+        let coordinates = { lat: options.lat, lon: options.lon };
+        
+        if (options.lat === undefined || options.lon === undefined) {
+          const spinner = ora(t('cli.locations.searching', { name })).start();
+          try {
+            coordinates = await cli.app.weather.geocode(name, options.country);
+          } catch (error) {
+            spinner.fail(error.message);
+            process.exitCode = 1;
+            return;
+          }
+          
+          if (!coordinates) {
+            spinner.fail(t('cli.locations.notFound', { name }));
+            process.exitCode = 1;
+            return;
+          }
+          
+          const label = coordinates.countyName ? `${coordinates.name} (${coordinates.countyName})` : coordinates.name;
+          spinner.succeed(t('cli.locations.found', { label, lat: String(coordinates.lat), lon: String(coordinates.lon) }));
+        }
+        
+        try {
+          const location = await cli.locations.add({
+            name,
+            country: options.country,
+            county: coordinates.county,
+            lat: coordinates.lat,
+            lon: coordinates.lon
+          });
+          console.log(chalk.green(`✅ ${t('cli.locations.saved', { name: location.name })}`));
+        } catch (error) {
+          console.log(chalk.red(`❌ ${error.message}`));
+          process.exitCode = 1;
+        }
+        return;
+      }
+      
+      case 'remove':
+        if (await cli.locations.remove(name)) {
+          console.log(chalk.green(`✅ ${t('cli.locations.removed', { name })}`));
+        } else {
+          console.log(chalk.red(`❌ ${t('cli.locations.unknown', { name })}`));
+          process.exitCode = 1;
+        }
+        return;
+      
+      case 'default':
+        if (await cli.locations.setDefault(name)) {
+          console.log(chalk.green(`✅ ${t('cli.locations.defaultSet', { name })}`));
+        } else {
+          console.log(chalk.red(`❌ ${t('cli.locations.unknown', { name })}`));
+          process.exitCode = 1;
+        }
+        return;
+      
+      case 'list':
+        cli.showLocations();
+        return;
+      
+      default:
+        console.log(chalk.red(`❌ ${t('cli.unknownAction', { action })}`));
+        console.log(chalk.yellow(`💡 ${t('cli.availableActions', { actions: 'add, remove, list, default' })}`));
+        process.exitCode = 1;
+    }
+  });
+
+// Local observation history
+program
+  .command('history')
+  .description('Show daily aggregates of past observations (show|clear)')
+  .argument('[action]', 'show | clear', 'show')
+  .option('--from <date>', 'First day (YYYY-MM-DD)')
+  .option('--to <date>', 'Last day (YYYY-MM-DD)', moment().format('YYYY-MM-DD'))
+  .option('-m, --metric <name>', `Metric (${WeatherHistory.getMetrics().join('|')})`, 'temp')
+  .option('-l, --location <name>', 'Use a saved location')
+  .option('--json', 'Print the daily aggregates as JSON')
+  .action(async (action, options) => {
+    await cli.init();
+    if (!(await cli.applyLocation(options.location))) return;
+    const history = cli.app.weather.history;
+    
+    if (action === 'clear') {
+      if (options.location) {
+        await history.clear({ location: cli.app.getLocation() });
+        console.log(chalk.green(`✅ ${t('cli.history.clearedLocation', { location: cli.app.getLocation().name })}`));
+      } else {
+        await history.clear();
+        console.log(chalk.green(`✅ ${t('cli.history.cleared')}`));
+      }
+      return;
+    }
+    
+    if (action !== 'show') {
+      console.log(chalk.red(`❌ ${t('cli.unknownAction', { action })}`));
+      console.log(chalk.yellow(`💡 ${t('cli.availableActions', { actions: 'show, clear' })}`));
+      process.exitCode = 1;
+      return;
+    }
+    
+    const to = moment(options.to, 'YYYY-MM-DD', true);
+    const from = options.from ? moment(options.from, 'YYYY-MM-DD', true) : to.clone().subtract(6, 'days');
+    const info = WeatherHistory.getMetricInfo(options.metric);
+    
+    if (!from.isValid() || !to.isValid() || from.isAfter(to)) {
+      console.log(chalk.red(`❌ ${t('cli.history.invalidRange')}`));
+      process.exitCode = 1;
+      return;
+    }
+    if (!info) {
+      console.log(chalk.red(`❌ ${t('history.errors.unknownMetric', { metric: options.metric, available: WeatherHistory.getMetrics().join(', ') })}`));
+      process.exitCode = 1;
+      return;
+    }
+    
+    const location = cli.app.getLocation();
+    const days = await history.getDaily({ from: from.startOf('day'), to: to.endOf('day'), metric: options.metric, location });
+    // The log is metric; what is shown follows the display units
+    const shown = info.quantity
+      ? days.map(day => ({ ...day, ...Object.fromEntries(['min', 'max', 'avg'].map(key => [key, units.convert(info.quantity, day[key])])) }))
+      : days;
+    
+    if (options.json) {
+      console.log(JSON.stringify({ location: location.name, metric: options.metric, unit: info.unit, days: shown }, null, 2));
+      return;
+    }
+    
+    const period = `${from.format('DD.MM.YYYY')} - ${to.format('DD.MM.YYYY')}`;
+    if (days.length === 0) {
+      console.log(chalk.yellow(`📭 ${t('cli.history.empty', { location: location.name, period })}`));
+      console.log(chalk.gray(`💡 ${t('cli.history.emptyHint')}`));
+      return;
+    }
+    
+    const rows = [[t('cli.history.columns.date'), 'Min', 'Max', t('cli.history.columns.average'), t('cli.history.columns.count')]];
+    shown.forEach(day => {
+      rows.push([
+        i18n.formatDate(`${day.date}T12:00:00`, { weekday: 'short', day: '2-digit', month: '2-digit' }),
+        `${day.min}${info.unit}`,
+        `${day.max}${info.unit}`,
+        `${day.avg}${info.unit}`,
+        day.count
+      ]);
+    });
+    
+    console.log(chalk.bold.cyan(`\n📈 ${info.label.toUpperCase()} - ${location.name} (${period})`));
+    console.log(table(rows));
+    
+    if (options.metric === 'temp') {
+      const warmest = days.reduce((best, day) => (day.max > best.max ? day : best));
+      const coldest = days.reduce((best, day) => (day.min < best.min ? day : best));
+      const hotDays = days.filter(day => day.max >= 30).length;
+      const frostDays = days.filter(day => day.min <= 0).length;
+      
+      console.log(`🔥 ${t('cli.history.warmest', { date: moment(warmest.date).format('DD.MM'), temp: units.format('temperature', warmest.max) })} | 🥶 ${t('cli.history.coldest', { date: moment(coldest.date).format('DD.MM'), temp: units.format('temperature', coldest.min) })}`);
+      console.log(`☀️ ${t('cli.history.hotDays', { count: hotDays, threshold: units.format('temperature', 30) })} | ❄️ ${t('cli.history.frostDays', { count: frostDays })} | 📅 ${t('cli.history.days', { count: days.length })}`);
+    }
+  });
+
+// Background collection
+program
+  .command('daemon')
+  .description('Collect observations in the background (start|stop|status|run)')
+  .argument('[action]', 'start | stop | status | run', 'status')
+  .option('-i, --interval <seconds>', 'Polling interval (default: updateInterval from bw config)')
+  .option('-l, --location <name>', 'Use a saved location')
+  .action(async (action, options) => {
+    await cli.init();
+    if (!(await cli.applyLocation(options.location))) return;
+    
+    const interval = parseInt(options.interval) || cli.config.getSettings().updateInterval || 300;
+    const daemon = new WeatherDaemon({ weather: cli.app.weather, ai: cli.app.ai, interval });
+    if (cli.config.getSettings().notificationsEnabled !== false) {
+      const rules = new AlertRules();
+      daemon.addHandler((snapshot, insights, logger) => rules.check(snapshot, logger));
+    }
+    
+    if (['start', 'run'].includes(action) && interval < 60) {
+      console.log(chalk.red(`❌ ${t('cli.daemon.minInterval', { seconds: 60 })}`));
+      process.exitCode = 1;
+      return;
+    }
+    
+    try {
+      switch (action) {
+        case 'start': {
+          const args = ['--interval', String(interval), ...(options.location ? ['--location', options.location] : [])];
+          const pid = await daemon.start(args);
+          console.log(chalk.green(`✅ ${t('cli.daemon.started', { pid: String(pid), interval })}`));
+          console.log(chalk.gray(`📄 ${t('cli.daemon.log', { file: daemon.logFile })}`));
+          return;
+        }
+        
+        case 'run':
+          await daemon.run({ foreground: process.stdout.isTTY === true });
+          return;
+        
+        case 'stop': {
+          const pid = await daemon.stop();
+          console.log(pid ? chalk.green(`✅ ${t('cli.daemon.stopped', { pid: String(pid) })}`) : chalk.gray(`ℹ️ ${t('cli.daemon.notRunning')}`));
+          return;
+        }
+        
+        case 'status': {
+          const status = await daemon.status();
+          const format = value => (value ? i18n.formatDate(value) : '-');
+          const field = (key, color = chalk.yellow) => color(label(`cli.daemon.status.${key}`));
+          const info = [
+            chalk.bold.cyan('🛰️ DAEMON:'),
+            '',
+            `${field('state')} ${status.running ? chalk.green(t('cli.daemon.status.running', { pid: String(status.pid) })) : chalk.gray(t('cli.daemon.status.stopped'))}`,
+            `${field('location')} ${status.location || '-'} | ${field('provider')} ${status.provider || '-'}`,
+            `${field('interval')} ${status.interval ? `${status.interval}s` : '-'}`,
+            `${field('startedAt')} ${format(status.startedAt)}`,
+            `${field('lastRun')} ${format(status.lastRunAt)}`,
+            `${field('nextRun')} ${status.running ? format(status.nextRunAt) : '-'}`,
+            `${field('runs')} ${status.runs ?? 0} | ${field('failures')} ${status.failures ?? 0}`,
+            ...(status.lastError ? [`${field('lastError', chalk.red)} ${status.lastError}`] : []),
+            '',
+            chalk.gray(`📄 ${status.logFile}`)
+          ];
+          
+          console.log(boxen(info.join('\n'), {
+            padding: 1,
+            margin: 1,
+            borderStyle: 'single',
+            borderColor: 'cyan',
+            title: '🛰️ DAEMON',
+            titleAlignment: 'center'
+          }));
+          return;
+        }
+        
+        default:
+          console.log(chalk.red(`❌ ${t('cli.unknownAction', { action })}`));
+          console.log(chalk.yellow(`💡 ${t('cli.availableActions', { actions: 'start, stop, status, run' })}`));
+          process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exitCode = 1;
+    }
+  });
+
+// User-defined alert rules and notification channels
+program
+  .command('alerts')
+  .description('Manage alert rules checked by the daemon (add|list|remove|test|channels)')
+  .argument('[action]', 'add | list | remove | test | channels', 'list')
+  .argument('[target]', 'Condition for add ("temp > 35"), rule id for remove/test')
+  .option('-n, --name <text>', 'Rule name')
+  .option('-d, --duration <minutes>', 'Minutes the condition must hold before firing', '0')
+  .option('-c, --cooldown <minutes>', 'Minimum minutes between two notifications', '60')
+  .option('-q, --quiet <hours>', 'Quiet hours, e.g. 22:00-07:00')
+  .option('--channel <names>', `Comma-separated channels (${getAvailableChannels().join('|')})`, 'desktop')
+  .option('--send', 'With test: really send a test notification')
+  .option('-l, --location <name>', 'Use a saved location')
+  .action(async (action, target, options) => {
+    await cli.init();
+    const rules = new AlertRules();
+    await rules.load();
+    
+    try {
+      switch (action) {
+        case 'add': {
+          if (!target) {
+            console.log(chalk.red(`❌ ${t('cli.alerts.missingCondition')}`));
+            process.exitCode = 1;
+            return;
+          }
+          const rule = await rules.add({
+            ...AlertRules.parseCondition(target),
+            name: options.name,
+            duration: options.duration,
+            cooldown: options.cooldown,
+            quietHours: options.quiet,
+            channels: options.channel.split(',').map(channel => channel.trim()).filter(Boolean)
+          });
+          console.log(chalk.green(`✅ ${t('cli.alerts.added', { id: rule.id, name: rule.name, channels: rule.channels.join(', ') })}`));
+          console.log(chalk.gray(`💡 ${t('cli.alerts.daemonHint')}`));
+          return;
+        }
+        
+        case 'list': {
+          if (rules.list().length === 0) {
+            console.log(chalk.gray(`📭 ${t('cli.alerts.empty')}`));
+            return;
+          }
+          const rows = [['ID', ...['name', 'condition', 'duration', 'cooldown', 'quiet', 'channels'].map(column => t(`cli.alerts.columns.${column}`))]];
+          rules.list().forEach(rule => rows.push([
+            rule.id,
+            rule.name,
+            `${rule.metric} ${rule.operator} ${rule.threshold}${AlertRules.getUnitSymbol(rule)}`,
+            `${rule.duration} min`,
+            `${rule.cooldown} min`,
+            rule.quietHours || '-',
+            rule.channels.join(', ')
+          ]));
+          console.log(chalk.bold.cyan(`\n🔔 ${t('cli.alerts.title')}`));
+          console.log(table(rows));
+          return;
+        }
+        
+        case 'remove': {
+          const removed = target ? await rules.remove(target) : null;
+          if (!removed) {
+            console.log(chalk.red(`❌ ${t('cli.alerts.unknown', { id: target || '' })}`));
+            process.exitCode = 1;
+            return;
+          }
+          console.log(chalk.green(`✅ ${t('cli.alerts.removed', { id: removed.id, name: removed.name })}`));
+          return;
+        }
+        
+        case 'channels': {
+          getAvailableChannels().forEach(name => {
+            const missing = createChannel(name).getMissingSettings();
+            console.log(missing.length === 0
+              ? chalk.green(`✅ ${t('cli.configured', { name })}`)
+              : chalk.yellow(`⚠️ ${t('cli.missing', { name, settings: missing.join(', ') })}`));
+          });
+          return;
+        }
+        
+        case 'test': {
+          const selected = target ? rules.list().filter(rule => rule.id === target) : rules.list();
+          if (target && selected.length === 0) {
+            console.log(chalk.red(`❌ ${t('cli.alerts.unknown', { id: target })}`));
+            process.exitCode = 1;
+            return;
+          }
+          
+          // Without rules, --send checks the channels given with --channel
+          if (selected.length === 0) {
+            if (!options.send) {
+              console.log(chalk.gray(`📭 ${t('cli.alerts.nothingToTest')}`));
+              return;
+            }
+            const channels = options.channel.split(',').map(channel => channel.trim()).filter(Boolean);
+            const deliveries = await rules.deliver(channels, {
+              title: '🧪 Test Bucharest Weather',
+              message: t('cli.alerts.testMessage'),
+              level: 'info',
+              timestamp: new Date().toISOString()
+            });
+            deliveries.forEach(delivery => console.log(delivery.ok
+              ? chalk.green(`✅ ${t('cli.sent', { channel: delivery.channel })}`)
+              : chalk.red(`❌ ${delivery.channel}: ${delivery.error}`)));
+            if (deliveries.some(delivery => !delivery.ok)) process.exitCode = 1;
+            return;
+          }
+          
+          if (!(await cli.applyLocation(options.location))) return;
+          const snapshot = await cli.app.weather.getSnapshot(1);
+          
+          for (const rule of selected) {
+            const { value, matches } = rules.test(rule, snapshot);
+            console.log(`${matches ? chalk.red('🔴') : chalk.green('🟢')} ${rule.id} ${rule.name}: ${value != null ? `${value}${AlertRules.getUnitSymbol(rule)}` : 'N/A'} → ${matches ? t('cli.alerts.wouldFire') : t('cli.alerts.wouldNotFire')}`);
+            
+            if (options.send) {
+              const notification = rules.buildNotification(rule, value, snapshot);
+              const deliveries = await rules.deliver(rule.channels, { ...notification, title: `🧪 ${notification.title}` });
+              deliveries.forEach(delivery => console.log(delivery.ok
+                ? chalk.green(`   ✅ ${t('cli.sent', { channel: delivery.channel })}`)
+                : chalk.red(`   ❌ ${delivery.channel}: ${delivery.error}`)));
+              if (deliveries.some(delivery => !delivery.ok)) process.exitCode = 1;
+            }
+          }
+          return;
+        }
+        
+        default:
+          console.log(chalk.red(`❌ ${t('cli.unknownAction', { action })}`));
+          console.log(chalk.yellow(`💡 ${t('cli.availableActions', { actions: 'add, list, remove, test, channels' })}`));
+          process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exitCode = 1;
+    }
+  });
+
+// Declarative advice rules
+program
+  .command('insights')
+  .description('Explain which advice rules fire for the current weather (explain|rules)')
+  .argument('[action]', 'explain | rules', 'explain')
+  .option('-s, --section <name>', `Only one section (${InsightRules.getSections().join('|')})`)
+  .option('-a, --all', 'With explain: also list the rules that did not match')
+  .option('-l, --location <name>', 'Use a saved location')
+  .option('--offline', 'Use the last saved data without network access')
+  .option('--demo <scenario>', `Explain a seeded demo scenario (${DemoProvider.getScenarios().join('|')})`)
+  .option('--seed <value>', 'Seed for demo data', '1')
+  .option('--json', 'Print the verdicts as JSON')
+  .action(async (action, options) => {
+    await cli.init();
+    const rules = cli.app.ai.rules;
+    
+    if (options.section && !InsightRules.getSections().includes(options.section)) {
+      console.log(chalk.red(`❌ ${t('cli.insights.unknownSection', { section: options.section })}`));
+      console.log(chalk.yellow(`💡 ${t('cli.insights.availableSections', { sections: InsightRules.getSections().join(', ') })}`));
+      process.exitCode = 1;
+      return;
+    }
+    
+    try {
+      await rules.load();
+      if (rules.error) {
+        console.log(chalk.red(`❌ ${t('cli.insights.ignored', { error: rules.error })}`));
+        process.exitCode = 1;
+      }
+      
+      switch (action) {
+        case 'rules': {
+          const rows = [['ID', ...['section', 'group', 'priority', 'source', 'enabled'].map(column => t(`cli.insights.columns.${column}`))]];
+          rules.rules
+            .filter(rule => !options.section || rule.section === options.section)
+            .forEach(rule => rows.push([
+              rule.id,
+              rule.section,
+              rule.group || '-',
+              rule.priority ?? 0,
+              t(`cli.insights.sources.${rule.source === 'user' ? 'user' : 'default'}`),
+              rule.enabled === false ? '✗' : '✓'
+            ]));
+          console.log(chalk.bold.cyan(`\n🧩 ${t('cli.insights.rulesTitle')}`));
+          console.log(table(rows));
+          console.log(chalk.gray(`💡 ${t('cli.insights.overridesHint', { file: rules.file })}`));
+          return;
+        }
+        
+        case 'explain': {
+          if (!(await cli.applyLocation(options.location))) return;
+          if (options.offline) cli.app.weather.setOffline();
+          if (options.demo && !cli.useDemo(options.demo, options.seed)) return;
+          
+          const snapshot = await cli.app.weather.getSnapshot(1);
+          const sections = (await cli.app.ai.explainRules(snapshot.current, snapshot.forecast, snapshot.airQuality, snapshot.uvIndex))
+            .filter(item => !options.section || item.section === options.section);
+          
+          if (options.json) {
+            console.log(JSON.stringify(sections.map(item => ({
+              section: item.section,
+              rules: item.results.map(result => ({
+                id: result.rule.id,
+                status: result.status,
+                priority: result.rule.priority ?? 0,
+                source: result.rule.source,
+                text: result.text,
+                suppressedBy: result.suppressedBy || null,
+                checks: result.checks
+              }))
+            })), null, 2));
+            return;
+          }
+          
+          const current = snapshot.current;
+          console.log(chalk.bold.cyan(`\n🧩 ${t('cli.insights.explainTitle', { location: snapshot.location.name, temp: units.format('temperature', Math.round(current.temp)), description: current.description })}`));
+          if (rules.overrides > 0) {
+            console.log(chalk.gray(t('cli.insights.userRules', { count: rules.overrides, file: rules.file })));
+          }
+          
+          sections.forEach(({ section, results }) => {
+            console.log(chalk.bold.yellow(`\n${label(SECTION_TITLES[section])}`));
+            const shown = results.filter(result => options.all || result.status !== 'skipped');
+            if (shown.length === 0) {
+              console.log(chalk.gray(`   ${t('cli.insights.noneApply')}`));
+            }
+            
+            shown.forEach(result => {
+              const icon = { fired: '✅', suppressed: '⏭️', skipped: '❌' }[result.status];
+              const source = result.rule.source === 'user' ? chalk.magenta(` (${t('cli.insights.sources.user')})`) : '';
+              const line = `${icon} ${result.rule.id} [${result.rule.priority ?? 0}]${source}`;
+              
+              if (result.status === 'fired') {
+                console.log(`${chalk.green(line)} → ${result.text}`);
+              } else if (result.status === 'suppressed') {
+                console.log(chalk.gray(`${line} → ${t('cli.insights.suppressed', { group: result.rule.group, id: result.suppressedBy })}`));
+              } else {
+                console.log(chalk.gray(line));
+              }
+              
+              const checks = result.checks.length ? result.checks : null;
+              if (!checks) {
+                console.log(chalk.gray(`      ${t('cli.insights.always')}`));
+              }
+              (checks || []).forEach(check => {
+                console.log(chalk.gray(`      ${check.ok ? '✓' : '✗'} ${rules.describeCheck(check)}`));
+              });
+            });
+          });
+          return;
+        }
+        
+        default:
+          console.log(chalk.red(`❌ ${t('cli.unknownAction', { action })}`));
+          console.log(chalk.yellow(`💡 ${t('cli.availableActions', { actions: 'explain, rules' })}`));
+          process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exitCode = 1;
+    }
+  });
+
+// Personal profile for the advice
+program
+  .command('profile')
+  .description('Commute, sensitivities, activities and comfort temperature used by the advice (show|setup|set|reset)')
+  .argument('[action]', 'show | setup | set | reset', 'show')
+  .option('-c, --commute <mode>', `With set: how you get around (${Object.keys(UserProfile.getCommuteModes()).join('|')}|none)`)
+  .option('-s, --sensitive <list>', `With set: comma-separated sensitivities (${Object.keys(UserProfile.getSensitivities()).join('|')}|none)`)
+  .option('-a, --activities <list>', `With set: comma-separated activities (${Object.keys(UserProfile.getActivities()).join('|')}|none)`)
+  .option('-t, --comfort <degrees>', 'With set: temperature you are comfortable at, in the display units (10-30°C)')
+  .action(async (action, options) => {
+    await cli.init();
+    const profile = cli.app.ai.profile;
+    const commuteModes = UserProfile.getCommuteModes();
+    const sensitivities = UserProfile.getSensitivities();
+    const activities = UserProfile.getActivities();
+    // Typed in the display units, saved in °C like every other threshold
+    const toComfortTemp = input => Math.round(units.toMetric('temperature', Number(input)) * 10) / 10;
+    
+    try {
+      await profile.load();
+      if (profile.error) {
+        console.log(chalk.red(`❌ ${t('cli.profile.ignored', { error: profile.error })}`));
+        process.exitCode = 1;
+      }
+      
+      switch (action) {
+        case 'show': {
+          if (!profile.exists && !profile.error) {
+            console.log(chalk.gray(`👤 ${t('cli.profile.none')}`));
+            return;
+          }
+          const data = profile.data;
+          const list = (values, labels) => (values.length ? values.map(value => labels[value]).join(', ') : '-');
+          console.log(chalk.bold.cyan(`\n👤 ${t('cli.profile.title')}`));
+          console.log(table([
+            [t('cli.profile.fields.commute'), data.commute ? commuteModes[data.commute] : '-'],
+            [t('cli.profile.fields.sensitivities'), list(data.sensitivities, sensitivities)],
+            [t('cli.profile.fields.activities'), list(data.activities, activities)],
+            [t('cli.profile.fields.comfortTemp'), units.format('temperature', data.comfortTemp)]
+          ]));
+          console.log(chalk.gray(`💾 ${profile.file}`));
+          return;
+        }
+        
+        case 'setup': {
+          const data = profile.data;
+          const answers = await inquirer.prompt([
+            {
+              type: 'list',
+              name: 'commute',
+              message: t('cli.profile.setup.commute'),
+              choices: [
+                ...Object.entries(commuteModes).map(([value, name]) => ({ name, value })),
+                { name: `➖ ${t('cli.profile.setup.noCommute')}`, value: 'none' }
+              ],
+              default: data.commute || 'none'
+            },
+            {
+              type: 'checkbox',
+              name: 'sensitivities',
+              message: t('cli.profile.setup.sensitivities'),
+              choices: Object.entries(sensitivities).map(([value, name]) => ({ name, value, checked: data.sensitivities.includes(value) }))
+            },
+            {
+              type: 'checkbox',
+              name: 'activities',
+              message: t('cli.profile.setup.activities'),
+              choices: Object.entries(activities).map(([value, name]) => ({ name, value, checked: data.activities.includes(value) }))
+            },
+            {
+              type: 'input',
+              name: 'comfortTemp',
+              message: t('cli.profile.setup.comfortTemp', { unit: units.symbol('temperature') }),
+              default: units.convert('temperature', data.comfortTemp),
+              validate: (input) => {
+                const num = toComfortTemp(input);
+                return num >= 10 && num <= 30 ? true : t('config.setup.valueRange', { min: units.format('temperature', 10), max: units.format('temperature', 30) });
+              }
+            }
+          ]);
+          
+          await profile.update({ ...answers, comfortTemp: toComfortTemp(answers.comfortTemp) });
+          console.log(chalk.green(`\n✅ ${t('cli.profile.setup.saved')}`));
+          console.log(chalk.gray(`💾 ${t('config.setup.savedTo', { file: profile.file })}`));
+          return;
+        }
+        
+        case 'set': {
+          const values = {
+            commute: options.commute,
+            sensitivities: options.sensitive,
+            activities: options.activities,
+            comfortTemp: options.comfort === undefined ? undefined : toComfortTemp(options.comfort)
+          };
+          if (Object.values(values).every(value => value === undefined)) {
+            console.log(chalk.red(`❌ ${t('cli.nothingToChange', { example: 'bw profile set --commute bike --sensitive heat,pollution' })}`));
+            process.exitCode = 1;
+            return;
+          }
+          await profile.update(values);
+          console.log(chalk.green(`✅ ${t('cli.profile.updated')}`));
+          return;
+        }
+        
+        case 'reset': {
+          await profile.reset();
+          console.log(chalk.green(`✅ ${t('cli.profile.reset')}`));
+          return;
+        }
+        
+        default:
+          console.log(chalk.red(`❌ ${t('cli.unknownAction', { action })}`));
+          console.log(chalk.yellow(`💡 ${t('cli.availableActions', { actions: 'show, setup, set, reset' })}`));
+          process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exitCode = 1;
+    }
+  });
+
+// Go / no-go per transport mode for the saved commute
+program
+  .command('commute')
+  .description('Go / no-go per transport mode for your departure and return times (check|set|show)')
+  .argument('[action]', 'check | set | show', 'check')
+  .option('-d, --depart <time>', 'Departure time, HH:MM (saved with set, this run only with check)')
+  .option('-r, --return <time>', 'Return time, HH:MM')
+  .option('--from <name>', 'Where the departure starts (saved location or Romanian locality, "none" to clear)')
+  .option('--to <name>', 'Where the departure goes (saved location or Romanian locality, "none" to clear)')
+  .option('--tomorrow', 'With check: plan tomorrow even if today\'s trips are still ahead')
+  .option('--offline', 'Use the last saved data without network access')
+  .option('--demo <scenario>', `Seeded demo scenario (${DemoProvider.getScenarios().join('|')})`)
+  .option('--seed <value>', 'Seed for demo data', '1')
+  .option('--json', 'Print the verdicts as JSON')
+  .action(async (action, options) => {
+    await cli.init();
+    const planner = new CommutePlanner({ insights: cli.app.ai });
+    const profile = cli.app.ai.profile;
+    
+    try {
+      await planner.load();
+      await profile.load();
+      
+      switch (action) {
+        case 'set': {
+          const values = { departure: options.depart, return: options.return, from: options.from, to: options.to };
+          if (Object.values(values).every(value => value === undefined)) {
+            console.log(chalk.red(`❌ ${t('cli.nothingToChange', { example: 'bw commute set --depart 08:00 --return 18:00 --from acasa --to birou' })}`));
+            process.exitCode = 1;
+            return;
+          }
+          const plan = await planner.save(values);
+          console.log(chalk.green(`✅ ${t('cli.commute.saved', { departure: plan.departure, return: plan.return })}${plan.from ? ` (${plan.from}${plan.to ? ` → ${plan.to}` : ''})` : ''}`));
+          console.log(chalk.gray(`💡 ${t('cli.commute.verdictHint')}`));
+          return;
+        }
+        
+        case 'show': {
+          const plan = planner.plan;
+          console.log(chalk.bold.cyan(`\n🚦 ${t('cli.commute.title')}`));
+          console.log(`🌅 ${label('cli.commute.departure')} ${plan.departure}${plan.from ? ` ${t('cli.commute.fromPlace', { place: plan.from })}` : ''}`);
+          console.log(`🌆 ${label('cli.commute.return')} ${plan.return}${plan.to ? ` ${t('cli.commute.fromPlace', { place: plan.to })}` : ''}`);
+          console.log(`👤 ${label('cli.commute.mode')} ${profile.data.commute ? UserProfile.getCommuteModes()[profile.data.commute] : chalk.gray(t('cli.commute.modeUnset'))}`);
+          console.log(chalk.gray(`💾 ${planner.file}`));
+          return;
+        }
+        
+        case 'check': {
+          // Overrides for this run only
+          if (options.depart) planner.plan.departure = CommutePlanner.validateTime(options.depart);
+          if (options.return) planner.plan.return = CommutePlanner.validateTime(options.return);
+          const from = options.from ?? planner.plan.from;
+          const to = options.to ?? planner.plan.to;
+          
+          if (options.offline) cli.app.weather.setOffline();
+          if (options.demo && !cli.useDemo(options.demo, options.seed)) return;
+          
+          const spinner = ora(t('cli.commute.loading')).start();
+          const ends = {};
+          for (const [key, name] of [['from', from], ['to', to]]) {
+            if (key === 'to' && (!name || name === 'none')) continue;
+            if (!(await cli.applyLocation(name && name !== 'none' ? name : null))) {
+              spinner.stop();
+              return;
+            }
+            ends[key] = {
+              location: cli.app.getLocation(),
+              forecast: await cli.app.weather.getForecast(3),
+              alerts: await cli.app.weather.getAlerts()
+            };
+          }
+          spinner.stop();
+          
+          const result = planner.evaluate(ends, { tomorrow: options.tomorrow });
+          if (options.json) {
+            console.log(JSON.stringify(result, null, 2));
+            return;
+          }
+          
+          const route = ends.to ? `${ends.from.location.name} ⇄ ${ends.to.location.name}` : ends.from.location.name;
+          const date = i18n.formatDate(`${result.day}T12:00:00`, { weekday: 'long', day: 'numeric', month: 'long' });
+          console.log(chalk.bold.cyan(`\n🚦 ${t('cli.commute.dayTitle', { date, route })}`));
+          
+          result.trips.forEach(trip => {
+            const title = `${trip.kind === 'departure' ? `🌅 ${t('cli.commute.departure')}` : `🌆 ${t('cli.commute.return')}`} ${trip.time}${trip.from && trip.to ? ` · ${trip.from} → ${trip.to}` : ''}`;
+            if (trip.past) {
+              console.log(chalk.gray(`\n${title}: ${t('cli.commute.past')}`));
+              return;
+            }
+            if (!trip.conditions) {
+              console.log(chalk.gray(`\n${title}: ${t('cli.commute.noForecast')}`));
+              return;
+            }
+            
+            const c = trip.conditions;
+            console.log(chalk.bold(`\n${title}`));
+            console.log(chalk.gray(`   ${units.format('temperature', c.temp)} (${t('cli.commute.feels')} ${units.format('temperature', c.feels_min)}) · ${units.format('precipitation', c.rain)}/h · ${Math.round(c.pop * 100)}% · ${t('cli.commute.gusts')} ${units.format('wind', c.gust)}`));
+            trip.verdicts.forEach(verdict => {
+              const info = CommutePlanner.getLevelInfo(verdict.level);
+              const color = { go: 'green', caution: 'yellow', 'no-go': 'red' }[verdict.level];
+              const mine = verdict.mode === profile.data.commute ? chalk.cyan(' ◀') : '';
+              console.log(`   ${info.icon} ${verdict.label.padEnd(20)} ${chalk[color](info.label.padEnd(9))}${chalk.gray(verdict.reasons.join(', '))}${mine}`);
+            });
+          });
+          
+          const own = result.overall.find(item => item.mode === profile.data.commute);
+          if (!own) {
+            console.log(chalk.gray(`\n💡 ${t('cli.commute.modeHint')}`));
+          } else if (own.level) {
+            const info = CommutePlanner.getLevelInfo(own.level);
+            console.log(`\n${info.icon} ${own.label}: ${info.label}`);
+            if (own.level !== 'go') {
+              // Active modes first, then the ones that keep you dry
+              const alternative = ['walk', 'bike', 'scooter', 'transit', 'car']
+                .map(mode => result.overall.find(item => item.mode === mode))
+                .filter(item => item.mode !== own.mode && item.level)
+                .sort((a, b) => CommutePlanner.getLevelInfo(a.level).rank - CommutePlanner.getLevelInfo(b.level).rank)[0];
+              if (alternative && CommutePlanner.getLevelInfo(alternative.level).rank < info.rank) {
+                console.log(chalk.yellow(`💡 ${t('cli.commute.better', { mode: alternative.label, level: CommutePlanner.getLevelInfo(alternative.level).label })}`));
+              }
+            }
+          }
+          return;
+        }
+        
+        default:
+          console.log(chalk.red(`❌ ${t('cli.unknownAction', { action })}`));
+          console.log(chalk.yellow(`💡 ${t('cli.availableActions', { actions: 'check, set, show' })}`));
+          process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exitCode = 1;
+    }
+  });
+
+// LLM summaries
+program
+  .command('llm')
+  .description('LLM summary backends, daily budget and a test summary (status|test|reset)')
+  .argument('[action]', 'status | test | reset', 'status')
+  .option('-b, --backend <name>', `Backend (${getAvailableBackends().join('|')}), default LLM_PROVIDER`)
+  .option('-l, --location <name>', 'Use a saved location')
+  .option('--demo <scenario>', `Test with a seeded demo scenario (${DemoProvider.getScenarios().join('|')})`)
+  .action(async (action, options) => {
+    await cli.init();
+    
+    try {
+      switch (action) {
+        case 'status': {
+          const llm = new LLMInsights({ provider: options.backend });
+          const usage = await llm.getUsage();
+          const mode = LLMInsights.isEnabled() ? chalk.green('llm (INSIGHTS_MODE)') : chalk.gray(t('cli.llm.rulesMode'));
+          
+          console.log(chalk.bold.cyan(`\n🧠 ${t('cli.llm.title')}`));
+          console.log(t('cli.llm.mode', { mode }));
+          console.log(`Backend: ${llm.backend.displayName} · ${llm.backend.model}${llm.backend.baseUrl ? ` · ${llm.backend.baseUrl}` : ''}`);
+          console.log(t('cli.llm.settings', { language: llm.getLanguage(), maxTokens: llm.maxTokens, ttl: llm.cacheTTL }));
+          console.log(`${t('cli.llm.usage', { requests: usage.requests, tokens: usage.tokens, budget: llm.budget.tokens, cost: usage.cost.toFixed(4), budgetCost: llm.budget.cost })}\n`);
+          
+          getAvailableBackends().forEach(name => {
+            const missing = createBackend(name).getMissingSettings();
+            console.log(missing.length === 0
+              ? chalk.green(`✅ ${t('cli.configured', { name })}`)
+              : chalk.yellow(`⚠️ ${t('cli.missing', { name, settings: missing.join(', ') })}`));
+          });
+          return;
+        }
+        
+        case 'test': {
+          if (!(await cli.applyLocation(options.location))) return;
+          if (options.demo && !cli.useDemo(options.demo)) return;
+          cli.app.useLLM(options.backend);
+          
+          const snapshot = await cli.app.weather.getSnapshot(2);
+          const insights = await cli.app.ai.generateInsights(snapshot.current, snapshot.forecast, snapshot.airQuality, snapshot.uvIndex, snapshot.alerts);
+          console.log(cli.templates.renderSummary(insights.summary));
+          
+          if (insights.summary.source !== 'llm') {
+            process.exitCode = 1;
+          } else if (!insights.summary.cached) {
+            console.log(chalk.gray(`   ${t('cli.llm.tokens', { input: insights.summary.usage.input, output: insights.summary.usage.output, cost: insights.summary.cost.toFixed(5) })}`));
+          }
+          return;
+        }
+        
+        case 'reset': {
+          await new LLMInsights({ provider: options.backend }).resetUsage();
+          console.log(chalk.green(`✅ ${t('cli.llm.reset')}`));
+          return;
+        }
+        
+        default:
+          console.log(chalk.red(`❌ ${t('cli.unknownAction', { action })}`));
+          console.log(chalk.yellow(`💡 ${t('cli.availableActions', { actions: 'status, test, reset' })}`));
+          process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exitCode = 1;
+    }
+  });
+
+// Persistent cache management
+program
+  .command('cache')
+  .description('Inspect and manage the persistent weather cache (stats|clear|prune)')
+  .argument('[action]', 'stats | clear | prune', 'stats')
+  .action(async (action) => {
+    await cli.init();
+    
+    switch (action) {
+      case 'stats': {
+        const { stats } = await cli.app.weather.getCacheStats();
+        const info = [
+          chalk.bold.cyan(`💾 ${label('cli.cache.title')}`),
+          '',
+          `${chalk.yellow(`${label('cli.cache.location')}`)} ${stats.dir}`,
+          `${chalk.yellow(`${label('cli.cache.entries')}`)} ${stats.entries} / ${stats.maxEntries} (${t('cli.cache.freshness', { fresh: stats.fresh, stale: stats.stale })})`,
+          `${chalk.yellow(`${label('cli.cache.size')}`)} ${i18n.formatNumber(stats.bytes / 1024, { minimumFractionDigits: 1, maximumFractionDigits: 1 })} KB / ${(stats.maxBytes / 1024 / 1024).toFixed(0)} MB`,
+          `${chalk.yellow(`${label('cli.cache.oldest')}`)} ${stats.oldest || 'N/A'}`
+        ];
+        
+        console.log(boxen(info.join('\n'), {
+          padding: 1,
+          margin: 1,
+          borderStyle: 'single',
+          borderColor: 'cyan',
+          title: '💾 CACHE',
+          titleAlignment: 'center'
+        }));
+        return;
+      }
+      
+      case 'clear':
+        console.log(chalk.green(`✅ ${await cli.app.weather.clearCache()}`));
+        return;
+      
+      case 'prune': {
+        const removed = await cli.app.weather.pruneCache();
+        console.log(chalk.green(`✅ ${t('cli.cache.pruned', { count: removed })}`));
+        return;
+      }
+      
+      default:
+        console.log(chalk.red(`❌ ${t('cli.unknownAction', { action })}`));
+        console.log(chalk.yellow(`💡 ${t('cli.availableActions', { actions: 'stats, clear, prune' })}`));
+        process.exitCode = 1;
+    }
+  });
+
+// API request budget
+program
+  .command('quota')
+  .description('Show API calls used against the shared request budget')
+  .argument('[action]', 'show | reset', 'show')
+  .action(async (action) => {
+    await cli.init();
+    const weather = cli.app.weather;
+    const provider = weather.getProviderInfo().displayName;
+    
+    if (action === 'reset') {
+      await weather.resetQuota();
+      console.log(chalk.green(`✅ ${t('cli.quota.reset', { provider })}`));
+      return;
+    }
+    
+    if (action !== 'show') {
+      console.log(chalk.red(`❌ ${t('cli.unknownAction', { action })}`));
+      console.log(chalk.yellow(`💡 ${t('cli.availableActions', { actions: 'show, reset' })}`));
+      process.exitCode = 1;
+      return;
+    }
+    
+    const quota = await weather.getQuota();
+    if (!quota) {
+      console.log(chalk.gray(`ℹ️ ${t('cli.quota.unlimited', { provider })}`));
+      return;
+    }
+    
+    const percent = Math.round((quota.usedToday / quota.perDay) * 100);
+    const barColor = percent >= 90 ? chalk.red : percent >= 70 ? chalk.yellow : chalk.green;
+    const bar = barColor('█'.repeat(Math.round(percent / 5))) + chalk.gray('░'.repeat(20 - Math.round(percent / 5)));
+    const endpoints = Object.entries(quota.endpoints)
+      .map(([endpoint, count]) => `   ${endpoint}: ${count}`);
+    
+    const info = [
+      chalk.bold.cyan(`📊 ${label('cli.quota.title', { provider: provider.toUpperCase() })}`),
+      '',
+      `${chalk.yellow(`${label('cli.quota.today')}`)} ${quota.usedToday} / ${quota.perDay} ${bar} ${percent}%`,
+      `${chalk.yellow(`${label('cli.quota.remaining')}`)} ${quota.remainingToday}`,
+      `${chalk.yellow(`${label('cli.quota.available')}`)} ${quota.availableNow} / ${quota.perMinute} ${t('cli.quota.perMinute')}`,
+      `${chalk.yellow(`${label('cli.quota.throttled')}`)} ${quota.throttled}`,
+      `${chalk.yellow(`${label('cli.quota.blockedUntil')}`)} ${quota.blockedUntil ? i18n.formatTime(quota.blockedUntil) : '-'}`,
+      `${chalk.yellow(`${label('cli.quota.lastRequest')}`)} ${quota.lastRequestAt ? i18n.formatDate(quota.lastRequestAt) : '-'}`,
+      ...(endpoints.length ? ['', chalk.yellow(`${label('cli.quota.endpoints')}`), ...endpoints] : [])
+    ];
+    
+    console.log(boxen(info.join('\n'), {
+      padding: 1,
+      margin: 1,
+      borderStyle: 'single',
+      borderColor: 'cyan',
+      title: '📊 QUOTA',
+      titleAlignment: 'center'
+    }));
+  });
+
+// Local OpenWeatherMap stub for development and e2e tests
+program
+  .command('dev-server')
+  .description('Start a local OpenWeatherMap-compatible stub server')
+  .option('-p, --port <number>', 'Port', '4747')
+  .option('--fault <type>', 'Inject a fault (401|404|429|500|timeout)')
+  .option('--fault-endpoint <name>', `Limit the fault to one endpoint (${DevServer.getEndpoints().join('|')})`)
+  .option('--latency <ms>', 'Delay every response', '0')
+  .action(async (options) => {
+    cli.applyLanguage();
+    let server;
+    try {
+      server = new DevServer({
+        port: parseInt(options.port),
+        fault: options.fault,
+        faultEndpoint: options.faultEndpoint,
+        latency: parseInt(options.latency),
+        onRequest: (method, url) => console.log(chalk.gray(`${i18n.formatTime(new Date())} ${method} ${url.pathname}${url.search}`))
+      });
+      await server.start();
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exitCode = 1;
+      return;
+    }
+    
+    const info = [
+      chalk.bold.cyan('🧪 OPENWEATHERMAP STUB:'),
+      '',
+      `${chalk.yellow('Base URL:')} ${server.baseUrl}`,
+      `${chalk.yellow('Fault:')} ${options.fault ? `${options.fault}${options.faultEndpoint ? ` (${options.faultEndpoint})` : ''}` : t('cli.devServer.noFault')}`,
+      '',
+      chalk.gray(`OPENWEATHER_BASE_URL=${server.baseUrl} bw now`),
+      chalk.gray(`WEATHER_WARNINGS_FEED=meteoalarm METEOALARM_URL=http://${server.host}:${server.port}/api/v1/warnings/feeds-romania bw now`),
+      chalk.gray(`LLM_PROVIDER=openai-compatible LLM_BASE_URL=http://${server.host}:${server.port}/v1 bw now --llm`),
+      chalk.gray(`curl -X POST http://${server.host}:${server.port}/__faults -d '{"type":500,"times":1}'`),
+      chalk.gray(t('cli.devServer.stop'))
+    ];
+    
+    console.log(boxen(info.join('\n'), {
+      padding: 1,
+      margin: 1,
+      borderStyle: 'single',
+      borderColor: 'cyan',
+      title: '🧪 DEV SERVER',
+      titleAlignment: 'center'
+    }));
+    
+    process.on('SIGINT', async () => {
+      await server.stop();
+      process.exit(0);
+    });
   });
 
 // System info
@@ -521,14 +1748,15 @@ program
 
 // Error handling
 program.on('command:*', (operands) => {
-  console.error(chalk.red(`❌ Comandă necunoscută: ${operands[0]}`));
-  console.log(chalk.yellow('💡 Folosește --help pentru comenzile disponibile'));
+  cli.applyLanguage();
+  console.error(chalk.red(`❌ ${t('cli.unknownCommand', { command: operands[0] })}`));
+  console.log(chalk.yellow(`💡 ${t('cli.helpHint')}`));
   process.exitCode = 1;
 });
 
 // Global error handler
 process.on('uncaughtException', (error) => {
-  console.error(chalk.red('❌ Eroare critică:'), error.message);
+  console.error(chalk.red(`❌ ${t('cli.criticalError')}`), error.message);
   process.exit(1);
 });
 
@@ -0,0 +1,221 @@
+import fs from 'fs/promises';
+import path from 'path';
+import moment from 'moment';
+import { getConfigPath } from './paths.js';
+import { UserProfile } from './profile.js';
+import { WeatherWarnings } from './warnings.js';
+import { t } from './i18n.js';
+import { units } from './units.js';
+
+// Verdict labels come from the catalog (commute.levels.*)
+const LEVELS = {
+  go: { rank: 0, icon: '✅' },
+  caution: { rank: 1, icon: '⚠️' },
+  'no-go': { rank: 2, icon: '⛔' }
+};
+
+/**
+ * What each transport mode tolerates: [caution, no-go] thresholds (null = never), the level
+ * for snow, storms and ice, for temperatures past the alert thresholds, and for the
+ * galben / portocaliu / roșu warning codes. Rain is in mm/h, gusts in m/s.
+ */
+const MODES = {
+  car: { rain: [4, null], pop: [null, null], gust: [17, 25], snow: 'caution', storm: 'caution', ice: 'no-go', temperature: null, codes: [null, 'caution', 'no-go'] },
+  transit: { rain: [4, null], pop: [null, null], gust: [20, null], snow: 'caution', storm: 'caution', ice: 'caution', temperature: null, codes: [null, 'caution', 'caution'] },
+  walk: { rain: [0.2, 4], pop: [0.5, null], gust: [12, 20], snow: 'caution', storm: 'no-go', ice: 'caution', temperature: 'caution', codes: ['caution', 'caution', 'no-go'] },
+  bike: { rain: [0.2, 1], pop: [0.3, 0.6], gust: [8, 12], snow: 'no-go', storm: 'no-go', ice: 'no-go', temperature: 'no-go', codes: ['caution', 'no-go', 'no-go'] },
+  scooter: { rain: [0.2, 1], pop: [0.3, 0.6], gust: [7, 11], snow: 'no-go', storm: 'no-go', ice: 'no-go', temperature: 'no-go', codes: ['caution', 'no-go', 'no-go'] }
+};
+
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Commute Planner v1.0
+ * Saved departure and return times (and optionally the two ends of the trip) in
+ * ~/.bucharest-weather-cli/commute.json. Each trip reads the forecast slots around its time
+ * at both ends and gets a go / caution / no-go verdict per transport mode, using the
+ * profile-aware alert thresholds of AIInsights and the ANM codes of WeatherWarnings.
+ */
+export class CommutePlanner {
+  constructor(options = {}) {
+    this.file = options.file || getConfigPath('commute.json');
+    this.insights = options.insights || null; // AIInsights: alert thresholds tightened by the profile
+    this.warnings = new WeatherWarnings();
+    this.window = options.window ?? 60; // minutes around each trip
+    this.units = options.units || units; // thresholds stay metric, reasons are shown in these
+    this.plan = CommutePlanner.getDefaults();
+  }
+
+  static getDefaults() {
+    return { departure: '08:00', return: '18:00', from: null, to: null };
+  }
+
+  static getModes() {
+    return Object.keys(MODES);
+  }
+
+  static getLevelInfo(level) {
+    return LEVELS[level] ? { ...LEVELS[level], label: t(`commute.levels.${level}`) } : null;
+  }
+
+  async load() {
+    try {
+      this.plan = { ...CommutePlanner.getDefaults(), ...JSON.parse(await fs.readFile(this.file, 'utf8')) };
+    } catch (error) {
+      // No saved commute yet
+      this.plan = CommutePlanner.getDefaults();
+    }
+    return this.plan;
+  }
+
+  async save(values) {
+    const plan = { ...this.plan };
+    ['departure', 'return', 'from', 'to'].forEach(key => {
+      if (values[key] !== undefined) plan[key] = values[key] === 'none' ? null : values[key];
+    });
+
+    CommutePlanner.validateTime(plan.departure);
+    CommutePlanner.validateTime(plan.return);
+    this.plan = plan;
+
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.writeFile(this.file, JSON.stringify(plan, null, 2), 'utf8');
+    return plan;
+  }
+
+  static validateTime(time) {
+    if (!TIME.test(String(time))) {
+      throw new Error(t('commute.errors.invalidTime', { time }));
+    }
+    return time;
+  }
+
+  // Today until the return trip is over, tomorrow after that
+  getDay(now = Date.now(), tomorrow = false) {
+    const day = moment(now).startOf('day');
+    const back = this.at(day, this.plan.return).add(this.window, 'minutes');
+    return tomorrow || moment(now).isAfter(back) ? day.add(1, 'day') : day;
+  }
+
+  at(day, time) {
+    const [hours, minutes] = CommutePlanner.validateTime(time).split(':').map(Number);
+    return moment(day).hours(hours).minutes(minutes).seconds(0).milliseconds(0);
+  }
+
+  /**
+   * Verdicts for both trips of a day. `forecasts` holds the forecast of each end of the trip:
+   * { from: { location, forecast, alerts }, to: { ... } } (`to` may be missing for a single place).
+   * Returns { day, trips: [{ kind, time, start, past, conditions, verdicts }], overall }
+   */
+  evaluate(forecasts, { now = Date.now(), tomorrow = false } = {}) {
+    const day = this.getDay(now, tomorrow);
+    const ends = [forecasts.from, forecasts.to].filter(Boolean);
+    const limits = this.insights ? this.insights.getAlertThresholds() : { extremeCold: -5, cold: 0, extremeHeat: 35, heat: 30 };
+
+    const trips = [
+      { kind: 'departure', time: this.plan.departure, origin: forecasts.from, destination: forecasts.to },
+      { kind: 'return', time: this.plan.return, origin: forecasts.to || forecasts.from, destination: forecasts.to ? forecasts.from : null }
+    ].map(trip => {
+      const start = this.at(day, trip.time);
+      const result = {
+        kind: trip.kind,
+        time: trip.time,
+        start: start.toISOString(),
+        from: trip.origin?.location?.name || null,
+        to: trip.destination?.location?.name || null,
+        past: start.valueOf() + this.window * 60000 < now,
+        conditions: null,
+        verdicts: []
+      };
+      if (result.past) return result;
+
+      const slots = ends.flatMap(end => this.getSlots(end.forecast, start.valueOf()));
+      const warnings = ends.flatMap(end => this.getWarnings(end, start.valueOf()));
+      if (slots.length === 0) return result;
+
+      result.conditions = this.summarize(slots, warnings);
+      result.verdicts = CommutePlanner.getModes().map(mode => this.judge(mode, result.conditions, limits));
+      return result;
+    });
+
+    const modes = CommutePlanner.getModes().map(mode => {
+      const verdicts = trips.flatMap(trip => trip.verdicts.filter(verdict => verdict.mode === mode));
+      const worst = verdicts.reduce((level, verdict) => (LEVELS[verdict.level].rank > LEVELS[level].rank ? verdict.level : level), 'go');
+      return { mode, label: UserProfile.getCommuteModes()[mode], level: verdicts.length ? worst : null };
+    });
+
+    return { day: day.format('YYYY-MM-DD'), trips, overall: modes };
+  }
+
+  // Slots within the window around the trip; a 3-hourly forecast falls back to the nearest slot
+  getSlots(forecast, start) {
+    const slots = (forecast || []).flatMap(day => day.hourly || []).sort((a, b) => a.dt - b.dt);
+    const step = slots.length > 1 ? slots[1].dt - slots[0].dt : 3600000;
+    const within = slots.filter(slot => Math.abs(slot.dt - start) <= this.window * 60000);
+    if (within.length > 0) return within.map(slot => ({ ...slot, hours: step / 3600000 }));
+
+    const nearest = slots.reduce((best, slot) => (!best || Math.abs(slot.dt - start) < Math.abs(best.dt - start) ? slot : best), null);
+    return nearest && Math.abs(nearest.dt - start) < step ? [{ ...nearest, hours: step / 3600000 }] : [];
+  }
+
+  // Coded warnings (official and forecast-derived) in force during the trip
+  getWarnings(end, start) {
+    return this.warnings.build(end.forecast, end.alerts || [], end.location?.name)
+      .filter(warning => Date.parse(warning.start) <= start && (!warning.end || Date.parse(warning.end) >= start));
+  }
+
+  // The worst of every slot at both ends of the trip
+  summarize(slots, warnings) {
+    const max = values => Math.max(...values);
+    const min = values => Math.min(...values);
+    // Snow counts on its own; the rain rate is what is left of the precipitation, per hour
+    // (providers give both in mm of water)
+    const rates = slots.map(slot => Math.max(0, (slot.precipitation || 0) - (slot.snow || 0)) / slot.hours);
+
+    return {
+      temp: min(slots.map(slot => slot.temp)),
+      feels_min: min(slots.map(slot => slot.apparent_temp ?? slot.feels_like ?? slot.temp)),
+      feels_max: max(slots.map(slot => slot.heat_index ?? slot.apparent_temp ?? slot.temp)),
+      rain: Math.round(max(rates) * 10) / 10, // mm/h
+      pop: max(slots.map(slot => slot.pop ?? 0)),
+      gust: max(slots.map(slot => slot.wind_gust ?? slot.wind_speed ?? 0)),
+      snow: slots.some(slot => slot.snow > 0),
+      storm: slots.some(slot => String(slot.icon || '').startsWith('11') || /furtun|thunder|tormenta|orage/i.test(slot.description || '')),
+      // Liquid precipitation at or below 0°C freezes on the ground
+      ice: slots.some(slot => slot.temp <= 0 && (slot.precipitation || 0) > (slot.snow || 0)),
+      warning: warnings.reduce((worst, warning) => (!worst || WeatherWarnings.getCodeInfo(warning.code).rank > WeatherWarnings.getCodeInfo(worst.code).rank ? warning : worst), null)
+    };
+  }
+
+  judge(mode, conditions, limits) {
+    const rules = MODES[mode];
+    const reasons = [];
+    const raise = (level, reason) => {
+      if (level) reasons.push({ level, reason });
+    };
+    const threshold = ([caution, noGo], value) => (noGo != null && value >= noGo ? 'no-go' : caution != null && value >= caution ? 'caution' : null);
+
+    raise(threshold(rules.rain, conditions.rain), t('commute.reasons.rain', { value: this.units.format('precipitation', conditions.rain) }));
+    raise(threshold(rules.pop, conditions.pop), t('commute.reasons.pop', { value: Math.round(conditions.pop * 100) }));
+    raise(threshold(rules.gust, conditions.gust), t('commute.reasons.gust', { value: this.units.format('wind', conditions.gust) }));
+    if (conditions.snow) raise(rules.snow, t('commute.reasons.snow'));
+    if (conditions.storm) raise(rules.storm, t('commute.reasons.storm'));
+    if (conditions.ice) raise(rules.ice, t('commute.reasons.ice'));
+
+    if (rules.temperature) {
+      if (conditions.feels_min < limits.extremeCold || conditions.feels_max > limits.extremeHeat) {
+        raise(rules.temperature, t('commute.reasons.feels', { value: this.units.format('temperature', conditions.feels_min < limits.extremeCold ? conditions.feels_min : conditions.feels_max) }));
+      } else if (conditions.feels_min < limits.cold || conditions.feels_max > limits.heat) {
+        raise('caution', t('commute.reasons.feels', { value: this.units.format('temperature', conditions.feels_min < limits.cold ? conditions.feels_min : conditions.feels_max) }));
+      }
+    }
+
+    if (conditions.warning) {
+      const info = WeatherWarnings.getCodeInfo(conditions.warning.code);
+      raise(rules.codes[info.rank - 1], `${info.icon} ${conditions.warning.title}`);
+    }
+
+    const level = reasons.reduce((worst, item) => (LEVELS[item.level].rank > LEVELS[worst].rank ? item.level : worst), 'go');
+    return { mode, label: UserProfile.getCommuteModes()[mode], level, reasons: reasons.map(item => item.reason) };
+  }
+}
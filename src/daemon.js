@@ -0,0 +1,263 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import schedule from 'node-schedule';
+import winston from 'winston';
+import { getConfigPath } from './paths.js';
+import { t } from './i18n.js';
+import { units } from './units.js';
+
+const CLI_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'cli.js');
+
+/**
+ * Weather Daemon v1.0
+ * Polls the active provider every `interval` seconds, refreshing the cache and the
+ * observation history, and hands each snapshot to the registered handlers
+ * (notification rules). One daemon per config dir: daemon.pid guards it,
+ * daemon.json holds its status and logs/daemon.log its activity.
+ */
+export class WeatherDaemon {
+  constructor(options = {}) {
+    this.weather = options.weather;
+    this.ai = options.ai || null;
+    this.interval = options.interval || 300; // seconds
+    this.days = options.days || 2;
+    this.handlers = options.handlers || [];
+
+    this.pidFile = options.pidFile || getConfigPath('daemon.pid');
+    this.stateFile = options.stateFile || getConfigPath('daemon.json');
+    this.logFile = options.logFile || getConfigPath('logs', 'daemon.log');
+
+    this.logger = null;
+    this.job = null;
+    this.running = false;
+    this.state = null;
+    this.onSignal = null;
+  }
+
+  // Handler: async (snapshot, insights, logger) => void; failures are logged, never fatal
+  addHandler(handler) {
+    this.handlers.push(handler);
+  }
+
+  // Detaches `bw daemon run` in the background and waits until it has claimed the pidfile
+  async start(args = []) {
+    const pid = await this.getRunningPid();
+    if (pid) {
+      throw new Error(t('daemon.errors.runningStop', { pid: String(pid) }));
+    }
+
+    await fs.mkdir(path.dirname(this.logFile), { recursive: true });
+    const child = spawn(process.execPath, [CLI_PATH, 'daemon', 'run', ...args], {
+      detached: true,
+      stdio: 'ignore',
+      env: process.env
+    });
+    child.unref();
+
+    const deadline = Date.now() + 5000;
+    while (Date.now() < deadline) {
+      if (await this.getRunningPid() === child.pid) return child.pid;
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error(t('daemon.errors.notStarted', { file: this.logFile }));
+  }
+
+  async stop(timeout = 5000) {
+    const pid = await this.getRunningPid();
+    if (!pid) return null;
+
+    // After a crash the PID may belong to another process by now: only signal the one daemon.json names
+    const state = await this.readState();
+    if (state.pid !== pid || state.stoppedAt) {
+      await fs.rm(this.pidFile, { force: true });
+      return null;
+    }
+
+    process.kill(pid, 'SIGTERM');
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+      if (!WeatherDaemon.isAlive(pid)) {
+        await fs.rm(this.pidFile, { force: true });
+        return pid;
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error(t('daemon.errors.notStopped', { pid: String(pid), seconds: timeout / 1000 }));
+  }
+
+  async status() {
+    const pid = await this.getRunningPid();
+    const state = await this.readState();
+    return { running: Boolean(pid), pid, logFile: this.logFile, ...state };
+  }
+
+  // Foreground loop (what `bw daemon start` runs detached); resolves once scheduled
+  async run({ foreground = false } = {}) {
+    await this.claimPidFile();
+
+    this.logger = this.createLogger(foreground);
+
+    this.running = true;
+    this.state = {
+      startedAt: new Date().toISOString(),
+      interval: this.interval,
+      location: this.weather.getLocation().name,
+      provider: this.weather.getProviderInfo().name,
+      runs: 0,
+      failures: 0,
+      lastRunAt: null,
+      lastError: null,
+      nextRunAt: null
+    };
+    // daemon.json names this PID before the first collection, so `bw daemon stop` can tell it is ours
+    await this.writeState();
+
+    this.onSignal = () => this.shutdown().then(() => process.exit(0));
+    process.once('SIGTERM', this.onSignal);
+    process.once('SIGINT', this.onSignal);
+
+    this.logger.info(t('daemon.log.started', { pid: String(process.pid), interval: this.interval, location: this.state.location }));
+    await this.tick();
+  }
+
+  async tick() {
+    if (!this.running) return;
+    const started = Date.now();
+
+    try {
+      // Bypass cached reads so every run is a real observation (quota still applies)
+      const snapshot = await this.weather.getSnapshot(this.days, false);
+      const insights = this.ai
+        ? await this.ai.generateInsights(snapshot.current, snapshot.forecast, snapshot.airQuality, snapshot.uvIndex, snapshot.alerts)
+        : null;
+
+      this.state.runs++;
+      this.state.lastError = null;
+      this.logger.info(`${snapshot.location.name}: ${units.format('temperature', snapshot.current.temp)}, ${snapshot.current.description}${snapshot.offline ? ' (offline)' : ''}`);
+      (insights?.warnings || snapshot.alerts.map(alert => ({ title: alert.event, official: true })))
+        .forEach(warning => this.logger.warn(t(warning.official ? 'daemon.log.officialWarning' : 'daemon.log.forecastWarning', { title: warning.title })));
+      if (insights?.summary) {
+        this.logger.info(t('daemon.log.summary', { source: insights.summary.source === 'llm' ? insights.summary.backend : t('daemon.log.rules'), text: insights.summary.text }));
+      }
+
+      for (const handler of this.handlers) {
+        try {
+          await handler(snapshot, insights, this.logger);
+        } catch (error) {
+          this.logger.error(t('daemon.log.handlerFailed', { message: error.message }));
+        }
+      }
+    } catch (error) {
+      this.state.failures++;
+      this.state.lastError = error.message;
+      this.logger.error(t('daemon.log.collectFailed', { message: error.message }));
+    }
+
+    this.state.lastRunAt = new Date(started).toISOString();
+    this.scheduleNext();
+    await this.writeState();
+  }
+
+  scheduleNext() {
+    if (!this.running) return;
+
+    const next = new Date(Date.now() + this.interval * 1000);
+    this.state.nextRunAt = next.toISOString();
+    this.job = schedule.scheduleJob(next, () => this.tick()
+      .catch(error => this.logger.error(t('daemon.log.collectFailed', { message: error.message }))));
+  }
+
+  async shutdown() {
+    if (!this.running) return;
+    this.running = false;
+
+    process.off('SIGTERM', this.onSignal);
+    process.off('SIGINT', this.onSignal);
+    this.onSignal = null;
+    this.job?.cancel();
+    await schedule.gracefulShutdown();
+    this.state.nextRunAt = null;
+    this.state.stoppedAt = new Date().toISOString();
+    await this.writeState();
+    await fs.rm(this.pidFile, { force: true });
+
+    this.logger.info(t('daemon.log.stopped'));
+    await new Promise(resolve => {
+      this.logger.on('finish', resolve);
+      this.logger.end();
+    });
+  }
+
+  createLogger(foreground) {
+    const line = winston.format.printf(({ timestamp, level, message }) => `${timestamp} [${level}] ${message}`);
+    const transports = [
+      new winston.transports.File({ filename: this.logFile, maxsize: 1024 * 1024, maxFiles: 3, tailable: true })
+    ];
+    if (foreground) {
+      transports.push(new winston.transports.Console());
+    }
+
+    return winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(winston.format.timestamp(), line),
+      transports
+    });
+  }
+
+  // Created exclusively, so of two `daemon run` started together only one gets it
+  async claimPidFile() {
+    await fs.mkdir(path.dirname(this.pidFile), { recursive: true });
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        await fs.writeFile(this.pidFile, String(process.pid), { encoding: 'utf8', flag: 'wx' });
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      // Taken: by a live daemon, or a stale pidfile that getRunningPid() removes before the retry
+      const pid = await this.getRunningPid();
+      if (pid === process.pid) return;
+      if (pid) throw new Error(t('daemon.errors.running', { pid: String(pid) }));
+    }
+    throw new Error(t('daemon.errors.running', { pid: String(await this.getRunningPid() ?? '?') }));
+  }
+
+  // PID from the pidfile if that process is still alive; stale pidfiles are removed
+  async getRunningPid() {
+    let pid;
+    try {
+      pid = parseInt(await fs.readFile(this.pidFile, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+
+    if (pid && WeatherDaemon.isAlive(pid)) return pid;
+    await fs.rm(this.pidFile, { force: true });
+    return null;
+  }
+
+  async readState() {
+    try {
+      return JSON.parse(await fs.readFile(this.stateFile, 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  async writeState() {
+    await fs.writeFile(this.stateFile, JSON.stringify({ pid: process.pid, ...this.state }, null, 2), 'utf8');
+  }
+
+  // Helper methods
+  static isAlive(pid) {
+    try {
+      process.kill(pid, 0); // signal 0 only checks existence
+      return true;
+    } catch (error) {
+      return error.code === 'EPERM';
+    }
+  }
+}
@@ -0,0 +1,265 @@
+import http from 'http';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'data', 'owm-fixtures');
+
+// Fixtures were recorded at this instant; timestamps are shifted to "now" when served
+const FIXTURE_EPOCH = 1760090400;
+
+const ROUTES = {
+  '/data/2.5/weather': 'weather',
+  '/data/2.5/forecast': 'forecast',
+  '/data/2.5/air_pollution': 'air_pollution',
+  '/data/2.5/uvi': 'uvi',
+  '/data/3.0/onecall': 'onecall',
+  '/geo/1.0/direct': 'direct',
+  '/api/v1/warnings/feeds-romania': 'meteoalarm', // Meteoalarm warnings feed, no API key
+  '/v1/chat/completions': 'chat_completions' // OpenAI-compatible LLM endpoint, answers from the prompt
+};
+
+const KEYLESS_ENDPOINTS = ['meteoalarm', 'chat_completions'];
+
+// Bodies as returned by api.openweathermap.org
+const FAULT_RESPONSES = {
+  401: { cod: 401, message: 'Invalid API key. Please see https://openweathermap.org/faq#error401 for more info.' },
+  404: { cod: '404', message: 'city not found' },
+  429: { cod: 429, message: 'Your account is temporary blocked due to exceeding of requests limitation of your subscription type.' },
+  500: { cod: '500', message: 'Internal error' }
+};
+
+/**
+ * OpenWeatherMap Stub Server v1.0
+ * Serves OWM-shaped responses from fixture files for development and e2e tests,
+ * with injectable 401/404/429/500 and timeout faults. Point WeatherAPI at it with
+ * `baseUrl` or OPENWEATHER_BASE_URL=http://127.0.0.1:4747/data/2.5
+ * (and METEOALARM_URL=http://127.0.0.1:4747/api/v1/warnings/feeds-romania for the warnings feed,
+ * LLM_PROVIDER=openai-compatible LLM_BASE_URL=http://127.0.0.1:4747/v1 for LLM summaries)
+ */
+export class DevServer {
+  constructor(options = {}) {
+    this.port = options.port ?? 4747;
+    this.host = options.host || '127.0.0.1';
+    this.fixturesDir = options.fixturesDir || FIXTURES_DIR;
+    this.latency = options.latency || 0;
+    this.onRequest = options.onRequest || null;
+
+    this.faults = [];
+    this.requests = [];
+    this.sockets = new Set();
+    this.server = null;
+
+    if (options.fault) {
+      this.setFault({ type: options.fault, endpoint: options.faultEndpoint });
+    }
+  }
+
+  get baseUrl() {
+    return `http://${this.host}:${this.port}/data/2.5`;
+  }
+
+  static getEndpoints() {
+    return Object.values(ROUTES);
+  }
+
+  async start() {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => this.send(res, 500, { cod: '500', message: error.message }));
+    });
+
+    this.server.on('connection', socket => {
+      this.sockets.add(socket);
+      socket.on('close', () => this.sockets.delete(socket));
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+
+    this.port = this.server.address().port; // resolves port 0 to the real one
+    return this.baseUrl;
+  }
+
+  async stop() {
+    if (!this.server) return;
+
+    // Held "timeout" requests never finish on their own
+    this.sockets.forEach(socket => socket.destroy());
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  // type: 401 | 404 | 429 | 500 | 'timeout'; endpoint: null for all; times: how many responses to break;
+  // retryAfter: seconds sent with 429
+  setFault({ type, endpoint = null, times = Infinity, retryAfter = 60 }) {
+    const normalized = String(type);
+    if (!FAULT_RESPONSES[normalized] && normalized !== 'timeout') {
+      throw new Error(`🧪 Fault necunoscut: "${type}". Disponibile: ${[...Object.keys(FAULT_RESPONSES), 'timeout'].join(', ')}`);
+    }
+
+    this.faults.push({ type: normalized, endpoint, remaining: times, retryAfter });
+  }
+
+  clearFaults() {
+    this.faults = [];
+  }
+
+  takeFault(endpoint) {
+    const fault = this.faults.find(item =>
+      item.remaining > 0 && (!item.endpoint || item.endpoint === endpoint)
+    );
+
+    if (fault) {
+      fault.remaining--;
+    }
+    return fault || null;
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+
+    if (url.pathname === '/__faults') {
+      return this.handleControl(req, res);
+    }
+
+    const endpoint = ROUTES[url.pathname];
+    this.requests.push({ endpoint, path: url.pathname, params: Object.fromEntries(url.searchParams), at: Date.now() });
+    this.onRequest?.(req.method, url);
+
+    if (!endpoint) {
+      return this.send(res, 404, { cod: '404', message: 'Internal error' });
+    }
+
+    if (this.latency > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.latency));
+    }
+
+    const fault = this.takeFault(endpoint);
+    if (fault?.type === 'timeout') {
+      return; // keep the socket open until the client gives up
+    }
+    if (fault) {
+      const headers = fault.type === '429' ? { 'Retry-After': String(fault.retryAfter) } : {};
+      return this.send(res, Number(fault.type), FAULT_RESPONSES[fault.type], headers);
+    }
+
+    if (!url.searchParams.get('appid') && !KEYLESS_ENDPOINTS.includes(endpoint)) {
+      return this.send(res, 401, FAULT_RESPONSES[401]);
+    }
+
+    if (endpoint === 'chat_completions') {
+      return this.handleChat(req, res);
+    }
+
+    const data = await this.loadFixture(endpoint);
+    const cnt = parseInt(url.searchParams.get('cnt'));
+    if (endpoint === 'forecast' && cnt > 0) {
+      data.list = data.list.slice(0, cnt);
+      data.cnt = data.list.length;
+    }
+
+    return this.send(res, 200, data);
+  }
+
+  // POST {"type": 500, "endpoint": "weather", "times": 1} adds a fault, DELETE clears them
+  async handleControl(req, res) {
+    if (req.method === 'DELETE') {
+      this.clearFaults();
+      return this.send(res, 200, { faults: [] });
+    }
+
+    if (req.method === 'POST') {
+      let body = '';
+      for await (const chunk of req) body += chunk;
+
+      try {
+        const fault = JSON.parse(body || '{}');
+        this.setFault({ ...fault, times: fault.times ?? Infinity });
+      } catch (error) {
+        return this.send(res, 400, { message: error.message });
+      }
+    }
+
+    return this.send(res, 200, { faults: this.faults });
+  }
+
+  // Chat Completions reply built from the weather snapshot in the prompt, so tests can assert on it
+  async handleChat(req, res) {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+
+    let request;
+    try {
+      request = JSON.parse(body || '{}');
+    } catch (error) {
+      return this.send(res, 400, { error: { message: error.message, type: 'invalid_request_error' } });
+    }
+
+    const prompt = (request.messages || []).map(message => message.content).join('\n');
+    const line = prompt.split('\n').find(item => item.startsWith('{'));
+    let content = 'Vreme stabilă, fără fenomene deosebite.';
+    try {
+      const snapshot = JSON.parse(line);
+      content = `${snapshot.location}: ${snapshot.current.description}, ${snapshot.current.temp}°C acum.` +
+        (snapshot.warnings?.length ? ` Atenție: ${snapshot.warnings[0].code} de ${snapshot.warnings[0].phenomenon.toLowerCase()}.` : '');
+    } catch (error) {
+      // No snapshot in the prompt: generic answer
+    }
+
+    const promptTokens = Math.ceil(prompt.length / 4);
+    const completionTokens = Math.ceil(content.length / 4);
+    return this.send(res, 200, {
+      id: `chatcmpl-stub-${this.requests.length}`,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: request.model || 'stub',
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens }
+    });
+  }
+
+  async loadFixture(endpoint) {
+    const content = await fs.readFile(path.join(this.fixturesDir, `${endpoint}.json`), 'utf8');
+    return this.rebase(JSON.parse(content));
+  }
+
+  // Shift every Unix timestamp so the recorded data always looks current
+  rebase(data) {
+    const now = Math.floor(Date.now() / 1000);
+    const shift = now - (now % 10800) - FIXTURE_EPOCH;
+    const timeKeys = ['dt', 'sunrise', 'sunset', 'moonrise', 'moonset', 'start', 'end', 'date'];
+    const isoKeys = ['sent', 'effective', 'onset', 'expires']; // CAP dates in the warnings feed
+
+    const visit = value => {
+      if (Array.isArray(value)) return value.forEach(visit);
+      if (!value || typeof value !== 'object') return;
+
+      Object.keys(value).forEach(key => {
+        if (timeKeys.includes(key) && typeof value[key] === 'number') {
+          value[key] += shift;
+        } else if (isoKeys.includes(key) && typeof value[key] === 'string') {
+          value[key] = new Date(Date.parse(value[key]) + shift * 1000).toISOString();
+        } else {
+          visit(value[key]);
+        }
+      });
+
+      if (typeof value.dt_txt === 'string') {
+        value.dt_txt = new Date(value.dt * 1000).toISOString().replace('T', ' ').slice(0, 19);
+      }
+      if (typeof value.date_iso === 'string') {
+        value.date_iso = new Date(value.date * 1000).toISOString().replace('.000', '');
+      }
+    };
+
+    visit(data);
+    return data;
+  }
+
+  send(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+    res.end(JSON.stringify(body));
+  }
+}
@@ -0,0 +1,151 @@
+import { createRequire } from 'module';
+import { t } from './i18n.js';
+
+const require = createRequire(import.meta.url);
+const localitiesData = require('./data/ro-localities.json');
+
+/**
+ * Offline Gazetteer v1.0
+ * Resolves Romanian locality names to coordinates from bundled data, without any API call.
+ * Matching ignores diacritics, case and hyphens; typos get "did you mean" suggestions.
+ */
+export class Gazetteer {
+  constructor(data = localitiesData) {
+    this.counties = data.counties;
+    this.localities = data.localities.map(locality => ({
+      ...locality,
+      keys: [locality.name, ...(locality.aliases || [])].map(Gazetteer.normalize)
+    }));
+  }
+
+  lookup(query, options = {}) {
+    const { name, county } = this.parseQuery(query, options.county);
+    const key = Gazetteer.normalize(name);
+
+    let candidates = this.localities.filter(locality => locality.keys.includes(key));
+    if (county) {
+      candidates = candidates.filter(locality => locality.county === county);
+    }
+
+    return {
+      match: candidates.length === 1 ? this.toLocation(candidates[0]) : null,
+      candidates: candidates.map(locality => this.toLocation(locality)),
+      suggestions: candidates.length === 0 ? this.suggest(key, county) : []
+    };
+  }
+
+  resolve(query, options = {}) {
+    const result = this.lookup(query, options);
+
+    if (result.match) {
+      return result.match;
+    }
+
+    if (result.candidates.length > 1) {
+      const counties = result.candidates.map(location => location.countyName).join(', ');
+      const example = `${result.candidates[0].name}, ${result.candidates[0].county}`;
+      const error = new Error(t('gazetteer.errors.ambiguous', { query, counties, example }));
+      error.candidates = result.candidates;
+      throw error;
+    }
+
+    const hint = result.suggestions.length > 0
+      ? t('gazetteer.didYouMean', { suggestions: result.suggestions.map(location => this.formatLabel(location)).join(', ') })
+      : '';
+    const error = new Error(t('gazetteer.errors.notFound', { query, hint }));
+    error.suggestions = result.suggestions;
+    throw error;
+  }
+
+  suggest(key, county = null, limit = 3) {
+    const maxDistance = Math.max(2, Math.floor(key.length / 3));
+    const scored = [];
+
+    this.localities.forEach(locality => {
+      if (county && locality.county !== county) return;
+
+      const distance = Math.min(...locality.keys.map(candidate =>
+        key.length >= 3 && candidate.startsWith(key) ? 0.5 : Gazetteer.levenshtein(key, candidate)
+      ));
+
+      if (distance <= maxDistance) {
+        scored.push({ distance, locality });
+      }
+    });
+
+    return scored
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, limit)
+      .map(({ locality }) => this.toLocation(locality));
+  }
+
+  // "Cristian, Sibiu" and "Cristian, SB" both restrict the lookup to one county
+  parseQuery(query, county = null) {
+    const parts = String(query).split(',').map(part => part.trim());
+
+    if (parts.length > 1) {
+      const countyCode = this.resolveCounty(parts[parts.length - 1]);
+      if (countyCode) {
+        return { name: parts.slice(0, -1).join(', '), county: countyCode };
+      }
+    }
+
+    return { name: String(query).trim(), county: county ? this.resolveCounty(county) : null };
+  }
+
+  resolveCounty(value) {
+    const code = String(value).trim().toUpperCase();
+    if (this.counties[code]) return code;
+
+    const key = Gazetteer.normalize(value);
+    const entry = Object.entries(this.counties).find(([, name]) => Gazetteer.normalize(name) === key);
+    return entry ? entry[0] : null;
+  }
+
+  toLocation(locality) {
+    return {
+      name: locality.name,
+      city: locality.name,
+      country: 'RO',
+      county: locality.county,
+      countyName: this.counties[locality.county],
+      lat: locality.lat,
+      lon: locality.lon
+    };
+  }
+
+  formatLabel(location) {
+    return `${location.name} (${location.countyName})`;
+  }
+
+  // Helper methods
+  static normalize(value) {
+    return String(value)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[-\s]+/g, ' ')
+      .trim();
+  }
+
+  static levenshtein(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      let diagonal = previous[0];
+      previous[0] = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const above = previous[j];
+        previous[j] = Math.min(
+          previous[j] + 1,
+          previous[j - 1] + 1,
+          diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+        diagonal = above;
+      }
+    }
+
+    return previous[b.length];
+  }
+}
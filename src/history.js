@@ -0,0 +1,210 @@
+import fs from 'fs/promises';
+import path from 'path';
+import moment from 'moment';
+import { getConfigPath } from './paths.js';
+import { t } from './i18n.js';
+import { units } from './units.js';
+
+// Metrics stored with every observation, always metric (labels: metrics.*); `unit` follows the display units
+const METRICS = {
+  temp: { quantity: 'temperature' },
+  feels_like: { quantity: 'temperature' },
+  humidity: { unit: '%' },
+  pressure: { quantity: 'pressure' },
+  wind_speed: { quantity: 'wind' },
+  precipitation: { quantity: 'precipitation', suffix: '/h' },
+  cloudiness: { unit: '%' }
+};
+
+/**
+ * Weather History Store v1.0
+ * Append-only JSONL log of every observation fetched from the network
+ * (~/.bucharest-weather-cli/history.jsonl), one line per observation.
+ * Queries aggregate the log into daily min/max/avg per metric.
+ * Observations older than `retentionDays` are dropped, so a daemon polling for months keeps the log small.
+ */
+export class WeatherHistory {
+  constructor(options = {}) {
+    this.file = options.file || getConfigPath('history.jsonl');
+    this.retentionDays = options.retentionDays || parseInt(process.env.WEATHER_HISTORY_DAYS) || 90;
+  }
+
+  static getMetrics() {
+    return Object.keys(METRICS);
+  }
+
+  static getMetricInfo(metric) {
+    if (!METRICS[metric]) return null;
+    const { quantity = null, suffix = '', unit } = METRICS[metric];
+    return { quantity, unit: quantity ? `${units.symbol(quantity)}${suffix}` : unit, label: t(`metrics.${metric}`) };
+  }
+
+  async record(observation, location, provider) {
+    const entry = {
+      t: observation.timestamp || new Date().toISOString(),
+      location: location.name,
+      lat: location.lat,
+      lon: location.lon,
+      provider,
+      temp: observation.temp,
+      feels_like: observation.feels_like,
+      humidity: observation.humidity,
+      pressure: observation.pressure,
+      wind_speed: observation.wind_speed,
+      precipitation: (observation.rain_1h || 0) + (observation.snow_1h || 0),
+      cloudiness: observation.cloudiness,
+      description: observation.description
+    };
+
+    // A single small append per observation: concurrent processes never interleave lines
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.appendFile(this.file, JSON.stringify(entry) + '\n', 'utf8');
+    await this.prune();
+    return entry;
+  }
+
+  /**
+   * Drops observations older than `retentionDays`. Only the first line is read unless the oldest
+   * observation is a day past the limit, so the log is rewritten at most about once a day.
+   */
+  async prune(now = Date.now()) {
+    const limit = now - this.retentionDays * 24 * 3600 * 1000;
+    let head = '';
+    try {
+      const handle = await fs.open(this.file, 'r');
+      try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(1024), 0, 1024, 0);
+        head = buffer.toString('utf8', 0, bytesRead).split('\n')[0];
+      } finally {
+        await handle.close();
+      }
+    } catch (error) {
+      return 0;
+    }
+
+    const oldest = Date.parse(WeatherHistory.parseLine(head)?.t);
+    if (!(oldest < limit - 24 * 3600 * 1000)) return 0;
+    return this.rewrite(entry => Date.parse(entry.t) >= limit);
+  }
+
+  // Keeps the lines `keep` accepts (temp file + rename); returns how many were dropped
+  async rewrite(keep) {
+    let content;
+    try {
+      content = await fs.readFile(this.file, 'utf8');
+    } catch (error) {
+      return 0;
+    }
+
+    const entries = content.split('\n').map(line => WeatherHistory.parseLine(line)).filter(Boolean);
+    const kept = entries.filter(keep);
+    const tmpFile = `${this.file}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, kept.map(entry => JSON.stringify(entry) + '\n').join(''), 'utf8');
+    await fs.rename(tmpFile, this.file);
+    return entries.length - kept.length;
+  }
+
+  // Observations between `from` and `to` (inclusive), optionally for one location only
+  async query({ from = null, to = null, location = null } = {}) {
+    let content;
+    try {
+      content = await fs.readFile(this.file, 'utf8');
+    } catch (error) {
+      return [];
+    }
+
+    const start = from ? moment(from).valueOf() : -Infinity;
+    const end = to ? moment(to).valueOf() : Infinity;
+
+    return content.split('\n')
+      .map(line => WeatherHistory.parseLine(line))
+      .filter(entry => {
+        if (!entry) return false;
+        const time = Date.parse(entry.t);
+        return time >= start && time <= end && (!location || this.isSameLocation(entry, location));
+      })
+      .sort((a, b) => Date.parse(a.t) - Date.parse(b.t));
+  }
+
+  // Daily aggregates of one metric, oldest day first
+  aggregate(entries, metric = 'temp') {
+    if (!METRICS[metric]) {
+      throw new Error(t('history.errors.unknownMetric', { metric, available: WeatherHistory.getMetrics().join(', ') }));
+    }
+
+    const days = new Map();
+    entries.forEach(entry => {
+      const value = entry[metric];
+      if (typeof value !== 'number') return;
+
+      const date = moment(entry.t).format('YYYY-MM-DD');
+      if (!days.has(date)) days.set(date, []);
+      days.get(date).push(value);
+    });
+
+    return [...days.entries()].map(([date, values]) => ({
+      date,
+      count: values.length,
+      min: Math.round(Math.min(...values) * 10) / 10,
+      max: Math.round(Math.max(...values) * 10) / 10,
+      avg: Math.round(values.reduce((a, b) => a + b, 0) / values.length * 10) / 10
+    }));
+  }
+
+  async getDaily({ from, to, metric = 'temp', location = null } = {}) {
+    return this.aggregate(await this.query({ from, to, location }), metric);
+  }
+
+  /**
+   * Today's reading against the observation closest to the same hour yesterday (±2h)
+   * and the daily averages of the previous 7 days. Either part is null without data.
+   */
+  async compare(current, location, metric = 'temp') {
+    const now = moment(current.timestamp || undefined);
+    const entries = await this.query({
+      from: now.clone().subtract(7, 'days').startOf('day'),
+      to: now.clone().startOf('day').subtract(1, 'ms'),
+      location
+    });
+
+    const target = now.clone().subtract(1, 'day').valueOf();
+    const yesterday = entries
+      .filter(entry => Math.abs(Date.parse(entry.t) - target) <= 2 * 3600 * 1000)
+      .sort((a, b) => Math.abs(Date.parse(a.t) - target) - Math.abs(Date.parse(b.t) - target))[0];
+
+    const daily = this.aggregate(entries, metric);
+    const weekAvg = daily.length
+      ? Math.round(daily.reduce((sum, day) => sum + day.avg, 0) / daily.length * 10) / 10
+      : null;
+
+    return {
+      metric,
+      current: current[metric],
+      yesterday: yesterday ? { value: yesterday[metric], diff: Math.round((current[metric] - yesterday[metric]) * 10) / 10 } : null,
+      week: weekAvg !== null ? { value: weekAvg, days: daily.length, diff: Math.round((current[metric] - weekAvg) * 10) / 10 } : null
+    };
+  }
+
+  // Every observation, or only those of `location`
+  async clear({ location = null } = {}) {
+    if (location) return this.rewrite(entry => !this.isSameLocation(entry, location));
+    await fs.rm(this.file, { force: true });
+    return null;
+  }
+
+  // Helper methods
+  static parseLine(line) {
+    try {
+      return line ? JSON.parse(line) : null;
+    } catch (error) {
+      return null; // line cut short by a crash
+    }
+  }
+
+  isSameLocation(entry, location) {
+    if (location.lat != null && location.lon != null && entry.lat != null && entry.lon != null) {
+      return Math.abs(entry.lat - location.lat) < 0.01 && Math.abs(entry.lon - location.lon) < 0.01;
+    }
+    return entry.location === location.name;
+  }
+}
@@ -0,0 +1,130 @@
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+// Bundled message catalogs, one per language offered by `bw config`
+const CATALOGS = {
+  ro: require('./locales/ro.json'),
+  en: require('./locales/en.json'),
+  es: require('./locales/es.json'),
+  fr: require('./locales/fr.json')
+};
+
+// Intl locale used for plural rules, numbers and dates
+const LOCALE_TAGS = { ro: 'ro-RO', en: 'en-US', es: 'es-ES', fr: 'fr-FR' };
+
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+export const DEFAULT_LOCALE = 'ro';
+export const FALLBACK_LOCALE = 'en';
+
+/**
+ * I18n v1.0
+ * Message catalogs (src/locales/<locale>.json) looked up by dotted key ("weather.errors.timeout").
+ * Messages take `{name}` placeholders; numbers are formatted for the locale ("2,5" in Romanian).
+ * A message may be a plural object ({ one, few, other }) chosen by Intl.PluralRules from `count`.
+ * Keys missing from the active locale fall back to English, then to the key itself.
+ * label(key) adds the locale's label punctuation ("Vent :" in French, "Wind:" elsewhere).
+ */
+export class I18n {
+  constructor(options = {}) {
+    this.catalogs = options.catalogs || CATALOGS;
+    this.locale = null;
+    this.setLocale(options.locale || DEFAULT_LOCALE);
+  }
+
+  static getLocales() {
+    return Object.keys(CATALOGS);
+  }
+
+  // "en", "EN" and "en-GB" all mean English; null for anything without a catalog
+  static normalize(locale) {
+    const short = String(locale || '').toLowerCase().split(/[-_.]/)[0];
+    return CATALOGS[short] ? short : null;
+  }
+
+  setLocale(locale) {
+    const short = I18n.normalize(locale);
+    if (!short) {
+      throw new Error(this.t('i18n.unknownLocale', { locale, available: I18n.getLocales().join(', ') }));
+    }
+
+    this.locale = short;
+    this.tag = LOCALE_TAGS[short];
+    this.numberFormat = new Intl.NumberFormat(this.tag, { maximumFractionDigits: 2, useGrouping: 'min2' });
+    return short;
+  }
+
+  getLocale() {
+    return this.locale;
+  }
+
+  getTag() {
+    return this.tag;
+  }
+
+  has(key, locale = this.locale) {
+    return this.lookup(this.catalogs[locale], key) !== undefined;
+  }
+
+  t(key, params = {}) {
+    // Before the first setLocale (an unknown locale on construction) there is only English
+    const locale = [this.locale, FALLBACK_LOCALE].find(item => item && this.lookup(this.catalogs[item], key) !== undefined);
+    if (!locale) return key;
+
+    let message = this.lookup(this.catalogs[locale], key);
+    if (this.isPlural(message)) {
+      const category = new Intl.PluralRules(LOCALE_TAGS[locale]).select(Number(params.count) || 0);
+      message = message[category] ?? message.other;
+    }
+    if (typeof message !== 'string') return key;
+
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+      const value = params[name];
+      if (value === undefined || value === null) return match;
+      return typeof value === 'number' ? this.formatNumber(value) : String(value);
+    });
+  }
+
+  // "Vent :" in French, "Wind:" elsewhere: the punctuation after a label belongs to the catalog
+  label(key, params = {}) {
+    return this.t('i18n.label', { label: this.t(key, params) });
+  }
+
+  formatNumber(value, options = null) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return String(value);
+    return options
+      ? new Intl.NumberFormat(this.tag, { maximumFractionDigits: 2, useGrouping: 'min2', ...options }).format(value)
+      : this.numberFormat.format(value);
+  }
+
+  // Date and time by default, like Date#toLocaleString; pass Intl options for anything else
+  formatDate(date, options = undefined) {
+    return new Date(date).toLocaleString(this.tag, options);
+  }
+
+  formatTime(date, options = undefined) {
+    return new Date(date).toLocaleTimeString(this.tag, options);
+  }
+
+  // Helper methods
+  lookup(catalog, key) {
+    return String(key).split('.').reduce((value, part) => (value == null ? undefined : value[part]), catalog);
+  }
+
+  isPlural(message) {
+    return Boolean(message) && typeof message === 'object' && typeof message.other === 'string' &&
+      Object.keys(message).every(category => PLURAL_CATEGORIES.includes(category));
+  }
+}
+
+// Shared instance: the CLI sets its locale once from --lang, DEFAULT_LANGUAGE or `bw config`
+export const i18n = new I18n();
+
+export function t(key, params) {
+  return i18n.t(key, params);
+}
+
+export function label(key, params) {
+  return i18n.label(key, params);
+}
@@ -2,8 +2,12 @@
 
 import { WeatherAPI } from './weather.js';
 import { AIInsights } from './ai-insights.js';
+import { LLMInsights } from './llm-insights.js';
 import { WeatherTemplates } from './templates/weather-templates.js';
 import { TemplateConfig } from './templates/template-config.js';
+import { registry } from './templates/registry.js';
+import { i18n, label, t } from './i18n.js';
+import { units } from './units.js';
 import chalk from 'chalk';
 import boxen from 'boxen';
 import figlet from 'figlet';
@@ -11,7 +15,7 @@ import { table } from 'table';
 import moment from 'moment';
 import ora from 'ora';
 import fs from 'fs/promises';
-import { createObjectCsvWriter } from 'csv-writer';
+import { createObjectCsvStringifier, createObjectCsvWriter } from 'csv-writer';
 
 /**
  * Enhanced Bucharest Weather CLI Application v3.0
@@ -19,23 +23,46 @@ import { createObjectCsvWriter } from 'csv-writer';
  */
 export class BucharestWeatherApp {
   constructor(options = {}) {
+    // Display units (a Units instance); the data itself stays metric
+    this.units = options.units || units;
     this.weather = new WeatherAPI(options);
-    this.ai = new AIInsights(options);
-    this.templates = new WeatherTemplates();
+    this.ai = new AIInsights({
+      ...options,
+      units: this.units,
+      history: this.weather.history,
+      llm: options.llm || (LLMInsights.isEnabled(options) ? new LLMInsights({ language: options.language }) : null)
+    });
+    this.templates = new WeatherTemplates({ units: this.units });
     this.templateConfig = new TemplateConfig();
     
     this.config = {
       showBanner: options.showBanner !== false,
       showCache: options.showCache || false,
       verboseMode: options.verbose || false,
-      language: options.language || 'ro',
+      language: options.language || i18n.getLocale(),
       useAdvancedTemplates: options.useAdvancedTemplates !== false
     };
   }
 
+  // One language for messages, provider descriptions and advice; the LLM summary follows the catalog locale
+  setLanguage(language) {
+    const locale = i18n.setLocale(language);
+    this.weather.setLanguage(locale);
+    this.ai.language = locale;
+    this.config.language = locale;
+    return locale;
+  }
+
+  // Templates, exports and messages share one Units instance, so changing it reaches all of them
+  setUnits(spec) {
+    return this.units.set(spec);
+  }
+
   async init() {
     // Initialize template configuration
     await this.templateConfig.init();
+    await registry.loadPlugins();
+    await this.templates.loadCustomTemplates(this.templateConfig.customTemplatesDir);
     
     // Apply current theme
     const currentTheme = this.templateConfig.getCurrentTheme();
@@ -72,7 +99,7 @@ export class BucharestWeatherApp {
   }
 
   async getCurrentWeather(showExtended = false, templateName = null) {
-    const spinner = ora('Obțin datele meteorologice avansate...').start();
+    const spinner = ora(t('app.current.loading')).start();
     
     try {
       // Initialize template system if not done
@@ -82,20 +109,29 @@ export class BucharestWeatherApp {
       }
       
       // Fetch all weather data in parallel
-      const [currentData, airQuality, uvIndex] = await Promise.allSettled([
+      // The short forecast feeds the coded warnings and the rain advice
+      const [currentData, airQuality, uvIndex, alerts, forecastData] = await Promise.allSettled([
         this.weather.getCurrent(),
         this.weather.getAirQuality(),
-        this.weather.getUVIndex()
+        this.weather.getUVIndex(),
+        this.weather.getAlerts(),
+        this.weather.getForecast(2)
       ]);
       
+      if (currentData.status === 'rejected') {
+        throw currentData.reason;
+      }
+      
       const current = currentData.value;
       const air = airQuality.status === 'fulfilled' ? airQuality.value : null;
       const uv = uvIndex.status === 'fulfilled' ? uvIndex.value : null;
+      const officialAlerts = alerts.status === 'fulfilled' ? alerts.value : [];
+      const forecast = forecastData.status === 'fulfilled' ? forecastData.value : null;
       
-      spinner.succeed('Date meteo obținute cu succes!');
+      spinner.succeed(t('app.current.loaded'));
       
       // Generate AI insights
-      const insights = await this.ai.generateInsights(current, null, air, uv);
+      const insights = await this.ai.generateInsights(current, forecast, air, uv, officialAlerts);
       
       // Use advanced template system if enabled
       if (this.config.useAdvancedTemplates) {
@@ -114,12 +150,12 @@ export class BucharestWeatherApp {
       return { current, air, uv, insights };
       
     } catch (error) {
-      spinner.fail('Eroare la obținerea datelor');
-      console.error(chalk.red('❌ Eroare:', error.message));
+      spinner.fail(t('app.current.failed'));
+      console.error(chalk.red(`❌ ${label('app.error')}`, error.message));
       
       // Fallback to mock data if API fails
-      if (error.message.includes('API key')) {
-        console.log(chalk.yellow('\n📋 Folosesc date demo:'));
+      if (error.code === 'INVALID_API_KEY') {
+        console.log(chalk.yellow(`\n📋 ${label('app.current.demoData')}`));
         const mockData = this.weather.getMockData();
         const mockInsights = await this.ai.generateInsights(mockData);
         
@@ -139,7 +175,7 @@ export class BucharestWeatherApp {
   }
 
   async getForecast(days = 5, showHourly = false, templateName = null) {
-    const spinner = ora(`Obțin prognoza pentru ${days} zile...`).start();
+    const spinner = ora(t('app.forecast.loading', { count: days })).start();
     
     try {
       // Initialize template system if not done
@@ -148,11 +184,10 @@ export class BucharestWeatherApp {
         templateName = this.templateConfig.getCurrentTemplate();
       }
       
-      const forecast = await this.weather.getForecast(days);
-      const current = await this.weather.getCurrent();
-      const insights = await this.ai.generateInsights(current, forecast);
+      const { current, forecast, forecastSource, airQuality, uvIndex, alerts } = await this.weather.getSnapshot(days);
+      const insights = await this.ai.generateInsights(current, forecast, airQuality, uvIndex, alerts);
       
-      spinner.succeed('Prognoza obținută cu succes!');
+      spinner.succeed(t('app.forecast.loaded'));
       
       // Use advanced template system if enabled
       if (this.config.useAdvancedTemplates) {
@@ -160,64 +195,88 @@ export class BucharestWeatherApp {
           templateName,
           current,
           forecast,
-          insights
+          insights,
+          forecastSource
         );
         console.log('\n' + templateOutput);
+        
+        if (showHourly) {
+          const hourly = this.weather.extractHourly(forecast, days * 24);
+          console.log('\n' + this.templates.renderHourly(templateName, current, hourly, insights, forecastSource));
+        }
       } else {
         // Fallback to original display method
-        await this.displayForecastFallback(forecast, days, showHourly);
+        await this.displayForecastFallback(forecast, days, showHourly, insights, forecastSource);
       }
       
       return forecast;
       
     } catch (error) {
-      spinner.fail('Eroare la obținerea prognozei');
-      console.error(chalk.red('❌ Eroare prognoză:', error.message));
+      spinner.fail(t('app.forecast.failed'));
+      console.error(chalk.red(`❌ ${label('app.forecast.error')}`, error.message));
       
-      // Fallback to mock data
-      const mockForecast = this.weather.getMockForecast(days);
-      console.log(chalk.yellow('\n📋 Folosesc prognoza demo:'));
-      
-      if (this.config.useAdvancedTemplates) {
-        const mockCurrent = this.weather.getMockData();
-        const mockInsights = await this.ai.generateInsights(mockCurrent, mockForecast);
-        const templateOutput = this.templates.renderTemplate(
-          templateName || 'dashboard',
-          mockCurrent,
-          mockForecast,
-          mockInsights
-        );
-        console.log('\n' + templateOutput);
-      } else {
-        await this.displayForecastFallback(mockForecast, days, showHourly);
+      // No fabricated numbers: without saved data there is nothing honest to show
+      if (!this.weather.config.offline) {
+        console.log(chalk.yellow(`💡 ${t('app.forecast.offlineHint')}`));
       }
+      return null;
+    }
+  }
+
+  async getHourly(hours = 48, templateName = null) {
+    const spinner = ora(t('app.hourly.loading', { count: hours })).start();
+    
+    try {
+      if (!templateName) {
+        await this.init();
+        templateName = this.templateConfig.getCurrentTemplate();
+      }
+      
+      const [current, { forecast, source }, alerts] = await Promise.all([
+        this.weather.getCurrent(),
+        this.weather.getForecastWithSource(this.weather.getHourlyDays(hours)),
+        this.weather.getAlerts()
+      ]);
+      const hourly = this.weather.extractHourly(forecast, hours);
+      const warnings = this.ai.warnings.build(forecast, alerts, current.location);
+      
+      spinner.succeed(t('app.hourly.loaded'));
+      console.log('\n' + this.templates.renderHourly(templateName, current, hourly, { warnings }, source));
+      
+      return hourly;
+      
+    } catch (error) {
+      spinner.fail(t('app.hourly.failed'));
+      console.error(chalk.red(`❌ ${label('app.hourly.error')}`, error.message));
+      return null;
     }
   }
 
   // Fallback display methods for backward compatibility
-  async displayCurrentWeatherFallback(data, insights, airQuality, uvIndex, showExtended) {
-    const timestamp = new Date().toLocaleString('ro-RO');
-    const cacheIndicator = data.fromCache ? chalk.yellow(' [Cache]') : '';
+  async displayCurrentWeatherFallback(observation, insights, airQuality, uvIndex, showExtended) {
+    const data = this.units.convertFields(observation);
+    const timestamp = i18n.formatDate(new Date());
+    const cacheIndicator = data.offline ? chalk.yellow(' [Offline]') : data.fromCache ? chalk.yellow(' [Cache]') : '';
     
     // Main weather info
     const mainInfo = [
-      chalk.bold.blue('🌡️ VREMEA ACUM ÎN BUCUREȘTI') + cacheIndicator,
+      chalk.bold.blue(`🌡️ ${t('app.current.title', { location: this.weather.getLocation().name.toUpperCase() })}`) + cacheIndicator,
       chalk.gray(`${timestamp}`),
       '',
-      `${chalk.yellow('Temperatură:')} ${this.formatTemperature(data.temp)} (simte ca ${data.feels_like}°C)`,
-      `${chalk.cyan('Descriere:')} ${data.description} ${this.getWeatherIcon(data.icon)}`,
-      `${chalk.green('Umiditate:')} ${data.humidity}% | ${chalk.magenta('Presiune:')} ${data.pressure} hPa`,
-      `${chalk.blue('Vânt:')} ${data.wind_speed} m/s ${data.wind_direction || ''} | ${chalk.white('Vizibilitate:')} ${data.visibility} km`,
-      `${chalk.orange('Nori:')} ${data.cloudiness}% | ${chalk.red('Răsărit:')} ${data.sunrise} | ${chalk.red('Apus:')} ${data.sunset}`,
+      `${chalk.yellow(`${label('templates.temperature')}`)} ${this.formatTemperature(observation.temp)} (${t('app.current.feelsLike', { temp: `${i18n.formatNumber(data.feels_like)}${this.units.symbol('temperature')}` })})`,
+      `${chalk.cyan(`${label('app.description')}`)} ${data.description} ${this.getWeatherIcon(data.icon)}`,
+      `${chalk.green(`${label('templates.humidity')}`)} ${data.humidity}% | ${chalk.magenta(`${label('templates.pressure')}`)} ${i18n.formatNumber(data.pressure)} ${this.units.symbol('pressure')}`,
+      `${chalk.blue(`${label('templates.wind')}`)} ${i18n.formatNumber(data.wind_speed)} ${this.units.symbol('wind')} ${data.wind_direction || ''} | ${chalk.white(`${label('templates.classic.visibility')}`)} ${i18n.formatNumber(data.visibility)} ${this.units.symbol('distance')}`,
+      `${chalk.orange(`${label('templates.classic.clouds')}`)} ${data.cloudiness}% | ${chalk.red(`${label('templates.classic.sunrise')}`)} ${data.sunrise} | ${chalk.red(`${label('templates.classic.sunset')}`)} ${data.sunset}`,
     ];
     
     // Add precipitation if present
     if (data.rain_1h > 0 || data.rain_3h > 0) {
-      mainInfo.push(`${chalk.blue('Ploaie:')} ${data.rain_1h || 0} mm/h, ${data.rain_3h || 0} mm/3h`);
+      mainInfo.push(`${chalk.blue(`${label('app.current.rain')}`)} ${i18n.formatNumber(data.rain_1h || 0)} ${this.units.symbol('precipitation')}/h, ${i18n.formatNumber(data.rain_3h || 0)} ${this.units.symbol('precipitation')}/3h`);
     }
     
     if (data.snow_1h > 0 || data.snow_3h > 0) {
-      mainInfo.push(`${chalk.white('Zăpadă:')} ${data.snow_1h || 0} mm/h, ${data.snow_3h || 0} mm/3h`);
+      mainInfo.push(`${chalk.white(`${label('app.current.snow')}`)} ${i18n.formatNumber(data.snow_1h || 0)} ${this.units.symbol('precipitation')}/h, ${i18n.formatNumber(data.snow_3h || 0)} ${this.units.symbol('precipitation')}/3h`);
     }
     
     console.log(boxen(mainInfo.join('\n'), {
@@ -225,7 +284,7 @@ export class BucharestWeatherApp {
       margin: 1,
       borderStyle: 'round',
       borderColor: 'blue',
-      title: '🌤️ VREMEA LIVE',
+      title: `🌤️ ${t('app.current.live')}`,
       titleAlignment: 'center'
     }));
 
@@ -238,27 +297,41 @@ export class BucharestWeatherApp {
     }
   }
 
-  async displayForecastFallback(forecast, days, showHourly) {
-    console.log(chalk.bold.blue(`\n📅 PROGNOZA ${days} ZILE - BUCUREȘTI`));
+  async displayForecastFallback(forecast, days, showHourly, insights = null, forecastSource = null) {
+    console.log(chalk.bold.blue(`\n📅 ${t('app.forecast.title', { count: days, location: this.weather.getLocation().name.toUpperCase() })}`));
+    const dataAge = this.templates.renderDataAgeNotice(forecastSource);
+    if (dataAge) {
+      console.log(dataAge);
+    }
+    const warnings = this.templates.renderWarnings(insights?.warnings);
+    if (warnings) {
+      console.log(warnings);
+    }
     console.log(chalk.gray('─'.repeat(60)));
     
-    forecast.forEach((day, index) => {
-      const dayName = index === 0 ? 'Astăzi' : 
-                     index === 1 ? 'Mâine' : day.dayName;
+    const degrees = this.units.symbol('temperature');
+    this.units.convertForecast(forecast).forEach((day, index) => {
+      const dayName = index === 0 ? t('app.forecast.today') : 
+                     index === 1 ? t('app.forecast.tomorrow') : this.templates.formatDayName(day);
       
-      const tempRange = `${day.temp_min}°C - ${day.temp_max}°C`;
-      const avgTemp = day.temp_avg ? ` (med: ${day.temp_avg}°C)` : '';
+      const tempRange = `${i18n.formatNumber(day.temp_min)}${degrees} - ${i18n.formatNumber(day.temp_max)}${degrees}`;
+      const avgTemp = day.temp_avg ? ` (${label('app.forecast.average')} ${i18n.formatNumber(day.temp_avg)}${degrees})` : '';
       
       console.log(chalk.yellow(`\n📆 ${dayName} (${day.date}):`));
-      console.log(`   ${chalk.cyan('Temperaturi:')} ${tempRange}${avgTemp}`);
-      console.log(`   ${chalk.green('Descriere:')} ${day.description}`);
+      console.log(`   ${chalk.cyan(`${label('app.forecast.temperatures')}`)} ${tempRange}${avgTemp}`);
+      console.log(`   ${chalk.green(`${label('app.description')}`)} ${day.description}`);
       
       if (day.humidity_avg) {
-        console.log(`   ${chalk.blue('Umiditate:')} ${day.humidity_avg}% | ${chalk.magenta('Vânt:')} ${day.wind_speed_avg} m/s`);
+        console.log(`   ${chalk.blue(`${label('templates.humidity')}`)} ${day.humidity_avg}% | ${chalk.magenta(`${label('templates.wind')}`)} ${i18n.formatNumber(day.wind_speed_avg)} ${this.units.symbol('wind')}`);
+      }
+      
+      if (day.precipitation_total > 0 || day.pop > 0) {
+        const chance = day.pop != null ? ` (${t('app.forecast.chance', { value: Math.round(day.pop * 100) })})` : '';
+        console.log(`   ${chalk.cyan(`${label('app.forecast.precipitation')}`)} ${i18n.formatNumber(day.precipitation_total)} ${this.units.symbol('precipitation')}${chance}`);
       }
       
-      if (day.precipitation_total > 0) {
-        console.log(`   ${chalk.cyan('Precipitații:')} ${day.precipitation_total} mm`);
+      if (day.uv_max != null) {
+        console.log(`   ${chalk.yellow('UV max:')} ${i18n.formatNumber(day.uv_max)} | ${chalk.gray(`${day.moon_icon} ${day.moon_phase_name}`)}`);
       }
     });
     
@@ -267,13 +340,16 @@ export class BucharestWeatherApp {
 
   async displayAIInsights(insights) {
     const aiInfo = [
-      chalk.bold.green('🤖 RECOMANDĂRI AI PERSONALIZATE:'),
+      chalk.bold.green(`🤖 ${label('app.insights.title')}`),
       '',
-      `👕 ${chalk.yellow('Îmbrăcăminte:')} ${insights.clothing}`,
+      `👕 ${chalk.yellow(`${label('templates.clothing')}`)} ${insights.clothing}`,
       `${insights.activities}`,
-      `🎯 ${chalk.cyan('Localizări:')} ${insights.locations}`,
+      `🎯 ${chalk.cyan(`${label('app.insights.places')}`)} ${insights.locations}`,
       '',
-      `💊 ${chalk.green('Sănătate:')} ${insights.health}`
+      `💊 ${chalk.green(`${label('templates.classic.health')}`)} ${insights.health}`,
+      ...(insights.trend ? [`📈 ${chalk.magenta(`${label('templates.classic.trend')}`)} ${insights.trend}`] : []),
+      ...(insights.windows?.length ? ['', chalk.bold.cyan(`⏱️ ${label('app.insights.nextHours')}`), ...insights.windows.map(window => `   ${window.message}`)] : []),
+      ...(insights.summary ? ['', this.templates.renderSummary(insights.summary)] : [])
     ];
     
     console.log(boxen(aiInfo.join('\n'), {
@@ -290,6 +366,10 @@ export class BucharestWeatherApp {
     if (!alerts || alerts.length === 0) return;
     
     const alertMessages = alerts.map(alert => {
+      // Coded warnings carry their own 🟡/🟠/🔴 icon and color
+      if (alert.code) {
+        return this.templates.getWarningStyle(alert.code).text(alert.message);
+      }
       const icon = this.getAlertIcon(alert.level);
       const color = this.getAlertColor(alert.level);
       return color(`${icon} ${alert.message}`);
@@ -300,36 +380,44 @@ export class BucharestWeatherApp {
       margin: 1,
       borderStyle: 'double',
       borderColor: 'yellow',
-      title: '⚠️ ALERTE METEO',
+      title: `⚠️ ${t('app.alertsTitle')}`,
       titleAlignment: 'center'
     }));
   }
 
   async exportData(format = 'json', filename = null) {
-    const spinner = ora('Exportă datele meteo...').start();
+    const spinner = ora(t('app.export.loading')).start();
     
     try {
-      const current = await this.weather.getCurrent();
-      const forecast = await this.weather.getForecast(7);
-      const airQuality = await this.weather.getAirQuality().catch(() => null);
-      const uvIndex = await this.weather.getUVIndex().catch(() => null);
-      const insights = await this.ai.generateInsights(current, forecast, airQuality, uvIndex);
+      const snapshot = await this.weather.getSnapshot(7);
+      const { airQuality, uvIndex, alerts, location } = snapshot;
+      const insights = await this.ai.generateInsights(snapshot.current, snapshot.forecast, airQuality, uvIndex, alerts);
+      // Insights read the metric snapshot; the exported values are in the display units
+      const current = this.units.convertFields(snapshot.current);
+      const forecast = this.units.convertForecast(snapshot.forecast);
       
       const data = {
-        timestamp: new Date().toISOString(),
-        location: 'București, România',
-        coordinates: { lat: 44.4268, lon: 26.1025 },
+        timestamp: snapshot.timestamp,
+        location: `${location.name}, ${location.country}`,
+        coordinates: { lat: location.lat, lon: location.lon },
         current,
         forecast,
+        hourly: this.units.convertForecast(snapshot.hourly),
         airQuality,
         uvIndex,
+        alerts,
+        warnings: insights.warnings,
         insights,
         metadata: {
           apiVersion: '3.0',
-          source: 'OpenWeatherMap',
+          source: this.weather.getProviderInfo().displayName,
+          offline: snapshot.offline,
+          dataSavedAt: current.cachedAt,
+          forecastSavedAt: snapshot.forecastSource.cachedAt,
           generatedBy: 'Bucharest Weather CLI v3.0.0',
           template: this.templateConfig?.getCurrentTemplate() || 'classic',
-          theme: this.templateConfig?.getCurrentTheme() || 'default'
+          theme: this.templateConfig?.getCurrentTheme() || 'default',
+          units: this.units.toJSON()
         }
       };
       
@@ -342,7 +430,7 @@ export class BucharestWeatherApp {
         
         if (filename) {
           await fs.writeFile(file, content, 'utf8');
-          spinner.succeed(`Date exportate în ${file}`);
+          spinner.succeed(t('app.export.saved', { file }));
         } else {
           spinner.stop();
           console.log(content);
@@ -350,9 +438,10 @@ export class BucharestWeatherApp {
       } else if (format === 'csv') {
         const file = filename || `${defaultFilename}.csv`;
         
-        // Prepare CSV data
+        // Prepare CSV data: one "current" row, the hourly timeline, then one row per coded warning
         const csvData = [
           {
+            record: 'current',
             date: data.timestamp,
             location: data.location,
             temperature: current.temp,
@@ -366,56 +455,111 @@ export class BucharestWeatherApp {
             cloudiness: current.cloudiness,
             air_quality: airQuality ? airQuality.aqi_description : 'N/A',
             uv_index: uvIndex ? uvIndex.uv_index : 'N/A',
+            precipitation: current.rain_1h || current.snow_1h || 0,
+            pop: '',
+            dew_point: '',
+            warning_code: '',
+            warning_phenomenon: '',
+            valid_until: '',
+            area: '',
             template: data.metadata.template,
             theme: data.metadata.theme
-          }
+          },
+          ...data.hourly.map(slot => ({
+            record: 'hourly',
+            date: new Date(slot.dt).toISOString(),
+            location: data.location,
+            temperature: slot.temp,
+            feels_like: slot.feels_like,
+            description: slot.description,
+            humidity: slot.humidity,
+            pressure: '',
+            wind_speed: slot.wind_speed,
+            wind_direction: '',
+            visibility: '',
+            cloudiness: slot.clouds ?? '',
+            air_quality: '',
+            uv_index: slot.uvi ?? '',
+            precipitation: slot.precipitation,
+            pop: slot.pop ?? '',
+            dew_point: slot.dew_point ?? '',
+            warning_code: '',
+            warning_phenomenon: '',
+            valid_until: '',
+            area: '',
+            template: data.metadata.template,
+            theme: data.metadata.theme
+          })),
+          ...data.warnings.map(warning => ({
+            record: 'warning',
+            date: warning.start,
+            location: data.location,
+            temperature: '',
+            feels_like: '',
+            description: warning.title,
+            humidity: '',
+            pressure: '',
+            wind_speed: '',
+            wind_direction: '',
+            visibility: '',
+            cloudiness: '',
+            air_quality: '',
+            uv_index: '',
+            precipitation: '',
+            pop: '',
+            dew_point: '',
+            warning_code: warning.code,
+            warning_phenomenon: warning.phenomenon,
+            valid_until: warning.end ?? '',
+            area: warning.area,
+            template: data.metadata.template,
+            theme: data.metadata.theme
+          }))
         ];
         
+        const header = Object.keys(csvData[0]).map(key => ({ id: key, title: key }));
         if (filename) {
-          const csvWriter = createObjectCsvWriter({
-            path: file,
-            header: Object.keys(csvData[0]).map(key => ({ id: key, title: key }))
-          });
+          const csvWriter = createObjectCsvWriter({ path: file, header });
           
           await csvWriter.writeRecords(csvData);
-          spinner.succeed(`Date exportate în ${file}`);
+          spinner.succeed(t('app.export.saved', { file }));
         } else {
           spinner.stop();
-          // Output CSV to console
-          const headers = Object.keys(csvData[0]).join(',');
-          const values = Object.values(csvData[0]).join(',');
-          console.log(headers);
-          console.log(values);
+          // Output CSV to console, quoted like the file ("București, RO" stays one field)
+          const stringifier = createObjectCsvStringifier({ header });
+          process.stdout.write(stringifier.getHeaderString() + stringifier.stringifyRecords(csvData));
         }
       }
       
       return data;
       
     } catch (error) {
-      spinner.fail('Eroare la export');
-      console.error(chalk.red('❌ Eroare export:', error.message));
+      spinner.fail(t('app.export.failed'));
+      console.error(chalk.red(`❌ ${label('app.export.error')}`, error.message));
+      return null;
     }
   }
 
   async showSystemInfo() {
-    const cacheStats = this.weather.getCacheStats();
+    const cacheStats = await this.weather.getCacheStats();
     const aiMetrics = this.ai.getPerformanceMetrics();
     const templateInfo = await this.getTemplateSystemInfo();
     
     const systemInfo = [
-      chalk.bold.cyan('📊 SISTEM INFO:'),
+      chalk.bold.cyan(`📊 ${label('app.system.title')}`),
       '',
-      `${chalk.yellow('Versiune:')} v3.0.0`,
-      `${chalk.green('Cache activ:')} ${cacheStats.keys.length} chei`,
+      `${chalk.yellow(`${label('app.system.version')}`)} v3.0.0`,
+      `${chalk.green(`${label('app.system.provider')}`)} ${this.weather.getProviderInfo().displayName}`,
+      `${chalk.green(`${label('app.system.cache')}`)} ${t('app.system.keys', { count: cacheStats.keys.length })}`,
       `${chalk.blue('AI Engine:')} v${aiMetrics.algorithmVersion}`,
-      `${chalk.magenta('Acurațețe AI:')} ${aiMetrics.accuracy}`,
-      `${chalk.cyan('Timp răspuns:')} ${aiMetrics.responseTime}`,
+      `${chalk.magenta(`${label('app.system.accuracy')}`)} ${aiMetrics.accuracy}`,
+      `${chalk.cyan(`${label('app.system.responseTime')}`)} ${aiMetrics.responseTime}`,
       '',
       chalk.bold.cyan('🎨 TEMPLATE SYSTEM:'),
-      `${chalk.yellow('Template activ:')} ${templateInfo.currentTemplate}`,
-      `${chalk.yellow('Temă activă:')} ${templateInfo.currentTheme}`,
-      `${chalk.green('Template-uri disponibile:')} ${templateInfo.totalTemplates}`,
-      `${chalk.green('Teme disponibile:')} ${templateInfo.totalThemes}`,
+      `${chalk.yellow(`${label('app.system.template')}`)} ${templateInfo.currentTemplate}`,
+      `${chalk.yellow(`${label('app.system.theme')}`)} ${templateInfo.currentTheme}`,
+      `${chalk.green(`${label('app.system.templates')}`)} ${templateInfo.totalTemplates}`,
+      `${chalk.green(`${label('app.system.themes')}`)} ${templateInfo.totalThemes}`,
       '',
       `${chalk.gray('Features:')}`
     ];
@@ -487,6 +631,29 @@ export class BucharestWeatherApp {
     return output;
   }
 
+  // Location management
+  setLocation(location) {
+    this.weather.setLocation(location);
+  }
+
+  getLocation() {
+    return this.weather.getLocation();
+  }
+
+  // Seeded demo scenario: the same scenario and seed always render the same output
+  useDemo(scenario, seed = 1) {
+    this.weather.setProvider('demo', { scenario, seed });
+    this.ai.history = null; // real observations say nothing about an invented scenario
+    this.ai.setSeed(seed);
+    this.templates.setSeed(seed);
+  }
+
+  // LLM summary on top of the rule engine for this run (same as INSIGHTS_MODE=llm)
+  useLLM(provider = null) {
+    this.ai.llm = new LLMInsights({ provider: provider || undefined });
+    return this.ai.llm;
+  }
+
   // Template management methods
   async setTemplate(templateName) {
     return await this.templateConfig.setTemplate(templateName);
@@ -509,11 +676,13 @@ export class BucharestWeatherApp {
   }
 
   // Helper methods
+  // `temp` is metric: colours follow the °C bands, the text the display units
   formatTemperature(temp) {
-    if (temp > 30) return chalk.red(`${temp}°C`);
-    if (temp < 0) return chalk.blue(`${temp}°C`);
-    if (temp < 10) return chalk.cyan(`${temp}°C`);
-    return chalk.yellow(`${temp}°C`);
+    const text = this.units.format('temperature', temp);
+    if (temp > 30) return chalk.red(text);
+    if (temp < 0) return chalk.blue(text);
+    if (temp < 10) return chalk.cyan(text);
+    return chalk.yellow(text);
   }
 
   getWeatherIcon(iconCode) {
@@ -0,0 +1,244 @@
+import fs from 'fs/promises';
+import { createRequire } from 'module';
+import { getConfigPath } from './paths.js';
+import { i18n, t } from './i18n.js';
+import { Units, units } from './units.js';
+
+const require = createRequire(import.meta.url);
+const defaultRules = require('./data/insight-rules.json');
+
+const SECTIONS = ['clothing', 'activities', 'health'];
+
+const OPERATORS = {
+  '>': (actual, value) => actual > value,
+  '>=': (actual, value) => actual >= value,
+  '<': (actual, value) => actual < value,
+  '<=': (actual, value) => actual <= value,
+  '==': (actual, value) => actual === value,
+  '!=': (actual, value) => actual !== value,
+  between: (actual, [min, max]) => actual >= min && actual < max, // [min, max)
+  in: (actual, values) => values.includes(actual),
+  has: (actual, value) => Array.isArray(actual) && actual.includes(value), // list fields: profile.activities
+  exists: (actual, value) => (actual !== null && actual !== undefined) === value
+};
+
+/**
+ * Insight Rules v1.0
+ * Declarative clothing, activity and health advice (src/data/insight-rules.json), with user
+ * overrides from ~/.bucharest-weather-cli/insight-rules.json merged by rule id.
+ * A rule fires when its `when` condition holds over the snapshot (current, today, airQuality,
+ * uvIndex, profile, derived); higher priority comes first and only the strongest rule of a `group` fires.
+ * Messages are localized ({ ro, en, es, fr }, English when a language is missing) and may quote
+ * snapshot fields: "{today.dew_point_avg}{units.temperature}". Conditions compare metric values;
+ * quoted fields are shown in the display units.
+ */
+export class InsightRules {
+  constructor(options = {}) {
+    this.file = options.file || getConfigPath('insight-rules.json');
+    this.defaults = options.defaults || defaultRules;
+    this.units = options.units || units;
+
+    this.sections = {};
+    this.rules = [];
+    this.overrides = 0;
+    this.error = null; // why the user file was ignored, shown by `bw insights`
+    this.loaded = false;
+  }
+
+  static getSections() {
+    return [...SECTIONS];
+  }
+
+  static getOperators() {
+    return Object.keys(OPERATORS);
+  }
+
+  // Defaults merged with the user file; a broken user file is reported, never fatal
+  async load() {
+    this.reset();
+
+    let content = null;
+    try {
+      content = await fs.readFile(this.file, 'utf8');
+    } catch (error) {
+      // No user overrides
+    }
+
+    if (content !== null) {
+      try {
+        this.merge(JSON.parse(content));
+      } catch (error) {
+        this.reset();
+        this.error = `${this.file}: ${error.message}`;
+      }
+    }
+
+    this.loaded = true;
+    return this.rules;
+  }
+
+  reset() {
+    this.sections = structuredClone(this.defaults.sections || {});
+    this.rules = this.defaults.rules.map(rule => ({ ...rule, source: 'default' }));
+    this.overrides = 0;
+    this.error = null;
+  }
+
+  async ensureLoaded() {
+    if (!this.loaded) await this.load();
+  }
+
+  // Same id: the user's fields replace the default ones ({ "id": "health.uv", "enabled": false })
+  merge(overrides) {
+    Object.entries(overrides.sections || {}).forEach(([section, settings]) => {
+      this.sections[section] = { ...this.sections[section], ...settings };
+    });
+
+    (overrides.rules || []).forEach(override => {
+      if (!override.id) {
+        throw new Error(t('rules.errors.missingId'));
+      }
+      const index = this.rules.findIndex(rule => rule.id === override.id);
+      const rule = index >= 0
+        ? { ...this.rules[index], ...override, source: 'user' }
+        : { priority: 0, ...override, source: 'user' };
+
+      this.validate(rule);
+      if (index >= 0) {
+        this.rules[index] = rule;
+      } else {
+        this.rules.push(rule);
+      }
+      this.overrides++;
+    });
+  }
+
+  validate(rule) {
+    if (!SECTIONS.includes(rule.section)) {
+      throw new Error(t('rules.errors.unknownSection', { id: rule.id, section: rule.section, available: SECTIONS.join(', ') }));
+    }
+    if (!rule.message && !rule.options) {
+      throw new Error(t('rules.errors.noMessage', { id: rule.id }));
+    }
+    if (!Number.isFinite(rule.priority ?? 0)) {
+      throw new Error(t('rules.errors.invalidPriority', { id: rule.id }));
+    }
+    if (rule.when) this.validateCondition(rule.when, rule.id);
+    return rule;
+  }
+
+  validateCondition(condition, id) {
+    if (condition.all || condition.any) {
+      const children = condition.all || condition.any;
+      if (!Array.isArray(children)) {
+        throw new Error(t('rules.errors.invalidList', { id }));
+      }
+      children.forEach(child => this.validateCondition(child, id));
+      return;
+    }
+    if (condition.not) {
+      this.validateCondition(condition.not, id);
+      return;
+    }
+    if (typeof condition.field !== 'string' || !OPERATORS[condition.op]) {
+      throw new Error(t('rules.errors.invalidCondition', { id, condition: JSON.stringify(condition), operators: InsightRules.getOperators().join(' ') }));
+    }
+    if (condition.op === 'between' && !(Array.isArray(condition.value) && condition.value.length === 2)) {
+      throw new Error(t('rules.errors.invalidBetween', { id }));
+    }
+    if (condition.op === 'in' && !Array.isArray(condition.value)) {
+      throw new Error(t('rules.errors.invalidIn', { id }));
+    }
+  }
+
+  /**
+   * Every enabled rule of a section with its verdict, strongest first:
+   * { rule, status: 'fired' | 'suppressed' | 'skipped', checks, suppressedBy }
+   */
+  evaluate(section, context) {
+    const taken = new Map(); // group -> id of the rule that fired
+
+    return this.rules
+      .filter(rule => rule.section === section && rule.enabled !== false)
+      .sort((a, b) => (b.priority ?? 0) - (a.priority ?? 0))
+      .map(rule => {
+        const checks = [];
+        const matches = rule.when ? this.test(rule.when, context, checks) : true;
+
+        if (!matches) return { rule, status: 'skipped', checks };
+        if (rule.group && taken.has(rule.group)) {
+          return { rule, status: 'suppressed', checks, suppressedBy: taken.get(rule.group) };
+        }
+        if (rule.group) taken.set(rule.group, rule.id);
+        return { rule, status: 'fired', checks };
+      });
+  }
+
+  fired(section, context) {
+    return this.evaluate(section, context).filter(result => result.status === 'fired').map(result => result.rule);
+  }
+
+  // Walks the whole condition so `explain` can show every check, not just the first failing one
+  test(condition, context, checks = []) {
+    if (condition.all) {
+      return condition.all.map(child => this.test(child, context, checks)).every(Boolean);
+    }
+    if (condition.any) {
+      return condition.any.map(child => this.test(child, context, checks)).some(Boolean);
+    }
+    if (condition.not) {
+      return !this.test(condition.not, context, checks);
+    }
+
+    const actual = this.read(context, condition.field);
+    // Missing values only satisfy "exists": false
+    const ok = condition.op === 'exists'
+      ? OPERATORS.exists(actual, condition.value !== false)
+      : actual !== null && actual !== undefined && OPERATORS[condition.op](actual, condition.value);
+    checks.push({ field: condition.field, op: condition.op, value: condition.value, actual: actual ?? null, ok });
+    return ok;
+  }
+
+  // Localized text of a fired rule; `options` rules draw one choice with the caller's random source
+  render(rule, context, language = i18n.getLocale(), random = null) {
+    const values = { ...context, units: this.units.toJSON() };
+    let text;
+
+    if (rule.options) {
+      const options = this.localize(rule.options, language);
+      values.choice = random ? random.pick(options) : options[0];
+      const format = this.sections[rule.section]?.format;
+      text = format ? this.localize(format, language) : '{choice}';
+    } else {
+      text = this.localize(rule.message, language);
+    }
+
+    return text.replace(/\{([\w.]+)\}/g, (match, field) => {
+      const value = field === 'choice' ? values.choice : this.read(values, field);
+      const quantity = Units.getQuantity(field.split('.').pop());
+      return (quantity ? this.units.convert(quantity, value) : value) ?? match;
+    });
+  }
+
+  // Section text used when no rule fires ("✅ Condiții normale pentru sănătate")
+  getSectionText(section, key, language = i18n.getLocale()) {
+    const value = this.sections[section]?.[key];
+    return value ? this.localize(value, language) : null;
+  }
+
+  describeCheck(check) {
+    const expected = Array.isArray(check.value) ? `[${check.value.join(', ')}]` : JSON.stringify(check.value);
+    const actual = typeof check.actual === 'number' ? Math.round(check.actual * 100) / 100 : JSON.stringify(check.actual);
+    return `${check.field} = ${actual} ${check.op} ${expected}`;
+  }
+
+  // Helper methods
+  localize(value, language) {
+    if (typeof value === 'string' || Array.isArray(value)) return value;
+    return value[language] ?? value.en ?? value.ro ?? Object.values(value)[0];
+  }
+
+  read(context, field) {
+    return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+  }
+}
@@ -0,0 +1,163 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import moment from 'moment';
+import { getConfigPath } from './paths.js';
+import { DiskCache } from './cache.js';
+import { createBackend, buildPrompt } from './llm/index.js';
+import { i18n, t } from './i18n.js';
+
+/**
+ * LLM Insights v1.0
+ * Optional natural-language summary (INSIGHTS_MODE=llm) written by the backend named in
+ * LLM_PROVIDER from a compact, rounded snapshot of the normalized weather data.
+ * Answers are cached per prompt; a daily token and cost budget, persisted in
+ * ~/.bucharest-weather-cli/llm-usage.json, stops calls once spent. Callers fall back
+ * to the rule engine whenever summarize() throws.
+ */
+export class LLMInsights {
+  constructor(options = {}) {
+    this.backend = options.backend || createBackend(options.provider || process.env.LLM_PROVIDER || 'openai', options.backendOptions);
+    this.language = options.language || process.env.LLM_LANGUAGE || null; // null: the app's language
+    this.maxTokens = options.maxTokens || parseInt(process.env.LLM_MAX_TOKENS) || 300; // per answer
+    this.cacheTTL = options.cacheTTL ?? (parseInt(process.env.LLM_CACHE_TTL) || 1800); // seconds
+    this.budget = {
+      tokens: options.budget?.tokens ?? (parseInt(process.env.LLM_DAILY_TOKENS) || 20000),
+      cost: options.budget?.cost ?? (parseFloat(process.env.LLM_DAILY_COST) || 0.1) // USD
+    };
+
+    this.cache = options.cache || new DiskCache({ dir: options.cacheDir });
+    this.usageFile = options.usageFile || getConfigPath('llm-usage.json');
+  }
+
+  static isEnabled(options = {}) {
+    return (options.insightsMode || process.env.INSIGHTS_MODE) === 'llm';
+  }
+
+  // Only what the summary needs, rounded so that tiny changes still hit the cache
+  buildSnapshot(weather, forecast = null, airQuality = null, uvIndex = null, warnings = [], windows = []) {
+    const round = value => (typeof value === 'number' ? Math.round(value) : null);
+    const day = item => item && {
+      date: moment(item.dt ?? item.date, item.dt ? undefined : 'DD MMM YYYY').format('YYYY-MM-DD'),
+      description: item.description,
+      temp_min: item.temp_min,
+      temp_max: item.temp_max,
+      pop: item.pop != null ? Math.round(item.pop * 100) : null,
+      precipitation_mm: item.precipitation_total ?? null,
+      uv_max: item.uv_max ?? null
+    };
+
+    return {
+      location: weather.location || t('locations.defaultName'),
+      time: moment(weather.timestamp || undefined).format('YYYY-MM-DD HH:00'),
+      current: {
+        description: weather.description,
+        temp: round(weather.temp),
+        feels_like: round(weather.feels_like),
+        humidity: round(weather.humidity),
+        wind_kmh: round((weather.wind_speed || 0) * 3.6),
+        gust_kmh: weather.wind_gust != null ? round(weather.wind_gust * 3.6) : null,
+        precipitation_mm: (weather.rain_1h || 0) + (weather.snow_1h || 0),
+        cloudiness: round(weather.cloudiness)
+      },
+      today: day(forecast?.[0]) || null,
+      tomorrow: day(forecast?.[1]) || null,
+      air_quality: airQuality ? { aqi: airQuality.aqi, description: airQuality.aqi_description } : null,
+      uv_index: uvIndex?.uv_index ?? null,
+      next_hours: (windows || []).map(window => window.message),
+      warnings: (warnings || []).map(warning => ({
+        code: warning.codeLabel,
+        phenomenon: warning.phenomenonLabel,
+        start: moment(warning.start).format('YYYY-MM-DD HH:mm'),
+        end: warning.end ? moment(warning.end).format('YYYY-MM-DD HH:mm') : null,
+        official: warning.official
+      }))
+    };
+  }
+
+  getLanguage() {
+    return this.language || i18n.getLocale();
+  }
+
+  // { text, source: 'llm', backend, model, usage, cost, cached }; throws when over budget or on backend errors
+  async summarize(snapshot) {
+    const { system, prompt } = buildPrompt(snapshot, this.getLanguage());
+    const hash = crypto.createHash('sha1').update(`${system}\n${prompt}`).digest('hex');
+    const cacheKey = `llm:${this.backend.name}:${this.backend.model}:${hash}`;
+
+    if (this.cacheTTL > 0) {
+      const cached = await this.cache.get(cacheKey);
+      if (cached && !cached.stale) {
+        return { ...cached.value, cached: true };
+      }
+    }
+
+    await this.assertBudget();
+    let response;
+    try {
+      response = await this.backend.complete({ system, prompt, maxTokens: this.maxTokens });
+    } catch (error) {
+      throw new Error(t('llm.errors.failed', { backend: this.backend.displayName, message: error.message }));
+    }
+    const cost = this.backend.estimateCost(response.usage);
+    await this.recordUsage(response.usage, cost);
+
+    if (!response.text) {
+      throw new Error(t('llm.errors.emptyResponse', { backend: this.backend.displayName }));
+    }
+
+    const summary = {
+      text: response.text,
+      source: 'llm',
+      backend: this.backend.name,
+      model: this.backend.model,
+      usage: response.usage,
+      cost
+    };
+    if (this.cacheTTL > 0) {
+      await this.cache.set(cacheKey, summary, this.cacheTTL);
+    }
+    return { ...summary, cached: false };
+  }
+
+  // Room for a full answer has to be left in the token budget; the cost budget is checked as spent
+  async assertBudget() {
+    const usage = await this.getUsage();
+
+    if (usage.tokens + this.maxTokens > this.budget.tokens) {
+      throw new Error(t('llm.errors.tokenBudget', { budget: String(this.budget.tokens), used: String(usage.tokens) }));
+    }
+    if (usage.cost >= this.budget.cost) {
+      throw new Error(t('llm.errors.costBudget', { budget: String(this.budget.cost), used: usage.cost.toFixed(4) }));
+    }
+  }
+
+  // Today's usage; a new day starts from zero
+  async getUsage() {
+    const today = moment().format('YYYY-MM-DD');
+    try {
+      const usage = JSON.parse(await fs.readFile(this.usageFile, 'utf8'));
+      if (usage.date === today) return usage;
+    } catch (error) {
+      // No usage recorded yet
+    }
+    return { date: today, requests: 0, tokens: 0, input: 0, output: 0, cost: 0 };
+  }
+
+  async recordUsage(tokens, cost) {
+    const usage = await this.getUsage();
+    usage.requests += 1;
+    usage.input += tokens.input;
+    usage.output += tokens.output;
+    usage.tokens = usage.input + usage.output;
+    usage.cost = Math.round((usage.cost + cost) * 1e6) / 1e6;
+
+    await fs.mkdir(path.dirname(this.usageFile), { recursive: true });
+    await fs.writeFile(this.usageFile, JSON.stringify(usage, null, 2), 'utf8');
+    return usage;
+  }
+
+  async resetUsage() {
+    await fs.rm(this.usageFile, { force: true });
+  }
+}
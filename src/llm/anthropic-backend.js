@@ -0,0 +1,53 @@
+import Anthropic from '@anthropic-ai/sdk';
+import { BaseLLMBackend } from './base-backend.js';
+
+/**
+ * Anthropic Backend
+ * Messages API with ANTHROPIC_API_KEY
+ */
+export class AnthropicBackend extends BaseLLMBackend {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'anthropic';
+    this.displayName = 'Anthropic';
+    this.model = this.model || 'claude-3-5-haiku-latest';
+    this.apiKey = options.apiKey || process.env.LLM_API_KEY || process.env.ANTHROPIC_API_KEY;
+    this.defaultPricing = { input: 0.8, output: 4 }; // claude-3-5-haiku
+    this.client = options.client || null;
+  }
+
+  getMissingSettings() {
+    return this.apiKey ? [] : ['ANTHROPIC_API_KEY'];
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new Anthropic({
+        apiKey: this.apiKey,
+        baseURL: this.baseUrl || undefined,
+        timeout: this.timeout,
+        maxRetries: 0
+      });
+    }
+    return this.client;
+  }
+
+  async complete({ system, prompt, maxTokens }) {
+    this.assertConfigured();
+    const response = await this.getClient().messages.create({
+      model: this.model,
+      max_tokens: maxTokens,
+      temperature: 0.4,
+      system,
+      messages: [{ role: 'user', content: prompt }]
+    });
+
+    return {
+      text: (response.content || []).filter(block => block.type === 'text').map(block => block.text).join('').trim(),
+      usage: {
+        input: response.usage?.input_tokens || 0,
+        output: response.usage?.output_tokens || 0
+      }
+    };
+  }
+}
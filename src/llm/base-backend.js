@@ -0,0 +1,55 @@
+import { t } from '../i18n.js';
+
+/**
+ * Base LLM Backend
+ * A backend turns { system, prompt, maxTokens } into { text, usage: { input, output } }.
+ * Settings come from options first, then LLM_* variables, then the backend's own variables.
+ * Prices are USD per million tokens and feed the daily cost budget.
+ */
+export class BaseLLMBackend {
+  constructor(options = {}) {
+    this.name = 'base';
+    this.displayName = 'Base';
+    this.model = options.model || process.env.LLM_MODEL || null;
+    this.baseUrl = options.baseUrl || process.env.LLM_BASE_URL || null;
+    this.timeout = options.timeout || parseInt(process.env.LLM_TIMEOUT) || 20000;
+    this.pricing = {
+      input: options.pricing?.input ?? parseFloat(process.env.LLM_PRICE_INPUT),
+      output: options.pricing?.output ?? parseFloat(process.env.LLM_PRICE_OUTPUT)
+    };
+    this.defaultPricing = { input: 0, output: 0 };
+  }
+
+  // Missing settings, in the words shown by `bw llm status`; [] when ready to call
+  getMissingSettings() {
+    return [];
+  }
+
+  isConfigured() {
+    return this.getMissingSettings().length === 0;
+  }
+
+  async complete({ system, prompt, maxTokens }) {
+    throw new Error(t('llm.errors.notImplemented', { backend: this.displayName }));
+  }
+
+  assertConfigured() {
+    const missing = this.getMissingSettings();
+    if (missing.length > 0) {
+      throw new Error(t('llm.errors.notConfigured', { backend: this.displayName, missing: missing.join(', ') }));
+    }
+  }
+
+  // Backend defaults unless LLM_PRICE_INPUT / LLM_PRICE_OUTPUT override them
+  getPricing() {
+    return {
+      input: Number.isFinite(this.pricing.input) ? this.pricing.input : this.defaultPricing.input,
+      output: Number.isFinite(this.pricing.output) ? this.pricing.output : this.defaultPricing.output
+    };
+  }
+
+  estimateCost(usage) {
+    const pricing = this.getPricing();
+    return (usage.input * pricing.input + usage.output * pricing.output) / 1e6;
+  }
+}
@@ -0,0 +1,55 @@
+import Groq from 'groq-sdk';
+import { BaseLLMBackend } from './base-backend.js';
+
+/**
+ * Groq Backend
+ * Fast hosted open models through the Groq API (GROQ_API_KEY)
+ */
+export class GroqBackend extends BaseLLMBackend {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'groq';
+    this.displayName = 'Groq';
+    this.model = this.model || 'llama-3.1-8b-instant';
+    this.apiKey = options.apiKey || process.env.LLM_API_KEY || process.env.GROQ_API_KEY;
+    this.defaultPricing = { input: 0.05, output: 0.08 }; // llama-3.1-8b-instant
+    this.client = options.client || null;
+  }
+
+  getMissingSettings() {
+    return this.apiKey ? [] : ['GROQ_API_KEY'];
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new Groq({
+        apiKey: this.apiKey,
+        baseURL: this.baseUrl || undefined,
+        timeout: this.timeout,
+        maxRetries: 0
+      });
+    }
+    return this.client;
+  }
+
+  async complete({ system, prompt, maxTokens }) {
+    this.assertConfigured();
+    const response = await this.getClient().chat.completions.create({
+      model: this.model,
+      max_tokens: maxTokens,
+      temperature: 0.4,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt }
+      ]
+    });
+
+    return {
+      text: response.choices?.[0]?.message?.content?.trim() || '',
+      usage: {
+        input: response.usage?.prompt_tokens || 0,
+        output: response.usage?.completion_tokens || 0
+      }
+    };
+  }
+}
@@ -0,0 +1,33 @@
+import { OpenAIBackend, OpenAICompatibleBackend } from './openai-backend.js';
+import { GroqBackend } from './groq-backend.js';
+import { AnthropicBackend } from './anthropic-backend.js';
+import { t } from '../i18n.js';
+
+/**
+ * LLM backend registry
+ * LLM_PROVIDER picks the backend that writes the natural-language summary
+ */
+const BACKENDS = {
+  openai: OpenAIBackend,
+  'openai-compatible': OpenAICompatibleBackend,
+  groq: GroqBackend,
+  anthropic: AnthropicBackend
+};
+
+export function createBackend(name, options = {}) {
+  const Backend = BACKENDS[name];
+
+  if (!Backend) {
+    throw new Error(t('llm.errors.unknownBackend', { name, available: Object.keys(BACKENDS).join(', ') }));
+  }
+
+  return new Backend(options);
+}
+
+export function getAvailableBackends() {
+  return Object.keys(BACKENDS);
+}
+
+export { BaseLLMBackend } from './base-backend.js';
+export { buildPrompt, getPromptLanguages } from './prompts.js';
+export { OpenAIBackend, OpenAICompatibleBackend, GroqBackend, AnthropicBackend };
@@ -0,0 +1,77 @@
+import OpenAI from 'openai';
+import { BaseLLMBackend } from './base-backend.js';
+
+/**
+ * OpenAI Backend
+ * Chat Completions with OPENAI_API_KEY; LLM_BASE_URL sends the same requests to any
+ * OpenAI-compatible server instead (see OpenAICompatibleBackend for keyless local ones).
+ */
+export class OpenAIBackend extends BaseLLMBackend {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'openai';
+    this.displayName = 'OpenAI';
+    this.model = this.model || 'gpt-4o-mini';
+    this.apiKey = options.apiKey || process.env.LLM_API_KEY || process.env.OPENAI_API_KEY;
+    this.defaultPricing = { input: 0.15, output: 0.6 }; // gpt-4o-mini
+    this.client = options.client || null;
+  }
+
+  getMissingSettings() {
+    return this.apiKey ? [] : ['OPENAI_API_KEY'];
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({
+        apiKey: this.apiKey,
+        baseURL: this.baseUrl || undefined,
+        timeout: this.timeout,
+        maxRetries: 0 // a slow answer falls back to the rule engine instead
+      });
+    }
+    return this.client;
+  }
+
+  async complete({ system, prompt, maxTokens }) {
+    this.assertConfigured();
+    const response = await this.getClient().chat.completions.create({
+      model: this.model,
+      max_tokens: maxTokens,
+      temperature: 0.4,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt }
+      ]
+    });
+
+    return {
+      text: response.choices?.[0]?.message?.content?.trim() || '',
+      usage: {
+        input: response.usage?.prompt_tokens || 0,
+        output: response.usage?.completion_tokens || 0
+      }
+    };
+  }
+}
+
+/**
+ * OpenAI-compatible Backend
+ * Local or self-hosted servers speaking the OpenAI API (Ollama, llama.cpp, LM Studio, vLLM...)
+ * at LLM_BASE_URL, e.g. http://127.0.0.1:11434/v1. The key is optional and tokens are free
+ * unless LLM_PRICE_INPUT / LLM_PRICE_OUTPUT say otherwise.
+ */
+export class OpenAICompatibleBackend extends OpenAIBackend {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'openai-compatible';
+    this.displayName = 'OpenAI-compatible';
+    this.model = options.model || process.env.LLM_MODEL || 'llama3.1';
+    this.apiKey = options.apiKey || process.env.LLM_API_KEY || 'not-needed';
+    this.defaultPricing = { input: 0, output: 0 };
+  }
+
+  getMissingSettings() {
+    return this.baseUrl ? [] : ['LLM_BASE_URL'];
+  }
+}
@@ -0,0 +1,56 @@
+/**
+ * Prompt templates per language
+ * {location}, {time} and {snapshot} are filled in by buildPrompt(); the snapshot is the
+ * compact JSON built by LLMInsights, so the same weather always yields the same prompt.
+ */
+const PROMPTS = {
+  ro: {
+    system: 'Ești meteorologul unei aplicații din linia de comandă pentru {location}. ' +
+      'Răspunzi în limba română, pe un ton prietenos și concret, fără liste și fără markdown.',
+    user: 'Datele meteo normalizate pentru {location} la {time}:\n{snapshot}\n\n' +
+      'Scrie un rezumat de 2-3 propoziții: cum e vremea acum, ce urmează în următoarele ore ' +
+      'și un sfat practic (îmbrăcăminte, umbrelă, activități). Menționează avertizările cu cod, dacă există. ' +
+      'Nu inventa valori care nu apar în date.'
+  },
+  en: {
+    system: 'You are the weather presenter of a command-line app for {location}. ' +
+      'Answer in English, in a friendly and concrete tone, without lists or markdown.',
+    user: 'Normalized weather data for {location} at {time}:\n{snapshot}\n\n' +
+      'Write a 2-3 sentence summary: the weather right now, what the next hours bring ' +
+      'and one practical tip (clothing, umbrella, activities). Mention any color-coded warnings. ' +
+      'Do not invent values that are not in the data.'
+  },
+  es: {
+    system: 'Eres el meteorólogo de una aplicación de línea de comandos para {location}. ' +
+      'Respondes en español, con un tono cercano y concreto, sin listas ni markdown.',
+    user: 'Datos meteorológicos normalizados para {location} a las {time}:\n{snapshot}\n\n' +
+      'Escribe un resumen de 2-3 frases: el tiempo ahora, lo que traen las próximas horas ' +
+      'y un consejo práctico (ropa, paraguas, actividades). Menciona los avisos por colores, si los hay. ' +
+      'No inventes valores que no aparezcan en los datos.'
+  },
+  fr: {
+    system: 'Tu es le présentateur météo d\'une application en ligne de commande pour {location}. ' +
+      'Tu réponds en français, sur un ton amical et concret, sans listes ni markdown.',
+    user: 'Données météo normalisées pour {location} à {time} :\n{snapshot}\n\n' +
+      'Écris un résumé de 2-3 phrases : le temps actuel, ce que réservent les prochaines heures ' +
+      'et un conseil pratique (vêtements, parapluie, activités). Mentionne les vigilances par couleur, s\'il y en a. ' +
+      'N\'invente pas de valeurs absentes des données.'
+  }
+};
+
+export function getPromptLanguages() {
+  return Object.keys(PROMPTS);
+}
+
+// { system, prompt } for a snapshot; unknown languages use the English template
+export function buildPrompt(snapshot, language = 'ro') {
+  const template = PROMPTS[language] || PROMPTS.en;
+  const values = {
+    location: snapshot.location,
+    time: snapshot.time,
+    snapshot: JSON.stringify(snapshot)
+  };
+  const fill = text => text.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+
+  return { system: fill(template.system), prompt: fill(template.user) };
+}
@@ -0,0 +1,135 @@
+import fs from 'fs/promises';
+import { getConfigDir, getConfigPath } from './paths.js';
+import { t } from './i18n.js';
+
+// Keys that would reach Object.prototype instead of naming a location
+const RESERVED = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Saved Locations Manager
+ * Persists named locations (with coordinates) next to template-config.json
+ */
+export class LocationStore {
+  constructor() {
+    this.configDir = getConfigDir();
+    this.locationsFile = getConfigPath('locations.json');
+
+    this.defaultData = {
+      default: 'bucuresti',
+      locations: {
+        bucuresti: {
+          name: 'București',
+          city: 'Bucharest',
+          country: 'RO',
+          lat: 44.4268,
+          lon: 26.1025
+        }
+      }
+    };
+
+    this.data = structuredClone(this.defaultData);
+  }
+
+  async init() {
+    try {
+      await fs.mkdir(this.configDir, { recursive: true });
+      await this.load();
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize locations:', error.message);
+      return false;
+    }
+  }
+
+  async load() {
+    try {
+      const content = await fs.readFile(this.locationsFile, 'utf8');
+      this.data = { ...structuredClone(this.defaultData), ...JSON.parse(content) };
+    } catch (error) {
+      // No saved locations yet
+      this.data = structuredClone(this.defaultData);
+    }
+    return this.data;
+  }
+
+  async save() {
+    await fs.writeFile(this.locationsFile, JSON.stringify(this.data, null, 2), 'utf8');
+    return true;
+  }
+
+  list() {
+    return Object.entries(this.data.locations).map(([key, location]) => ({
+      key,
+      ...location,
+      isDefault: key === this.data.default
+    }));
+  }
+
+  // Own keys only: "constructor" or "__proto__" are names nobody saved
+  get(name) {
+    const key = LocationStore.toKey(name);
+    return Object.hasOwn(this.data.locations, key) ? { key, ...this.data.locations[key] } : null;
+  }
+
+  getDefault() {
+    return this.data.default ? this.get(this.data.default) : null;
+  }
+
+  async add(location) {
+    const lat = Number(location.lat);
+    const lon = Number(location.lon);
+
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+      throw new Error(t('locations.errors.invalidCoordinates', { name: location.name }));
+    }
+
+    const key = LocationStore.toKey(location.name);
+    if (RESERVED.includes(key)) {
+      throw new Error(t('locations.errors.reservedName', { name: location.name }));
+    }
+
+    this.data.locations[key] = {
+      name: location.name,
+      city: location.city || location.name,
+      country: (location.country || 'RO').toUpperCase(),
+      ...(location.county ? { county: location.county } : {}),
+      lat,
+      lon
+    };
+
+    await this.save();
+    return { key, ...this.data.locations[key] };
+  }
+
+  async remove(name) {
+    const key = LocationStore.toKey(name);
+    if (!Object.hasOwn(this.data.locations, key)) return false;
+
+    delete this.data.locations[key];
+    if (this.data.default === key) {
+      this.data.default = null;
+    }
+
+    await this.save();
+    return true;
+  }
+
+  async setDefault(name) {
+    const key = LocationStore.toKey(name);
+    if (!Object.hasOwn(this.data.locations, key)) return false;
+
+    this.data.default = key;
+    await this.save();
+    return true;
+  }
+
+  // "Cluj-Napoca" / "cluj napoca" / "Cluj Napoca" all map to "cluj-napoca"
+  static toKey(name) {
+    return String(name)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .trim()
+      .replace(/\s+/g, '-');
+  }
+}
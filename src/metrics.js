@@ -0,0 +1,145 @@
+import { t } from './i18n.js';
+import { units } from './units.js';
+
+// Derived comfort indices added to every current observation and forecast slot (labels: metrics.*)
+const METRICS = {
+  dew_point: { quantity: 'temperature' },
+  heat_index: { quantity: 'temperature' },
+  wind_chill: { quantity: 'temperature' },
+  humidex: { quantity: 'temperature' },
+  apparent_temp: { quantity: 'temperature' },
+  wbgt: { quantity: 'temperature' }
+};
+
+// Daily aggregates written on forecast days: field -> [metric, reducer]
+const DAILY = {
+  heat_index_max: ['heat_index', 'max'],
+  wind_chill_min: ['wind_chill', 'min'],
+  humidex_max: ['humidex', 'max'],
+  apparent_temp_min: ['apparent_temp', 'min'],
+  apparent_temp_max: ['apparent_temp', 'max'],
+  wbgt_max: ['wbgt', 'max']
+};
+
+/**
+ * Weather Metrics v1.0
+ * Comfort indices from temperature, relative humidity and wind, always computed in °C and m/s
+ * (imperial data is converted on the way in and out):
+ * - heat index: NWS Rothfusz regression, only from 26.7°C (80°F) up
+ * - wind chill: Environment Canada / NWS formula, only at or below 10°C with wind over 4.8 km/h
+ * - humidex: Environment Canada, from the dew point, only from 20°C up
+ * - apparent temperature: Australian BoM (Steadman), without solar radiation
+ * - WBGT: BoM shade approximation (0.567·T + 0.393·e + 3.94), no globe thermometer needed
+ * Indices that do not apply are null, not a copy of the air temperature.
+ */
+export class WeatherMetrics {
+  static getMetrics() {
+    return Object.keys(METRICS);
+  }
+
+  static getMetricInfo(metric) {
+    return METRICS[metric] ? { ...METRICS[metric], unit: units.symbol(METRICS[metric].quantity), label: t(`metrics.${metric}`) } : null;
+  }
+
+  // Magnus formula (Alduchov & Eskridge coefficients)
+  static dewPoint(temp, humidity) {
+    if (!(humidity > 0)) return null;
+    const gamma = Math.log(humidity / 100) + (17.625 * temp) / (243.04 + temp);
+    return (243.04 * gamma) / (17.625 - gamma);
+  }
+
+  static heatIndex(temp, humidity) {
+    if (temp < 26.7) return null;
+
+    const t = temp * 9 / 5 + 32;
+    const rh = humidity;
+    let hi = -42.379 + 2.04901523 * t + 10.14333127 * rh - 0.22475541 * t * rh
+      - 0.00683783 * t * t - 0.05481717 * rh * rh + 0.00122874 * t * t * rh
+      + 0.00085282 * t * rh * rh - 0.00000199 * t * t * rh * rh;
+
+    // NWS adjustments for dry heat and for very humid air around 80-87°F
+    if (rh < 13 && t >= 80 && t <= 112) {
+      hi -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+    } else if (rh > 85 && t >= 80 && t <= 87) {
+      hi += ((rh - 85) / 10) * ((87 - t) / 5);
+    }
+
+    return (hi - 32) * 5 / 9;
+  }
+
+  static windChill(temp, windSpeed) {
+    const kmh = windSpeed * 3.6;
+    if (temp > 10 || kmh <= 4.8) return null;
+
+    const v = Math.pow(kmh, 0.16);
+    return 13.12 + 0.6215 * temp - 11.37 * v + 0.3965 * temp * v;
+  }
+
+  static humidex(temp, dewPoint) {
+    if (temp < 20 || dewPoint == null) return null;
+    const e = 6.11 * Math.exp(5417.753 * (1 / 273.16 - 1 / (273.15 + dewPoint)));
+    return temp + 0.5555 * (e - 10);
+  }
+
+  static apparentTemperature(temp, humidity, windSpeed) {
+    return temp + 0.33 * WeatherMetrics.vaporPressure(temp, humidity) - 0.7 * windSpeed - 4;
+  }
+
+  static wbgt(temp, humidity) {
+    return 0.567 * temp + 0.393 * WeatherMetrics.vaporPressure(temp, humidity) + 3.94;
+  }
+
+  // Water vapour pressure in hPa
+  static vaporPressure(temp, humidity) {
+    return (humidity / 100) * 6.105 * Math.exp((17.27 * temp) / (237.7 + temp));
+  }
+
+  /**
+   * Every index for one observation or forecast slot ({ temp, humidity, wind_speed, dew_point? }),
+   * rounded like the temperatures they sit next to. The provider's dew point is kept when it has one.
+   */
+  static compute(item, units = 'metric') {
+    if (typeof item?.temp !== 'number' || typeof item.humidity !== 'number') {
+      return Object.fromEntries(WeatherMetrics.getMetrics().map(metric => [metric, item?.[metric] ?? null]));
+    }
+
+    const imperial = units === 'imperial';
+    const toC = value => (imperial ? (value - 32) * 5 / 9 : value);
+    const fromC = value => (value == null ? null : Math.round(imperial ? value * 9 / 5 + 32 : value));
+
+    const temp = toC(item.temp);
+    const humidity = item.humidity;
+    const windSpeed = (item.wind_speed || 0) * (imperial ? 0.44704 : 1); // mph -> m/s
+    const dewPoint = item.dew_point != null ? toC(item.dew_point) : WeatherMetrics.dewPoint(temp, humidity);
+
+    return {
+      dew_point: item.dew_point ?? fromC(dewPoint),
+      heat_index: fromC(WeatherMetrics.heatIndex(temp, humidity)),
+      wind_chill: fromC(WeatherMetrics.windChill(temp, windSpeed)),
+      humidex: fromC(WeatherMetrics.humidex(temp, dewPoint)),
+      apparent_temp: fromC(WeatherMetrics.apparentTemperature(temp, humidity, windSpeed)),
+      wbgt: fromC(WeatherMetrics.wbgt(temp, humidity))
+    };
+  }
+
+  // Indices on every hourly slot plus their daily extremes (heat_index_max, wind_chill_min, ...)
+  static enrichForecast(forecast, units = 'metric') {
+    if (!Array.isArray(forecast)) return forecast;
+
+    return forecast.map(day => {
+      const hourly = (day.hourly || []).map(slot => ({ ...slot, ...WeatherMetrics.compute(slot, units) }));
+      // Providers without slots only give daily values: the extremes come from the warmest and coldest hour
+      const samples = hourly.length ? hourly : [
+        WeatherMetrics.compute({ temp: day.temp_max, humidity: day.humidity_avg, wind_speed: day.wind_speed_avg }, units),
+        WeatherMetrics.compute({ temp: day.temp_min, humidity: day.humidity_avg, wind_speed: day.wind_speed_max }, units)
+      ];
+
+      const daily = Object.fromEntries(Object.entries(DAILY).map(([field, [metric, reducer]]) => {
+        const values = samples.map(sample => sample[metric]).filter(value => value != null);
+        return [field, values.length ? Math[reducer](...values) : null];
+      }));
+
+      return { ...day, ...daily, ...(day.hourly ? { hourly } : {}) };
+    });
+  }
+}
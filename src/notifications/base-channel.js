@@ -0,0 +1,38 @@
+import { i18n, t } from '../i18n.js';
+
+/**
+ * Base Notification Channel
+ * A channel delivers { title, message, level, rule, value, timestamp } somewhere.
+ * Every channel reads its settings from options first, then the environment.
+ */
+export class BaseChannel {
+  constructor(options = {}) {
+    this.name = 'base';
+    this.displayName = 'Base';
+  }
+
+  // Missing settings, in the words shown by `bw alerts channels`; [] when ready to send
+  getMissingSettings() {
+    return [];
+  }
+
+  isConfigured() {
+    return this.getMissingSettings().length === 0;
+  }
+
+  async send(notification) {
+    throw new Error(t('notifications.errors.notImplemented', { channel: this.displayName }));
+  }
+
+  assertConfigured() {
+    const missing = this.getMissingSettings();
+    if (missing.length > 0) {
+      throw new Error(t('notifications.errors.notConfigured', { channel: this.displayName, missing: missing.join(', ') }));
+    }
+  }
+
+  // Plain-text body shared by the text-based channels
+  formatText(notification) {
+    return `${notification.title}\n${notification.message}\n${i18n.formatDate(notification.timestamp)}`;
+  }
+}
@@ -0,0 +1,57 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { BaseChannel } from './base-channel.js';
+
+const run = promisify(execFile);
+
+/**
+ * Desktop Notification Channel
+ * notify-send (Linux), osascript (macOS) or a toast via PowerShell (Windows).
+ * DESKTOP_NOTIFY_COMMAND replaces them with any program called as `<command> <title> <message>`.
+ */
+export class DesktopChannel extends BaseChannel {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'desktop';
+    this.displayName = 'Desktop';
+    this.command = options.command || process.env.DESKTOP_NOTIFY_COMMAND || null;
+    this.platform = options.platform || process.platform;
+  }
+
+  getMissingSettings() {
+    return this.command || ['linux', 'darwin', 'win32'].includes(this.platform)
+      ? []
+      : ['DESKTOP_NOTIFY_COMMAND'];
+  }
+
+  async send(notification) {
+    this.assertConfigured();
+    const [command, args] = this.getInvocation(notification.title, notification.message);
+    await run(command, args, { timeout: 10000 });
+  }
+
+  getInvocation(title, message) {
+    if (this.command) {
+      return [this.command, [title, message]];
+    }
+
+    switch (this.platform) {
+      case 'darwin':
+        return ['osascript', ['-e', `display notification ${JSON.stringify(message)} with title ${JSON.stringify(title)}`]];
+      case 'win32': {
+        const script = [
+          '[reflection.assembly]::loadwithpartialname("System.Windows.Forms") | Out-Null;',
+          '$n = New-Object System.Windows.Forms.NotifyIcon; $n.Icon = [System.Drawing.SystemIcons]::Information;',
+          `$n.Visible = $true; $n.ShowBalloonTip(10000, ${this.quotePowerShell(title)}, ${this.quotePowerShell(message)}, 'Info'); Start-Sleep 1`
+        ].join(' ');
+        return ['powershell.exe', ['-NoProfile', '-Command', script]];
+      }
+      default:
+        return ['notify-send', ['--app-name=Bucharest Weather', title, message]];
+    }
+  }
+
+  quotePowerShell(text) {
+    return `'${text.replace(/'/g, "''")}'`;
+  }
+}
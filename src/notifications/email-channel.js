@@ -0,0 +1,53 @@
+import nodemailer from 'nodemailer';
+import { BaseChannel } from './base-channel.js';
+
+/**
+ * Email Channel
+ * Plain SMTP via nodemailer: SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS,
+ * ALERT_EMAIL_FROM and ALERT_EMAIL_TO (comma-separated)
+ */
+export class EmailChannel extends BaseChannel {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'email';
+    this.displayName = 'Email';
+    this.host = options.host || process.env.SMTP_HOST;
+    this.port = parseInt(options.port || process.env.SMTP_PORT) || 587;
+    this.secure = options.secure ?? process.env.SMTP_SECURE === 'true';
+    this.user = options.user || process.env.SMTP_USER;
+    this.pass = options.pass || process.env.SMTP_PASS;
+    this.from = options.from || process.env.ALERT_EMAIL_FROM || 'bucharest-weather@localhost';
+    this.to = options.to || process.env.ALERT_EMAIL_TO;
+    this.transport = options.transport || null;
+  }
+
+  getMissingSettings() {
+    return [
+      ...(this.host ? [] : ['SMTP_HOST']),
+      ...(this.to ? [] : ['ALERT_EMAIL_TO'])
+    ];
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      this.transport = nodemailer.createTransport({
+        host: this.host,
+        port: this.port,
+        secure: this.secure,
+        auth: this.user ? { user: this.user, pass: this.pass } : undefined,
+        connectionTimeout: 10000
+      });
+    }
+    return this.transport;
+  }
+
+  async send(notification) {
+    this.assertConfigured();
+    await this.getTransport().sendMail({
+      from: this.from,
+      to: this.to,
+      subject: notification.title,
+      text: this.formatText(notification)
+    });
+  }
+}
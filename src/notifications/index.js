@@ -0,0 +1,33 @@
+import { DesktopChannel } from './desktop-channel.js';
+import { EmailChannel } from './email-channel.js';
+import { TelegramChannel } from './telegram-channel.js';
+import { WebhookChannel } from './webhook-channel.js';
+import { t } from '../i18n.js';
+
+/**
+ * Notification channel registry
+ * Alert rules name the channels they fire on; settings come from the environment
+ */
+const CHANNELS = {
+  desktop: DesktopChannel,
+  email: EmailChannel,
+  telegram: TelegramChannel,
+  webhook: WebhookChannel
+};
+
+export function createChannel(name, options = {}) {
+  const Channel = CHANNELS[name];
+
+  if (!Channel) {
+    throw new Error(t('notifications.errors.unknownChannel', { name, available: Object.keys(CHANNELS).join(', ') }));
+  }
+
+  return new Channel(options);
+}
+
+export function getAvailableChannels() {
+  return Object.keys(CHANNELS);
+}
+
+export { BaseChannel } from './base-channel.js';
+export { DesktopChannel, EmailChannel, TelegramChannel, WebhookChannel };
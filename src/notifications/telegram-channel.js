@@ -0,0 +1,34 @@
+import TelegramBot from 'node-telegram-bot-api';
+import { BaseChannel } from './base-channel.js';
+
+/**
+ * Telegram Channel
+ * Sends through a bot: TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_ID.
+ * TELEGRAM_API_URL points the bot at another Bot API server (self-hosted or a local stand-in).
+ */
+export class TelegramChannel extends BaseChannel {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'telegram';
+    this.displayName = 'Telegram';
+    this.token = options.token || process.env.TELEGRAM_BOT_TOKEN;
+    this.chatId = options.chatId || process.env.TELEGRAM_CHAT_ID;
+    this.baseApiUrl = options.baseApiUrl || process.env.TELEGRAM_API_URL || undefined;
+    this.bot = null;
+  }
+
+  getMissingSettings() {
+    return [
+      ...(this.token ? [] : ['TELEGRAM_BOT_TOKEN']),
+      ...(this.chatId ? [] : ['TELEGRAM_CHAT_ID'])
+    ];
+  }
+
+  async send(notification) {
+    this.assertConfigured();
+    if (!this.bot) {
+      this.bot = new TelegramBot(this.token, { polling: false, baseApiUrl: this.baseApiUrl });
+    }
+    await this.bot.sendMessage(this.chatId, this.formatText(notification), { disable_web_page_preview: true });
+  }
+}
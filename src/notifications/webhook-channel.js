@@ -0,0 +1,32 @@
+import axios from 'axios';
+import { BaseChannel } from './base-channel.js';
+
+/**
+ * Webhook Channel
+ * POSTs the notification as JSON to ALERT_WEBHOOK_URL (Slack/Discord bridges, n8n, Home Assistant...)
+ */
+export class WebhookChannel extends BaseChannel {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'webhook';
+    this.displayName = 'Webhook';
+    this.url = options.url || process.env.ALERT_WEBHOOK_URL;
+    this.http = options.http || axios;
+    this.timeout = options.timeout || 10000;
+  }
+
+  getMissingSettings() {
+    return this.url ? [] : ['ALERT_WEBHOOK_URL'];
+  }
+
+  async send(notification) {
+    this.assertConfigured();
+    await this.http.post(this.url, {
+      ...notification,
+      text: this.formatText(notification) // what chat webhooks display
+    }, {
+      timeout: this.timeout,
+      headers: { 'User-Agent': 'BucharestWeatherCLI/3.0.0' }
+    });
+  }
+}
@@ -0,0 +1,15 @@
+import path from 'path';
+import os from 'os';
+
+/**
+ * Shared filesystem locations
+ * Everything persistent lives under ~/.bucharest-weather-cli
+ * (override with BUCHAREST_WEATHER_HOME, e.g. for tests)
+ */
+export function getConfigDir() {
+  return process.env.BUCHAREST_WEATHER_HOME || path.join(os.homedir(), '.bucharest-weather-cli');
+}
+
+export function getConfigPath(...segments) {
+  return path.join(getConfigDir(), ...segments);
+}
@@ -0,0 +1,150 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getConfigPath } from './paths.js';
+import { t } from './i18n.js';
+import { units } from './units.js';
+
+// Labels come from the catalog: profile.commute.*, profile.sensitivities.*, profile.activities.*
+const COMMUTE_MODES = ['car', 'transit', 'walk', 'bike', 'scooter'];
+
+const SENSITIVITIES = ['pollen', 'cold', 'heat', 'pollution'];
+
+const ACTIVITIES = ['running', 'cycling', 'dog', 'walking'];
+
+// Clothing advice is written for someone comfortable at this temperature
+export const DEFAULT_COMFORT_TEMP = 21;
+
+/**
+ * User Profile v1.0
+ * Commute mode, sensitivities, preferred activities and comfort temperature
+ * (~/.bucharest-weather-cli/profile.json). The insight rules read it as `profile.*`
+ * and the built-in alerts tighten their thresholds for the user's sensitivities.
+ * An empty profile gives everyone the same advice, as before.
+ */
+export class UserProfile {
+  constructor(options = {}) {
+    this.file = options.file || getConfigPath('profile.json');
+    this.data = UserProfile.getDefaults();
+    this.exists = false;
+    this.error = null; // why profile.json was ignored, shown by `bw profile`
+    this.loaded = false;
+  }
+
+  static getDefaults() {
+    return { commute: null, sensitivities: [], activities: [], comfortTemp: DEFAULT_COMFORT_TEMP };
+  }
+
+  static getCommuteModes() {
+    return UserProfile.getLabels('commute', COMMUTE_MODES);
+  }
+
+  static getSensitivities() {
+    return UserProfile.getLabels('sensitivities', SENSITIVITIES);
+  }
+
+  static getActivities() {
+    return UserProfile.getLabels('activities', ACTIVITIES);
+  }
+
+  // { car: '🚗 Mașină', ... } in the current language
+  static getLabels(group, keys) {
+    return Object.fromEntries(keys.map(key => [key, t(`profile.${group}.${key}`)]));
+  }
+
+  // A missing or broken profile leaves the advice generic; the reason is kept in `error`
+  async load() {
+    this.data = UserProfile.getDefaults();
+    this.exists = false;
+    this.error = null;
+
+    let content = null;
+    try {
+      content = await fs.readFile(this.file, 'utf8');
+    } catch (error) {
+      // No profile yet
+    }
+
+    if (content !== null) {
+      try {
+        this.data = UserProfile.validate({ ...UserProfile.getDefaults(), ...JSON.parse(content) });
+        this.exists = true;
+      } catch (error) {
+        this.error = `${this.file}: ${error.message}`;
+      }
+    }
+
+    this.loaded = true;
+    return this.data;
+  }
+
+  async ensureLoaded() {
+    if (!this.loaded) await this.load();
+  }
+
+  async save() {
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.writeFile(this.file, JSON.stringify(this.data, null, 2), 'utf8');
+    this.exists = true;
+    return this.data;
+  }
+
+  // Only the given fields change; lists may come as "heat,pollution" and "none" clears them
+  async update(values) {
+    await this.ensureLoaded();
+    const list = value => (Array.isArray(value) ? value : String(value).split(','))
+      .map(item => item.trim())
+      .filter(item => item && item !== 'none');
+
+    const next = { ...this.data };
+    if (values.commute !== undefined) next.commute = values.commute === 'none' ? null : values.commute;
+    if (values.sensitivities !== undefined) next.sensitivities = list(values.sensitivities);
+    if (values.activities !== undefined) next.activities = list(values.activities);
+    if (values.comfortTemp !== undefined) next.comfortTemp = Number(values.comfortTemp);
+
+    this.data = UserProfile.validate(next);
+    return this.save();
+  }
+
+  async reset() {
+    await fs.rm(this.file, { force: true });
+    this.data = UserProfile.getDefaults();
+    this.exists = false;
+    this.error = null;
+    return this.data;
+  }
+
+  static validate(data) {
+    if (data.commute !== null && !COMMUTE_MODES.includes(data.commute)) {
+      throw new Error(t('profile.errors.unknownCommute', { value: data.commute, available: COMMUTE_MODES.join(', ') }));
+    }
+    if (!Array.isArray(data.sensitivities) || !Array.isArray(data.activities)) {
+      throw new Error(t('profile.errors.notLists'));
+    }
+    const unknownSensitivity = data.sensitivities.find(item => !SENSITIVITIES.includes(item));
+    if (unknownSensitivity) {
+      throw new Error(t('profile.errors.unknownSensitivity', { value: unknownSensitivity, available: SENSITIVITIES.join(', ') }));
+    }
+    const unknownActivity = data.activities.find(item => !ACTIVITIES.includes(item));
+    if (unknownActivity) {
+      throw new Error(t('profile.errors.unknownActivity', { value: unknownActivity, available: ACTIVITIES.join(', ') }));
+    }
+    if (!Number.isFinite(data.comfortTemp) || data.comfortTemp < 10 || data.comfortTemp > 30) {
+      throw new Error(t('profile.errors.comfortTemp', { min: units.format('temperature', 10), max: units.format('temperature', 30) }));
+    }
+    return { ...data, sensitivities: [...new Set(data.sensitivities)], activities: [...new Set(data.activities)] };
+  }
+
+  isSensitive(sensitivity) {
+    return this.data.sensitivities.includes(sensitivity);
+  }
+
+  // What rule conditions read as `profile.*`: { commute, sensitive: { heat: true, ... }, activities, comfort_temp }
+  toContext() {
+    return {
+      commute: this.data.commute,
+      sensitive: Object.fromEntries(SENSITIVITIES.map(item => [item, this.isSensitive(item)])),
+      activities: [...this.data.activities],
+      comfort_temp: this.data.comfortTemp
+    };
+  }
+}
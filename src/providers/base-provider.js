@@ -0,0 +1,264 @@
+import moment from 'moment';
+import { i18n, t } from '../i18n.js';
+
+// Meteoalarm / MET Norway awareness scale ("2; yellow; Moderate", "1; Wind") mapped to ANM terms
+const AWARENESS_CODES = { 2: 'galben', 3: 'portocaliu', 4: 'rosu' };
+const AWARENESS_PHENOMENA = {
+  1: 'vant', 2: 'ninsori', 3: 'ploi', 5: 'canicula', 6: 'ger', 10: 'ploi', 12: 'ploi', 13: 'ploi'
+};
+
+/**
+ * Base Weather Provider
+ * Shared helpers for providers that emit the normalized current/forecast/air/UV shapes
+ */
+export class BaseProvider {
+  constructor(options = {}) {
+    this.name = 'base';
+    this.displayName = 'Base';
+    this.http = options.http;
+    this.language = options.language || 'ro';
+    this.units = options.units || 'metric';
+    this.rateLimit = null; // { perMinute, perDay } for APIs with a request budget
+  }
+
+  async getCurrent(location) {
+    throw new Error(t('providers.errors.currentUnsupported', { provider: this.displayName }));
+  }
+
+  async getForecast(location, days = 5) {
+    throw new Error(t('providers.errors.forecastUnsupported', { provider: this.displayName }));
+  }
+
+  // Name -> { name, country, lat, lon }; null when the provider has no geocoder
+  async geocode(location) {
+    return null;
+  }
+
+  // Air quality and UV are optional: providers without them return null
+  async getAirQuality(location) {
+    return null;
+  }
+
+  async getUVIndex(location) {
+    return null;
+  }
+
+  // Official warnings in the shape of buildAlert(); [] when the provider publishes none
+  async getAlerts(location) {
+    return [];
+  }
+
+  /**
+   * Groups forecast slots into the daily aggregates consumed by the templates.
+   * Each slot: { dt (ms), temp, feels_like, description, icon, humidity, wind_speed, precipitation }
+   * plus, when the provider has them, pop (0-1), dew_point, clouds (%), uvi, wind_gust and snow (mm, part of precipitation).
+   * Missing optional fields aggregate to null instead of a made-up zero.
+   */
+  aggregateDaily(slots, days) {
+    const dailyData = {};
+
+    slots.forEach(slot => {
+      const date = moment(slot.dt).format('YYYY-MM-DD');
+
+      if (!dailyData[date]) {
+        dailyData[date] = {
+          temps: [],
+          feels_like: [],
+          descriptions: [],
+          humidity: [],
+          wind_speeds: [],
+          precipitation: [],
+          pop: [],
+          dew_points: [],
+          clouds: [],
+          uvi: [],
+          gusts: [],
+          snow: [],
+          noon: moment(slot.dt).hours(12).startOf('hour'),
+          dayName: moment(slot.dt).format('dddd'),
+          formatted_date: moment(slot.dt).format('DD MMM YYYY'),
+          items: []
+        };
+      }
+
+      const day = dailyData[date];
+      day.temps.push(slot.temp);
+      day.feels_like.push(slot.feels_like);
+      day.descriptions.push(slot.description);
+      day.humidity.push(slot.humidity);
+      day.wind_speeds.push(slot.wind_speed || 0);
+      day.precipitation.push(slot.precipitation || 0);
+      if (slot.pop != null) day.pop.push(slot.pop);
+      if (slot.dew_point != null) day.dew_points.push(slot.dew_point);
+      if (slot.clouds != null) day.clouds.push(slot.clouds);
+      if (slot.uvi != null) day.uvi.push(slot.uvi);
+      if (slot.wind_gust != null) day.gusts.push(slot.wind_gust);
+      if (slot.snow != null) day.snow.push(slot.snow);
+      day.items.push(this.toHourlyItem(slot));
+    });
+
+    return Object.values(dailyData).slice(0, days).map(day => ({
+      dt: day.noon.clone().startOf('day').valueOf(),
+      date: day.formatted_date,
+      dayName: day.dayName,
+      temp_min: Math.round(Math.min(...day.temps)),
+      temp_max: Math.round(Math.max(...day.temps)),
+      temp_avg: Math.round(this.average(day.temps)),
+      feels_like_avg: Math.round(this.average(day.feels_like)),
+      feels_like_min: Math.round(Math.min(...day.feels_like)),
+      feels_like_max: Math.round(Math.max(...day.feels_like)),
+      description: this.getMostFrequent(day.descriptions),
+      humidity_avg: Math.round(this.average(day.humidity)),
+      wind_speed_avg: Math.round(this.average(day.wind_speeds) * 10) / 10,
+      wind_speed_max: Math.round(Math.max(...day.wind_speeds) * 10) / 10,
+      wind_gust_max: day.gusts.length ? Math.round(Math.max(...day.gusts) * 10) / 10 : null,
+      precipitation_total: Math.round(day.precipitation.reduce((a, b) => a + b, 0) * 10) / 10,
+      snow_total: day.snow.length ? Math.round(day.snow.reduce((a, b) => a + b, 0) * 10) / 10 : null,
+      pop: day.pop.length ? Math.round(Math.max(...day.pop) * 100) / 100 : null,
+      dew_point_avg: day.dew_points.length ? Math.round(this.average(day.dew_points)) : null,
+      clouds_avg: day.clouds.length ? Math.round(this.average(day.clouds)) : null,
+      uv_max: day.uvi.length ? Math.round(Math.max(...day.uvi) * 10) / 10 : null,
+      ...this.buildMoonPhase(this.getMoonPhase(day.noon.valueOf())),
+      hourly: day.items
+    }));
+  }
+
+  toHourlyItem(slot) {
+    return {
+      dt: slot.dt,
+      time: moment(slot.dt).format('HH:mm'),
+      temp: Math.round(slot.temp),
+      feels_like: Math.round(slot.feels_like),
+      description: slot.description,
+      icon: slot.icon,
+      humidity: slot.humidity,
+      wind_speed: slot.wind_speed || 0,
+      precipitation: slot.precipitation || 0,
+      pop: slot.pop ?? null,
+      dew_point: slot.dew_point != null ? Math.round(slot.dew_point) : null,
+      clouds: slot.clouds ?? null,
+      uvi: slot.uvi ?? null,
+      wind_gust: slot.wind_gust ?? null,
+      snow: slot.snow ?? null
+    };
+  }
+
+  buildAirQuality(aqi, components = {}) {
+    return {
+      aqi, // Air Quality Index (1-5)
+      aqi_description: this.getAQIDescription(aqi),
+      co: components.co ?? null,
+      no: components.no ?? null,
+      no2: components.no2 ?? null,
+      o3: components.o3 ?? null,
+      so2: components.so2 ?? null,
+      pm2_5: components.pm2_5 ?? null,
+      pm10: components.pm10 ?? null,
+      nh3: components.nh3 ?? null,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  buildUVIndex(value) {
+    return {
+      uv_index: value,
+      uv_description: this.getUVDescription(value),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // severity: minor | moderate | severe | extreme (CAP scale), null when the source has none.
+  // code (galben | portocaliu | rosu), phenomenon and area are filled in when the source states them.
+  buildAlert({ event, sender = null, severity = null, start, end, description = '', area = null, code = null, phenomenon = null }) {
+    return {
+      event,
+      sender,
+      severity: severity ? String(severity).toLowerCase() : null,
+      start: new Date(start).toISOString(),
+      end: end ? new Date(end).toISOString() : null,
+      description: description.trim(),
+      area,
+      code,
+      phenomenon
+    };
+  }
+
+  // "3; orange; Severe" + "1; Wind" -> { code: 'portocaliu', phenomenon: 'vant' }
+  parseAwareness(level, type) {
+    return {
+      code: AWARENESS_CODES[parseInt(level)] || null,
+      phenomenon: AWARENESS_PHENOMENA[parseInt(type)] || null
+    };
+  }
+
+  buildMoonPhase(phase) {
+    return {
+      moon_phase: phase, // 0 new moon, 0.25 first quarter, 0.5 full moon, 0.75 last quarter
+      moon_phase_name: this.getMoonPhaseName(phase),
+      moon_icon: this.getMoonIcon(phase)
+    };
+  }
+
+  // Helper methods
+  formatClockTime(date) {
+    return i18n.formatTime(date);
+  }
+
+  average(values) {
+    return values.reduce((a, b) => a + b, 0) / values.length;
+  }
+
+  // Magnus formula, good to ±0.4°C between -45°C and 60°C
+  getDewPoint(temp, humidity) {
+    if (temp == null || !humidity) return null;
+    const gamma = Math.log(humidity / 100) + (17.62 * temp) / (243.12 + temp);
+    return Math.round((243.12 * gamma) / (17.62 - gamma) * 10) / 10;
+  }
+
+  // Fraction of the synodic month elapsed since a reference new moon (6 Jan 2000, 18:14 UTC)
+  getMoonPhase(timestamp) {
+    const synodicMonth = 29.530588853;
+    const days = (timestamp - Date.UTC(2000, 0, 6, 18, 14)) / 86400000;
+    const phase = ((days / synodicMonth) % 1 + 1) % 1;
+    return Math.round(phase * 100) / 100;
+  }
+
+  getMoonPhaseName(phase) {
+    if (phase < 0.03 || phase > 0.97) return t('moon.new');
+    if (phase < 0.22) return t('moon.waxingCrescent');
+    if (phase < 0.28) return t('moon.firstQuarter');
+    if (phase < 0.47) return t('moon.waxingGibbous');
+    if (phase < 0.53) return t('moon.full');
+    if (phase < 0.72) return t('moon.waningGibbous');
+    if (phase < 0.78) return t('moon.lastQuarter');
+    return t('moon.waningCrescent');
+  }
+
+  getMoonIcon(phase) {
+    const icons = ['🌑', '🌒', '🌓', '🌔', '🌕', '🌖', '🌗', '🌘'];
+    return icons[Math.round(phase * 8) % 8];
+  }
+
+  getWindDirection(degrees) {
+    const directions = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+    return directions[Math.round(degrees / 22.5) % 16];
+  }
+
+  getMostFrequent(arr) {
+    return arr.sort((a, b) =>
+      arr.filter(v => v === a).length - arr.filter(v => v === b).length
+    ).pop();
+  }
+
+  getAQIDescription(aqi) {
+    return [1, 2, 3, 4, 5].includes(aqi) ? t(`air.levels.${aqi}`) : t('air.unknown');
+  }
+
+  getUVDescription(uv) {
+    if (uv <= 2) return t('uv.low');
+    if (uv <= 5) return t('uv.moderate');
+    if (uv <= 7) return t('uv.high');
+    if (uv <= 10) return t('uv.veryHigh');
+    return t('uv.extreme');
+  }
+}
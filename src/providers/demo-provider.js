@@ -0,0 +1,223 @@
+import moment from 'moment';
+import { BaseProvider } from './base-provider.js';
+import { fromWmoCode } from './weather-codes.js';
+import { SeededRandom } from '../seeded-random.js';
+import { t } from '../i18n.js';
+
+// Named demo scenarios; values describe the afternoon peak of the first day.
+// `codes` are WMO codes for the current and wet slots, `dryCodes` for the rest;
+// `alert` is the official warning in force for the first two days.
+// Labels and warning texts are the `demo.*` messages of the active locale
+const SCENARIOS = {
+  heatwave: {
+    temp: 38, amplitude: 12, trend: 0.5,
+    humidity: 25, pressure: 1008, wind: 2.5, windDeg: 160, gust: 5,
+    cloudiness: 5, visibility: 10,
+    codes: [0], dryCodes: [0, 1], precipitation: 0, precipitationChance: 0,
+    sunrise: '05:52', sunset: '20:54',
+    aqi: 3, pollution: { co: 320, no2: 38, o3: 168, so2: 6, pm2_5: 24, pm10: 42, nh3: 4 },
+    uv: 10,
+    alert: { severity: 'severe' }
+  },
+  blizzard: {
+    temp: -7, amplitude: 3, trend: -1,
+    humidity: 92, pressure: 992, wind: 17, windDeg: 30, gust: 26,
+    cloudiness: 100, visibility: 0.3,
+    codes: [75, 86], dryCodes: [3, 71], precipitation: 4, precipitationChance: 0.9,
+    sunrise: '07:48', sunset: '16:52',
+    aqi: 1, pollution: { co: 210, no2: 12, o3: 55, so2: 3, pm2_5: 6, pm10: 10, nh3: 1 },
+    uv: 0.5,
+    alert: { severity: 'extreme' }
+  },
+  smog: {
+    temp: 4, amplitude: 4, trend: 0,
+    humidity: 93, pressure: 1032, wind: 0.6, windDeg: 90, gust: 1.5,
+    cloudiness: 90, visibility: 0.8,
+    codes: [45], dryCodes: [45, 3], precipitation: 0, precipitationChance: 0,
+    sunrise: '07:35', sunset: '16:45',
+    aqi: 5, pollution: { co: 1650, no: 48, no2: 96, o3: 18, so2: 24, pm2_5: 88, pm10: 132, nh3: 9 },
+    uv: 1,
+    alert: null
+  },
+  thunderstorm: {
+    temp: 27, amplitude: 8, trend: -2,
+    humidity: 78, pressure: 1003, wind: 13, windDeg: 290, gust: 24,
+    cloudiness: 85, visibility: 4,
+    codes: [95, 81, 96], dryCodes: [2, 3], precipitation: 12, precipitationChance: 0.6,
+    sunrise: '05:40', sunset: '20:58',
+    aqi: 2, pollution: { co: 260, no2: 20, o3: 90, so2: 4, pm2_5: 12, pm10: 20, nh3: 2 },
+    uv: 4,
+    alert: { severity: 'moderate' }
+  },
+  'calm-spring': {
+    temp: 19, amplitude: 10, trend: 0.5,
+    humidity: 55, pressure: 1018, wind: 2.8, windDeg: 200, gust: 5,
+    cloudiness: 20, visibility: 10,
+    codes: [1], dryCodes: [0, 1, 2], precipitation: 0, precipitationChance: 0,
+    sunrise: '06:25', sunset: '20:05',
+    aqi: 1, pollution: { co: 230, no2: 15, o3: 70, so2: 3, pm2_5: 7, pm10: 14, nh3: 2 },
+    uv: 5,
+    alert: null
+  }
+};
+
+/**
+ * Demo Provider
+ * Seeded, offline weather scenarios for docs, screenshots and snapshot tests.
+ * The same scenario, seed and reference date always produce the same data.
+ */
+export class DemoProvider extends BaseProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'demo';
+    this.displayName = 'Demo';
+    this.cacheable = false; // never mix invented numbers into the persistent cache
+    this.scenarioName = options.scenario || process.env.WEATHER_DEMO_SCENARIO || 'calm-spring';
+    this.seed = options.seed ?? 1;
+    this.referenceDate = moment(options.referenceDate || undefined);
+
+    this.scenario = SCENARIOS[this.scenarioName];
+    if (!this.scenario) {
+      throw new Error(t('demo.errors.unknownScenario', { name: this.scenarioName, available: DemoProvider.getScenarios().join(', ') }));
+    }
+  }
+
+  static getScenarios() {
+    return Object.keys(SCENARIOS);
+  }
+
+  static getScenarioLabel(name) {
+    return SCENARIOS[name] ? t(`demo.scenarios.${name}.label`) : name;
+  }
+
+  // Each endpoint gets its own stream so call order never changes the output
+  random(stream) {
+    return new SeededRandom(`${this.seed}:${this.scenarioName}:${stream}`);
+  }
+
+  async getCurrent(location) {
+    const s = this.scenario;
+    const random = this.random('current');
+    const condition = fromWmoCode(s.codes[0], true);
+    const temp = Math.round(s.temp + random.between(-1, 1));
+    const windSpeed = Math.round((s.wind + random.between(-0.5, 0.5)) * 10) / 10;
+    const precipitation = s.precipitationChance > 0 ? Math.round(s.precipitation * random.between(0.8, 1.2) * 10) / 10 : 0;
+
+    return {
+      temp,
+      feels_like: this.getFeelsLike(temp, windSpeed, s.humidity),
+      temp_min: Math.round(s.temp - s.amplitude),
+      temp_max: Math.round(s.temp + 1),
+      description: condition.description,
+      main: condition.main,
+      icon: condition.icon,
+
+      humidity: s.humidity,
+      pressure: s.pressure,
+      sea_level: s.pressure,
+      grnd_level: s.pressure - 9,
+
+      wind_speed: Math.max(0, windSpeed),
+      wind_deg: s.windDeg,
+      wind_gust: s.gust,
+      wind_direction: this.getWindDirection(s.windDeg),
+
+      visibility: s.visibility, // km
+      cloudiness: s.cloudiness,
+
+      sunrise: s.sunrise,
+      sunset: s.sunset,
+
+      rain_1h: condition.main === 'Snow' ? 0 : precipitation,
+      rain_3h: 0,
+      snow_1h: condition.main === 'Snow' ? precipitation : 0,
+      snow_3h: 0,
+
+      timestamp: this.referenceDate.toISOString(),
+      timezone: 10800,
+      coord: { lat: location.lat, lon: location.lon },
+      scenario: this.scenarioName
+    };
+  }
+
+  async getForecast(location, days = 5) {
+    const s = this.scenario;
+    const random = this.random('forecast');
+    const start = this.referenceDate.clone().startOf('day');
+    const slots = [];
+
+    for (let i = 0; i < days * 8; i++) {
+      const time = start.clone().add(i * 3, 'hours');
+      const hour = time.hours();
+      const day = Math.floor(i / 8);
+      const diurnal = (1 + Math.cos(((hour - 15) / 24) * 2 * Math.PI)) / 2; // peaks at 15:00
+      const temp = s.temp - s.amplitude + s.amplitude * diurnal + s.trend * day + random.between(-1, 1);
+      const wet = random.next() < s.precipitationChance;
+      const condition = fromWmoCode(random.pick(wet ? s.codes : s.dryCodes), hour >= 6 && hour < 21);
+
+      // Drawn in this order so a seed keeps giving the same values
+      const humidity = Math.round(Math.min(100, s.humidity + random.between(-5, 5)));
+      const windSpeed = Math.round(Math.max(0, s.wind + random.between(-1, 1)) * 10) / 10;
+      const precipitation = wet ? Math.round(s.precipitation * random.between(0.3, 1.2) * 10) / 10 : 0;
+
+      slots.push({
+        dt: time.valueOf(),
+        temp,
+        feels_like: this.getFeelsLike(temp, s.wind, s.humidity),
+        description: condition.description,
+        icon: condition.icon,
+        humidity,
+        wind_speed: windSpeed,
+        precipitation,
+        // Derived without extra draws so the fields above keep their values
+        pop: wet ? s.precipitationChance : Math.round(s.precipitationChance * 50) / 100,
+        dew_point: this.getDewPoint(temp, s.humidity),
+        clouds: wet ? Math.max(s.cloudiness, 80) : s.cloudiness,
+        uvi: hour >= 6 && hour <= 18 ? Math.round(s.uv * Math.sin(((hour - 6) / 12) * Math.PI) * 10) / 10 : 0,
+        wind_gust: Math.max(windSpeed, s.gust),
+        snow: condition.main === 'Snow' ? precipitation : 0
+      });
+    }
+
+    return this.aggregateDaily(slots, days);
+  }
+
+  async getAirQuality(location) {
+    const random = this.random('air');
+    const components = Object.fromEntries(Object.entries(this.scenario.pollution)
+      .map(([key, value]) => [key, Math.round(value * random.between(0.9, 1.1) * 10) / 10]));
+
+    return { ...this.buildAirQuality(this.scenario.aqi, components), timestamp: this.referenceDate.toISOString() };
+  }
+
+  async getUVIndex(location) {
+    return { ...this.buildUVIndex(this.scenario.uv), timestamp: this.referenceDate.toISOString() };
+  }
+
+  async getAlerts(location) {
+    const alert = this.scenario.alert;
+    if (!alert) return [];
+
+    const start = this.referenceDate.clone().startOf('day');
+    return [this.buildAlert({
+      ...alert,
+      event: t(`demo.scenarios.${this.scenarioName}.alert`),
+      description: t(`demo.scenarios.${this.scenarioName}.alertDescription`),
+      sender: 'Demo',
+      start: start.valueOf(),
+      end: start.clone().add(2, 'days').valueOf()
+    })];
+  }
+
+  // Rough apparent temperature: wind chill below 10°C, humidity load above 27°C
+  getFeelsLike(temp, windSpeed, humidity) {
+    if (temp <= 10 && windSpeed > 1.3) {
+      const kmh = windSpeed * 3.6;
+      return Math.round(13.12 + 0.6215 * temp - 11.37 * Math.pow(kmh, 0.16) + 0.3965 * temp * Math.pow(kmh, 0.16));
+    }
+    if (temp >= 27) {
+      return Math.round(temp + (humidity / 100) * (temp - 20) * 0.3);
+    }
+    return Math.round(temp);
+  }
+}
@@ -0,0 +1,66 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { BaseProvider } from './base-provider.js';
+import { t } from '../i18n.js';
+
+/**
+ * File Provider
+ * Serves already-normalized data from a local JSON fixture:
+ * { "current": {...}, "forecast": [...], "airQuality": {...}, "uvIndex": {...}, "alerts": [...] }
+ */
+export class FileProvider extends BaseProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'file';
+    this.displayName = 'Local fixture';
+    this.fixtureFile = options.fixtureFile || process.env.WEATHER_FIXTURE_FILE;
+    this.fixture = null;
+  }
+
+  async loadFixture() {
+    if (this.fixture) return this.fixture;
+
+    if (!this.fixtureFile) {
+      throw new Error(t('providers.errors.fixtureMissing'));
+    }
+
+    try {
+      const content = await fs.readFile(path.resolve(this.fixtureFile), 'utf8');
+      this.fixture = JSON.parse(content);
+      return this.fixture;
+    } catch (error) {
+      throw new Error(t('providers.errors.fixtureInvalid', { file: this.fixtureFile, message: error.message }));
+    }
+  }
+
+  async getCurrent(location) {
+    const { current } = await this.loadFixture();
+    if (!current) {
+      throw new Error(t('providers.errors.fixtureNoCurrent'));
+    }
+    return { ...current, timestamp: current.timestamp || new Date().toISOString() };
+  }
+
+  async getForecast(location, days = 5) {
+    const { forecast } = await this.loadFixture();
+    if (!Array.isArray(forecast)) {
+      throw new Error(t('providers.errors.fixtureNoForecast'));
+    }
+    return forecast.slice(0, days);
+  }
+
+  async getAirQuality(location) {
+    const { airQuality } = await this.loadFixture();
+    return airQuality || null;
+  }
+
+  async getUVIndex(location) {
+    const { uvIndex } = await this.loadFixture();
+    return uvIndex || null;
+  }
+
+  async getAlerts(location) {
+    const { alerts } = await this.loadFixture();
+    return Array.isArray(alerts) ? alerts : [];
+  }
+}
@@ -0,0 +1,36 @@
+import { OpenWeatherMapProvider } from './openweathermap.js';
+import { OpenMeteoProvider } from './open-meteo.js';
+import { MetNorwayProvider } from './met-norway.js';
+import { FileProvider } from './file-provider.js';
+import { DemoProvider } from './demo-provider.js';
+import { t } from '../i18n.js';
+
+/**
+ * Weather provider registry
+ * Every provider emits the same normalized current/forecast/air/UV objects
+ */
+const PROVIDERS = {
+  openweathermap: OpenWeatherMapProvider,
+  'open-meteo': OpenMeteoProvider,
+  metno: MetNorwayProvider,
+  file: FileProvider,
+  demo: DemoProvider
+};
+
+export function createProvider(name, options = {}) {
+  const Provider = PROVIDERS[name];
+
+  if (!Provider) {
+    throw new Error(t('providers.errors.unknownProvider', { name, available: Object.keys(PROVIDERS).join(', ') }));
+  }
+
+  return new Provider(options);
+}
+
+export function getAvailableProviders() {
+  return Object.keys(PROVIDERS);
+}
+
+export { BaseProvider } from './base-provider.js';
+export { MeteoalarmFeed } from './meteoalarm.js';
+export { OpenWeatherMapProvider, OpenMeteoProvider, MetNorwayProvider, FileProvider, DemoProvider };
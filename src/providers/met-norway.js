@@ -0,0 +1,167 @@
+import moment from 'moment';
+import { BaseProvider } from './base-provider.js';
+import { fromMetSymbol } from './weather-codes.js';
+import { t } from '../i18n.js';
+
+/**
+ * MET Norway Provider
+ * Locationforecast 2.0, Sunrise 3.0 and MetAlerts 2.0 from api.met.no (metric only, no air quality)
+ */
+export class MetNorwayProvider extends BaseProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'metno';
+    this.displayName = 'MET Norway';
+    this.baseUrl = options.baseUrl || 'https://api.met.no/weatherapi';
+
+    // api.met.no rejects requests without an identifying User-Agent
+    this.headers = {
+      'User-Agent': 'BucharestWeatherCLI/3.0.0 github.com/Gzeu/bucharest-weather-cli'
+    };
+  }
+
+  async getTimeseries(location) {
+    if (location.lat == null || location.lon == null) {
+      throw new Error(t('providers.errors.metnoCoordinates', { name: location.name }));
+    }
+
+    const response = await this.http.get(`${this.baseUrl}/locationforecast/2.0/complete`, {
+      params: {
+        lat: Number(location.lat).toFixed(4),
+        lon: Number(location.lon).toFixed(4)
+      },
+      headers: this.headers,
+      retry: 0
+    });
+
+    return response.data.properties.timeseries;
+  }
+
+  toSlot(entry) {
+    const details = entry.data.instant.details;
+    const next = entry.data.next_1_hours || entry.data.next_6_hours;
+    const condition = fromMetSymbol(next?.summary?.symbol_code);
+
+    return {
+      dt: new Date(entry.time).getTime(),
+      temp: details.air_temperature,
+      feels_like: details.air_temperature,
+      description: condition.description,
+      main: condition.main,
+      icon: condition.icon,
+      humidity: details.relative_humidity,
+      wind_speed: details.wind_speed || 0,
+      precipitation: next?.details?.precipitation_amount || 0,
+      pop: next?.details?.probability_of_precipitation != null ? next.details.probability_of_precipitation / 100 : null,
+      dew_point: details.dew_point_temperature ?? null,
+      clouds: details.cloud_area_fraction ?? null,
+      uvi: details.ultraviolet_index_clear_sky ?? null,
+      wind_gust: details.wind_speed_of_gust ?? null,
+      snow: condition.main === 'Snow' ? next?.details?.precipitation_amount || 0 : 0
+    };
+  }
+
+  async getCurrent(location) {
+    const timeseries = await this.getTimeseries(location);
+    const details = timeseries[0].data.instant.details;
+    const slot = this.toSlot(timeseries[0]);
+    const [today] = this.aggregateDaily(timeseries.map(entry => this.toSlot(entry)), 1);
+    const sun = await this.getSunTimes(location);
+
+    return {
+      temp: Math.round(slot.temp),
+      feels_like: Math.round(slot.feels_like),
+      temp_min: today.temp_min,
+      temp_max: today.temp_max,
+      description: slot.description,
+      main: slot.main,
+      icon: slot.icon,
+
+      humidity: Math.round(details.relative_humidity),
+      pressure: Math.round(details.air_pressure_at_sea_level),
+      sea_level: Math.round(details.air_pressure_at_sea_level),
+      grnd_level: undefined,
+
+      wind_speed: details.wind_speed || 0,
+      wind_deg: details.wind_from_direction || 0,
+      wind_gust: details.wind_speed_of_gust || 0,
+      wind_direction: this.getWindDirection(details.wind_from_direction || 0),
+
+      // Locationforecast has no visibility; fog fraction is the closest proxy
+      visibility: details.fog_area_fraction > 50 ? 1 : 10, // km
+      cloudiness: Math.round(details.cloud_area_fraction || 0),
+
+      sunrise: sun.sunrise,
+      sunset: sun.sunset,
+
+      rain_1h: slot.main === 'Snow' ? 0 : slot.precipitation,
+      rain_3h: 0,
+      snow_1h: slot.main === 'Snow' ? slot.precipitation : 0,
+      snow_3h: 0,
+
+      timestamp: new Date().toISOString(),
+      timezone: null,
+      coord: { lat: location.lat, lon: location.lon }
+    };
+  }
+
+  async getForecast(location, days = 5) {
+    const timeseries = await this.getTimeseries(location);
+    return this.aggregateDaily(timeseries.map(entry => this.toSlot(entry)), days);
+  }
+
+  async getUVIndex(location) {
+    const timeseries = await this.getTimeseries(location);
+    const uv = timeseries[0].data.instant.details.ultraviolet_index_clear_sky;
+    return uv === undefined ? null : this.buildUVIndex(uv);
+  }
+
+  // MetAlerts only covers Norway and Svalbard; elsewhere the feature list is empty
+  async getAlerts(location) {
+    if (location.lat == null || location.lon == null) return [];
+
+    const response = await this.http.get(`${this.baseUrl}/metalerts/2.0/current.json`, {
+      params: {
+        lat: Number(location.lat).toFixed(4),
+        lon: Number(location.lon).toFixed(4),
+        lang: this.language === 'no' ? 'no' : 'en'
+      },
+      headers: this.headers,
+      retry: 0
+    });
+
+    return (response.data.features || []).map(feature => this.buildAlert({
+      event: feature.properties.title || feature.properties.eventAwarenessName,
+      sender: 'MET Norway',
+      severity: feature.properties.severity,
+      start: feature.when.interval[0],
+      end: feature.when.interval[1],
+      description: [feature.properties.description, feature.properties.instruction].filter(Boolean).join(' '),
+      area: feature.properties.area || null,
+      ...this.parseAwareness(feature.properties.awareness_level, feature.properties.awareness_type)
+    }));
+  }
+
+  async getSunTimes(location) {
+    try {
+      const response = await this.http.get(`${this.baseUrl}/sunrise/3.0/sun`, {
+        params: {
+          lat: Number(location.lat).toFixed(4),
+          lon: Number(location.lon).toFixed(4),
+          date: moment().format('YYYY-MM-DD'),
+          offset: moment().format('Z')
+        },
+        headers: this.headers,
+        retry: 0
+      });
+
+      const properties = response.data.properties;
+      return {
+        sunrise: this.formatClockTime(new Date(properties.sunrise.time)),
+        sunset: this.formatClockTime(new Date(properties.sunset.time))
+      };
+    } catch (error) {
+      return { sunrise: 'N/A', sunset: 'N/A' };
+    }
+  }
+}
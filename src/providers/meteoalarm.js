@@ -0,0 +1,55 @@
+import { BaseProvider } from './base-provider.js';
+
+/**
+ * Meteoalarm Warnings Feed
+ * Official warnings only: ANM publishes its coded warnings for Romania through Meteoalarm
+ * (CAP messages as JSON). Paired with any weather provider via WEATHER_WARNINGS_FEED=meteoalarm;
+ * METEOALARM_URL points it at another country feed or a local stand-in,
+ * METEOALARM_AREA picks the warning area (county) when it differs from the location name.
+ */
+export class MeteoalarmFeed extends BaseProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'meteoalarm';
+    this.displayName = 'Meteoalarm (ANM)';
+    this.url = options.url || process.env.METEOALARM_URL || 'https://feeds.meteoalarm.org/api/v1/warnings/feeds-romania';
+    this.area = options.area || process.env.METEOALARM_AREA || null;
+  }
+
+  // Warnings whose area mentions the location ("Municipiul Bucuresti" for Bucharest)
+  async getAlerts(location) {
+    const response = await this.http.get(this.url, { retry: 0 });
+    const name = this.normalize(this.area || location.name);
+    const target = name === 'bucharest' ? 'bucuresti' : name;
+
+    return (response.data.warnings || []).flatMap(warning => {
+      const infos = warning.alert?.info || [];
+      const info = infos.find(item => item.language?.startsWith(this.language)) || infos[0];
+      if (!info) return [];
+
+      const areas = (info.area || []).map(area => area.areaDesc).filter(Boolean);
+      const area = areas.find(name => this.normalize(name).includes(target));
+      if (!area) return [];
+
+      const parameters = Object.fromEntries((info.parameter || []).map(item => [item.valueName, item.value]));
+      const awareness = this.parseAwareness(parameters.awareness_level, parameters.awareness_type);
+      if (!awareness.code) return []; // green: no warning in force
+
+      return [this.buildAlert({
+        event: info.headline || info.event,
+        sender: info.senderName || warning.alert.sender || 'ANM',
+        severity: info.severity,
+        start: info.onset || info.effective || warning.alert.sent,
+        end: info.expires,
+        description: info.description || '',
+        area,
+        ...awareness
+      })];
+    });
+  }
+
+  // "Municipiul București" and "Municipiul Bucuresti" both match "bucuresti"
+  normalize(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  }
+}
@@ -0,0 +1,193 @@
+import { BaseProvider } from './base-provider.js';
+import { fromWmoCode } from './weather-codes.js';
+import { Units } from '../units.js';
+
+/**
+ * Open-Meteo Provider
+ * Keyless forecast and air-quality APIs from open-meteo.com
+ */
+export class OpenMeteoProvider extends BaseProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'open-meteo';
+    this.displayName = 'Open-Meteo';
+    this.baseUrl = options.baseUrl || 'https://api.open-meteo.com/v1';
+    this.airQualityUrl = options.airQualityUrl || 'https://air-quality-api.open-meteo.com/v1/air-quality';
+    this.geocodingUrl = options.geocodingUrl || 'https://geocoding-api.open-meteo.com/v1/search';
+    this.rateLimit = { perMinute: 600, perDay: 10000 }; // non-commercial terms
+  }
+
+  async geocode(location) {
+    const response = await this.http.get(this.geocodingUrl, {
+      params: {
+        name: location.city || location.name,
+        countryCode: location.country,
+        language: this.language,
+        count: 1
+      },
+      retry: 0
+    });
+
+    const [match] = response.data.results || [];
+    if (!match) return null;
+
+    return {
+      name: match.name,
+      country: match.country_code,
+      lat: match.latitude,
+      lon: match.longitude
+    };
+  }
+
+  getUnitParams() {
+    return this.units === 'imperial'
+      ? { temperature_unit: 'fahrenheit', wind_speed_unit: 'mph', precipitation_unit: 'inch' }
+      : { temperature_unit: 'celsius', wind_speed_unit: 'ms', precipitation_unit: 'mm' };
+  }
+
+  async getCurrent(location) {
+    const response = await this.http.get(`${this.baseUrl}/forecast`, {
+      params: {
+        latitude: location.lat,
+        longitude: location.lon,
+        current: [
+          'temperature_2m', 'relative_humidity_2m', 'apparent_temperature', 'is_day',
+          'rain', 'snowfall', 'weather_code', 'cloud_cover', 'pressure_msl',
+          'surface_pressure', 'wind_speed_10m', 'wind_direction_10m', 'wind_gusts_10m', 'visibility'
+        ].join(','),
+        daily: 'temperature_2m_max,temperature_2m_min,sunrise,sunset',
+        forecast_days: 1,
+        timezone: 'auto',
+        timeformat: 'unixtime',
+        ...this.getUnitParams()
+      },
+      retry: 0
+    });
+
+    const { current, daily } = response.data;
+    const condition = fromWmoCode(current.weather_code, current.is_day === 1);
+
+    return {
+      temp: Math.round(current.temperature_2m),
+      feels_like: Math.round(current.apparent_temperature),
+      temp_min: Math.round(daily.temperature_2m_min[0]),
+      temp_max: Math.round(daily.temperature_2m_max[0]),
+      description: condition.description,
+      main: condition.main,
+      icon: condition.icon,
+
+      humidity: current.relative_humidity_2m,
+      pressure: Math.round(current.pressure_msl),
+      sea_level: Math.round(current.pressure_msl),
+      grnd_level: Math.round(current.surface_pressure),
+
+      wind_speed: current.wind_speed_10m || 0,
+      wind_deg: current.wind_direction_10m || 0,
+      wind_gust: current.wind_gusts_10m || 0,
+      wind_direction: this.getWindDirection(current.wind_direction_10m || 0),
+
+      visibility: current.visibility ? Math.round(current.visibility / 100) / 10 : 10, // km
+      cloudiness: current.cloud_cover || 0,
+
+      sunrise: this.formatClockTime(new Date(daily.sunrise[0] * 1000)),
+      sunset: this.formatClockTime(new Date(daily.sunset[0] * 1000)),
+
+      // Open-Meteo reports snowfall in cm of snow; snow_1h is mm of water like rain_1h
+      rain_1h: current.rain || 0,
+      rain_3h: 0,
+      snow_1h: Units.snowToWater(current.snowfall || 0),
+      snow_3h: 0,
+
+      timestamp: new Date().toISOString(),
+      timezone: response.data.utc_offset_seconds,
+      coord: { lat: response.data.latitude, lon: response.data.longitude }
+    };
+  }
+
+  async getForecast(location, days = 5) {
+    const response = await this.http.get(`${this.baseUrl}/forecast`, {
+      params: {
+        latitude: location.lat,
+        longitude: location.lon,
+        hourly: [
+          'temperature_2m', 'apparent_temperature', 'relative_humidity_2m', 'precipitation',
+          'precipitation_probability', 'dew_point_2m', 'cloud_cover', 'uv_index',
+          'weather_code', 'wind_speed_10m', 'wind_gusts_10m', 'snowfall', 'is_day'
+        ].join(','),
+        forecast_days: days,
+        timezone: 'auto',
+        timeformat: 'unixtime',
+        ...this.getUnitParams()
+      },
+      retry: 0
+    });
+
+    const hourly = response.data.hourly;
+    const slots = hourly.time.map((time, i) => {
+      const condition = fromWmoCode(hourly.weather_code[i], hourly.is_day[i] === 1);
+      return {
+        dt: time * 1000,
+        temp: hourly.temperature_2m[i],
+        feels_like: hourly.apparent_temperature[i],
+        description: condition.description,
+        icon: condition.icon,
+        humidity: hourly.relative_humidity_2m[i],
+        wind_speed: hourly.wind_speed_10m[i],
+        precipitation: hourly.precipitation[i],
+        pop: hourly.precipitation_probability?.[i] != null ? hourly.precipitation_probability[i] / 100 : null,
+        dew_point: hourly.dew_point_2m?.[i] ?? null,
+        clouds: hourly.cloud_cover?.[i] ?? null,
+        uvi: hourly.uv_index?.[i] ?? null,
+        wind_gust: hourly.wind_gusts_10m?.[i] ?? null,
+        // mm of water, never more than the precipitation it is part of
+        snow: hourly.snowfall?.[i] != null ? Math.min(Units.snowToWater(hourly.snowfall[i]), hourly.precipitation[i] ?? Infinity) : null
+      };
+    });
+
+    return this.aggregateDaily(slots, days);
+  }
+
+  async getAirQuality(location) {
+    const response = await this.http.get(this.airQualityUrl, {
+      params: {
+        latitude: location.lat,
+        longitude: location.lon,
+        current: 'european_aqi,pm10,pm2_5,carbon_monoxide,nitrogen_dioxide,sulphur_dioxide,ozone,ammonia'
+      },
+      retry: 0
+    });
+
+    const current = response.data.current;
+    return this.buildAirQuality(this.toAQIScale(current.european_aqi), {
+      co: current.carbon_monoxide,
+      no2: current.nitrogen_dioxide,
+      o3: current.ozone,
+      so2: current.sulphur_dioxide,
+      pm2_5: current.pm2_5,
+      pm10: current.pm10,
+      nh3: current.ammonia
+    });
+  }
+
+  async getUVIndex(location) {
+    const response = await this.http.get(this.airQualityUrl, {
+      params: {
+        latitude: location.lat,
+        longitude: location.lon,
+        current: 'uv_index'
+      },
+      retry: 0
+    });
+
+    return this.buildUVIndex(response.data.current.uv_index);
+  }
+
+  // European AQI (0-100+) mapped onto the OpenWeatherMap 1-5 scale
+  toAQIScale(europeanAqi) {
+    if (europeanAqi <= 20) return 1;
+    if (europeanAqi <= 40) return 2;
+    if (europeanAqi <= 60) return 3;
+    if (europeanAqi <= 80) return 4;
+    return 5;
+  }
+}
@@ -0,0 +1,257 @@
+import moment from 'moment';
+import { BaseProvider } from './base-provider.js';
+
+/**
+ * OpenWeatherMap Provider
+ * Current weather, 3-hourly forecast and air pollution from api.openweathermap.org.
+ * With a One Call 3.0 subscription (OPENWEATHER_ONECALL=true) the forecast, UV index
+ * and official alerts come from /data/3.0/onecall instead.
+ */
+export class OpenWeatherMapProvider extends BaseProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'openweathermap';
+    this.displayName = 'OpenWeatherMap';
+    this.apiKey = options.apiKey;
+    this.baseUrl = options.baseUrl || process.env.OPENWEATHER_BASE_URL || 'https://api.openweathermap.org/data/2.5';
+    this.airQualityUrl = options.airQualityUrl || `${this.baseUrl}/air_pollution`;
+    this.geocodingUrl = options.geocodingUrl || this.baseUrl.replace(/\/data\/2\.5$/, '/geo/1.0');
+    this.oneCallUrl = options.oneCallUrl || `${this.baseUrl.replace(/\/data\/2\.5$/, '/data/3.0')}/onecall`;
+    this.oneCall = options.oneCall ?? process.env.OPENWEATHER_ONECALL === 'true';
+    this.pendingOneCall = new Map();
+    this.rateLimit = { perMinute: 60, perDay: 1000 }; // free tier
+  }
+
+  // Coordinates when known, otherwise OWM's own city lookup
+  getLocationParams(location) {
+    return location.lat != null && location.lon != null
+      ? { lat: location.lat, lon: location.lon }
+      : { q: `${location.city},${location.country}` };
+  }
+
+  async geocode(location) {
+    const response = await this.http.get(`${this.geocodingUrl}/direct`, {
+      params: {
+        q: `${location.city || location.name},${location.country}`,
+        limit: 1,
+        appid: this.apiKey
+      },
+      retry: 0
+    });
+
+    const [match] = response.data;
+    if (!match) return null;
+
+    return {
+      name: match.local_names?.[this.language] || match.name,
+      country: match.country,
+      lat: match.lat,
+      lon: match.lon
+    };
+  }
+
+  async getCurrent(location) {
+    const response = await this.http.get(`${this.baseUrl}/weather`, {
+      params: {
+        ...this.getLocationParams(location),
+        appid: this.apiKey,
+        units: this.units,
+        lang: this.language
+      },
+      retry: 0
+    });
+
+    const data = response.data;
+    return {
+      // Basic weather data
+      temp: Math.round(data.main.temp),
+      feels_like: Math.round(data.main.feels_like),
+      temp_min: Math.round(data.main.temp_min),
+      temp_max: Math.round(data.main.temp_max),
+      description: data.weather[0].description,
+      main: data.weather[0].main,
+      icon: data.weather[0].icon,
+
+      // Atmospheric data
+      humidity: data.main.humidity,
+      pressure: data.main.pressure,
+      sea_level: data.main.sea_level,
+      grnd_level: data.main.grnd_level,
+
+      // Wind data
+      wind_speed: data.wind?.speed || 0,
+      wind_deg: data.wind?.deg || 0,
+      wind_gust: data.wind?.gust || 0,
+      wind_direction: this.getWindDirection(data.wind?.deg || 0),
+
+      // Visibility and clouds
+      visibility: data.visibility ? (data.visibility / 1000) : 10, // km
+      cloudiness: data.clouds?.all || 0,
+
+      // Sun times
+      sunrise: this.formatClockTime(new Date(data.sys.sunrise * 1000)),
+      sunset: this.formatClockTime(new Date(data.sys.sunset * 1000)),
+
+      // Precipitation (if available)
+      rain_1h: data.rain?.['1h'] || 0,
+      rain_3h: data.rain?.['3h'] || 0,
+      snow_1h: data.snow?.['1h'] || 0,
+      snow_3h: data.snow?.['3h'] || 0,
+
+      // Metadata
+      timestamp: new Date().toISOString(),
+      timezone: data.timezone,
+      coord: data.coord
+    };
+  }
+
+  async getForecast(location, days = 5) {
+    if (this.oneCall) {
+      return this.getOneCallForecast(location, days);
+    }
+
+    const response = await this.http.get(`${this.baseUrl}/forecast`, {
+      params: {
+        ...this.getLocationParams(location),
+        appid: this.apiKey,
+        units: this.units,
+        lang: this.language,
+        cnt: days * 8 // 8 measurements per day (every 3 hours)
+      },
+      retry: 0
+    });
+
+    // The 2.5 forecast has PoP and clouds but no dew point or UV
+    const slots = response.data.list.map(item => ({
+      dt: item.dt * 1000,
+      temp: item.main.temp,
+      feels_like: item.main.feels_like,
+      description: item.weather[0].description,
+      icon: item.weather[0].icon,
+      humidity: item.main.humidity,
+      wind_speed: item.wind?.speed || 0,
+      precipitation: item.rain?.['3h'] || item.snow?.['3h'] || 0,
+      pop: item.pop ?? null,
+      dew_point: this.getDewPoint(item.main.temp, item.main.humidity),
+      clouds: item.clouds?.all ?? null,
+      wind_gust: item.wind?.gust ?? null,
+      snow: item.snow?.['3h'] || 0
+    }));
+
+    return this.aggregateDaily(slots, days);
+  }
+
+  // Hourly slots cover the first 48h; later days only have the daily summary
+  async getOneCallForecast(location, days) {
+    const data = await this.fetchOneCall(location);
+
+    const slots = data.hourly.map(item => ({
+      dt: item.dt * 1000,
+      temp: item.temp,
+      feels_like: item.feels_like,
+      description: item.weather[0].description,
+      icon: item.weather[0].icon,
+      humidity: item.humidity,
+      wind_speed: item.wind_speed || 0,
+      precipitation: item.rain?.['1h'] || item.snow?.['1h'] || 0,
+      pop: item.pop ?? null,
+      dew_point: item.dew_point,
+      clouds: item.clouds,
+      uvi: item.uvi,
+      wind_gust: item.wind_gust ?? null,
+      snow: item.snow?.['1h'] || 0
+    }));
+    const hourlyByDate = new Map(this.aggregateDaily(slots, 3).map(day => [day.date, day.hourly]));
+
+    return data.daily.slice(0, days).map(day => {
+      const date = moment(day.dt * 1000);
+      const feelsLike = Object.values(day.feels_like);
+
+      return {
+        dt: date.clone().startOf('day').valueOf(),
+        date: date.format('DD MMM YYYY'),
+        dayName: date.format('dddd'),
+        temp_min: Math.round(day.temp.min),
+        temp_max: Math.round(day.temp.max),
+        temp_avg: Math.round(this.average([day.temp.morn, day.temp.day, day.temp.eve, day.temp.night])),
+        feels_like_avg: Math.round(this.average(feelsLike)),
+        feels_like_min: Math.round(Math.min(...feelsLike)),
+        feels_like_max: Math.round(Math.max(...feelsLike)),
+        description: day.weather[0].description,
+        summary: day.summary || null,
+        humidity_avg: day.humidity,
+        wind_speed_avg: Math.round(day.wind_speed * 10) / 10,
+        wind_speed_max: Math.round((day.wind_gust || day.wind_speed) * 10) / 10,
+        wind_gust_max: day.wind_gust != null ? Math.round(day.wind_gust * 10) / 10 : null,
+        precipitation_total: Math.round(((day.rain || 0) + (day.snow || 0)) * 10) / 10,
+        snow_total: Math.round((day.snow || 0) * 10) / 10,
+        pop: day.pop ?? null,
+        dew_point_avg: Math.round(day.dew_point),
+        clouds_avg: day.clouds,
+        uv_max: day.uvi ?? null,
+        ...this.buildMoonPhase(day.moon_phase),
+        hourly: hourlyByDate.get(date.format('DD MMM YYYY')) || []
+      };
+    });
+  }
+
+  async getAirQuality(location) {
+    const response = await this.http.get(this.airQualityUrl, {
+      params: {
+        lat: location.lat,
+        lon: location.lon,
+        appid: this.apiKey
+      },
+      retry: 0
+    });
+
+    const data = response.data.list[0];
+    return this.buildAirQuality(data.main.aqi, data.components);
+  }
+
+  // The standalone /uvi endpoint is retired; UV is only available through One Call
+  async getUVIndex(location) {
+    if (!this.oneCall) return null;
+
+    const data = await this.fetchOneCall(location);
+    return this.buildUVIndex(data.current.uvi);
+  }
+
+  async getAlerts(location) {
+    if (!this.oneCall) return [];
+
+    const data = await this.fetchOneCall(location);
+    return (data.alerts || []).map(alert => this.buildAlert({
+      event: alert.event,
+      sender: alert.sender_name,
+      start: alert.start * 1000,
+      end: alert.end * 1000,
+      description: alert.description
+    }));
+  }
+
+  // Forecast, UV and alerts share one response, so a snapshot costs a single call
+  fetchOneCall(location) {
+    const key = `${location.lat},${location.lon}`;
+    const pending = this.pendingOneCall.get(key);
+    if (pending && Date.now() - pending.startedAt < 60000) {
+      return pending.request;
+    }
+
+    const request = this.http.get(this.oneCallUrl, {
+      params: {
+        lat: location.lat,
+        lon: location.lon,
+        exclude: 'minutely',
+        appid: this.apiKey,
+        units: this.units,
+        lang: this.language
+      },
+      retry: 0
+    }).then(response => response.data);
+
+    request.catch(() => this.pendingOneCall.delete(key));
+    this.pendingOneCall.set(key, { request, startedAt: Date.now() });
+    return request;
+  }
+}
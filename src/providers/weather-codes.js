@@ -0,0 +1,81 @@
+import { t } from '../i18n.js';
+
+/**
+ * Weather condition code tables
+ * Maps WMO (Open-Meteo) and MET Norway symbol codes onto the OpenWeatherMap
+ * main/description/icon triple used by the templates and AI insights.
+ * Descriptions come from the `conditions.*` messages of the active locale.
+ */
+
+const WMO_CODES = {
+  0: { main: 'Clear', condition: 'clearSky', icon: '01' },
+  1: { main: 'Clouds', condition: 'mostlyClear', icon: '02' },
+  2: { main: 'Clouds', condition: 'partlyCloudy', icon: '03' },
+  3: { main: 'Clouds', condition: 'overcast', icon: '04' },
+  45: { main: 'Fog', condition: 'fog', icon: '50' },
+  48: { main: 'Fog', condition: 'rimeFog', icon: '50' },
+  51: { main: 'Drizzle', condition: 'lightDrizzle', icon: '09' },
+  53: { main: 'Drizzle', condition: 'drizzle', icon: '09' },
+  55: { main: 'Drizzle', condition: 'denseDrizzle', icon: '09' },
+  56: { main: 'Drizzle', condition: 'freezingDrizzle', icon: '09' },
+  57: { main: 'Drizzle', condition: 'denseFreezingDrizzle', icon: '09' },
+  61: { main: 'Rain', condition: 'lightRain', icon: '10' },
+  63: { main: 'Rain', condition: 'rain', icon: '10' },
+  65: { main: 'Rain', condition: 'heavyRain', icon: '10' },
+  66: { main: 'Rain', condition: 'freezingRain', icon: '13' },
+  67: { main: 'Rain', condition: 'heavyFreezingRain', icon: '13' },
+  71: { main: 'Snow', condition: 'lightSnow', icon: '13' },
+  73: { main: 'Snow', condition: 'snow', icon: '13' },
+  75: { main: 'Snow', condition: 'heavySnow', icon: '13' },
+  77: { main: 'Snow', condition: 'snowGrains', icon: '13' },
+  80: { main: 'Rain', condition: 'lightRainShowers', icon: '09' },
+  81: { main: 'Rain', condition: 'rainShowers', icon: '09' },
+  82: { main: 'Rain', condition: 'heavyRainShowers', icon: '09' },
+  85: { main: 'Snow', condition: 'snowShowers', icon: '13' },
+  86: { main: 'Snow', condition: 'heavySnowShowers', icon: '13' },
+  95: { main: 'Thunderstorm', condition: 'thunderstorm', icon: '11' },
+  96: { main: 'Thunderstorm', condition: 'thunderstormHail', icon: '11' },
+  99: { main: 'Thunderstorm', condition: 'heavyThunderstormHail', icon: '11' }
+};
+
+const MET_SYMBOLS = {
+  clearsky: { main: 'Clear', condition: 'clearSky', icon: '01' },
+  fair: { main: 'Clouds', condition: 'mostlyClear', icon: '02' },
+  partlycloudy: { main: 'Clouds', condition: 'partlyCloudy', icon: '03' },
+  cloudy: { main: 'Clouds', condition: 'overcast', icon: '04' },
+  fog: { main: 'Fog', condition: 'fog', icon: '50' },
+  lightrain: { main: 'Rain', condition: 'lightRain', icon: '10' },
+  rain: { main: 'Rain', condition: 'rain', icon: '10' },
+  heavyrain: { main: 'Rain', condition: 'heavyRain', icon: '10' },
+  lightrainshowers: { main: 'Rain', condition: 'lightRainShowers', icon: '09' },
+  rainshowers: { main: 'Rain', condition: 'rainShowers', icon: '09' },
+  heavyrainshowers: { main: 'Rain', condition: 'heavyRainShowers', icon: '09' },
+  lightsleet: { main: 'Snow', condition: 'lightSleet', icon: '13' },
+  sleet: { main: 'Snow', condition: 'sleet', icon: '13' },
+  heavysleet: { main: 'Snow', condition: 'heavySleet', icon: '13' },
+  lightsnow: { main: 'Snow', condition: 'lightSnow', icon: '13' },
+  snow: { main: 'Snow', condition: 'snow', icon: '13' },
+  heavysnow: { main: 'Snow', condition: 'heavySnow', icon: '13' },
+  lightsnowshowers: { main: 'Snow', condition: 'lightSnowShowers', icon: '13' },
+  snowshowers: { main: 'Snow', condition: 'snowShowers', icon: '13' },
+  heavysnowshowers: { main: 'Snow', condition: 'heavySnowShowers', icon: '13' }
+};
+
+const UNKNOWN_CONDITION = { main: 'Clouds', condition: 'unknown', icon: '03' };
+
+export function fromWmoCode(code, isDay = true) {
+  const condition = WMO_CODES[code] || UNKNOWN_CONDITION;
+  return { main: condition.main, description: t(`conditions.${condition.condition}`), icon: condition.icon + (isDay ? 'd' : 'n') };
+}
+
+export function fromMetSymbol(symbolCode = '') {
+  const [symbol, period] = symbolCode.split('_');
+  const isThunder = symbol.endsWith('andthunder');
+  const base = MET_SYMBOLS[symbol.replace('andthunder', '')] || UNKNOWN_CONDITION;
+  const description = t(`conditions.${base.condition}`);
+  const condition = isThunder
+    ? { main: 'Thunderstorm', description: t('conditions.withThunder', { description }), icon: '11' }
+    : { main: base.main, description, icon: base.icon };
+
+  return { ...condition, icon: condition.icon + (period === 'night' ? 'n' : 'd') };
+}
@@ -0,0 +1,196 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { getConfigPath } from './paths.js';
+import { t } from './i18n.js';
+
+/**
+ * Shared Rate Limiter v1.0
+ * Token bucket (per minute) plus a daily budget, persisted in ~/.bucharest-weather-cli/quota.json
+ * so every shell and cron job using the same API key draws from one budget.
+ * A lock file serializes updates between processes; Retry-After blocks the bucket.
+ */
+export class RateLimiter {
+  constructor(options = {}) {
+    this.file = options.file || getConfigPath('quota.json');
+    this.maxWait = options.maxWait ?? 10; // seconds a caller may sleep for a token
+    this.lockTimeout = options.lockTimeout || 5000; // ms
+    this.lockStale = options.lockStale || 10000; // ms, locks left by crashed processes
+  }
+
+  // Waits for a token, or throws when the wait would exceed maxWait / the daily budget is spent
+  async acquire(bucket, limits, label = 'request') {
+    for (;;) {
+      const wait = await this.withLock(async () => {
+        const state = await this.load();
+        const entry = this.refill(state[bucket], limits);
+        state[bucket] = entry;
+
+        const now = Date.now();
+        if (entry.blockedUntil > now) {
+          return (entry.blockedUntil - now) / 1000;
+        }
+
+        if (entry.usedToday >= limits.perDay) {
+          throw this.limitError(t('rateLimit.dailyBudget', { limit: limits.perDay }));
+        }
+
+        if (entry.tokens < 1) {
+          return (1 - entry.tokens) * 60 / limits.perMinute;
+        }
+
+        entry.tokens -= 1;
+        entry.usedToday += 1;
+        entry.endpoints[label] = (entry.endpoints[label] || 0) + 1;
+        entry.lastRequestAt = now;
+        await this.save(state);
+        return 0;
+      });
+
+      if (wait <= 0) return;
+
+      if (wait > this.maxWait) {
+        throw this.limitError(t('rateLimit.tooSoon', { seconds: Math.ceil(wait) }), wait);
+      }
+      await new Promise(resolve => setTimeout(resolve, Math.ceil(wait * 1000)));
+    }
+  }
+
+  // Server said 429: nobody sharing the bucket calls again before Retry-After
+  async penalize(bucket, seconds) {
+    await this.withLock(async () => {
+      const state = await this.load();
+      const entry = state[bucket] || this.createEntry();
+      entry.blockedUntil = Math.max(entry.blockedUntil || 0, Date.now() + seconds * 1000);
+      entry.throttled = (entry.throttled || 0) + 1;
+      state[bucket] = entry;
+      await this.save(state);
+    });
+  }
+
+  async getUsage(bucket, limits) {
+    const state = await this.load();
+    const entry = this.refill(state[bucket], limits);
+
+    return {
+      bucket,
+      perMinute: limits.perMinute,
+      perDay: limits.perDay,
+      usedToday: entry.usedToday,
+      remainingToday: Math.max(0, limits.perDay - entry.usedToday),
+      availableNow: Math.floor(entry.tokens),
+      endpoints: entry.endpoints,
+      throttled: entry.throttled,
+      blockedUntil: entry.blockedUntil > Date.now() ? new Date(entry.blockedUntil).toISOString() : null,
+      lastRequestAt: entry.lastRequestAt ? new Date(entry.lastRequestAt).toISOString() : null
+    };
+  }
+
+  async reset(bucket) {
+    await this.withLock(async () => {
+      const state = await this.load();
+      delete state[bucket];
+      await this.save(state);
+    });
+  }
+
+  createEntry(limits = null) {
+    return {
+      tokens: limits ? limits.perMinute : 0,
+      updatedAt: Date.now(),
+      day: RateLimiter.today(),
+      usedToday: 0,
+      endpoints: {},
+      throttled: 0,
+      blockedUntil: 0,
+      lastRequestAt: null
+    };
+  }
+
+  // Adds the tokens earned since the last update and rolls the daily counters over
+  refill(entry, limits) {
+    const now = Date.now();
+    const current = entry ? { ...entry } : this.createEntry(limits);
+
+    const elapsed = (now - current.updatedAt) / 1000;
+    current.tokens = Math.min(limits.perMinute, current.tokens + elapsed * limits.perMinute / 60);
+    current.updatedAt = now;
+
+    if (current.day !== RateLimiter.today()) {
+      current.day = RateLimiter.today();
+      current.usedToday = 0;
+      current.endpoints = {};
+      current.throttled = 0;
+    }
+
+    return current;
+  }
+
+  async load() {
+    try {
+      return JSON.parse(await fs.readFile(this.file, 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  async save(state) {
+    const tmpFile = `${this.file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify(state, null, 2), 'utf8');
+    await fs.rename(tmpFile, this.file);
+  }
+
+  async withLock(fn) {
+    const lockFile = `${this.file}.lock`;
+    const deadline = Date.now() + this.lockTimeout;
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+
+    for (;;) {
+      try {
+        await (await fs.open(lockFile, 'wx')).close();
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+
+        const stat = await fs.stat(lockFile).catch(() => null);
+        if (stat && Date.now() - stat.mtimeMs > this.lockStale) {
+          await fs.rm(lockFile, { force: true });
+          continue;
+        }
+        if (Date.now() > deadline) {
+          throw new Error(t('rateLimit.lockFailed', { file: lockFile }));
+        }
+        await new Promise(resolve => setTimeout(resolve, 25));
+      }
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await fs.rm(lockFile, { force: true });
+    }
+  }
+
+  limitError(message, retryAfter = null) {
+    const error = new Error(message);
+    error.code = 'RATE_LIMITED';
+    error.retryAfter = retryAfter;
+    return error;
+  }
+
+  // Helper methods
+  static today() {
+    return new Date().toISOString().slice(0, 10); // OWM counts calls per UTC day
+  }
+
+  // Retry-After is either delay-seconds or an HTTP date
+  static parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, (date - Date.now()) / 1000);
+  }
+}
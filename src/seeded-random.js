@@ -0,0 +1,47 @@
+/**
+ * Seeded Random v1.0
+ * Small deterministic PRNG (mulberry32) so demo data, insights and snapshots
+ * are reproducible. Without a seed it falls back to Math.random.
+ */
+export class SeededRandom {
+  constructor(seed = null) {
+    this.seed = seed;
+    this.state = seed === null || seed === undefined ? null : SeededRandom.hashSeed(seed);
+  }
+
+  // Float in [0, 1)
+  next() {
+    if (this.state === null) {
+      return Math.random();
+    }
+
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  between(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  pick(items) {
+    return items[Math.floor(this.next() * items.length)];
+  }
+
+  // Numbers are used as-is, strings ("screenshot-1") are hashed (FNV-1a)
+  static hashSeed(seed) {
+    const numeric = Number(seed);
+    if (Number.isFinite(numeric)) {
+      return numeric >>> 0;
+    }
+
+    let hash = 0x811C9DC5;
+    for (const char of String(seed)) {
+      hash ^= char.codePointAt(0);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+}
@@ -0,0 +1,361 @@
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import { getConfigPath } from '../paths.js';
+import { t } from '../i18n.js';
+
+// What a template can read outside {{#each}}; inside a loop the item's own fields come first
+const ROOTS = ['current', 'forecast', 'insights', 'warnings', 'location', 'units', 'theme', 'now'];
+
+// Loop variables: {{@index}} from 0, {{@number}} from 1
+const LOOP_VARIABLES = ['@index', '@number', '@first', '@last'];
+
+const OPERATORS = {
+  '>': (actual, value) => actual > value,
+  '>=': (actual, value) => actual >= value,
+  '<': (actual, value) => actual < value,
+  '<=': (actual, value) => actual <= value,
+  '==': (actual, value) => actual === value,
+  '!=': (actual, value) => actual !== value
+};
+
+// Widest `pad` / `padStart` honoured, in columns
+const MAX_PAD = 200;
+const padWidth = width => Math.min(Math.max(Number(width) || 0, 0), MAX_PAD);
+
+// {{value | name argument}}; every filter but `default` leaves a missing value missing
+const FILTERS = {
+  upper: value => String(value).toUpperCase(),
+  lower: value => String(value).toLowerCase(),
+  round: value => (typeof value === 'number' ? Math.round(value) : value),
+  fixed: (value, digits = '1') => (typeof value === 'number' ? value.toFixed(Number(digits) || 0) : value),
+  percent: value => (typeof value === 'number' ? `${Math.round(value * 100)}%` : value), // pop 0.6 -> 60%
+  pad: (value, width = '0') => String(value).padEnd(padWidth(width)),
+  padStart: (value, width = '0') => String(value).padStart(padWidth(width)),
+  default: (value, fallback = '') => (value === null || value === undefined || value === '' ? fallback : value)
+};
+
+// {{#color ...}}: a role of the active theme or one of these chalk styles
+const ROLES = ['primary', 'secondary', 'accent', 'success', 'warning', 'danger', 'text'];
+const STYLES = [
+  'black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white', 'gray', 'grey',
+  'redBright', 'greenBright', 'yellowBright', 'blueBright', 'magentaBright', 'cyanBright', 'whiteBright',
+  'bold', 'dim', 'italic', 'underline', 'inverse'
+];
+
+const BLOCKS = ['if', 'unless', 'each', 'color'];
+const HEADERS = ['description'];
+const NAME = /^[a-z0-9][a-z0-9-]*$/;
+// Object internals no field path may name (they would lead to Function)
+const FORBIDDEN = ['__proto__', 'constructor', 'prototype'];
+const MAX_SIZE = 64 * 1024;
+
+/**
+ * Text Template v1.0
+ * The template language of custom templates. Nothing in a template can run code:
+ * - {{current.temp}}, {{units.temperature}}, {{location}}: values, already in the display units
+ * - {{current.pop | percent}}, {{description | upper | pad 12}}: filters (see FILTERS)
+ * - {{#if current.temp > 30}}...{{else}}...{{/if}}, {{#unless insights.alerts}}...{{/unless}}
+ * - {{#each forecast}}{{day_name}}: {{temp_min}}-{{temp_max}}{{/each}} with {{@index}}, {{@number}}
+ * - {{#color accent bold}}...{{/color}}: theme roles or chalk styles
+ * - {{t templates.humidity}}: a catalog message; {{! ... }} is a comment
+ * Mistakes are reported with their line when the template is loaded, not when it renders.
+ */
+export class TextTemplate {
+  constructor(source, options = {}) {
+    this.nodes = TextTemplate.parse(source, options.firstLine || 1);
+  }
+
+  static getRoots() {
+    return [...ROOTS];
+  }
+
+  static getFilters() {
+    return Object.keys(FILTERS);
+  }
+
+  static getStyles() {
+    return [...ROLES, ...STYLES];
+  }
+
+  static parse(source, firstLine = 1) {
+    const root = { type: 'root', body: [] };
+    const stack = [root];
+    const tag = /\{\{\s*([\s\S]*?)\s*\}\}/g;
+    let position = 0;
+    let match;
+
+    const lineAt = index => firstLine + source.slice(0, index).split('\n').length - 1;
+    const fail = (index, key, params = {}) => {
+      const error = new Error(t('templates.custom.errors.line', { line: lineAt(index), message: t(`templates.custom.errors.${key}`, params) }));
+      error.code = 'INVALID_TEMPLATE';
+      throw error;
+    };
+    const target = () => {
+      const block = stack[stack.length - 1];
+      return block.otherwise || block.body;
+    };
+    const loops = () => stack.filter(block => block.type === 'each').length;
+
+    while ((match = tag.exec(source)) !== null) {
+      if (match.index > position) target().push({ type: 'text', value: source.slice(position, match.index) });
+      position = tag.lastIndex;
+
+      const content = match[1];
+      const at = match.index;
+      if (!content) fail(at, 'empty');
+      if (content.startsWith('!')) continue;
+
+      if (content.startsWith('#')) {
+        const [name, ...rest] = content.slice(1).trim().split(/\s+/);
+        const argument = rest.join(' ');
+        if (!BLOCKS.includes(name)) fail(at, 'unknownBlock', { tag: `{{#${name}}}`, available: BLOCKS.join(', ') });
+
+        const block = { type: name, body: [], otherwise: null, line: lineAt(at), at };
+        if (name === 'color') {
+          if (rest.length === 0) fail(at, 'noStyle');
+          const unknown = rest.find(style => !TextTemplate.getStyles().includes(style));
+          if (unknown) fail(at, 'unknownStyle', { style: unknown, available: TextTemplate.getStyles().join(', ') });
+          block.styles = rest;
+        } else {
+          block.test = TextTemplate.parseCondition(argument, () => fail(at, 'invalidCondition', { condition: argument }));
+          if (name === 'each' && block.test.operator) fail(at, 'invalidCondition', { condition: argument });
+          TextTemplate.checkPath(block.test.path, loops(), (key, params) => fail(at, key, params));
+        }
+        target().push(block);
+        stack.push(block);
+        continue;
+      }
+
+      if (content.startsWith('/')) {
+        const name = content.slice(1).trim();
+        const block = stack[stack.length - 1];
+        if (block.type !== name) fail(at, 'unexpected', { tag: `{{/${name}}}` });
+        stack.pop();
+        continue;
+      }
+
+      if (content === 'else') {
+        const block = stack[stack.length - 1];
+        if (!['if', 'unless', 'each'].includes(block.type) || block.otherwise) fail(at, 'unexpected', { tag: '{{else}}' });
+        block.otherwise = [];
+        continue;
+      }
+
+      if (/^t\s/.test(content)) {
+        target().push({ type: 'message', key: content.slice(2).trim() });
+        continue;
+      }
+
+      const [expression, ...filters] = content.split('|').map(part => part.trim());
+      TextTemplate.checkPath(expression, loops(), (key, params) => fail(at, key, params));
+      target().push({
+        type: 'value',
+        path: expression,
+        filters: filters.map(filter => {
+          const [name, ...args] = filter.split(/\s+/);
+          if (!FILTERS[name]) fail(at, 'unknownFilter', { filter: name, available: TextTemplate.getFilters().join(', ') });
+          return { name, argument: args.length ? args.join(' ') : undefined };
+        })
+      });
+    }
+
+    if (stack.length > 1) {
+      const open = stack[stack.length - 1];
+      fail(open.at, 'unclosed', { tag: `{{#${open.type}}}` });
+    }
+    if (position < source.length) root.body.push({ type: 'text', value: source.slice(position) });
+    return root.body;
+  }
+
+  // "current.temp" | "current.temp > 30" | "description == 'ploaie'"
+  static parseCondition(condition, fail) {
+    const match = String(condition).match(/^([@\w.]+)(?:\s*(>=|<=|==|!=|>|<)\s*(.+))?$/);
+    if (!match) return fail();
+    if (!match[2]) return { path: match[1] };
+
+    const raw = match[3].trim();
+    const quoted = raw.match(/^(['"])(.*)\1$/);
+    const value = quoted ? quoted[2] : Number.isFinite(Number(raw)) ? Number(raw) : raw;
+    return { path: match[1], operator: match[2], value };
+  }
+
+  // Outside a loop only the documented roots exist; loop items can hold anything
+  static checkPath(expression, loops, fail) {
+    if (!/^(@?\w+)(\.\w+)*$/.test(expression) || expression.split('.').some(part => FORBIDDEN.includes(part))) {
+      return fail('invalidField', { field: expression });
+    }
+
+    const head = expression.split('.')[0];
+    if (head.startsWith('@') || head === 'this') {
+      if (loops === 0) return fail('outsideLoop', { field: expression });
+      if (head.startsWith('@') && !LOOP_VARIABLES.includes(head)) return fail('unknownField', { field: expression, available: LOOP_VARIABLES.join(', ') });
+      return null;
+    }
+    if (loops === 0 && !ROOTS.includes(head)) {
+      return fail('unknownField', { field: expression, available: ROOTS.join(', ') });
+    }
+    return null;
+  }
+
+  // `colors` maps the theme roles to chalk styles
+  render(context, { colors = {} } = {}) {
+    return this.renderNodes(this.nodes, [{ value: context }], colors);
+  }
+
+  renderNodes(nodes, scopes, colors) {
+    return nodes.map(node => {
+      switch (node.type) {
+        case 'text':
+          return node.value;
+        case 'message':
+          return t(node.key);
+        case 'value': {
+          const value = node.filters.reduce((current, filter) => (
+            filter.name === 'default' || (current !== null && current !== undefined) ? FILTERS[filter.name](current, filter.argument) : current
+          ), this.resolve(node.path, scopes));
+          return value === null || value === undefined ? '' : String(value);
+        }
+        case 'if':
+        case 'unless': {
+          const passed = this.test(node.test, scopes) === (node.type === 'if');
+          return this.renderNodes(passed ? node.body : node.otherwise || [], scopes, colors);
+        }
+        case 'each': {
+          const items = this.resolve(node.test.path, scopes);
+          if (!Array.isArray(items) || items.length === 0) return this.renderNodes(node.otherwise || [], scopes, colors);
+          return items.map((item, index) => this.renderNodes(node.body, [{
+            value: item,
+            loop: { '@index': index, '@number': index + 1, '@first': index === 0, '@last': index === items.length - 1 }
+          }, ...scopes], colors)).join('');
+        }
+        case 'color':
+          return this.paint(this.renderNodes(node.body, scopes, colors), node.styles, colors);
+        default:
+          return '';
+      }
+    }).join('');
+  }
+
+  resolve(expression, scopes) {
+    const [head, ...rest] = expression.split('.');
+    if (head.startsWith('@')) return scopes.find(scope => scope.loop)?.loop[head];
+
+    let value;
+    if (head === 'this') {
+      value = scopes[0].value;
+    } else {
+      // Own fields only: nothing inherited from Object.prototype is reachable
+      const scope = scopes.find(item => item.value && typeof item.value === 'object' && Object.hasOwn(item.value, head));
+      value = scope ? scope.value[head] : undefined;
+    }
+    return rest.reduce((current, key) => (current == null || !Object.hasOwn(Object(current), key) ? undefined : current[key]), value);
+  }
+
+  test(condition, scopes) {
+    const actual = this.resolve(condition.path, scopes);
+    if (!condition.operator) return Array.isArray(actual) ? actual.length > 0 : Boolean(actual);
+    return actual !== null && actual !== undefined && OPERATORS[condition.operator](actual, condition.value);
+  }
+
+  // Theme roles may name colours chalk does not have ("orange"); those leave the text plain
+  paint(text, styles, colors) {
+    return styles.reduce((painted, style) => {
+      const name = ROLES.includes(style) ? colors[style] : style;
+      return typeof chalk[name] === 'function' ? chalk[name](painted) : painted;
+    }, text);
+  }
+}
+
+/**
+ * Custom Templates v1.0
+ * Templates written by the user as ~/.bucharest-weather-cli/custom-templates/<name>.tpl in the
+ * TextTemplate language, with an optional header:
+ *   ---
+ *   description: One line for bw templates --list
+ *   ---
+ * Every file is validated when loaded; broken ones are listed with the reason and never rendered.
+ */
+export class CustomTemplates {
+  constructor(options = {}) {
+    this.dir = options.dir || getConfigPath('custom-templates');
+    this.reserved = options.reserved || []; // built-in names a file may not take
+    this.templates = new Map();
+    this.errors = []; // [{ name, file, error }]
+  }
+
+  async load() {
+    this.templates = new Map();
+    this.errors = [];
+
+    let files = [];
+    try {
+      files = (await fs.readdir(this.dir)).filter(file => file.endsWith('.tpl')).sort();
+    } catch (error) {
+      // No custom templates yet
+    }
+
+    for (const file of files) {
+      const name = path.basename(file, '.tpl');
+      const fullPath = path.join(this.dir, file);
+      try {
+        const stats = await fs.stat(fullPath);
+        if (stats.size > MAX_SIZE) {
+          throw new Error(t('templates.custom.errors.tooLarge', { size: Math.round(MAX_SIZE / 1024) }));
+        }
+        this.templates.set(name, { ...this.parse(name, await fs.readFile(fullPath, 'utf8')), file: fullPath });
+      } catch (error) {
+        this.errors.push({ name, file: fullPath, error: error.message });
+      }
+    }
+
+    return this.list();
+  }
+
+  parse(name, content) {
+    if (!NAME.test(name)) {
+      throw new Error(t('templates.custom.errors.invalidName', { name }));
+    }
+    if (this.reserved.includes(name)) {
+      throw new Error(t('templates.custom.errors.builtIn', { name }));
+    }
+
+    const { headers, body, firstLine } = CustomTemplates.splitHeader(content);
+    return { name, description: headers.description || null, template: new TextTemplate(body, { firstLine }) };
+  }
+
+  // "---\ndescription: ...\n---\n<body>"; the body keeps its line numbers for error messages
+  static splitHeader(content) {
+    const text = content.replace(/\r\n/g, '\n');
+    const match = text.match(/^---\n([\s\S]*?)\n---\n?/);
+    if (!match) return { headers: {}, body: text, firstLine: 1 };
+
+    const headers = {};
+    match[1].split('\n').filter(line => line.trim()).forEach(line => {
+      const separator = line.indexOf(':');
+      const key = separator > 0 ? line.slice(0, separator).trim() : line.trim();
+      if (!HEADERS.includes(key)) {
+        throw new Error(t('templates.custom.errors.unknownHeader', { key, available: HEADERS.join(', ') }));
+      }
+      headers[key] = line.slice(separator + 1).trim();
+    });
+
+    return { headers, body: text.slice(match[0].length), firstLine: match[0].split('\n').length };
+  }
+
+  has(name) {
+    return this.templates.has(name);
+  }
+
+  get(name) {
+    return this.templates.get(name) || null;
+  }
+
+  list() {
+    return [...this.templates.values()];
+  }
+
+  getErrors() {
+    return [...this.errors];
+  }
+}
@@ -0,0 +1,199 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { getConfigPath } from '../paths.js';
+import { i18n, t } from '../i18n.js';
+
+const NAME = /^[a-z0-9][a-z0-9-]*$/;
+const PLUGIN_PREFIX = 'bw-template-';
+const PACKAGE_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+// Every theme defines these colors; a plugin theme that leaves some out gets the default ones
+const ROLES = ['primary', 'secondary', 'accent', 'success', 'warning', 'danger', 'text'];
+
+/**
+ * Template Registry v1.0
+ * The one list of templates and themes behind rendering, `bw templates --list`, `bw config`
+ * and the quick switch. Built-ins register when weather-templates.js loads, custom-templates/*.tpl
+ * when the CLI starts, and npm packages named bw-template-* (or @scope/bw-template-*) through
+ * their default export: `export default function register({ registerTemplate, registerTheme }) {}`.
+ *
+ * A template: { name, render(weatherData, { forecast, insights, colors, units, helpers }),
+ *   renderHourly?(weatherData, slots, context), description, summary, icon, title,
+ *   supportsForecast, minWidth }. Texts may be strings, { ro, en, ... } or functions.
+ *   `helpers`: { formatTemp, formatNumber, formatDayName, getWeatherIcon, getLocationLabel }.
+ * A theme: { name, colors: { primary, secondary, accent, success, warning, danger, text }, description, icon }.
+ */
+export class TemplateRegistry {
+  constructor() {
+    this.templates = new Map();
+    this.themes = new Map();
+    this.plugins = []; // [{ name, version, dir, templates, themes }]
+    this.errors = []; // plugins that could not be loaded: [{ name, dir, error }]
+  }
+
+  // `source`: 'built-in', 'custom' or 'plugin:<package>'; a source may replace its own templates only
+  registerTemplate(definition, source = 'built-in') {
+    const { name } = definition || {};
+    if (!NAME.test(String(name))) {
+      throw new Error(t('templates.registry.errors.invalidName', { name }));
+    }
+    if (typeof definition.render !== 'function') {
+      throw new Error(t('templates.registry.errors.noRender', { name }));
+    }
+    const existing = this.templates.get(name);
+    if (existing && existing.source !== source) {
+      throw new Error(t('templates.registry.errors.taken', { name, source: existing.source }));
+    }
+
+    const template = {
+      icon: '🧩',
+      title: name,
+      supportsForecast: false,
+      minWidth: 0,
+      ...definition,
+      supportsHourly: typeof definition.renderHourly === 'function',
+      source
+    };
+    this.templates.set(name, template);
+    return template;
+  }
+
+  registerTheme(definition, source = 'built-in') {
+    const { name, colors } = definition || {};
+    if (!NAME.test(String(name)) || !colors || typeof colors !== 'object') {
+      throw new Error(t('templates.registry.errors.invalidTheme', { name }));
+    }
+    const existing = this.themes.get(name);
+    if (existing && existing.source !== source) {
+      throw new Error(t('templates.registry.errors.taken', { name, source: existing.source }));
+    }
+
+    const fallback = this.themes.get('default')?.colors || {};
+    const theme = { icon: '🎨', ...definition, colors: { ...fallback, ...colors }, source };
+    this.themes.set(name, theme);
+    return theme;
+  }
+
+  removeTemplates(source) {
+    [...this.templates.values()].filter(template => template.source === source)
+      .forEach(template => this.templates.delete(template.name));
+  }
+
+  removeThemes(source) {
+    [...this.themes.values()].filter(theme => theme.source === source)
+      .forEach(theme => this.themes.delete(theme.name));
+  }
+
+  hasTemplate(name) {
+    return this.templates.has(name);
+  }
+
+  getTemplate(name) {
+    return this.templates.get(name) || null;
+  }
+
+  getTemplateNames() {
+    return [...this.templates.keys()];
+  }
+
+  // Registration order: built-ins, plugins, then custom templates; texts in the current language
+  getTemplates() {
+    return [...this.templates.values()].map(template => ({
+      ...template,
+      title: this.text(template.title),
+      description: this.text(template.description) || '',
+      summary: this.text(template.summary ?? template.description) || ''
+    }));
+  }
+
+  hasTheme(name) {
+    return this.themes.has(name);
+  }
+
+  getThemeColors(name) {
+    return this.themes.get(name)?.colors || null;
+  }
+
+  getThemes() {
+    return [...this.themes.values()].map(theme => ({ ...theme, description: this.text(theme.description) || '' }));
+  }
+
+  // A string, a function (catalog lookups at render time) or { ro, en, ... } with English as fallback
+  text(value) {
+    if (typeof value === 'function') return value();
+    if (value && typeof value === 'object') return value[i18n.getLocale()] ?? value.en ?? Object.values(value)[0];
+    return value ?? null;
+  }
+
+  /**
+   * Imports every bw-template-* package found in `dirs` (node_modules folders) once.
+   * A plugin that throws, or registers something invalid, is reported in `errors` and leaves nothing behind.
+   */
+  async loadPlugins(dirs = TemplateRegistry.getPluginDirs()) {
+    const packages = (await Promise.all(dirs.map(dir => TemplateRegistry.findPlugins(dir)))).flat();
+
+    for (const plugin of packages) {
+      const known = [...this.plugins, ...this.errors].some(item => item.name === plugin.name);
+      if (known) continue; // the first folder wins
+
+      const source = `plugin:${plugin.name}`;
+      const added = { templates: [], themes: [] };
+      try {
+        const manifest = JSON.parse(await fs.readFile(path.join(plugin.dir, 'package.json'), 'utf8'));
+        const module = await import(pathToFileURL(path.join(plugin.dir, manifest.main || 'index.js')).href);
+        const register = module.default || module.register;
+        if (typeof register !== 'function') {
+          throw new Error(t('templates.registry.errors.noRegister'));
+        }
+
+        await register({
+          registerTemplate: definition => added.templates.push(this.registerTemplate(definition, source).name),
+          registerTheme: definition => added.themes.push(this.registerTheme(definition, source).name),
+          roles: [...ROLES]
+        });
+        this.plugins.push({ name: plugin.name, version: manifest.version || null, dir: plugin.dir, ...added });
+      } catch (error) {
+        this.removeTemplates(source);
+        this.removeThemes(source);
+        this.errors.push({ name: plugin.name, dir: plugin.dir, error: error.message });
+      }
+    }
+
+    return this.plugins;
+  }
+
+  // Next to the CLI, then ~/.bucharest-weather-cli/plugins (npm install --prefix <that folder> bw-template-x)
+  static getPluginDirs() {
+    return [path.join(PACKAGE_ROOT, 'node_modules'), getConfigPath('plugins', 'node_modules')];
+  }
+
+  static getRoles() {
+    return [...ROLES];
+  }
+
+  // bw-template-* and @scope/bw-template-* folders inside one node_modules
+  static async findPlugins(dir) {
+    let entries = [];
+    try {
+      entries = (await fs.readdir(dir)).sort();
+    } catch (error) {
+      return [];
+    }
+
+    const found = [];
+    for (const entry of entries) {
+      if (entry.startsWith(PLUGIN_PREFIX)) {
+        found.push({ name: entry, dir: path.join(dir, entry) });
+      } else if (entry.startsWith('@')) {
+        const scoped = await fs.readdir(path.join(dir, entry)).catch(() => []);
+        scoped.filter(name => name.startsWith(PLUGIN_PREFIX)).sort()
+          .forEach(name => found.push({ name: `${entry}/${name}`, dir: path.join(dir, entry, name) }));
+      }
+    }
+    return found;
+  }
+}
+
+// Shared instance: WeatherTemplates and TemplateConfig read the same templates and themes
+export const registry = new TemplateRegistry();
@@ -1,8 +1,14 @@
 import fs from 'fs/promises';
 import path from 'path';
-import os from 'os';
 import chalk from 'chalk';
+import boxen from 'boxen';
+import { table } from 'table';
 import inquirer from 'inquirer';
+import { getConfigDir } from '../paths.js';
+import { label, t } from '../i18n.js';
+import { units } from '../units.js';
+import { registry } from './registry.js';
+import './weather-templates.js'; // registers the built-in templates and themes
 
 /**
  * Template Configuration Manager v3.0
@@ -10,7 +16,7 @@ import inquirer from 'inquirer';
  */
 export class TemplateConfig {
   constructor() {
-    this.configDir = path.join(os.homedir(), '.bucharest-weather-cli');
+    this.configDir = getConfigDir();
     this.configFile = path.join(this.configDir, 'template-config.json');
     this.customTemplatesDir = path.join(this.configDir, 'custom-templates');
     
@@ -181,8 +187,9 @@ export class TemplateConfig {
     return this.config.currentTemplate;
   }
 
+  // Any registered template (built-in, plugin or custom-templates/*.tpl) unless disabled in the config
   async setTemplate(templateName) {
-    if (this.config.templates[templateName]?.enabled) {
+    if (registry.hasTemplate(templateName) && this.config.templates[templateName]?.enabled !== false) {
       this.config.currentTemplate = templateName;
       await this.saveConfig();
       return true;
@@ -212,7 +219,7 @@ export class TemplateConfig {
   }
 
   async setTheme(themeName) {
-    if (this.config.themes[themeName]?.enabled) {
+    if (registry.hasTheme(themeName) && this.config.themes[themeName]?.enabled !== false) {
       this.config.currentTheme = themeName;
       await this.saveConfig();
       return true;
@@ -269,66 +276,52 @@ export class TemplateConfig {
 
   // Interactive configuration
   async interactiveSetup() {
-    console.log(chalk.cyan('🎨 Configurare Template-uri & Teme CLI'));
-    console.log(chalk.gray('Personalizează experiența ta CLI\n'));
+    console.log(chalk.cyan(`🎨 ${t('config.setup.title')}`));
+    console.log(chalk.gray(`${t('config.setup.subtitle')}\n`));
     
     const questions = [
       {
         type: 'list',
         name: 'template',
-        message: 'Alege template-ul preferat:',
-        choices: [
-          { name: '🏛️  Classic Professional - Design elegant cu boxe', value: 'classic' },
-          { name: '💎  Modern Cards - Layout cu carduri moderne', value: 'modern' },
-          { name: '📊  Terminal Dashboard - Dashboard complet cu tabele', value: 'dashboard' },
-          { name: '⚡  Minimal Clean - Design minimalist rapid', value: 'minimal' },
-          { name: '🎨  ASCII Art - Ilustrații artistic în terminal', value: 'ascii' },
-          { name: '👾  Retro Terminal - Stil vintage anii 80-90', value: 'retro' },
-          { name: '🗺️  Weather Map - Hartă vizuală București', value: 'map' },
-          { name: '📱  Mobile Style - Design inspirat mobile', value: 'mobile' },
-          { name: '🔢  Matrix Code - Efecte Matrix digitale', value: 'matrix' },
-          { name: '📏  Gauge Meters - Indicatori vizuali gauge', value: 'gauge' }
-        ],
+        message: t('config.setup.template'),
+        choices: registry.getTemplates().map(template => ({
+          name: `${template.icon}  ${template.title} - ${template.summary}`,
+          value: template.name
+        })),
         default: this.config.currentTemplate
       },
       {
         type: 'list',
         name: 'theme',
-        message: 'Alege tema de culori:',
-        choices: [
-          { name: '🔵  Default - Albastru/Cyan clasic', value: 'default' },
-          { name: '⚫  Dark - Tema întunecată minimă', value: 'dark' },
-          { name: '🌊  Ocean - Nuanțe de albastru ocean', value: 'ocean' },
-          { name: '🌲  Forest - Verde natural pădure', value: 'forest' },
-          { name: '🌅  Sunset - Portocaliu/Roșu apus', value: 'sunset' },
-          { name: '💜  Cyberpunk - Magenta/Cyan futurist', value: 'cyberpunk' },
-          { name: '⚪  Minimal - Doar alb/gri simplu', value: 'minimal' },
-          { name: '🌈  Rainbow - Culori multicolore', value: 'rainbow' }
-        ],
+        message: t('config.setup.theme'),
+        choices: registry.getThemes().map(theme => ({
+          name: `${theme.icon}  ${theme.name.charAt(0).toUpperCase()}${theme.name.slice(1)} - ${theme.description}`,
+          value: theme.name
+        })),
         default: this.config.currentTheme
       },
       {
         type: 'confirm',
         name: 'showTimestamp',
-        message: 'Afișează timestamp-ul?',
+        message: t('config.setup.showTimestamp'),
         default: this.config.customSettings.showTimestamp
       },
       {
         type: 'confirm',
         name: 'animationsEnabled',
-        message: 'Activează animațiile și efectele?',
+        message: t('config.setup.animations'),
         default: this.config.customSettings.animationsEnabled
       },
       {
         type: 'confirm',
         name: 'compactMode',
-        message: 'Modul compact (mai puține detalii)?',
+        message: t('config.setup.compact'),
         default: this.config.customSettings.compactMode
       },
       {
         type: 'list',
         name: 'language',
-        message: 'Limbă preferată:',
+        message: t('config.setup.language'),
         choices: [
           { name: '🇷🇴  Română', value: 'ro' },
           { name: '🇺🇸  English', value: 'en' },
@@ -337,14 +330,26 @@ export class TemplateConfig {
         ],
         default: this.config.customSettings.language
       },
+      {
+        type: 'list',
+        name: 'units',
+        message: t('config.setup.units'),
+        choices: [
+          { name: `🌡️  ${t('config.units.metric')}`, value: 'metric' },
+          { name: `🇺🇸  ${t('config.units.imperial')}`, value: 'imperial' },
+          { name: `🚗  ${t('config.units.kmh')}`, value: 'metric,wind=kmh' },
+          { name: `⛵  ${t('config.units.beaufort')}`, value: 'metric,wind=bft' }
+        ],
+        default: this.config.customSettings.units
+      },
       {
         type: 'input',
         name: 'updateInterval',
-        message: 'Interval actualizare cache (secunde):',
+        message: t('config.setup.updateInterval'),
         default: this.config.customSettings.updateInterval,
         validate: (input) => {
           const num = parseInt(input);
-          return num >= 60 && num <= 3600 ? true : 'Introdu o valoare între 60 și 3600';
+          return num >= 60 && num <= 3600 ? true : t('config.setup.valueRange', { min: 60, max: 3600 });
         }
       }
     ];
@@ -358,14 +363,15 @@ export class TemplateConfig {
     this.config.customSettings.animationsEnabled = answers.animationsEnabled;
     this.config.customSettings.compactMode = answers.compactMode;
     this.config.customSettings.language = answers.language;
+    this.config.customSettings.units = answers.units;
     this.config.customSettings.updateInterval = parseInt(answers.updateInterval);
     
     await this.saveConfig();
     
-    console.log('\n' + chalk.green('✅ Configurația a fost salvată cu succes!'));
-    console.log(chalk.cyan(`📋 Template: ${answers.template}`));
-    console.log(chalk.cyan(`🎨 Temă: ${answers.theme}`));
-    console.log(chalk.gray(`💾 Salvat în: ${this.configFile}\n`));
+    console.log('\n' + chalk.green(`✅ ${t('config.setup.saved')}`));
+    console.log(chalk.cyan(`📋 ${label('config.template')} ${answers.template}`));
+    console.log(chalk.cyan(`🎨 ${label('config.theme')} ${answers.theme}`));
+    console.log(chalk.gray(`💾 ${t('config.setup.savedTo', { file: this.configFile })}\n`));
     
     return this.config;
   }
@@ -374,11 +380,11 @@ export class TemplateConfig {
   async customizeTemplate(templateName) {
     const template = this.config.templates[templateName];
     if (!template) {
-      console.log(chalk.red(`❌ Template "${templateName}" nu există`));
+      console.log(chalk.red(`❌ ${t('config.customize.unknown', { template: templateName })}`));
       return false;
     }
     
-    console.log(chalk.cyan(`🎨 Personalizare Template: ${templateName}`));
+    console.log(chalk.cyan(`🎨 ${t('config.customize.title', { template: templateName })}`));
     
     const questions = [];
     
@@ -389,14 +395,14 @@ export class TemplateConfig {
           {
             type: 'list',
             name: 'borderStyle',
-            message: 'Stil bordură:',
+            message: t('config.customize.borderStyle'),
             choices: ['single', 'double', 'round', 'bold', 'singleDouble', 'doubleSingle', 'classic'],
             default: template.customizations.borderStyle
           },
           {
             type: 'input',
             name: 'padding',
-            message: 'Padding intern (0-5):',
+            message: t('config.customize.padding', { min: 0, max: 5 }),
             default: template.customizations.padding,
             validate: (input) => parseInt(input) >= 0 && parseInt(input) <= 5
           }
@@ -408,14 +414,14 @@ export class TemplateConfig {
           {
             type: 'input',
             name: 'cardWidth',
-            message: 'Lățime carduri (15-40):',
+            message: t('config.customize.cardWidth', { min: 15, max: 40 }),
             default: template.customizations.cardWidth,
             validate: (input) => parseInt(input) >= 15 && parseInt(input) <= 40
           },
           {
             type: 'confirm',
             name: 'showShadows',
-            message: 'Afișează umbre pentru carduri?',
+            message: t('config.customize.showShadows'),
             default: template.customizations.showShadows
           }
         );
@@ -426,13 +432,13 @@ export class TemplateConfig {
           {
             type: 'confirm',
             name: 'showSystemInfo',
-            message: 'Afișează info sistem?',
+            message: t('config.customize.showSystemInfo'),
             default: template.customizations.showSystemInfo
           },
           {
             type: 'input',
             name: 'maxForecastDays',
-            message: 'Zile prognoză maximă (1-10):',
+            message: t('config.customize.maxForecastDays', { min: 1, max: 10 }),
             default: template.customizations.maxForecastDays,
             validate: (input) => parseInt(input) >= 1 && parseInt(input) <= 10
           }
@@ -449,7 +455,7 @@ export class TemplateConfig {
       };
       
       await this.saveConfig();
-      console.log(chalk.green(`✅ Template "${templateName}" personalizat cu succes!`));
+      console.log(chalk.green(`✅ ${t('config.customize.saved', { template: templateName })}`));
     }
     
     return true;
@@ -460,10 +466,10 @@ export class TemplateConfig {
     try {
       const configJson = JSON.stringify(this.config, null, 2);
       await fs.writeFile(filePath, configJson, 'utf8');
-      console.log(chalk.green(`✅ Configurația a fost exportată în: ${filePath}`));
+      console.log(chalk.green(`✅ ${t('config.exported', { file: filePath })}`));
       return true;
     } catch (error) {
-      console.log(chalk.red(`❌ Eroare la export: ${error.message}`));
+      console.log(chalk.red(`❌ ${t('config.errors.export', { message: error.message })}`));
       return false;
     }
   }
@@ -476,10 +482,10 @@ export class TemplateConfig {
       this.config = this.mergeConfigs(this.defaultConfig, importedConfig);
       await this.saveConfig();
       
-      console.log(chalk.green(`✅ Configurația a fost importată din: ${filePath}`));
+      console.log(chalk.green(`✅ ${t('config.imported', { file: filePath })}`));
       return true;
     } catch (error) {
-      console.log(chalk.red(`❌ Eroare la import: ${error.message}`));
+      console.log(chalk.red(`❌ ${t('config.errors.import', { message: error.message })}`));
       return false;
     }
   }
@@ -490,7 +496,7 @@ export class TemplateConfig {
       {
         type: 'confirm',
         name: 'reset',
-        message: 'Ești sigur că vrei să resetezi toate setările?',
+        message: t('config.resetConfirm'),
         default: false
       }
     ]);
@@ -498,83 +504,97 @@ export class TemplateConfig {
     if (confirm.reset) {
       this.config = { ...this.defaultConfig };
       await this.saveConfig();
-      console.log(chalk.green('✅ Configurația a fost resetată la valorile default'));
+      console.log(chalk.green(`✅ ${t('config.reset')}`));
       return true;
     }
     
     return false;
   }
 
-  // Get template preview
+  // Get template preview: sample weather in the current language and units
   getTemplatePreview(templateName) {
+    const location = t('locations.defaultName');
+    const temp = units.format('temperature', 22);
+    const feels = units.format('temperature', 24);
+    const wind = units.format('wind', 3);
+    const description = t('config.preview.description');
+    const clothing = t('config.preview.clothing');
+    const card = (lines, color) => boxen(lines.join('\n'), { padding: { left: 1, right: 1 }, borderStyle: 'single', borderColor: color }).split('\n');
+
     const previews = {
-      classic: `${chalk.blue('╭───────────────────────────╮')}
-${chalk.blue('│')} ${chalk.yellow('🌤️  VREMEA ACUM ÎN BUCUREȘTI')} ${chalk.blue('│')}
-${chalk.blue('│')} ${chalk.cyan('22°C (simte ca 24°C)')}      ${chalk.blue('│')}
-${chalk.blue('│')} ${chalk.green('parțial înnorat ⛅')}         ${chalk.blue('│')}
-${chalk.blue('╰───────────────────────────╯')}`,
-      
-      modern: `${chalk.blue('┌─────────────┐')}  ${chalk.cyan('┌─────────────┐')}  ${chalk.yellow('┌─────────────┐')}
-${chalk.blue('│')} ${chalk.white('🌡️ 22°C')}     ${chalk.blue('│')}  ${chalk.cyan('│')} ${chalk.white('💨 3m/s')}     ${chalk.cyan('│')}  ${chalk.yellow('│')} ${chalk.white('🤖 AI TIPS')}  ${chalk.yellow('│')}
-${chalk.blue('│')} ${chalk.gray('parțial')}    ${chalk.blue('│')}  ${chalk.cyan('│')} ${chalk.white('65% humi')}   ${chalk.cyan('│')}  ${chalk.yellow('│')} ${chalk.green('jachetă +')}  ${chalk.yellow('│')}
-${chalk.blue('│')} ${chalk.gray('înnorat')}    ${chalk.blue('│')}  ${chalk.cyan('│')} ${chalk.white('1013 hPa')}   ${chalk.cyan('│')}  ${chalk.yellow('│')} ${chalk.green('cămașă')}    ${chalk.yellow('│')}
-${chalk.blue('└─────────────┘')}  ${chalk.cyan('└─────────────┘')}  ${chalk.yellow('└─────────────┘')}`,
-      
-      minimal: `${chalk.white('bucuresti 22°c')}
-${chalk.gray('parțial înnorat')}
-${chalk.gray('simte ca 24°c')}
-${chalk.white('jachetă subțire + cămașă')}`,
-      
-      dashboard: `${chalk.cyan('▓▓▓ BUCHAREST WEATHER DASHBOARD ▓▓▓')}
-${chalk.yellow('[CURRENT] 22°C parțial înnorat | [WIND] 3m/s NE | [HUMIDITY] 65%')}
-${chalk.gray('─'.repeat(60))}
-${chalk.blue('║ DAY    ║ MIN ║ MAX ║ DESC     ║ WIND  ║')}
-${chalk.blue('║ TODAY  ║ 18° ║ 25° ║ înnorat  ║ 3m/s  ║')}
-${chalk.green('[AI-INSIGHTS] >>> jachetă subțire recomandat')}`
+      classic: () => boxen([
+        chalk.yellow(t('config.preview.title', { location: location.toUpperCase() })),
+        chalk.cyan(t('config.preview.feels', { temp, feels })),
+        chalk.green(`${description} ⛅`)
+      ].join('\n'), { padding: { left: 1, right: 1 }, borderStyle: 'round', borderColor: 'blue' }),
+
+      modern: () => {
+        const cards = [
+          card([chalk.white(`🌡️ ${temp}`), chalk.gray(description), ''], 'blue'),
+          card([chalk.white(`💨 ${wind}`), chalk.white(`65% ${t('templates.humidity').toLowerCase()}`), chalk.white(units.format('pressure', 1013))], 'cyan'),
+          card([chalk.white(`🤖 ${t('config.preview.tips')}`), chalk.green(clothing), ''], 'yellow')
+        ];
+        return cards[0].map((line, i) => cards.map(lines => lines[i]).join('  ')).join('\n');
+      },
+
+      minimal: () => [
+        chalk.white(`${location} ${temp}`.toLowerCase()),
+        chalk.gray(description),
+        chalk.gray(t('templates.feelsLike', { temp: feels }).toLowerCase()),
+        chalk.white(clothing)
+      ].join('\n'),
+
+      dashboard: () => [
+        chalk.cyan(`▓▓▓ ${location.toUpperCase()} WEATHER DASHBOARD ▓▓▓`),
+        chalk.yellow(`[CURRENT] ${temp} ${description} | [WIND] ${wind} NE | [HUMIDITY] 65%`),
+        chalk.gray('─'.repeat(60)),
+        chalk.blue(table([
+          ['DAY', 'MIN', 'MAX', 'DESC', 'WIND'],
+          ['TODAY', units.format('temperature', 18), units.format('temperature', 25), description, wind]
+        ]).trimEnd()),
+        chalk.green(`[AI-INSIGHTS] >>> ${clothing}`)
+      ].join('\n')
     };
-    
-    return previews[templateName] || 'Preview indisponibil pentru acest template.';
+
+    return previews[templateName] ? previews[templateName]() : t('config.previewUnavailable');
   }
 
   // Display current configuration
   displayCurrentConfig() {
-    console.log(chalk.cyan.bold('📋 CONFIGURAȚIA CURENTĂ'));
+    console.log(chalk.cyan.bold(`📋 ${t('config.current')}`));
     console.log(chalk.gray('─'.repeat(50)));
-    console.log(chalk.yellow('Template:'), chalk.white(this.config.currentTemplate));
-    console.log(chalk.yellow('Temă:'), chalk.white(this.config.currentTheme));
+    console.log(chalk.yellow(label('config.template')), chalk.white(this.config.currentTemplate));
+    console.log(chalk.yellow(`${label('config.theme')}`), chalk.white(this.config.currentTheme));
     console.log();
     
-    console.log(chalk.cyan('⚙️  Setări:'));
+    console.log(chalk.cyan(`⚙️  ${label('config.settings')}`));
     Object.entries(this.config.customSettings).forEach(([key, value]) => {
       console.log(chalk.gray(`  ${key}:`), chalk.white(value));
     });
     
     console.log();
-    console.log(chalk.gray(`📁 Locație config: ${this.configFile}`));
+    console.log(chalk.gray(`📁 ${t('config.location', { file: this.configFile })}`));
   }
 
   // Quick template switching
   async quickSwitch() {
-    const templates = [
-      'classic', 'modern', 'dashboard', 'minimal', 
-      'ascii', 'retro', 'map', 'mobile', 'matrix', 'gauge'
-    ];
+    const templates = registry.getTemplateNames();
     
     const { template } = await inquirer.prompt([
       {
         type: 'list',
         name: 'template',
-        message: '🚀 Quick Switch - Alege template:',
-        choices: templates.map(t => ({
-          name: `${t === this.config.currentTemplate ? '✓ ' : '  '}${t}`,
-          value: t
+        message: `🚀 Quick Switch - ${label('config.quickSwitch')}`,
+        choices: templates.map(name => ({
+          name: `${name === this.config.currentTemplate ? '✓ ' : '  '}${name}`,
+          value: name
         })),
         pageSize: 10
       }
     ]);
     
     await this.setTemplate(template);
-    console.log(chalk.green(`✅ Commutat la template: ${template}`));
+    console.log(chalk.green(`✅ ${t('config.switched', { template })}`));
     
     return template;
   }
@@ -2,101 +2,194 @@ import chalk from 'chalk';
 import boxen from 'boxen';
 import { table } from 'table';
 import figlet from 'figlet';
+import { SeededRandom } from '../seeded-random.js';
+import { WeatherWarnings } from '../warnings.js';
+import { i18n, label, t } from '../i18n.js';
+import { units } from '../units.js';
+import { CustomTemplates } from './custom-templates.js';
+import { registry } from './registry.js';
+
+// Built-in color themes, registered below with the built-in templates
+const THEMES = {
+  default: {
+    primary: 'blue',
+    secondary: 'cyan',
+    accent: 'yellow',
+    success: 'green',
+    warning: 'yellow',
+    danger: 'red',
+    text: 'white'
+  },
+  dark: {
+    primary: 'gray',
+    secondary: 'white',
+    accent: 'magenta',
+    success: 'green',
+    warning: 'orange',
+    danger: 'red',
+    text: 'gray'
+  },
+  ocean: {
+    primary: 'blue',
+    secondary: 'cyan',
+    accent: 'white',
+    success: 'cyan',
+    warning: 'yellow',
+    danger: 'red',
+    text: 'blue'
+  },
+  forest: {
+    primary: 'green',
+    secondary: 'yellow',
+    accent: 'white',
+    success: 'green',
+    warning: 'orange',
+    danger: 'red',
+    text: 'green'
+  },
+  sunset: {
+    primary: 'red',
+    secondary: 'orange',
+    accent: 'yellow',
+    success: 'orange',
+    warning: 'yellow',
+    danger: 'red',
+    text: 'orange'
+  },
+  cyberpunk: {
+    primary: 'magenta',
+    secondary: 'cyan',
+    accent: 'green',
+    success: 'green',
+    warning: 'yellow',
+    danger: 'red',
+    text: 'magenta'
+  },
+  minimal: {
+    primary: 'white',
+    secondary: 'gray',
+    accent: 'white',
+    success: 'white',
+    warning: 'white',
+    danger: 'white',
+    text: 'white'
+  },
+  rainbow: {
+    primary: 'rainbow',
+    secondary: 'rainbow',
+    accent: 'rainbow',
+    success: 'green',
+    warning: 'yellow',
+    danger: 'red',
+    text: 'rainbow'
+  }
+};
+
+const THEME_ICONS = { default: '🔵', dark: '⚫', ocean: '🌊', forest: '🌲', sunset: '🌅', cyberpunk: '💜', minimal: '⚪', rainbow: '🌈' };
+
+// The WeatherTemplates behind a render context; only built-in and custom templates reach it,
+// plugins get the documented `helpers`
+const renderers = new WeakMap();
+const layouts = context => renderers.get(context);
+
+/**
+ * Built-in templates with what they can show: `supportsForecast` for a forecast table,
+ * `renderHourly` for an own hourly layout, `minWidth` in terminal columns.
+ * Descriptions are looked up when listed, so they follow the current language.
+ */
+const BUILT_IN_TEMPLATES = [
+  { name: 'classic', icon: '🏛️', title: 'Classic Professional', minWidth: 80, render: (data, context) => layouts(context).renderClassicProfessional(data, context.insights) },
+  { name: 'modern', icon: '💎', title: 'Modern Cards', minWidth: 80, render: (data, context) => layouts(context).renderModernCard(data, context.insights) },
+  {
+    name: 'dashboard',
+    icon: '📊',
+    title: 'Terminal Dashboard',
+    supportsForecast: true,
+    minWidth: 130,
+    render: (data, context) => layouts(context).renderTerminalDashboard(data, context.forecast, context.insights),
+    renderHourly: (data, slots, context) => layouts(context).renderHourlyDashboard(data, slots)
+  },
+  {
+    name: 'minimal',
+    icon: '⚡',
+    title: 'Minimal Clean',
+    minWidth: 30,
+    render: (data, context) => layouts(context).renderMinimalist(data, context.insights),
+    renderHourly: (data, slots, context) => layouts(context).renderHourlyMinimal(data, slots)
+  },
+  { name: 'ascii', icon: '🎨', title: 'ASCII Art', minWidth: 80, render: (data, context) => layouts(context).renderASCIIArt(data, context.insights) },
+  { name: 'retro', icon: '👾', title: 'Retro Terminal', minWidth: 45, render: (data, context) => layouts(context).renderRetroTerminal(data, context.insights) },
+  { name: 'map', icon: '🗺️', title: 'Weather Map', minWidth: 55, render: (data, context) => layouts(context).renderWeatherMap(data, context.insights) },
+  { name: 'mobile', icon: '📱', title: 'Mobile Style', minWidth: 25, render: (data, context) => layouts(context).renderMobileCards(data, context.insights) },
+  { name: 'matrix', icon: '🔢', title: 'Matrix Code', minWidth: 55, render: (data, context) => layouts(context).renderMatrix(data, context.insights) },
+  {
+    name: 'gauge',
+    icon: '📏',
+    title: 'Gauge Meters',
+    minWidth: 55,
+    render: (data, context) => layouts(context).renderGauge(data, context.insights),
+    renderHourly: (data, slots, context) => layouts(context).renderHourlyGauge(data, slots)
+  }
+].map(template => ({
+  ...template,
+  description: () => t(`templates.descriptions.${template.name}`),
+  summary: () => t(`config.templates.${template.name}`)
+}));
 
 /**
  * Advanced Weather CLI Templates v3.0
- * Multiple visual styles for weather data presentation
+ * Multiple visual styles for weather data presentation; which templates and themes exist
+ * is up to the TemplateRegistry (built-ins, bw-template-* plugins, custom-templates/*.tpl)
  */
 export class WeatherTemplates {
-  constructor() {
-    this.themes = {
-      default: {
-        primary: 'blue',
-        secondary: 'cyan',
-        accent: 'yellow',
-        success: 'green',
-        warning: 'yellow',
-        danger: 'red',
-        text: 'white'
-      },
-      dark: {
-        primary: 'gray',
-        secondary: 'white',
-        accent: 'magenta',
-        success: 'green',
-        warning: 'orange',
-        danger: 'red',
-        text: 'gray'
-      },
-      ocean: {
-        primary: 'blue',
-        secondary: 'cyan',
-        accent: 'white',
-        success: 'cyan',
-        warning: 'yellow',
-        danger: 'red',
-        text: 'blue'
-      },
-      forest: {
-        primary: 'green',
-        secondary: 'yellow',
-        accent: 'white',
-        success: 'green',
-        warning: 'orange',
-        danger: 'red',
-        text: 'green'
-      },
-      sunset: {
-        primary: 'red',
-        secondary: 'orange',
-        accent: 'yellow',
-        success: 'orange',
-        warning: 'yellow',
-        danger: 'red',
-        text: 'orange'
-      },
-      cyberpunk: {
-        primary: 'magenta',
-        secondary: 'cyan',
-        accent: 'green',
-        success: 'green',
-        warning: 'yellow',
-        danger: 'red',
-        text: 'magenta'
-      },
-      minimal: {
-        primary: 'white',
-        secondary: 'gray',
-        accent: 'white',
-        success: 'white',
-        warning: 'white',
-        danger: 'white',
-        text: 'white'
-      },
-      rainbow: {
-        primary: 'rainbow',
-        secondary: 'rainbow',
-        accent: 'rainbow',
-        success: 'green',
-        warning: 'yellow',
-        danger: 'red',
-        text: 'rainbow'
-      }
-    };
-    
+  constructor(options = {}) {
+    this.random = new SeededRandom(options.seed);
+    this.warnings = new WeatherWarnings();
+    this.units = options.units || units;
+    this.registry = options.registry || registry;
     this.currentTheme = 'default';
   }
 
   setTheme(theme) {
-    if (this.themes[theme]) {
+    if (this.registry.hasTheme(theme)) {
       this.currentTheme = theme;
       return true;
     }
     return false;
   }
 
+  // custom-templates/*.tpl; a broken file is listed with its error by `bw templates --list`, never fatal
+  async loadCustomTemplates(dir) {
+    this.registry.removeTemplates('custom');
+    const custom = new CustomTemplates({ dir, reserved: this.registry.getTemplateNames() });
+    await custom.load();
+
+    custom.list().forEach(item => this.registry.registerTemplate({
+      name: item.name,
+      icon: '📝',
+      description: item.description || (() => t('templates.custom.noDescription')),
+      supportsForecast: true,
+      file: item.file,
+      render: (data, context) => layouts(context).renderCustomTemplate(item, data, context.forecast, context.insights)
+    }, 'custom'));
+    return custom;
+  }
+
+  hasTemplate(name) {
+    return this.registry.hasTemplate(name);
+  }
+
+  // Colors of the active theme: { primary, secondary, accent, success, warning, danger, text }
+  getTheme() {
+    return this.registry.getThemeColors(this.currentTheme) || this.registry.getThemeColors('default');
+  }
+
+  setSeed(seed) {
+    this.random = new SeededRandom(seed);
+  }
+
   getColor(type) {
-    const theme = this.themes[this.currentTheme];
+    const theme = this.getTheme();
     return theme[type] || theme.text;
   }
 
@@ -106,29 +199,31 @@ export class WeatherTemplates {
     const secondaryColor = this.getColor('secondary');
     const accentColor = this.getColor('accent');
     
-    const header = figlet.textSync('VREMEA', { font: 'Small' });
-    const timestamp = new Date().toLocaleString('ro-RO');
+    const header = figlet.textSync(t('templates.classic.banner'), { font: 'Small' });
+    const timestamp = i18n.formatDate(new Date());
     
     const content = [
       chalk[primaryColor](header),
-      chalk[secondaryColor]('🌤️ Bucharest Weather Intelligence System'),
-      chalk.gray(`Actualizat: ${timestamp}`),
+      chalk[secondaryColor](t('templates.classic.subtitle', { location: this.getLocationLabel(weatherData) })),
+      chalk.gray(t('templates.updated', { time: timestamp })),
       '',
-      chalk[accentColor].bold('━━━ CONDIȚII METEOROLOGICE ACTUALE ━━━'),
+      chalk[accentColor].bold(`━━━ ${t('templates.classic.current')} ━━━`),
       '',
-      `🌡️  Temperatură: ${this.formatTemp(weatherData.temp)} (simte ca ${weatherData.feels_like}°C)`,
-      `☁️  Condiții: ${weatherData.description} ${this.getWeatherIcon(weatherData.icon)}`,
-      `💨  Vânt: ${weatherData.wind_speed} m/s ${weatherData.wind_direction || ''}`,
-      `💧  Umiditate: ${weatherData.humidity}% | Presiune: ${weatherData.pressure} hPa`,
-      `👁️  Vizibilitate: ${weatherData.visibility} km | Nori: ${weatherData.cloudiness}%`,
-      `🌅  Răsărit: ${weatherData.sunrise} | 🌇  Apus: ${weatherData.sunset}`,
+      `🌡️  ${t('templates.classic.temperature', { temp: this.formatTemp(weatherData.temp), feels: `${this.formatNumber(weatherData.feels_like)}${this.unit('temperature')}` })}`,
+      `☁️  ${label('templates.classic.conditions')} ${weatherData.description} ${this.getWeatherIcon(weatherData.icon)}`,
+      `💨  ${label('templates.wind')} ${this.formatNumber(weatherData.wind_speed)} ${this.unit('wind')} ${weatherData.wind_direction || ''}`,
+      `💧  ${label('templates.humidity')} ${weatherData.humidity}% | ${label('templates.pressure')} ${this.formatNumber(weatherData.pressure)} ${this.unit('pressure')}`,
+      `👁️  ${label('templates.classic.visibility')} ${this.formatNumber(weatherData.visibility)} ${this.unit('distance')} | ${label('templates.classic.clouds')} ${weatherData.cloudiness}%`,
+      `🌅  ${label('templates.classic.sunrise')} ${weatherData.sunrise} | 🌇  ${label('templates.classic.sunset')} ${weatherData.sunset}`,
       '',
-      chalk[accentColor].bold('━━━ RECOMANDĂRI INTELIGENTE ━━━'),
+      chalk[accentColor].bold(`━━━ ${t('templates.classic.recommendations')} ━━━`),
       '',
-      `👔  Îmbrăcăminte: ${insights.clothing}`,
-      `🎯  Activități: ${insights.activities}`,
-      `📍  Locații: ${insights.locations}`,
-      `💚  Sănătate: ${insights.health}`
+      `👔  ${label('templates.clothing')} ${insights.clothing}`,
+      `🎯  ${label('templates.activities')} ${insights.activities}`,
+      `📍  ${label('templates.classic.locations')} ${insights.locations}`,
+      `💚  ${label('templates.classic.health')} ${insights.health}`,
+      ...(insights.trend ? [`📊  ${label('templates.classic.trend')} ${insights.trend}`] : []),
+      ...(insights.windows?.length ? ['', chalk[accentColor].bold(`━━━ ${t('templates.classic.nextHours')} ━━━`), '', ...insights.windows.map(window => window.message)] : [])
     ];
     
     return boxen(content.join('\n'), {
@@ -136,24 +231,24 @@ export class WeatherTemplates {
       margin: 1,
       borderStyle: 'double',
       borderColor: primaryColor,
-      title: '🏛️ PROFESSIONAL WEATHER REPORT',
+      title: t('templates.classic.title'),
       titleAlignment: 'center'
     });
   }
 
   // TEMPLATE 2: Modern Card Layout
   renderModernCard(weatherData, insights) {
-    const theme = this.themes[this.currentTheme];
+    const theme = this.getTheme();
     const cards = [];
     
     // Main Weather Card
     const mainCard = [
-      chalk[theme.primary].bold('🌤️ VREMEA ACUM'),
+      chalk[theme.primary].bold(`🌤️ ${t('templates.modern.now')}`),
       '',
       `${this.formatTempLarge(weatherData.temp)}`,
       chalk[theme.secondary](weatherData.description),
       '',
-      chalk.gray(`Simte ca ${weatherData.feels_like}°C`)
+      chalk.gray(t('templates.feelsLike', { temp: `${this.formatNumber(weatherData.feels_like)}${this.unit('temperature')}` }))
     ];
     
     cards.push(boxen(mainCard.join('\n'), {
@@ -166,12 +261,12 @@ export class WeatherTemplates {
     
     // Details Card
     const detailsCard = [
-      chalk[theme.secondary].bold('📊 DETALII'),
+      chalk[theme.secondary].bold(`📊 ${t('templates.modern.details')}`),
       '',
-      `💨 ${weatherData.wind_speed} m/s`,
+      `💨 ${this.formatNumber(weatherData.wind_speed)} ${this.unit('wind')}`,
       `💧 ${weatherData.humidity}%`,
-      `📊 ${weatherData.pressure} hPa`,
-      `👁️ ${weatherData.visibility} km`,
+      `📊 ${this.formatNumber(weatherData.pressure)} ${this.unit('pressure')}`,
+      `👁️ ${this.formatNumber(weatherData.visibility)} ${this.unit('distance')}`,
       `☁️ ${weatherData.cloudiness}%`
     ];
     
@@ -190,7 +285,7 @@ export class WeatherTemplates {
       `🎯 ${insights.activities.substring(0, 20)}...`,
       `📍 ${insights.locations.substring(0, 20)}...`,
       '',
-      chalk[theme.success]('✓ Condiții optime')
+      chalk[theme.success](`✓ ${t('templates.modern.optimal')}`)
     ];
     
     cards.push(boxen(aiCard.join('\n'), {
@@ -220,24 +315,35 @@ export class WeatherTemplates {
 
   // TEMPLATE 3: Terminal Dashboard
   renderTerminalDashboard(weatherData, forecast, insights) {
-    const theme = this.themes[this.currentTheme];
+    const theme = this.getTheme();
     
     const dashboard = [];
     
     // Header
-    dashboard.push(chalk[theme.primary].bold('▓▓▓ BUCHAREST WEATHER DASHBOARD ▓▓▓'));
-    dashboard.push(chalk.gray(`${new Date().toLocaleString('ro-RO')} | System Online`));
+    dashboard.push(chalk[theme.primary].bold(`▓▓▓ ${this.getLocationLabel(weatherData).toUpperCase()} WEATHER DASHBOARD ▓▓▓`));
+    dashboard.push(chalk.gray(`${i18n.formatDate(new Date())} | System Online`));
     dashboard.push('');
     
     // Current Weather Row
     const currentRow = [
       `[CURRENT] ${this.formatTempLarge(weatherData.temp)} ${weatherData.description}`,
-      `[WIND] ${weatherData.wind_speed}m/s ${weatherData.wind_direction || 'N/A'}`,
+      `[WIND] ${weatherData.wind_speed}${this.unit('wind')} ${weatherData.wind_direction || 'N/A'}`,
       `[HUMIDITY] ${weatherData.humidity}%`,
-      `[PRESSURE] ${weatherData.pressure}hPa`
+      `[PRESSURE] ${weatherData.pressure}${this.unit('pressure')}`
     ];
     
     dashboard.push(chalk[theme.accent](currentRow.join(' | ')));
+    
+    // Comfort indices row (N/A where an index does not apply, e.g. wind chill in summer)
+    const indicesRow = [
+      ['HEAT IDX', weatherData.heat_index],
+      ['WINDCHILL', weatherData.wind_chill],
+      ['HUMIDEX', weatherData.humidex],
+      ['WBGT', weatherData.wbgt],
+      ['DEW PT', weatherData.dew_point]
+    ].map(([label, value]) => `[${label}] ${value != null ? `${value}${this.unit('temperature')}` : 'N/A'}`);
+    
+    dashboard.push(chalk[theme.secondary](indicesRow.join(' | ')));
     dashboard.push(chalk.gray('─'.repeat(80)));
     dashboard.push('');
     
@@ -246,18 +352,21 @@ export class WeatherTemplates {
       dashboard.push(chalk[theme.secondary].bold('[FORECAST - 5 DAYS]'));
       
       const forecastData = [
-        ['DAY', 'MIN', 'MAX', 'DESC', 'WIND', 'HUMIDITY']
+        ['DAY', 'MIN', 'MAX', 'DESC', 'WIND', 'HUMIDITY', 'RAIN%', 'UV', 'MOON']
       ];
       
       forecast.slice(0, 5).forEach((day, index) => {
-        const dayName = index === 0 ? 'TODAY' : index === 1 ? 'TOMRW' : day.dayName.substring(0, 5);
+        const dayName = index === 0 ? 'TODAY' : index === 1 ? 'TOMRW' : this.formatDayName(day).substring(0, 5);
         forecastData.push([
           dayName,
-          `${day.temp_min}°C`,
-          `${day.temp_max}°C`,
+          `${day.temp_min}${this.unit('temperature')}`,
+          `${day.temp_max}${this.unit('temperature')}`,
           day.description.substring(0, 10),
-          `${day.wind_speed_avg || 'N/A'}m/s`,
-          `${day.humidity_avg || 'N/A'}%`
+          `${day.wind_speed_avg || 'N/A'}${this.unit('wind')}`,
+          `${day.humidity_avg || 'N/A'}%`,
+          day.pop != null ? `${Math.round(day.pop * 100)}%` : 'N/A',
+          day.uv_max ?? 'N/A',
+          day.moon_icon || ''
         ]);
       });
       
@@ -277,6 +386,14 @@ export class WeatherTemplates {
         },
         columnDefault: {
           width: 8
+        },
+        columns: {
+          0: { width: 6 },
+          1: { width: 5 },
+          2: { width: 5 },
+          6: { width: 5 },
+          7: { width: 4 },
+          8: { width: 4 }
         }
       };
       
@@ -289,6 +406,12 @@ export class WeatherTemplates {
     dashboard.push(chalk[theme.success](`>>> ${insights.clothing}`));
     dashboard.push(chalk[theme.success](`>>> ${insights.activities}`));
     dashboard.push(chalk[theme.success](`>>> ${insights.health}`));
+    if (insights.trend) {
+      dashboard.push(chalk[theme.success](`>>> ${insights.trend}`));
+    }
+    (insights.windows || []).forEach(window => {
+      dashboard.push(chalk[theme.accent](`>>> ${window.message}`));
+    });
     
     return dashboard.join('\n');
   }
@@ -298,11 +421,12 @@ export class WeatherTemplates {
     const lines = [];
     
     lines.push('');
-    lines.push(chalk.white.bold(`bucuresti ${weatherData.temp}°c`));
+    const degrees = this.unit('temperature').toLowerCase();
+    lines.push(chalk.white.bold(`${this.getLocationLabel(weatherData).toLowerCase()} ${weatherData.temp}${degrees}`));
     lines.push(chalk.gray(weatherData.description));
     lines.push('');
-    lines.push(chalk.gray(`feels like ${weatherData.feels_like}°c`));
-    lines.push(chalk.gray(`${weatherData.humidity}% humidity, ${weatherData.wind_speed}m/s wind`));
+    lines.push(chalk.gray(`feels like ${weatherData.feels_like}${degrees}`));
+    lines.push(chalk.gray(`${weatherData.humidity}% humidity, ${weatherData.wind_speed}${this.unit('wind')} wind`));
     lines.push('');
     lines.push(chalk.white(`${insights.clothing.toLowerCase()}`));
     lines.push('');
@@ -313,19 +437,19 @@ export class WeatherTemplates {
   // TEMPLATE 5: ASCII Art Weather
   renderASCIIArt(weatherData, insights) {
     const weatherArt = this.getWeatherASCII(weatherData.icon);
-    const theme = this.themes[this.currentTheme];
+    const theme = this.getTheme();
     
     const content = [
       chalk[theme.primary](weatherArt.art),
       '',
-      chalk[theme.accent].bold(`${weatherData.temp}°C în BUCUREȘTI`),
+      chalk[theme.accent].bold(t('templates.ascii.heading', { temp: `${this.formatNumber(weatherData.temp)}${this.unit('temperature')}`, location: this.getLocationLabel(weatherData).toUpperCase() })),
       chalk[theme.secondary](weatherData.description),
       '',
       `${weatherArt.description}`,
       '',
       chalk.gray('─'.repeat(50)),
       '',
-      chalk[theme.primary]('🤖 AI RECOMANDĂ:'),
+      chalk[theme.primary](`🤖 ${label('templates.ascii.recommends')}`),
       chalk[theme.success](`• ${insights.clothing}`),
       chalk[theme.success](`• ${insights.activities}`),
       chalk[theme.success](`• ${insights.health}`)
@@ -346,15 +470,15 @@ export class WeatherTemplates {
     
     lines.push(chalk.green('> SYSTEM BOOT COMPLETE'));
     lines.push(chalk.green('> INITIALIZING WEATHER MODULE...'));
-    lines.push(chalk.green('> CONNECTING TO BUCHAREST SENSORS...'));
+    lines.push(chalk.green(`> CONNECTING TO ${this.getLocationLabel(weatherData).toUpperCase()} SENSORS...`));
     lines.push(chalk.green('> [OK] CONNECTION ESTABLISHED'));
     lines.push('');
     lines.push(chalk.yellow('╔═══════════════════════════════════════╗'));
     lines.push(chalk.yellow('║') + chalk.white.bold(' WEATHER TERMINAL v3.0               ') + chalk.yellow('║'));
     lines.push(chalk.yellow('╠═══════════════════════════════════════╣'));
-    lines.push(chalk.yellow('║') + chalk.cyan(` TEMP: ${weatherData.temp}°C                     `) + chalk.yellow('║'));
+    lines.push(chalk.yellow('║') + chalk.cyan(` TEMP: ${weatherData.temp}${this.unit('temperature')}                     `) + chalk.yellow('║'));
     lines.push(chalk.yellow('║') + chalk.cyan(` DESC: ${weatherData.description.padEnd(27)} `) + chalk.yellow('║'));
-    lines.push(chalk.yellow('║') + chalk.cyan(` WIND: ${weatherData.wind_speed}m/s                   `) + chalk.yellow('║'));
+    lines.push(chalk.yellow('║') + chalk.cyan(` WIND: ${weatherData.wind_speed}${this.unit('wind')}                   `) + chalk.yellow('║'));
     lines.push(chalk.yellow('║') + chalk.cyan(` HUMI: ${weatherData.humidity}%                       `) + chalk.yellow('║'));
     lines.push(chalk.yellow('╠═══════════════════════════════════════╣'));
     lines.push(chalk.yellow('║') + chalk.green(' AI-ASSIST: ACTIVE                   ') + chalk.yellow('║'));
@@ -369,17 +493,17 @@ export class WeatherTemplates {
   // TEMPLATE 7: Weather Map
   renderWeatherMap(weatherData, insights) {
     const map = this.generateBucharestMap(weatherData);
-    const theme = this.themes[this.currentTheme];
+    const theme = this.getTheme();
     
     const content = [
-      chalk[theme.primary].bold('🗺️ WEATHER MAP - BUCUREȘTI'),
+      chalk[theme.primary].bold(t('templates.map.title')),
       '',
       map,
       '',
-      chalk[theme.secondary](`Temperatură: ${weatherData.temp}°C | ${weatherData.description}`),
-      chalk[theme.secondary](`Vânt: ${weatherData.wind_speed}m/s | Umiditate: ${weatherData.humidity}%`),
+      chalk[theme.secondary](`${label('templates.temperature')} ${this.formatNumber(weatherData.temp)}${this.unit('temperature')} | ${weatherData.description}`),
+      chalk[theme.secondary](`${label('templates.wind')} ${this.formatNumber(weatherData.wind_speed)}${this.unit('wind')} | ${label('templates.humidity')} ${weatherData.humidity}%`),
       '',
-      chalk[theme.accent].bold('📍 ZONE RECOMANDATE:'),
+      chalk[theme.accent].bold(`📍 ${label('templates.map.zones')}`),
       chalk[theme.success](`• ${insights.locations}`),
       chalk[theme.success](`• ${insights.activities}`)
     ];
@@ -395,24 +519,24 @@ export class WeatherTemplates {
 
   // TEMPLATE 8: Mobile-Style Cards
   renderMobileCards(weatherData, insights) {
-    const theme = this.themes[this.currentTheme];
+    const theme = this.getTheme();
     const cards = [];
     
     // Temperature Card
     const tempCard = [
       chalk[theme.primary]('┌─────────────────┐'),
-      chalk[theme.primary]('│') + chalk[theme.accent].bold(`    ${weatherData.temp}°C        `) + chalk[theme.primary]('│'),
+      chalk[theme.primary]('│') + chalk[theme.accent].bold(`    ${this.formatNumber(weatherData.temp)}${this.unit('temperature')}        `) + chalk[theme.primary]('│'),
       chalk[theme.primary]('│') + chalk[theme.secondary](`  ${weatherData.description.padEnd(15)}`) + chalk[theme.primary]('│'),
-      chalk[theme.primary]('│') + chalk.gray(`  Simte ca ${weatherData.feels_like}°C   `) + chalk[theme.primary]('│'),
+      chalk[theme.primary]('│') + chalk.gray(`  ${t('templates.feelsLike', { temp: `${this.formatNumber(weatherData.feels_like)}${this.unit('temperature')}` })}   `) + chalk[theme.primary]('│'),
       chalk[theme.primary]('└─────────────────┘')
     ];
     
     // Wind & Humidity Card
     const detailsCard = [
       chalk[theme.secondary]('┌─────────────────┐'),
-      chalk[theme.secondary]('│') + chalk.white(`  💨 ${weatherData.wind_speed}m/s       `) + chalk[theme.secondary]('│'),
+      chalk[theme.secondary]('│') + chalk.white(`  💨 ${this.formatNumber(weatherData.wind_speed)}${this.unit('wind')}       `) + chalk[theme.secondary]('│'),
       chalk[theme.secondary]('│') + chalk.white(`  💧 ${weatherData.humidity}%           `) + chalk[theme.secondary]('│'),
-      chalk[theme.secondary]('│') + chalk.white(`  📊 ${weatherData.pressure}hPa   `) + chalk[theme.secondary]('│'),
+      chalk[theme.secondary]('│') + chalk.white(`  📊 ${this.formatNumber(weatherData.pressure)}${this.unit('pressure')}   `) + chalk[theme.secondary]('│'),
       chalk[theme.secondary]('└─────────────────┘')
     ];
     
@@ -420,8 +544,8 @@ export class WeatherTemplates {
     const aiCard = [
       chalk[theme.accent]('┌─────────────────┐'),
       chalk[theme.accent]('│') + chalk.white('  🤖 AI TIPS      ') + chalk[theme.accent]('│'),
-      chalk[theme.accent]('│') + chalk[theme.success](`  👕 Îmbrăcăminte   `) + chalk[theme.accent]('│'),
-      chalk[theme.accent]('│') + chalk[theme.success](`  🎯 Activități     `) + chalk[theme.accent]('│'),
+      chalk[theme.accent]('│') + chalk[theme.success](`  👕 ${t('templates.clothing')}`.padEnd(20)) + chalk[theme.accent]('│'),
+      chalk[theme.accent]('│') + chalk[theme.success](`  🎯 ${t('templates.activities')}`.padEnd(20)) + chalk[theme.accent]('│'),
       chalk[theme.accent]('└─────────────────┘')
     ];
     
@@ -438,9 +562,9 @@ export class WeatherTemplates {
       chalk.green(matrix),
       '',
       chalk.green(`> DECODING WEATHER DATA...`),
-      chalk.green(`> TEMPERATURE: ${weatherData.temp}°C`),
+      chalk.green(`> TEMPERATURE: ${weatherData.temp}${this.unit('temperature')}`),
       chalk.green(`> CONDITIONS: ${weatherData.description.toUpperCase()}`),
-      chalk.green(`> WIND_SPEED: ${weatherData.wind_speed}m/s`),
+      chalk.green(`> WIND_SPEED: ${weatherData.wind_speed}${this.unit('wind')}`),
       chalk.green(`> HUMIDITY: ${weatherData.humidity}%`),
       '',
       chalk.cyan('> AI_MODULE_STATUS: ONLINE'),
@@ -459,19 +583,22 @@ export class WeatherTemplates {
     const windGauge = this.createWindGauge(weatherData.wind_speed);
     const humidityGauge = this.createHumidityGauge(weatherData.humidity);
     
-    const theme = this.themes[this.currentTheme];
+    const theme = this.getTheme();
     
     const content = [
-      chalk[theme.primary].bold('📊 WEATHER GAUGES - BUCUREȘTI'),
+      chalk[theme.primary].bold(t('templates.gauge.title', { location: this.getLocationLabel(weatherData).toUpperCase() })),
       '',
-      `🌡️  TEMPERATURĂ: ${tempGauge}`,
-      `💨  VÂNT: ${windGauge}`,
-      `💧  UMIDITATE: ${humidityGauge}`,
+      `🌡️  ${label('templates.temperature').toUpperCase()} ${tempGauge}`,
+      `💨  ${label('templates.wind').toUpperCase()} ${windGauge}`,
+      `💧  ${label('templates.humidity').toUpperCase()} ${humidityGauge}`,
+      `🤒  ${label('templates.gauge.feels')} ${this.createTempGauge(weatherData.apparent_temp ?? weatherData.feels_like)}`,
+      `🥵  ${label('templates.gauge.wbgt')} ${this.createWbgtGauge(weatherData.wbgt)}`,
       '',
-      chalk[theme.secondary](`Condiții: ${weatherData.description}`),
-      chalk[theme.secondary](`Presiune: ${weatherData.pressure} hPa`),
+      chalk[theme.secondary](`${label('templates.gauge.conditions')} ${weatherData.description}`),
+      ...this.formatComfortIndices(weatherData).map(line => chalk[theme.secondary](line)),
+      chalk[theme.secondary](`${label('templates.pressure')} ${this.formatNumber(weatherData.pressure)} ${this.unit('pressure')}`),
       '',
-      chalk[theme.accent].bold('🎯 RECOMANDĂRI:'),
+      chalk[theme.accent].bold(`🎯 ${label('templates.gauge.recommendations')}`),
       chalk[theme.success](insights.clothing),
       chalk[theme.success](insights.activities)
     ];
@@ -480,25 +607,217 @@ export class WeatherTemplates {
       padding: 1,
       borderStyle: 'round',
       borderColor: theme.primary,
-      title: '📈 WEATHER ANALYTICS',
+      title: t('templates.gauge.box'),
+      titleAlignment: 'center'
+    });
+  }
+
+  // HOURLY TIMELINE: dashboard, minimal and gauge have their own layout, other templates use the dashboard one
+  renderHourly(templateName, weatherData, hourly, insights = null, forecastSource = null) {
+    const data = this.units.convertFields(weatherData);
+    const slots = this.units.convertForecast(hourly);
+    const template = this.registry.getTemplate(templateName);
+    const layout = template?.supportsHourly ? template : this.registry.getTemplate('dashboard');
+    const output = hourly?.length
+      ? layout.renderHourly(data, slots, this.getRenderContext(null, insights))
+      : chalk.gray(t('templates.hourly.empty'));
+    
+    const notices = [this.renderDataAgeNotice(weatherData, forecastSource), this.renderWarnings(insights?.warnings)].filter(Boolean);
+    return notices.length ? `${notices.join('\n')}\n${output}` : output;
+  }
+
+  renderHourlyDashboard(weatherData, hourly) {
+    const theme = this.getTheme();
+    const lines = [];
+    
+    lines.push(chalk[theme.primary].bold(`▓▓▓ ${this.getLocationLabel(weatherData).toUpperCase()} HOURLY TIMELINE ▓▓▓`));
+    lines.push(chalk.gray(`${t('templates.hourly.slots', { count: hourly.length })} | ${i18n.formatDate(new Date())}`));
+    lines.push('');
+    
+    const rows = [['TIME', 'TEMP', 'RAIN', 'POP', 'WIND', 'DESC']];
+    hourly.forEach((slot, index) => {
+      const newDay = index === 0 || slot.date !== hourly[index - 1].date;
+      rows.push([
+        newDay ? `${this.formatDayName(slot).substring(0, 3)} ${slot.time}` : slot.time,
+        `${this.formatNumber(slot.temp)}${this.unit('temperature')}`,
+        slot.precipitation > 0 ? `${this.formatNumber(slot.precipitation)}${this.unit('precipitation')}` : '-',
+        slot.pop != null ? `${Math.round(slot.pop * 100)}%` : '-',
+        `${this.formatNumber(slot.wind_speed)}${this.unit('wind')}`,
+        slot.description
+      ]);
+    });
+    
+    lines.push(table(rows, {
+      border: {
+        topBody: '═',
+        topJoin: '╤',
+        topLeft: '╔',
+        topRight: '╗',
+        bottomBody: '═',
+        bottomJoin: '╧',
+        bottomLeft: '╚',
+        bottomRight: '╝',
+        bodyLeft: '║',
+        bodyRight: '║',
+        bodyJoin: '│'
+      },
+      columns: {
+        0: { width: 9 },
+        1: { width: 6 },
+        2: { width: 7 },
+        3: { width: 4 },
+        4: { width: 7 },
+        5: { width: 22, truncate: 22 }
+      },
+      drawHorizontalLine: (index, size) => index <= 1 || index === size
+    }));
+    
+    return lines.join('\n');
+  }
+
+  renderHourlyMinimal(weatherData, hourly) {
+    const lines = [''];
+    lines.push(chalk.white.bold(`${this.getLocationLabel(weatherData).toLowerCase()} · next ${hourly.length} slots`));
+    
+    hourly.forEach((slot, index) => {
+      if (index === 0 || slot.date !== hourly[index - 1].date) {
+        lines.push('');
+        lines.push(chalk.gray(this.formatDayName(slot).toLowerCase()));
+      }
+      
+      const rain = slot.precipitation > 0 ? `${this.formatNumber(slot.precipitation)}${this.unit('precipitation')}` : '';
+      lines.push(`${chalk.gray(slot.time)}  ${chalk.white(`${this.formatNumber(slot.temp)}°`.padStart(4))}  ${chalk.gray(`${this.formatNumber(slot.wind_speed)}${this.unit('wind')}`.padEnd(7))}  ${chalk.cyan(rain)}`);
+    });
+    
+    lines.push('');
+    return lines.join('\n');
+  }
+
+  renderHourlyGauge(weatherData, hourly) {
+    const theme = this.getTheme();
+    const temps = hourly.map(slot => slot.temp);
+    const min = Math.min(...temps);
+    const max = Math.max(...temps);
+    const maxRain = Math.max(this.limit('precipitation', 5), ...hourly.map(slot => slot.precipitation));
+    
+    const content = [
+      chalk[theme.primary].bold(`📊 HOURLY GAUGES - ${this.getLocationLabel(weatherData).toUpperCase()}`),
+      ''
+    ];
+    
+    hourly.forEach((slot, index) => {
+      if (index === 0 || slot.date !== hourly[index - 1].date) {
+        content.push(chalk[theme.secondary](this.formatDayName(slot)));
+      }
+      
+      const tempFill = max === min ? 5 : Math.round(((slot.temp - min) / (max - min)) * 10);
+      const rainFill = Math.round((slot.precipitation / maxRain) * 5);
+      content.push([
+        chalk.gray(slot.time),
+        chalk.red('█'.repeat(tempFill)) + chalk.gray('░'.repeat(10 - tempFill)),
+        `${this.formatNumber(slot.temp)}${this.unit('temperature')}`.padEnd(6),
+        '💧' + chalk.blue('▮'.repeat(rainFill)) + chalk.gray('▯'.repeat(5 - rainFill)),
+        `${this.formatNumber(slot.precipitation)}${this.unit('precipitation')}`.padEnd(6),
+        `💨 ${this.formatNumber(slot.wind_speed)}${this.unit('wind')}`
+      ].join(' '));
+    });
+    
+    return boxen(content.join('\n'), {
+      padding: 1,
+      borderStyle: 'round',
+      borderColor: theme.primary,
+      title: '📈 HOURLY ANALYTICS',
       titleAlignment: 'center'
     });
   }
 
   // Helper methods
+  // Symbol of a display unit; the values handed to the layouts are already converted
+  unit(quantity) {
+    return this.units.symbol(quantity);
+  }
+
+  // A metric threshold (gauge range, color band) in the display units
+  limit(quantity, value) {
+    return this.units.convert(quantity, value);
+  }
+
+  getLocationLabel(weatherData) {
+    return weatherData.location || t('locations.defaultName');
+  }
+
+  // Providers name days in English ("Monday"); the timestamp gives the name in the current language
+  formatDayName(item) {
+    return item.dt ? i18n.formatDate(item.dt, { weekday: 'long' }) : item.dayName;
+  }
+
+  // Offline data is always labelled with its age, whatever the template; with several
+  // sources (current conditions and forecast) the oldest offline copy is the one shown
+  renderDataAgeNotice(...sources) {
+    const [oldest] = sources.filter(source => source?.offline).sort((a, b) => b.dataAge - a.dataAge);
+    if (!oldest) return null;
+
+    const savedAt = i18n.formatDate(oldest.cachedAt);
+    return chalk.bgYellow.black(` 📴 OFFLINE `) +
+      chalk.yellow(` ${t('templates.offline', { age: this.formatAge(oldest.dataAge), savedAt })}`);
+  }
+
+  // ANM-coded warnings are shown above every template, official ones with their issuer
+  renderWarnings(warnings) {
+    if (!warnings?.length) return null;
+
+    return warnings.map(warning => {
+      const { badge, text } = this.getWarningStyle(warning.code);
+      const phenomenon = WeatherWarnings.getPhenomenonInfo(warning.phenomenon);
+      const source = warning.official ? `📢 ${warning.source}` : `📈 ${t('warnings.forecastSource')}`;
+      return badge(` ${warning.icon} ${warning.codeLabel.toUpperCase()} `) +
+        text(` ${phenomenon.icon} ${warning.phenomenonLabel} · ${warning.area} · ${this.warnings.formatInterval(warning)}`) +
+        chalk.gray(` (${source})`);
+    }).join('\n');
+  }
+
+  // LLM summary (INSIGHTS_MODE=llm) with its backend, or the rule-engine fallback and why
+  renderSummary(summary) {
+    if (!summary) return null;
+
+    const origin = summary.source === 'llm'
+      ? `${summary.backend} · ${summary.model}${summary.cached ? ` · ${t('templates.summary.cached')}` : ''}`
+      : `${t('templates.summary.rules')} · ${summary.reason}`;
+    return `${summary.source === 'llm' ? '🧠' : '📋'} ${chalk.white(summary.text)}\n${chalk.gray(`   (${origin})`)}`;
+  }
+
+  getWarningStyle(code) {
+    const styles = {
+      galben: { badge: chalk.bgYellow.black, text: chalk.yellow },
+      portocaliu: { badge: chalk.bgHex('#FF8C00').black, text: chalk.hex('#FF8C00') },
+      rosu: { badge: chalk.bgRed.white, text: chalk.red }
+    };
+    return styles[code] || styles.galben;
+  }
+
+  // Plural forms come from the catalog: "acum 5 ore", "acum 20 de ore"
+  formatAge(seconds) {
+    if (seconds < 60) return t('templates.age.seconds');
+    if (seconds < 3600) return t('templates.age.minutes', { count: Math.round(seconds / 60) });
+    if (seconds < 86400) return t('templates.age.hours', { count: Math.round(seconds / 3600) });
+    return t('templates.age.days', { count: Math.round(seconds / 86400) });
+  }
+
+  // Decimals in the current language: "0,3 km" in French
+  formatNumber(value) {
+    return i18n.formatNumber(value);
+  }
+
   formatTemp(temp) {
-    if (temp > 30) return chalk.red.bold(`${temp}°C`);
-    if (temp < 0) return chalk.blue.bold(`${temp}°C`);
-    if (temp < 10) return chalk.cyan.bold(`${temp}°C`);
-    return chalk.yellow.bold(`${temp}°C`);
+    const tempStr = `${this.formatNumber(temp)}${this.unit('temperature')}`;
+    if (temp > this.limit('temperature', 30)) return chalk.red.bold(tempStr);
+    if (temp < this.limit('temperature', 0)) return chalk.blue.bold(tempStr);
+    if (temp < this.limit('temperature', 10)) return chalk.cyan.bold(tempStr);
+    return chalk.yellow.bold(tempStr);
   }
 
   formatTempLarge(temp) {
-    const tempStr = `${temp}°C`;
-    if (temp > 30) return chalk.red.bold(tempStr);
-    if (temp < 0) return chalk.blue.bold(tempStr);
-    if (temp < 10) return chalk.cyan.bold(tempStr);
-    return chalk.yellow.bold(tempStr);
+    return this.formatTemp(temp);
   }
 
   getWeatherIcon(iconCode) {
@@ -522,7 +841,7 @@ export class WeatherTemplates {
  '___.       _.'
      '--'     `,
         title: '☀️ SUNNY WEATHER',
-        description: 'Soare strălucitor în București!'
+        description: t('templates.ascii.sunny')
       },
       '02d': {
         art: `   \  /  
@@ -532,7 +851,7 @@ export class WeatherTemplates {
           '-'
      CLOUDS    `,
         title: '⛅ PARTLY CLOUDY',
-        description: 'Parțial înnorat cu soare'
+        description: t('templates.ascii.partlyCloudy')
       },
       '09d': {
         art: `     .--.    
@@ -542,7 +861,7 @@ export class WeatherTemplates {
  ' ' ' ' ' ' 
      RAIN     `,
         title: '🌧️ RAINY WEATHER',
-        description: 'Ploaie în București'
+        description: t('templates.ascii.rainy')
       },
       default: {
         art: `    .---.    
@@ -550,7 +869,7 @@ export class WeatherTemplates {
   (___.__)  
     CLOUDY   `,
         title: '☁️ CLOUDY WEATHER',
-        description: 'Vremea înnorat'
+        description: t('templates.ascii.cloudy')
       }
     };
     
@@ -559,12 +878,12 @@ export class WeatherTemplates {
 
   generateBucharestMap(weatherData) {
     const temp = weatherData.temp;
-    const tempColor = temp > 25 ? 'red' : temp > 15 ? 'yellow' : 'blue';
+    const tempColor = temp > this.limit('temperature', 25) ? 'red' : temp > this.limit('temperature', 15) ? 'yellow' : 'blue';
     
     const map = [
       '     ┌─────────────────┐',
       '     │ SECTORUL 1      │',
-      '     │   🏛️  🌡️' + chalk[tempColor](`${temp}°C`) + '   │',
+      '     │   🏛️  🌡️' + chalk[tempColor](`${this.formatNumber(temp)}${this.unit('temperature')}`) + '   │',
       '     └─────┬───────────┘',
       '           │',
       '     ┌─────┴───────────┐',
@@ -574,7 +893,7 @@ export class WeatherTemplates {
       '           │',
       '     ┌─────┴───────────┐',
       '     │ SECTORUL 3-4    │',
-      '     │   🏢  💨' + weatherData.wind_speed + 'm/s │',
+      '     │   🏢  💨' + this.formatNumber(weatherData.wind_speed) + this.unit('wind') + ' │',
       '     └─────────────────┘'
     ];
     
@@ -588,8 +907,8 @@ export class WeatherTemplates {
     for (let i = 0; i < 5; i++) {
       let line = '';
       for (let j = 0; j < 20; j++) {
-        if (Math.random() < 0.3) {
-          line += chars[Math.floor(Math.random() * chars.length)];
+        if (this.random.next() < 0.3) {
+          line += this.random.pick(chars);
         } else {
           line += ' ';
         }
@@ -600,8 +919,9 @@ export class WeatherTemplates {
     return matrix;
   }
 
+  // Ranges and risk bands are metric and follow the display units
   createTempGauge(temp) {
-    const min = -20, max = 50;
+    const min = this.limit('temperature', -20), max = this.limit('temperature', 50);
     const percentage = Math.max(0, Math.min(100, ((temp - min) / (max - min)) * 100));
     const filled = Math.floor(percentage / 5);
     const empty = 20 - filled;
@@ -609,13 +929,13 @@ export class WeatherTemplates {
     let gauge = '[';
     gauge += chalk.red('█'.repeat(filled));
     gauge += chalk.gray('░'.repeat(empty));
-    gauge += `] ${temp}°C`;
+    gauge += `] ${this.formatNumber(temp)}${this.unit('temperature')}`;
     
     return gauge;
   }
 
   createWindGauge(windSpeed) {
-    const max = 30;
+    const max = this.limit('wind', 30);
     const percentage = Math.max(0, Math.min(100, (windSpeed / max) * 100));
     const filled = Math.floor(percentage / 5);
     const empty = 20 - filled;
@@ -623,11 +943,40 @@ export class WeatherTemplates {
     let gauge = '[';
     gauge += chalk.blue('█'.repeat(filled));
     gauge += chalk.gray('░'.repeat(empty));
-    gauge += `] ${windSpeed}m/s`;
+    gauge += `] ${this.formatNumber(windSpeed)}${this.unit('wind')}`;
+    
+    return gauge;
+  }
+
+  // Shade WBGT on a 15-35°C scale, colored by heat-stress risk
+  createWbgtGauge(wbgt) {
+    if (wbgt == null) return chalk.gray('[N/A]');
+    
+    const min = this.limit('temperature', 15), max = this.limit('temperature', 35);
+    const percentage = Math.max(0, Math.min(100, ((wbgt - min) / (max - min)) * 100));
+    const filled = Math.floor(percentage / 5);
+    const empty = 20 - filled;
+    const [color, risk] = wbgt >= this.limit('temperature', 31) ? ['red', 'extreme']
+      : wbgt >= this.limit('temperature', 28) ? ['magenta', 'high']
+        : wbgt >= this.limit('temperature', 25) ? ['yellow', 'moderate']
+          : ['green', 'low'];
+    
+    let gauge = '[';
+    gauge += chalk[color]('█'.repeat(filled));
+    gauge += chalk.gray('░'.repeat(empty));
+    gauge += `] ${this.formatNumber(wbgt)}${this.unit('temperature')} ${t(`templates.gauge.risk.${risk}`)}`;
     
     return gauge;
   }
 
+  formatComfortIndices(weatherData) {
+    const format = value => (value != null ? `${this.formatNumber(value)}${this.unit('temperature')}` : '—');
+    return [
+      `${label('templates.comfort.heatIndex')} ${format(weatherData.heat_index)} | ${label('metrics.humidex')} ${format(weatherData.humidex)}`,
+      `${label('templates.comfort.windChill')} ${format(weatherData.wind_chill)} | ${label('templates.comfort.dewPoint')} ${format(weatherData.dew_point)}`
+    ];
+  }
+
   createHumidityGauge(humidity) {
     const filled = Math.floor(humidity / 5);
     const empty = 20 - filled;
@@ -641,54 +990,100 @@ export class WeatherTemplates {
   }
 
   // Template selector method
-  renderTemplate(templateName, weatherData, forecast = null, insights = null) {
-    switch (templateName) {
-      case 'classic':
-        return this.renderClassicProfessional(weatherData, insights);
-      case 'modern':
-        return this.renderModernCard(weatherData, insights);
-      case 'dashboard':
-        return this.renderTerminalDashboard(weatherData, forecast, insights);
-      case 'minimal':
-        return this.renderMinimalist(weatherData, insights);
-      case 'ascii':
-        return this.renderASCIIArt(weatherData, insights);
-      case 'retro':
-        return this.renderRetroTerminal(weatherData, insights);
-      case 'map':
-        return this.renderWeatherMap(weatherData, insights);
-      case 'mobile':
-        return this.renderMobileCards(weatherData, insights);
-      case 'matrix':
-        return this.renderMatrix(weatherData, insights);
-      case 'gauge':
-        return this.renderGauge(weatherData, insights);
-      default:
-        return this.renderClassicProfessional(weatherData, insights);
+  renderTemplate(templateName, weatherData, forecast = null, insights = null, forecastSource = null) {
+    // Converted once to the display units; the layouts only add the symbols
+    const data = this.units.convertFields(weatherData);
+    const days = this.units.convertForecast(forecast);
+    const template = this.registry.getTemplate(templateName);
+    let notice = template ? null : chalk.yellow(t('templates.unknown', { template: templateName, fallback: 'classic' }));
+    let output;
+    try {
+      output = this.renderTemplateBody(templateName, data, days, insights);
+    } catch (error) {
+      // A plugin or custom template that breaks never takes the weather away
+      if (!template || template.source === 'built-in') throw error;
+      notice = chalk.yellow(t('templates.registry.renderFailed', { template: templateName, error: error.message, fallback: 'classic' }));
+      output = this.renderTemplateBody('classic', data, days, insights);
     }
+
+    const notices = [notice, this.renderDataAgeNotice(weatherData, forecastSource), this.renderWarnings(insights?.warnings)]
+      .filter(Boolean);
+    const summary = this.renderSummary(insights?.summary);
+    const body = summary ? `${output}\n${summary}` : output;
+    return notices.length ? `${notices.join('\n')}\n${body}` : body;
+  }
+
+  // Unknown names get the classic layout
+  renderTemplateBody(templateName, weatherData, forecast, insights) {
+    const template = this.registry.getTemplate(templateName) || this.registry.getTemplate('classic');
+    return template.render(weatherData, this.getRenderContext(forecast, insights));
+  }
+
+  // The second argument of every render()
+  getRenderContext(forecast = null, insights = null) {
+    const context = { forecast, insights, theme: this.currentTheme, colors: this.getTheme(), units: this.units, helpers: this.getHelpers() };
+    renderers.set(context, this);
+    return context;
+  }
+
+  // What plugins may call, already bound: the formatting the built-in templates use, nothing that renders or changes state
+  getHelpers() {
+    return {
+      formatTemp: temp => this.formatTemp(temp),
+      formatNumber: value => this.formatNumber(value),
+      formatDayName: item => this.formatDayName(item),
+      getWeatherIcon: iconCode => this.getWeatherIcon(iconCode),
+      getLocationLabel: weatherData => this.getLocationLabel(weatherData)
+    };
+  }
+
+  // What a custom template sees: the converted data plus names and symbols ready to print
+  renderCustomTemplate(custom, weatherData, forecast, insights) {
+    return custom.template.render({
+      current: weatherData,
+      forecast: (forecast || []).map(day => ({ ...day, day_name: this.formatDayName(day) })),
+      insights: insights || {},
+      warnings: insights?.warnings || [],
+      location: this.getLocationLabel(weatherData),
+      units: this.units.toJSON(),
+      theme: this.currentTheme,
+      now: i18n.formatDate(new Date())
+    }, { colors: this.getTheme() });
   }
 
-  // Get available templates
+  // Get available templates: built-ins, plugins, then custom ones, with their capabilities
   getAvailableTemplates() {
-    return [
-      { name: 'classic', description: 'Template profesional clasic cu design elegant' },
-      { name: 'modern', description: 'Layout modern cu carduri și design clean' },
-      { name: 'dashboard', description: 'Dashboard terminal cu tabele și indicatori' },
-      { name: 'minimal', description: 'Design minimalist pentru utilizatori avansați' },
-      { name: 'ascii', description: 'Arte ASCII cu ilustrații meteorologice' },
-      { name: 'retro', description: 'Terminal retro în stil anii 80-90' },
-      { name: 'map', description: 'Hartă meteo pentru București' },
-      { name: 'mobile', description: 'Design inspirat din aplicații mobile' },
-      { name: 'matrix', description: 'Stil Matrix cu efecte vizuale' },
-      { name: 'gauge', description: 'Indicatori vizuali tip gauge pentru date meteo' }
-    ];
+    return this.registry.getTemplates().map(template => ({
+      name: template.name,
+      description: template.description,
+      icon: template.icon,
+      title: template.title,
+      source: template.source,
+      custom: template.source === 'custom',
+      file: template.file || null,
+      supportsForecast: template.supportsForecast,
+      supportsHourly: template.supportsHourly,
+      minWidth: template.minWidth
+    }));
   }
 
   // Get available themes
   getAvailableThemes() {
-    return Object.keys(this.themes).map(theme => ({
-      name: theme,
-      colors: this.themes[theme]
+    return this.registry.getThemes().map(theme => ({
+      name: theme.name,
+      colors: theme.colors,
+      description: theme.description,
+      icon: theme.icon,
+      source: theme.source
     }));
   }
-}
\ No newline at end of file
+}
+
+// Built-ins register first, so plugins and custom templates can never take their names
+Object.entries(THEMES).forEach(([name, colors]) => registry.registerTheme({
+  name,
+  colors,
+  icon: THEME_ICONS[name],
+  description: () => t(`config.themes.${name}`)
+}));
+BUILT_IN_TEMPLATES.forEach(template => registry.registerTemplate(template));
\ No newline at end of file
@@ -0,0 +1,229 @@
+import { i18n, t } from './i18n.js';
+
+// Centimetres of fresh snow per mm of water, the ratio behind Open-Meteo's snowfall
+const SNOW_CM_PER_MM = 0.7;
+
+// Upper limits (m/s) of Beaufort forces 0-11; anything faster is force 12
+const BEAUFORT = [0.5, 1.6, 3.4, 5.5, 8.0, 10.8, 13.9, 17.2, 20.8, 24.5, 28.5, 32.7];
+
+/**
+ * What each quantity can be shown in. Providers always return the first unit of each
+ * quantity (metric); `factor` converts from it, `decimals` rounds the converted value.
+ */
+const UNITS = {
+  temperature: {
+    c: { symbol: '°C', factor: 1 },
+    f: { symbol: '°F', factor: 9 / 5, offset: 32, decimals: 0 }
+  },
+  wind: {
+    ms: { symbol: 'm/s', factor: 1 },
+    kmh: { symbol: 'km/h', factor: 3.6, decimals: 0 },
+    mph: { symbol: 'mph', factor: 2.23694, decimals: 1 },
+    kn: { symbol: 'kn', factor: 1.94384, decimals: 0 },
+    bft: {
+      symbol: 'Bft',
+      from: value => BEAUFORT.filter(limit => value >= limit).length,
+      to: value => (value <= 0 ? 0 : BEAUFORT[Math.min(value, BEAUFORT.length) - 1])
+    }
+  },
+  pressure: {
+    hpa: { symbol: 'hPa', factor: 1 },
+    inhg: { symbol: 'inHg', factor: 0.02953, decimals: 2 },
+    mmhg: { symbol: 'mmHg', factor: 0.750062, decimals: 0 }
+  },
+  precipitation: {
+    mm: { symbol: 'mm', factor: 1 },
+    in: { symbol: 'in', factor: 1 / 25.4, decimals: 2 }
+  },
+  distance: {
+    km: { symbol: 'km', factor: 1 },
+    mi: { symbol: 'mi', factor: 0.621371, decimals: 1 }
+  }
+};
+
+const SYSTEMS = {
+  metric: { temperature: 'c', wind: 'ms', pressure: 'hpa', precipitation: 'mm', distance: 'km' },
+  imperial: { temperature: 'f', wind: 'mph', pressure: 'inhg', precipitation: 'in', distance: 'mi' }
+};
+
+// Spellings accepted in a units spec ("temp=F", "wind=km/h", "wind=beaufort")
+const ALIASES = {
+  temp: 'temperature', rain: 'precipitation', visibility: 'distance',
+  beaufort: 'bft', knots: 'kn', kt: 'kn', kph: 'kmh'
+};
+
+// Quantity held by each field of the normalized current, forecast day and hourly slot objects
+const FIELDS = {
+  temperature: [
+    'temp', 'feels_like', 'temp_min', 'temp_max', 'temp_avg', 'feels_like_avg', 'feels_like_min', 'feels_like_max',
+    'dew_point', 'dew_point_avg', 'heat_index', 'wind_chill', 'humidex', 'apparent_temp', 'wbgt',
+    'heat_index_max', 'wind_chill_min', 'humidex_max', 'apparent_temp_min', 'apparent_temp_max', 'wbgt_max'
+  ],
+  wind: ['wind_speed', 'wind_gust', 'wind_speed_avg', 'wind_speed_max', 'wind_gust_max'],
+  pressure: ['pressure', 'sea_level', 'grnd_level'],
+  precipitation: ['rain_1h', 'rain_3h', 'snow_1h', 'snow_3h', 'precipitation', 'precipitation_total', 'snow', 'snow_total'],
+  distance: ['visibility']
+};
+
+const QUANTITY_OF = Object.fromEntries(Object.entries(FIELDS).flatMap(([quantity, fields]) => fields.map(field => [field, quantity])));
+
+/**
+ * Units v1.0
+ * Display units over the metric data every provider returns. A spec is a system
+ * ("metric", "imperial") and/or per-quantity overrides: "metric,wind=kmh", "imperial,temperature=c",
+ * "wind=bft" (Beaufort). Data is converted once, when it leaves the model for a template,
+ * an export or a message; rules and thresholds inside the app keep comparing metric values.
+ */
+export class Units {
+  constructor(spec = 'metric') {
+    this.selection = null;
+    this.set(spec);
+  }
+
+  static getSystems() {
+    return Object.keys(SYSTEMS);
+  }
+
+  static getQuantities() {
+    return Object.keys(UNITS);
+  }
+
+  static getUnits(quantity) {
+    return Object.keys(UNITS[quantity] || {});
+  }
+
+  static getQuantity(field) {
+    return QUANTITY_OF[field] || null;
+  }
+
+  static getSymbol(quantity, unit) {
+    return UNITS[quantity]?.[unit]?.symbol ?? '';
+  }
+
+  // "metric,wind=kmh" -> { temperature: 'c', wind: 'kmh', ... }; systems and overrides apply left to right
+  static parse(spec) {
+    const selection = { ...SYSTEMS.metric };
+    const parts = String(spec || 'metric').toLowerCase().split(',').map(part => part.trim()).filter(Boolean);
+
+    parts.forEach(part => {
+      if (SYSTEMS[part]) {
+        Object.assign(selection, SYSTEMS[part]);
+        return;
+      }
+
+      const [name, value] = part.split('=').map(item => item?.trim());
+      const quantity = ALIASES[name] || name;
+      const unit = String(value ?? '').replace(/[°/]/g, '');
+      const resolved = ALIASES[unit] || unit;
+      if (!UNITS[quantity] || !UNITS[quantity][resolved]) {
+        const error = new Error(t('units.errors.invalid', { part, systems: Units.getSystems().join(', '), examples: 'metric,wind=kmh | wind=bft | imperial,temperature=c' }));
+        error.code = 'INVALID_UNITS';
+        throw error;
+      }
+      selection[quantity] = resolved;
+    });
+
+    return selection;
+  }
+
+  // The shortest spec for a selection: the closest system plus what differs from it
+  static stringify(selection) {
+    const differences = system => Units.getQuantities().filter(quantity => SYSTEMS[system][quantity] !== selection[quantity]);
+    const system = Units.getSystems().reduce((best, name) => (differences(name).length < differences(best).length ? name : best));
+    return [system, ...differences(system).map(quantity => `${quantity}=${selection[quantity]}`)].join(',');
+  }
+
+  // Snow is carried as mm of water, like the precipitation it is part of; depths (cm) only at the edges
+  static snowToWater(cm) {
+    return Math.round((cm / SNOW_CM_PER_MM) * 10) / 10;
+  }
+
+  static snowDepth(mm) {
+    return Math.round(mm * SNOW_CM_PER_MM * 10) / 10;
+  }
+
+  // Metric value -> `unit`; `delta` converts a difference (5°C warmer is 9°F warmer, not 41°F)
+  static convertTo(quantity, value, unit, { delta = false } = {}) {
+    const definition = UNITS[quantity]?.[unit];
+    if (typeof value !== 'number' || !Number.isFinite(value) || !definition) return value;
+    if (definition.from) return definition.from(value);
+    if (definition.factor === 1 && !definition.offset) return value;
+
+    const converted = value * definition.factor + (delta ? 0 : definition.offset || 0);
+    const precision = 10 ** definition.decimals;
+    return Math.round(converted * precision) / precision;
+  }
+
+  // Value in `unit` -> metric, e.g. an alert threshold typed in °F
+  static convertFrom(quantity, value, unit) {
+    const definition = UNITS[quantity]?.[unit];
+    if (typeof value !== 'number' || !Number.isFinite(value) || !definition) return value;
+    if (definition.to) return definition.to(value);
+    return (value - (definition.offset || 0)) / definition.factor;
+  }
+
+  set(spec) {
+    this.selection = Units.parse(spec);
+    this.spec = Units.stringify(this.selection);
+    return this.spec;
+  }
+
+  get(quantity) {
+    return this.selection[quantity];
+  }
+
+  isMetric() {
+    return this.spec === 'metric';
+  }
+
+  symbol(quantity) {
+    return Units.getSymbol(quantity, this.get(quantity));
+  }
+
+  convert(quantity, value, options = {}) {
+    return Units.convertTo(quantity, value, this.get(quantity), options);
+  }
+
+  toMetric(quantity, value) {
+    return Units.convertFrom(quantity, value, this.get(quantity));
+  }
+
+  // "72°F", "5 Bft", "2.5 mm" ("2,5 mm" in French); temperatures take no space before the symbol
+  format(quantity, value, options = {}) {
+    if (value === null || value === undefined) return '—';
+    const converted = i18n.formatNumber(this.convert(quantity, value, options));
+    return quantity === 'temperature' ? `${converted}${this.symbol(quantity)}` : `${converted} ${this.symbol(quantity)}`;
+  }
+
+  // One observation, forecast day or hourly slot in display units; other fields are kept as they are
+  convertFields(item) {
+    if (!item || this.isMetric()) return item;
+
+    const converted = { ...item };
+    Object.entries(item).forEach(([field, value]) => {
+      const quantity = QUANTITY_OF[field];
+      if (quantity && typeof value === 'number') converted[field] = this.convert(quantity, value);
+    });
+    if (Array.isArray(item.hourly)) converted.hourly = item.hourly.map(slot => this.convertFields(slot));
+    return converted;
+  }
+
+  convertForecast(forecast) {
+    return Array.isArray(forecast) ? forecast.map(day => this.convertFields(day)) : forecast;
+  }
+
+  // What exports record next to the converted values
+  toJSON() {
+    return {
+      system: this.spec,
+      ...Object.fromEntries(Units.getQuantities().map(quantity => [quantity, this.symbol(quantity)]))
+    };
+  }
+
+  toString() {
+    return this.spec;
+  }
+}
+
+// Shared instance: the CLI sets it once from --units, WEATHER_UNITS or `bw config`
+export const units = new Units();
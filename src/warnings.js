@@ -0,0 +1,275 @@
+import moment from 'moment';
+import { i18n, t } from './i18n.js';
+import { Units, units } from './units.js';
+
+// ANM color codes, mildest first; labels come from the catalog (warnings.codes.*)
+const CODES = {
+  galben: { rank: 1, icon: '🟡', level: 'warning' },
+  portocaliu: { rank: 2, icon: '🟠', level: 'danger' },
+  rosu: { rank: 3, icon: '🔴', level: 'danger' }
+};
+
+const SEVERITY_CODES = { minor: 'galben', moderate: 'galben', severe: 'portocaliu', extreme: 'rosu' };
+
+/**
+ * Phenomena with the thresholds (galben, portocaliu, roșu) used for forecast-derived warnings.
+ * `slot` reads one forecast slot, `day` a daily aggregate; `total` phenomena add up over the day.
+ * Labels and event names come from the catalog (warnings.phenomena.*).
+ * Thresholds follow the ANM criteria for Bucharest: maxima of 35/38/41°C, minima of -15/-20/-25°C,
+ * gusts of 50/80/100 km/h, 25/50/80 l/m² of rain and 10/20/40 cm of snow in 24h.
+ * Those units are part of the criteria; only temperatures (`quantity`) follow the display units.
+ */
+const PHENOMENA = {
+  canicula: {
+    icon: '🔥',
+    unit: '°C',
+    quantity: 'temperature',
+    thresholds: [35, 38, 41],
+    slot: slot => slot.temp,
+    day: day => day.temp_max
+  },
+  ger: {
+    icon: '🥶',
+    unit: '°C',
+    quantity: 'temperature',
+    thresholds: [-15, -20, -25],
+    below: true,
+    slot: slot => slot.temp,
+    day: day => day.temp_min
+  },
+  vant: {
+    icon: '💨',
+    unit: 'km/h',
+    thresholds: [50, 80, 100],
+    slot: slot => Math.round((slot.wind_gust ?? slot.wind_speed ?? 0) * 3.6),
+    day: day => Math.round((day.wind_gust_max ?? day.wind_speed_max ?? 0) * 3.6)
+  },
+  ploi: {
+    icon: '🌧️',
+    unit: 'l/m²',
+    thresholds: [25, 50, 80],
+    total: true,
+    slot: slot => Math.max(0, (slot.precipitation || 0) - getSnow(slot)),
+    day: day => Math.max(0, (day.precipitation_total || 0) - getSnow(day))
+  },
+  ninsori: {
+    icon: '🌨️',
+    unit: 'cm',
+    thresholds: [10, 20, 40],
+    total: true,
+    slot: slot => Units.snowDepth(getSnow(slot)),
+    day: day => Units.snowDepth(getSnow(day))
+  },
+  altele: {
+    icon: '⚠️',
+    unit: '',
+    thresholds: []
+  }
+};
+
+// Keywords in official warning titles (Romanian, English, Spanish and French) -> phenomenon
+const KEYWORDS = [
+  ['ninsori', /nins|zăpad|zapad|viscol|snow|blizzard|nieve|nevad|ventisca|neige/i],
+  ['canicula', /canicul|căldur|caldur|temperaturi ridicate|heat|high.temperature|calor|chaleur/i],
+  ['ger', /\bger\b|îngheț|inghet|temperaturi scăzute|cold|frost|low.temperature|fr[ií]o|helada|froid|\bgel\b|grand froid/i],
+  ['ploi', /ploi|ploaie|averse|torenți|torenti|instabilitate|inunda|rain|flood|thunder|lluvia|tormenta|pluie|orage/i],
+  ['vant', /vânt|vant|vijeli|rafal|wind|gale|viento|vent\b|vents\b/i]
+];
+
+// Snow in mm of water, the unit of the precipitation it is part of; precipitation at or below 0°C counts as snow when the source does not split it
+function getSnow(item) {
+  if (item.snow != null || item.snow_total != null) return item.snow ?? item.snow_total;
+  const temp = item.temp ?? item.temp_max;
+  return temp != null && temp <= 0 ? item.precipitation ?? item.precipitation_total ?? 0 : 0;
+}
+
+/**
+ * Weather Warnings v1.0
+ * ANM-style warnings: color code, phenomenon, validity interval and affected area.
+ * Official warnings (provider alerts, Meteoalarm feed) are shown as issued; the forecast
+ * adds derived ones for phenomena no official warning covers yet.
+ */
+export class WeatherWarnings {
+  static getCodes() {
+    return Object.keys(CODES);
+  }
+
+  static getCodeInfo(code) {
+    return CODES[code] ? { ...CODES[code], label: t(`warnings.codes.${code}`) } : null;
+  }
+
+  static getPhenomena() {
+    return Object.keys(PHENOMENA);
+  }
+
+  static getPhenomenonInfo(phenomenon) {
+    if (!PHENOMENA[phenomenon]) return null;
+    return {
+      ...PHENOMENA[phenomenon],
+      label: t(`warnings.phenomena.${phenomenon}.label`),
+      event: t(`warnings.phenomena.${phenomenon}.event`)
+    };
+  }
+
+  // Official first, then derived; strongest code and earliest start on top
+  build(forecast, officialAlerts = [], area = t('locations.defaultName')) {
+    const official = (officialAlerts || []).map(alert => this.fromOfficial(alert, area));
+    const derived = this.derive(forecast, area)
+      .filter(warning => !official.some(item => item.phenomenon === warning.phenomenon && this.overlaps(item, warning)));
+
+    return [...official, ...derived].sort((a, b) =>
+      CODES[b.code].rank - CODES[a.code].rank || Date.parse(a.start) - Date.parse(b.start));
+  }
+
+  // One warning per phenomenon and run of consecutive days over the yellow threshold
+  derive(forecast, area = t('locations.defaultName')) {
+    const warnings = [];
+
+    Object.entries(PHENOMENA).filter(([, phenomenon]) => phenomenon.thresholds.length).forEach(([key, phenomenon]) => {
+      let open = null;
+
+      (forecast || []).forEach(day => {
+        const found = this.evaluateDay(phenomenon, day);
+        if (!found) {
+          open = null;
+          return;
+        }
+
+        if (open) {
+          // Continues yesterday's warning: extend it and keep the strongest code
+          open.end = new Date(found.end).toISOString();
+          if (CODES[found.code].rank > CODES[open.code].rank) open.code = found.code;
+          open.value = phenomenon.below ? Math.min(open.value, found.value) : Math.max(open.value, found.value);
+        } else {
+          open = { phenomenon: key, code: found.code, value: found.value, start: new Date(found.start).toISOString(), end: new Date(found.end).toISOString() };
+          warnings.push(open);
+        }
+      });
+    });
+
+    return warnings.map(warning => this.createWarning({
+      ...warning,
+      area,
+      source: t('warnings.forecastSource'),
+      official: false,
+      description: t(PHENOMENA[warning.phenomenon].below ? 'warnings.descriptionBelow' : 'warnings.descriptionAbove', {
+        label: t(`warnings.phenomena.${warning.phenomenon}.label`),
+        ...this.formatValue(warning.phenomenon, warning.value)
+      })
+    }));
+  }
+
+  // { code, value, start, end } for one day, null below the yellow threshold
+  evaluateDay(phenomenon, day) {
+    const dayStart = day.dt ?? moment(day.date, 'DD MMM YYYY').valueOf();
+    const dayEnd = moment(dayStart).endOf('day').valueOf();
+    const slots = day.hourly || [];
+
+    let value;
+    let start = dayStart;
+    let end = dayEnd;
+
+    if (slots.length) {
+      const step = slots.length > 1 ? slots[1].dt - slots[0].dt : 3600000;
+      const values = slots.map(slot => phenomenon.slot(slot));
+      value = phenomenon.total
+        ? Math.round(values.reduce((sum, item) => sum + item, 0))
+        : (phenomenon.below ? Math.min(...values) : Math.max(...values));
+
+      // Valid while the slots are wet (accumulations) or beyond the yellow threshold
+      const active = slots.filter((slot, i) => phenomenon.total
+        ? values[i] > 0
+        : this.reaches(phenomenon, values[i], phenomenon.thresholds[0]));
+      if (active.length) {
+        start = active[0].dt;
+        end = active[active.length - 1].dt + step;
+      }
+    } else {
+      value = Math.round(phenomenon.day(day));
+    }
+
+    const code = this.getCode(phenomenon, value);
+    return code ? { code, value: Math.round(value), start, end } : null;
+  }
+
+  getCode(phenomenon, value) {
+    if (typeof value !== 'number' || Number.isNaN(value)) return null;
+
+    const level = phenomenon.thresholds.filter(threshold => this.reaches(phenomenon, value, threshold)).length;
+    return level > 0 ? WeatherWarnings.getCodes()[level - 1] : null;
+  }
+
+  reaches(phenomenon, value, threshold) {
+    return phenomenon.below ? value <= threshold : value >= threshold;
+  }
+
+  // Provider or feed alert -> warning; the code comes from the source, its title or its CAP severity
+  fromOfficial(alert, area = t('locations.defaultName')) {
+    const text = `${alert.event} ${alert.description || ''}`;
+    const named = alert.event?.match(/\b(galben|portocaliu|ro[sș]u|yellow|orange|red|amarillo|naranja|rojo|jaune|rouge)\b/i)?.[1].toLowerCase();
+    const fromTitle = {
+      galben: 'galben', yellow: 'galben', amarillo: 'galben', jaune: 'galben',
+      portocaliu: 'portocaliu', orange: 'portocaliu', naranja: 'portocaliu',
+      'roșu': 'rosu', rosu: 'rosu', red: 'rosu', rojo: 'rosu', rouge: 'rosu'
+    }[named];
+
+    return this.createWarning({
+      code: alert.code || fromTitle || SEVERITY_CODES[alert.severity] || 'galben',
+      phenomenon: alert.phenomenon || this.detectPhenomenon(alert.event) || this.detectPhenomenon(text) || 'altele',
+      title: alert.event,
+      start: alert.start,
+      end: alert.end,
+      area: alert.area || area,
+      source: alert.sender || 'ANM',
+      official: true,
+      description: alert.description || ''
+    });
+  }
+
+  detectPhenomenon(text) {
+    return KEYWORDS.find(([, pattern]) => pattern.test(text || ''))?.[0] || null;
+  }
+
+  createWarning({ code, phenomenon, title = null, start, end = null, area, source, official, value = null, description = '' }) {
+    const info = WeatherWarnings.getPhenomenonInfo(phenomenon);
+    const codeLabel = t(`warnings.codes.${code}`);
+    return {
+      code,
+      codeLabel,
+      icon: CODES[code].icon,
+      level: CODES[code].level,
+      phenomenon,
+      phenomenonLabel: info.label,
+      title: title || t('warnings.title', { code: codeLabel, event: info.event }),
+      start: new Date(start).toISOString(),
+      end: end ? new Date(end).toISOString() : null,
+      area,
+      source,
+      official,
+      value,
+      unit: value !== null ? info.unit : null,
+      description
+    };
+  }
+
+  // { value, unit } for a description: the criteria units, or the display units for temperatures
+  formatValue(phenomenon, value) {
+    const { quantity, unit } = PHENOMENA[phenomenon];
+    return quantity ? { value: units.convert(quantity, value), unit: units.symbol(quantity) } : { value, unit };
+  }
+
+  // "sâm., 12 iul., 10:00 → dum., 13 iul., 20:00", shared by every template and the export
+  formatInterval(warning) {
+    const format = time => i18n.formatDate(time, {
+      weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
+    });
+    return warning.end ? `${format(warning.start)} → ${format(warning.end)}` : t('warnings.since', { start: format(warning.start) });
+  }
+
+  // Helper methods
+  overlaps(a, b) {
+    const aEnd = a.end ? Date.parse(a.end) : Infinity;
+    const bEnd = b.end ? Date.parse(b.end) : Infinity;
+    return Date.parse(a.start) < bEnd && Date.parse(b.start) < aEnd;
+  }
+}
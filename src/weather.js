@@ -1,37 +1,71 @@
 import axios from 'axios';
 import dotenv from 'dotenv';
-import NodeCache from 'node-cache';
 import moment from 'moment';
+import { createProvider, getAvailableProviders, MeteoalarmFeed } from './providers/index.js';
+import { Gazetteer } from './gazetteer.js';
+import { DiskCache } from './cache.js';
+import { SeededRandom } from './seeded-random.js';
+import { RateLimiter } from './rate-limiter.js';
+import { WeatherHistory } from './history.js';
+import { WeatherMetrics } from './metrics.js';
+import { t } from './i18n.js';
+import crypto from 'crypto';
 
 dotenv.config();
 
 /**
  * Enhanced WeatherAPI Class v2.0
- * Professional integration with OpenWeatherMap API
- * Features: Caching, Retry Logic, Extended Data, Error Handling
+ * Professional weather integration over pluggable providers
+ * (OpenWeatherMap, Open-Meteo, MET Norway, local fixture file, seeded demo scenarios)
+ * Features: Caching, Retry Logic, Extended Data, Comfort Indices, Error Handling
  */
 export class WeatherAPI {
   constructor(options = {}) {
     this.apiKey = process.env.OPENWEATHER_API_KEY || 'demo_key';
-    this.baseUrl = 'https://api.openweathermap.org/data/2.5';
-    this.airQualityUrl = 'https://api.openweathermap.org/data/2.5/air_pollution';
     
     // Configuration
     this.config = {
+      provider: options.provider || process.env.WEATHER_PROVIDER || 'openweathermap',
       city: options.city || process.env.WEATHER_CITY || 'Bucharest',
       country: options.country || process.env.WEATHER_COUNTRY || 'RO',
       language: options.language || process.env.DEFAULT_LANGUAGE || 'ro',
-      units: options.units || 'metric',
+      units: 'metric', // every provider returns metric data; display units are applied by Units
       timeout: options.timeout || parseInt(process.env.TIMEOUT) || 10000,
       retryAttempts: options.retryAttempts || parseInt(process.env.RETRY_ATTEMPTS) || 3,
-      cacheDuration: options.cacheDuration || parseInt(process.env.CACHE_DURATION) || 300 // 5 minutes
+      cacheDuration: options.cacheDuration || parseInt(process.env.CACHE_DURATION) || 300, // 5 minutes
+      offline: options.offline || process.env.WEATHER_OFFLINE === 'true',
+      recordHistory: options.recordHistory ?? process.env.WEATHER_HISTORY !== 'false',
+      warningsFeed: options.warningsFeed || process.env.WEATHER_WARNINGS_FEED || null
     };
 
-    // Initialize cache
-    this.cache = new NodeCache({ 
-      stdTTL: this.config.cacheDuration,
-      checkperiod: 60,
-      useClones: false
+    // Per-endpoint freshness (seconds); stale entries are still served for up to
+    // cacheMaxStale while a background request refreshes them
+    this.cacheTTL = {
+      current: this.config.cacheDuration,
+      forecast: 1800,
+      air_quality: 1800,
+      uv_index: 3600,
+      alerts: 900,
+      ...options.cacheTTL
+    };
+    this.cacheMaxStale = options.cacheMaxStale || parseInt(process.env.CACHE_MAX_STALE) || 6 * 3600;
+
+    // Initialize persistent cache (shared between CLI runs)
+    this.cache = options.cache || new DiskCache({ dir: options.cacheDir });
+    this.revalidations = new Set();
+    this.inflight = new Map();
+
+    // Every observation fetched from the network is appended to the local history
+    this.history = options.history || new WeatherHistory({ file: options.historyFile });
+
+    // Request budget shared by every process using the same provider and key
+    this.rateLimitOverrides = {
+      perMinute: options.rateLimit?.perMinute || parseInt(process.env.RATE_LIMIT_PER_MINUTE) || null,
+      perDay: options.rateLimit?.perDay || parseInt(process.env.RATE_LIMIT_PER_DAY) || null
+    };
+    this.rateLimiter = options.rateLimiter || new RateLimiter({
+      file: options.quotaFile,
+      maxWait: options.rateLimitMaxWait ?? (parseInt(process.env.RATE_LIMIT_MAX_WAIT) || 10)
     });
 
     // Request interceptor for retry logic
@@ -45,14 +79,52 @@ export class WeatherAPI {
 
     this.setupRetryLogic();
     
-    // Coordinates for Bucharest (for air quality and UV data)
-    this.coordinates = {
-      lat: 44.4268,
-      lon: 26.1025
-    };
+    // Coordinates of the active location, shared by every endpoint.
+    // Known for Bucharest; any other city is geocoded on first use.
+    this.gazetteer = new Gazetteer();
+    this.locationName = this.config.city;
+    this.coordinates = this.isBucharest(this.config.city)
+      ? { lat: 44.4268, lon: 26.1025 }
+      : null;
+
+    // Data source: openweathermap | open-meteo | metno | file | demo
+    this.setProvider(this.config.provider, {
+      baseUrl: options.baseUrl,
+      fixtureFile: options.fixtureFile,
+      scenario: options.scenario,
+      seed: options.seed,
+      oneCall: options.oneCall
+    });
+
+    // Official warnings feed on top of the provider's own alerts; outside the provider's request budget
+    this.warningsFeed = null;
+    if (this.config.warningsFeed) {
+      if (this.config.warningsFeed !== 'meteoalarm') {
+        throw new Error(t('weather.errors.unknownWarningsFeed', { name: this.config.warningsFeed, available: 'meteoalarm' }));
+      }
+      this.warningsFeed = new MeteoalarmFeed({
+        http: axios.create({ timeout: this.config.timeout, headers: { 'User-Agent': 'BucharestWeatherCLI/2.0.0' } }),
+        language: this.config.language,
+        url: options.warningsFeedUrl
+      });
+    }
+
+    if (options.location) {
+      this.setLocation(options.location);
+    }
   }
 
   setupRetryLogic() {
+    // Every real request, retries included, spends a token from the shared budget
+    this.axiosInstance.interceptors.request.use(async (config) => {
+      const limits = this.getRateLimit();
+      if (limits) {
+        const endpoint = new URL(config.url, 'http://localhost').pathname.split('/').filter(Boolean).pop();
+        await this.rateLimiter.acquire(this.getRateLimitBucket(), limits, endpoint);
+      }
+      return config;
+    });
+
     this.axiosInstance.interceptors.response.use(
       (response) => response,
       async (error) => {
@@ -64,6 +136,25 @@ export class WeatherAPI {
         
         config.retry += 1;
         
+        // 429: block the shared bucket until Retry-After, retry only if that is soon
+        if (error.response?.status === 429) {
+          const retryAfter = RateLimiter.parseRetryAfter(error.response.headers?.['retry-after']);
+          error.retryAfter = retryAfter;
+          
+          if (this.getRateLimit()) {
+            await this.rateLimiter.penalize(this.getRateLimitBucket(), retryAfter ?? 60);
+          }
+          
+          if (config.retry <= this.config.retryAttempts && retryAfter !== null && retryAfter <= this.rateLimiter.maxWait) {
+            if (!this.getRateLimit()) {
+              await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+            }
+            return this.axiosInstance(config); // the limiter waits out the block
+          }
+          
+          return Promise.reject(error);
+        }
+        
         if (config.retry <= this.config.retryAttempts && 
             (error.response?.status >= 500 || error.code === 'ECONNABORTED')) {
           
@@ -82,300 +173,485 @@ export class WeatherAPI {
     );
   }
 
-  async getCurrent(useCache = true) {
-    const cacheKey = `current_${this.config.city}_${this.config.country}`;
+  getRateLimit() {
+    if (!this.provider?.rateLimit) return null;
     
-    if (useCache) {
-      const cached = this.cache.get(cacheKey);
-      if (cached) {
-        return { ...cached, fromCache: true };
-      }
+    return {
+      perMinute: this.rateLimitOverrides.perMinute || this.provider.rateLimit.perMinute,
+      perDay: this.rateLimitOverrides.perDay || this.provider.rateLimit.perDay
+    };
+  }
+
+  // One bucket per provider and API key (the key itself is never written to disk)
+  getRateLimitBucket() {
+    if (!this.provider.apiKey) return this.provider.name;
+    
+    const fingerprint = crypto.createHash('sha1').update(this.provider.apiKey).digest('hex').slice(0, 8);
+    return `${this.provider.name}:${fingerprint}`;
+  }
+
+  async getQuota() {
+    const limits = this.getRateLimit();
+    if (!limits) return null;
+    
+    return await this.rateLimiter.getUsage(this.getRateLimitBucket(), limits);
+  }
+
+  async resetQuota() {
+    await this.rateLimiter.reset(this.getRateLimitBucket());
+  }
+
+  setProvider(name, options = {}) {
+    this.provider = createProvider(name, {
+      http: this.axiosInstance,
+      apiKey: this.apiKey,
+      language: this.config.language,
+      units: this.config.units,
+      ...options
+    });
+    this.config.provider = name;
+    this.baseUrl = this.provider.baseUrl;
+  }
+
+  // Language of provider-written descriptions (OpenWeatherMap, Meteoalarm) for the next requests
+  setLanguage(language) {
+    this.config.language = language;
+    this.provider.language = language;
+    if (this.warningsFeed) {
+      this.warningsFeed.language = language;
     }
+  }
 
-    try {
-      const response = await this.axiosInstance.get(`${this.baseUrl}/weather`, {
-        params: {
-          q: `${this.config.city},${this.config.country}`,
-          appid: this.apiKey,
-          units: this.config.units,
-          lang: this.config.language
-        },
-        retry: 0
-      });
+  // Location management
+  setLocation(location) {
+    this.config.city = location.city || location.name;
+    this.config.country = location.country || this.config.country;
+    this.locationName = location.name || this.config.city;
+    this.coordinates = location.lat != null && location.lon != null
+      ? { lat: Number(location.lat), lon: Number(location.lon) }
+      : null;
+  }
 
-      const data = response.data;
-      const processedData = {
-        // Basic weather data
-        temp: Math.round(data.main.temp),
-        feels_like: Math.round(data.main.feels_like),
-        temp_min: Math.round(data.main.temp_min),
-        temp_max: Math.round(data.main.temp_max),
-        description: data.weather[0].description,
-        main: data.weather[0].main,
-        icon: data.weather[0].icon,
-        
-        // Atmospheric data
-        humidity: data.main.humidity,
-        pressure: data.main.pressure,
-        sea_level: data.main.sea_level,
-        grnd_level: data.main.grnd_level,
-        
-        // Wind data
-        wind_speed: data.wind?.speed || 0,
-        wind_deg: data.wind?.deg || 0,
-        wind_gust: data.wind?.gust || 0,
-        wind_direction: this.getWindDirection(data.wind?.deg || 0),
-        
-        // Visibility and clouds
-        visibility: data.visibility ? (data.visibility / 1000) : 10, // km
-        cloudiness: data.clouds?.all || 0,
-        
-        // Sun times
-        sunrise: new Date(data.sys.sunrise * 1000).toLocaleTimeString(this.config.language === 'ro' ? 'ro-RO' : 'en-US'),
-        sunset: new Date(data.sys.sunset * 1000).toLocaleTimeString(this.config.language === 'ro' ? 'ro-RO' : 'en-US'),
-        
-        // Precipitation (if available)
-        rain_1h: data.rain?.['1h'] || 0,
-        rain_3h: data.rain?.['3h'] || 0,
-        snow_1h: data.snow?.['1h'] || 0,
-        snow_3h: data.snow?.['3h'] || 0,
-        
-        // Metadata
-        timestamp: new Date().toISOString(),
-        timezone: data.timezone,
-        coord: data.coord,
-        fromCache: false
-      };
+  getLocation() {
+    return {
+      name: this.locationName,
+      city: this.config.city,
+      country: this.config.country,
+      lat: this.coordinates?.lat ?? null,
+      lon: this.coordinates?.lon ?? null
+    };
+  }
 
-      // Cache the result
-      this.cache.set(cacheKey, processedData);
+  async resolveLocation() {
+    if (!this.coordinates) {
+      // Parallel endpoint calls wait for the same geocoding request
+      if (!this.pendingGeocode) {
+        this.pendingGeocode = this.geocode(this.config.city).finally(() => {
+          this.pendingGeocode = null;
+        });
+      }
       
-      return processedData;
-    } catch (error) {
-      return this.handleApiError(error);
+      const match = await this.pendingGeocode;
+      if (match && !this.coordinates) {
+        this.coordinates = { lat: match.lat, lon: match.lon };
+        if (this.locationName === this.config.city) {
+          this.locationName = match.name;
+        }
+      }
     }
+    return this.getLocation();
   }
 
-  async getForecast(days = 5, useCache = true) {
-    const cacheKey = `forecast_${this.config.city}_${days}d`;
+  // Romanian localities resolve offline from the bundled gazetteer;
+  // anything else goes to the provider's geocoder
+  async geocode(name, country = this.config.country) {
+    const local = String(country).toUpperCase() === 'RO' ? this.gazetteer.lookup(name) : null;
+    
+    if (local?.match) {
+      return local.match;
+    }
     
+    if (local?.candidates.length > 1) {
+      return this.gazetteer.resolve(name); // throws the county disambiguation error
+    }
+
+    let match = null;
+    try {
+      match = await this.provider.geocode({ name, city: name, country });
+    } catch (error) {
+      if (!local?.suggestions.length) {
+        return this.handleApiError(error);
+      }
+    }
+
+    if (!match && local?.suggestions.length) {
+      return this.gazetteer.resolve(name); // throws with "did you mean" suggestions
+    }
+
+    return match;
+  }
+
+  isBucharest(city) {
+    return ['bucharest', 'bucuresti', 'bucurești'].includes(String(city).toLowerCase());
+  }
+
+  /**
+   * Stale-while-revalidate lookup: fresh entries are returned as-is, stale ones
+   * (younger than cacheMaxStale) are returned immediately and refreshed in the
+   * background, anything else is fetched and stored.
+   */
+  async fetchWithCache(cacheKey, ttl, fetcher, useCache = true) {
+    // Generated data (demo scenarios) is neither cached nor served offline
+    if (this.provider.cacheable === false) {
+      const { value, storedAt } = await this.fetchOnce(cacheKey, ttl, fetcher);
+      return { value, fromCache: false, stale: false, offline: false, storedAt };
+    }
+
+    // Offline mode never touches the network: the last persisted copy is served at any age
+    if (this.config.offline) {
+      const entry = await this.cache.get(cacheKey);
+      if (!entry) {
+        throw new Error(t('weather.errors.offlineNoData'));
+      }
+      return this.fromCacheEntry(entry, { offline: true });
+    }
+
+    let entry = null;
     if (useCache) {
-      const cached = this.cache.get(cacheKey);
-      if (cached) {
-        return cached;
+      entry = await this.cache.get(cacheKey);
+      
+      if (entry && !entry.stale) {
+        return this.fromCacheEntry(entry);
+      }
+      
+      if (entry && entry.age <= this.cacheMaxStale) {
+        this.revalidate(cacheKey, ttl, fetcher);
+        return this.fromCacheEntry(entry);
       }
     }
 
+    let fetched;
     try {
-      const response = await this.axiosInstance.get(`${this.baseUrl}/forecast`, {
-        params: {
-          q: `${this.config.city},${this.config.country}`,
-          appid: this.apiKey,
-          units: this.config.units,
-          lang: this.config.language,
-          cnt: days * 8 // 8 measurements per day (every 3 hours)
-        },
-        retry: 0
-      });
+      fetched = await this.fetchOnce(cacheKey, ttl, fetcher);
+    } catch (error) {
+      // Network down or throttled: fall back to the last real data instead of failing
+      const lastKnown = this.isUpstreamUnavailable(error) && (entry || await this.cache.get(cacheKey));
+      if (lastKnown) {
+        return this.fromCacheEntry(lastKnown, { offline: true });
+      }
+      throw error;
+    }
 
-      const forecasts = response.data.list;
-      const dailyData = {};
+    return { value: fetched.value, fromCache: false, stale: false, offline: false, storedAt: fetched.storedAt };
+  }
 
-      // Group by days and process
-      forecasts.forEach(item => {
-        const date = moment(item.dt * 1000).format('YYYY-MM-DD');
-        const dayName = moment(item.dt * 1000).format('dddd');
-        
-        if (!dailyData[date]) {
-          dailyData[date] = {
-            temps: [],
-            feels_like: [],
-            descriptions: [],
-            humidity: [],
-            wind_speeds: [],
-            precipitation: [],
-            date: date,
-            dayName: dayName,
-            formatted_date: moment(item.dt * 1000).format('DD MMM YYYY'),
-            items: []
-          };
-        }
-        
-        dailyData[date].temps.push(item.main.temp);
-        dailyData[date].feels_like.push(item.main.feels_like);
-        dailyData[date].descriptions.push(item.weather[0].description);
-        dailyData[date].humidity.push(item.main.humidity);
-        dailyData[date].wind_speeds.push(item.wind?.speed || 0);
-        dailyData[date].precipitation.push(item.rain?.['3h'] || item.snow?.['3h'] || 0);
-        dailyData[date].items.push({
-          time: moment(item.dt * 1000).format('HH:mm'),
-          temp: Math.round(item.main.temp),
-          description: item.weather[0].description,
-          icon: item.weather[0].icon,
-          humidity: item.main.humidity,
-          wind_speed: item.wind?.speed || 0
-        });
-      });
+  // Concurrent callers asking for the same key share one in-flight request
+  fetchOnce(cacheKey, ttl, fetcher) {
+    if (this.inflight.has(cacheKey)) {
+      return this.inflight.get(cacheKey);
+    }
+
+    const request = (async () => {
+      const value = await fetcher();
+      const storedAt = Date.now();
+      if (value && this.provider.cacheable !== false) {
+        await this.cache.set(cacheKey, value, ttl);
+      }
+      return { value, storedAt };
+    })().finally(() => this.inflight.delete(cacheKey));
+
+    this.inflight.set(cacheKey, request);
+    return request;
+  }
+
+  fromCacheEntry(entry, { offline = false } = {}) {
+    return { value: entry.value, fromCache: true, stale: entry.stale, offline, storedAt: entry.storedAt };
+  }
+
+  // No response at all (DNS, refused, timeout), a failing upstream server or an exhausted budget
+  isUpstreamUnavailable(error) {
+    if (error.code === 'RATE_LIMITED') return true;
+    return axios.isAxiosError(error) &&
+      (!error.response || error.response.status >= 500 || error.response.status === 429);
+  }
+
+  setOffline(offline = true) {
+    this.config.offline = offline;
+  }
 
-      // Calculate daily aggregates
-      const processedForecast = Object.values(dailyData).slice(0, days).map(day => ({
-        date: day.formatted_date,
-        dayName: day.dayName,
-        temp_min: Math.round(Math.min(...day.temps)),
-        temp_max: Math.round(Math.max(...day.temps)),
-        temp_avg: Math.round(day.temps.reduce((a, b) => a + b, 0) / day.temps.length),
-        feels_like_avg: Math.round(day.feels_like.reduce((a, b) => a + b, 0) / day.feels_like.length),
-        description: this.getMostFrequent(day.descriptions),
-        humidity_avg: Math.round(day.humidity.reduce((a, b) => a + b, 0) / day.humidity.length),
-        wind_speed_avg: Math.round((day.wind_speeds.reduce((a, b) => a + b, 0) / day.wind_speeds.length) * 10) / 10,
-        wind_speed_max: Math.round(Math.max(...day.wind_speeds) * 10) / 10,
-        precipitation_total: Math.round((day.precipitation.reduce((a, b) => a + b, 0)) * 10) / 10,
-        hourly: day.items
-      }));
-
-      // Cache the result
-      this.cache.set(cacheKey, processedForecast);
+  revalidate(cacheKey, ttl, fetcher) {
+    const refresh = this.fetchOnce(cacheKey, ttl, fetcher)
+      .catch(() => {}) // keep serving the stale copy; the next run retries
+      .finally(() => this.revalidations.delete(refresh));
+    
+    this.revalidations.add(refresh);
+  }
+
+  async waitForRevalidation() {
+    await Promise.all([...this.revalidations]);
+  }
+
+  async getCurrent(useCache = true) {
+    try {
+      const location = await this.resolveLocation();
+      // Descriptions, AQI/UV levels and alert texts come in the requested language, so every key names it
+      const cacheKey = `current_${this.provider.name}_${location.lat}_${location.lon}_${this.config.units}_${this.config.language}`;
+      
+      // Runs once per network fetch (background revalidations included), never for cache hits
+      const result = await this.fetchWithCache(cacheKey, this.cacheTTL.current, async () => {
+        const data = await this.provider.getCurrent(location);
+        const observation = { ...data, location: location.name };
+        await this.recordObservation(observation, location);
+        return observation;
+      }, useCache);
       
-      return processedForecast;
+      // Indices are derived on read, so cached and offline copies get them too
+      return {
+        ...result.value,
+        ...WeatherMetrics.compute(result.value, this.config.units),
+        ...this.describeSource(result)
+      };
     } catch (error) {
       return this.handleApiError(error);
     }
   }
 
-  async getAirQuality(useCache = true) {
-    const cacheKey = `air_quality_${this.coordinates.lat}_${this.coordinates.lon}`;
-    
-    if (useCache) {
-      const cached = this.cache.get(cacheKey);
-      if (cached) {
-        return cached;
-      }
-    }
+  async recordObservation(observation, location) {
+    // Demo data is invented; it must never pollute the real record
+    if (!this.config.recordHistory || this.provider.cacheable === false) return;
 
     try {
-      const response = await this.axiosInstance.get(this.airQualityUrl, {
-        params: {
-          lat: this.coordinates.lat,
-          lon: this.coordinates.lon,
-          appid: this.apiKey
-        },
-        retry: 0
-      });
+      await this.history.record(observation, location, this.provider.name);
+    } catch (error) {
+      console.warn(t('weather.unavailable.history', { message: error.message }));
+    }
+  }
+
+  // Where a reading came from, so templates can label offline copies with their age
+  describeSource(result) {
+    return {
+      fromCache: result.fromCache,
+      stale: result.stale,
+      offline: result.offline,
+      cachedAt: new Date(result.storedAt).toISOString(),
+      dataAge: Math.round((Date.now() - result.storedAt) / 1000) // seconds
+    };
+  }
 
-      const data = response.data.list[0];
-      const airQualityData = {
-        aqi: data.main.aqi, // Air Quality Index (1-5)
-        aqi_description: this.getAQIDescription(data.main.aqi),
-        co: data.components.co, // Carbon monoxide
-        no: data.components.no, // Nitric oxide
-        no2: data.components.no2, // Nitrogen dioxide
-        o3: data.components.o3, // Ozone
-        so2: data.components.so2, // Sulphur dioxide
-        pm2_5: data.components.pm2_5, // PM2.5
-        pm10: data.components.pm10, // PM10
-        nh3: data.components.nh3, // Ammonia
-        timestamp: new Date().toISOString()
+  async getForecast(days = 5, useCache = true) {
+    const { forecast } = await this.getForecastWithSource(days, useCache);
+    return forecast;
+  }
+
+  // The forecast days and, in `source`, whether they are an offline copy and how old it is
+  async getForecastWithSource(days = 5, useCache = true) {
+    try {
+      const location = await this.resolveLocation();
+      const cacheKey = `forecast_${this.provider.name}_${location.lat}_${location.lon}_${this.config.units}_${this.config.language}_${days}d`;
+      
+      const result = await this.fetchWithCache(cacheKey, this.cacheTTL.forecast, () =>
+        this.provider.getForecast(location, days), useCache);
+      
+      return {
+        forecast: WeatherMetrics.enrichForecast(result.value, this.config.units),
+        source: this.describeSource(result)
       };
+    } catch (error) {
+      return this.handleApiError(error);
+    }
+  }
 
-      this.cache.set(cacheKey, airQualityData);
-      return airQualityData;
+  async getAirQuality(useCache = true) {
+    try {
+      const location = await this.resolveLocation();
+      const cacheKey = `air_quality_${this.provider.name}_${location.lat}_${location.lon}_${this.config.language}`;
+
+      const result = await this.fetchWithCache(cacheKey, this.cacheTTL.air_quality, () =>
+        this.provider.getAirQuality(location), useCache);
+
+      return result.value;
     } catch (error) {
-      console.warn('Air quality data unavailable:', error.message);
+      if (!this.config.offline) {
+        console.warn(t('weather.unavailable.airQuality', { message: error.message }));
+      }
       return null;
     }
   }
 
   async getUVIndex(useCache = true) {
-    const cacheKey = `uv_index_${this.coordinates.lat}_${this.coordinates.lon}`;
-    
-    if (useCache) {
-      const cached = this.cache.get(cacheKey);
-      if (cached) {
-        return cached;
+    try {
+      const location = await this.resolveLocation();
+      const cacheKey = `uv_index_${this.provider.name}_${location.lat}_${location.lon}_${this.config.language}`;
+
+      const result = await this.fetchWithCache(cacheKey, this.cacheTTL.uv_index, () =>
+        this.provider.getUVIndex(location), useCache);
+
+      return result.value;
+    } catch (error) {
+      if (!this.config.offline) {
+        console.warn(t('weather.unavailable.uvIndex', { message: error.message }));
       }
+      return null;
     }
+  }
 
+  // Official warnings for the active location; [] when the provider has none
+  async getAlerts(useCache = true) {
     try {
-      const response = await this.axiosInstance.get(`${this.baseUrl}/uvi`, {
-        params: {
-          lat: this.coordinates.lat,
-          lon: this.coordinates.lon,
-          appid: this.apiKey
-        },
-        retry: 0
-      });
+      const location = await this.resolveLocation();
+      const cacheKey = `alerts_${this.provider.name}_${location.lat}_${location.lon}_${this.config.language}`;
 
-      const uvData = {
-        uv_index: response.data.value,
-        uv_description: this.getUVDescription(response.data.value),
-        timestamp: new Date().toISOString()
-      };
+      const [result, feed] = await Promise.all([
+        this.fetchWithCache(cacheKey, this.cacheTTL.alerts, () => this.provider.getAlerts(location), useCache),
+        this.getFeedAlerts(location, useCache)
+      ]);
 
-      this.cache.set(cacheKey, uvData);
-      return uvData;
+      // Expired warnings may linger in an offline copy
+      return [...(result.value || []), ...feed].filter(alert => !alert.end || new Date(alert.end) > new Date());
     } catch (error) {
-      console.warn('UV index data unavailable:', error.message);
-      return null;
+      if (!this.config.offline) {
+        console.warn(t('weather.unavailable.alerts', { message: error.message }));
+      }
+      return [];
+    }
+  }
+
+  // The feed failing never hides the provider's alerts; demo scenarios stay fictional
+  async getFeedAlerts(location, useCache = true) {
+    if (!this.warningsFeed || this.provider.cacheable === false) return [];
+
+    try {
+      const cacheKey = `alerts_${this.warningsFeed.name}_${location.lat}_${location.lon}_${this.config.language}`;
+      const result = await this.fetchWithCache(cacheKey, this.cacheTTL.alerts, () =>
+        this.warningsFeed.getAlerts(location), useCache);
+      return result.value || [];
+    } catch (error) {
+      if (!this.config.offline) {
+        console.warn(t('weather.unavailable.feed', { name: this.warningsFeed.displayName, message: error.message }));
+      }
+      return [];
     }
   }
 
+  // Forecast slots (3-hourly or hourly, depending on the provider) for the next `hours`
+  async getHourly(hours = 48, useCache = true) {
+    const forecast = await this.getForecast(this.getHourlyDays(hours), useCache);
+    return this.extractHourly(forecast, hours);
+  }
+
+  // Forecast days needed to cover the next `hours`
+  getHourlyDays(hours = 48) {
+    return Math.min(Math.ceil(hours / 24) + 1, 7);
+  }
+
+  extractHourly(forecast, hours = 48) {
+    const from = Date.now() - 3 * 3600 * 1000; // keep the slot in progress
+    const to = Date.now() + hours * 3600 * 1000;
+    
+    return (forecast || [])
+      .flatMap(day => (day.hourly || []).map(slot => ({ ...slot, date: day.date, dayName: day.dayName })))
+      .filter(slot => slot.dt >= from && slot.dt <= to);
+  }
+
+  /**
+   * Current, forecast, air quality, UV and official alerts fetched together for one
+   * location, stamped with a single timestamp. Air quality and UV are null when unavailable;
+   * `forecastSource` tells whether the forecast is an offline copy and how old it is.
+   */
+  async getSnapshot(days = 5, useCache = true) {
+    const timestamp = new Date().toISOString();
+    const location = await this.resolveLocation();
+    
+    const [current, { forecast, source: forecastSource }, airQuality, uvIndex, alerts] = await Promise.all([
+      this.getCurrent(useCache),
+      this.getForecastWithSource(days, useCache),
+      this.getAirQuality(useCache),
+      this.getUVIndex(useCache),
+      this.getAlerts(useCache)
+    ]);
+    
+    return {
+      timestamp,
+      location,
+      provider: this.provider.name,
+      offline: Boolean(current.offline || forecastSource.offline),
+      current,
+      forecast,
+      forecastSource,
+      hourly: this.extractHourly(forecast),
+      airQuality,
+      uvIndex,
+      alerts
+    };
+  }
+
   // Helper methods
+  getProviderInfo() {
+    return {
+      name: this.provider.name,
+      displayName: this.provider.displayName,
+      available: getAvailableProviders()
+    };
+  }
+
   getWindDirection(degrees) {
-    const directions = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
-    return directions[Math.round(degrees / 22.5) % 16];
+    return this.provider.getWindDirection(degrees);
   }
 
   getMostFrequent(arr) {
-    return arr.sort((a, b) =>
-      arr.filter(v => v === a).length - arr.filter(v => v === b).length
-    ).pop();
+    return this.provider.getMostFrequent(arr);
   }
 
   getAQIDescription(aqi) {
-    const descriptions = {
-      1: 'Foarte bun',
-      2: 'Bun',
-      3: 'Moderat',
-      4: 'Slab',
-      5: 'Foarte slab'
-    };
-    return descriptions[aqi] || 'Necunoscut';
+    return this.provider.getAQIDescription(aqi);
   }
 
   getUVDescription(uv) {
-    if (uv <= 2) return 'Scăzut';
-    if (uv <= 5) return 'Moderat';
-    if (uv <= 7) return 'Ridicat';
-    if (uv <= 10) return 'Foarte ridicat';
-    return 'Extrem';
+    return this.provider.getUVDescription(uv);
   }
 
   handleApiError(error) {
+    // Provider errors (bad fixture, unsupported endpoint) already carry a user-facing message
+    if (!axios.isAxiosError(error)) {
+      throw error;
+    }
+
     if (error.response?.status === 401) {
-      throw new Error('🔑 API key invalid sau expirat. Rulează: bw setup');
+      // The message is localized: callers recognize a bad key by its code
+      const invalidKey = new Error(t('weather.errors.invalidApiKey'));
+      invalidKey.code = 'INVALID_API_KEY';
+      throw invalidKey;
     } else if (error.response?.status === 404) {
-      throw new Error('🏙️ Orașul nu a fost găsit. Verifică configurația.');
+      throw new Error(t('weather.errors.cityNotFound'));
     } else if (error.response?.status === 429) {
-      throw new Error('⏰ Prea multe cereri. Încearcă din nou în câteva minute.');
+      const wait = error.retryAfter != null
+        ? t('weather.errors.waitSeconds', { seconds: Math.ceil(error.retryAfter) })
+        : t('weather.errors.waitMinutes');
+      throw new Error(t('weather.errors.tooManyRequests', { wait }));
     } else if (error.code === 'ECONNABORTED') {
-      throw new Error('⏱️ Timeout: cererea a durat prea mult. Verifică conexiunea.');
+      throw new Error(t('weather.errors.timeout'));
     } else if (!error.response) {
-      throw new Error('🌐 Eroare de rețea. Verifică conexiunea la internet.');
+      throw new Error(t('weather.errors.network'));
     } else {
-      throw new Error(`🔥 Eroare API: ${error.message}`);
+      throw new Error(t('weather.errors.api', { message: error.message }));
     }
   }
 
   // Cache management
-  clearCache() {
-    this.cache.flushAll();
-    return 'Cache cleared successfully';
+  async clearCache() {
+    const removed = await this.cache.clear();
+    return t('weather.cacheCleared', { count: removed });
+  }
+
+  async pruneCache() {
+    return await this.cache.prune();
   }
 
-  getCacheStats() {
+  async getCacheStats() {
+    const stats = await this.cache.stats();
     return {
-      keys: this.cache.keys(),
-      stats: this.cache.getStats()
+      keys: stats.keys,
+      stats
     };
   }
 
@@ -386,7 +662,7 @@ export class WeatherAPI {
       feels_like: 24,
       temp_min: 18,
       temp_max: 25,
-      description: 'parțial înnorat',
+      description: t('conditions.partlyCloudy'),
       main: 'Clouds',
       icon: '02d',
       humidity: 65,
@@ -403,20 +679,21 @@ export class WeatherAPI {
     };
   }
 
-  getMockForecast(days = 5) {
+  getMockForecast(days = 5, seed = 1) {
+    const random = new SeededRandom(seed);
     const forecast = [];
     for (let i = 0; i < days; i++) {
       const date = moment().add(i, 'days');
       forecast.push({
         date: date.format('DD MMM YYYY'),
         dayName: date.format('dddd'),
-        temp_min: Math.round(18 + Math.random() * 5),
-        temp_max: Math.round(23 + Math.random() * 7),
-        temp_avg: Math.round(20 + Math.random() * 5),
-        description: ['însorit', 'parțial înnorat', 'înnorat', 'ploaie ușoară'][Math.floor(Math.random() * 4)],
-        humidity_avg: Math.round(60 + Math.random() * 20),
-        wind_speed_avg: Math.round((2 + Math.random() * 3) * 10) / 10,
-        precipitation_total: Math.round(Math.random() * 5 * 10) / 10
+        temp_min: Math.round(18 + random.next() * 5),
+        temp_max: Math.round(23 + random.next() * 7),
+        temp_avg: Math.round(20 + random.next() * 5),
+        description: t(`conditions.${random.pick(['sunny', 'partlyCloudy', 'cloudy', 'lightRain'])}`),
+        humidity_avg: Math.round(60 + random.next() * 20),
+        wind_speed_avg: Math.round((2 + random.next() * 3) * 10) / 10,
+        precipitation_total: Math.round(random.next() * 5 * 10) / 10
       });
     }
     return forecast;
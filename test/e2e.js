@@ -0,0 +1,304 @@
+#!/usr/bin/env node
+
+/**
+ * End-to-end tests against the bundled OpenWeatherMap stub server
+ * Exercises the HTTP layer, retry logic and every handleApiError branch offline
+ */
+
+import { SimpleTest } from './test.js';
+import { WeatherAPI } from '../src/weather.js';
+import { DevServer } from '../src/dev-server.js';
+import { DesktopChannel, EmailChannel, TelegramChannel, WebhookChannel } from '../src/notifications/index.js';
+import { AIInsights } from '../src/ai-insights.js';
+import { LLMInsights } from '../src/llm-insights.js';
+import fs from 'fs/promises';
+import http from 'http';
+import net from 'net';
+import path from 'path';
+
+const tester = new SimpleTest();
+const server = new DevServer({ port: 0 });
+
+let apiCount = 0;
+function createApi(options = {}) {
+  return new WeatherAPI({
+    provider: 'openweathermap',
+    baseUrl: server.baseUrl,
+    cacheDir: path.join(process.env.BUCHAREST_WEATHER_HOME, `e2e-cache-${++apiCount}`),
+    quotaFile: path.join(process.env.BUCHAREST_WEATHER_HOME, `e2e-quota-${apiCount}.json`),
+    timeout: 500,
+    retryAttempts: 1,
+    ...options
+  });
+}
+
+async function expectError(promise, expected) {
+  try {
+    await promise;
+  } catch (error) {
+    tester.assert(error.message.includes(expected), `Expected "${expected}", got "${error.message}"`);
+    return;
+  }
+  throw new Error(`Expected an error containing "${expected}"`);
+}
+
+function requestsTo(endpoint) {
+  return server.requests.filter(request => request.endpoint === endpoint).length;
+}
+
+// Local stand-ins for the notification channels: an HTTP echo server and an SMTP sink
+const received = { http: [], mail: [] };
+
+const echoServer = http.createServer(async (req, res) => {
+  let body = '';
+  for await (const chunk of req) body += chunk;
+  // axios posts JSON, the Telegram client posts a form
+  const parsed = req.headers['content-type']?.includes('json')
+    ? JSON.parse(body || '{}')
+    : Object.fromEntries(new URLSearchParams(body));
+  received.http.push({ path: req.url, body: parsed });
+
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  // Bot API shape, so the same server stands in for api.telegram.org
+  res.end(JSON.stringify({ ok: true, result: { message_id: received.http.length } }));
+});
+
+const smtpSink = net.createServer(socket => {
+  let data = null;
+  socket.write('220 localhost ESMTP sink\r\n');
+  socket.on('data', chunk => {
+    chunk.toString().split('\r\n').filter((line, index, lines) => line || index < lines.length - 1).forEach(line => {
+      if (data !== null) {
+        if (line === '.') {
+          received.mail.push(data.join('\n'));
+          data = null;
+          socket.write('250 OK queued\r\n');
+        } else {
+          data.push(line);
+        }
+        return;
+      }
+
+      const command = line.slice(0, 4).toUpperCase();
+      if (command === 'EHLO' || command === 'HELO') socket.write('250 localhost\r\n');
+      else if (command === 'DATA') {
+        data = [];
+        socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+      } else if (command === 'QUIT') socket.end('221 Bye\r\n');
+      else socket.write('250 OK\r\n');
+    });
+  });
+});
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+}
+
+const notification = {
+  title: '⚠️ temp > 35 - București',
+  message: 'Temperatură: 37°C (prag > 35°C)',
+  level: 'warning',
+  timestamp: new Date().toISOString()
+};
+
+tester.test('E2E - Current weather, forecast, air quality and UV from the stub', async () => {
+  const api = createApi();
+
+  const current = await api.getCurrent(false);
+  const forecast = await api.getForecast(3, false);
+  const air = await api.getAirQuality(false);
+  const uv = await api.getUVIndex(false);
+
+  tester.assertEqual(current.temp, 16);
+  tester.assertEqual(current.wind_direction, 'NE');
+  tester.assertEqual(forecast.length, 3, 'cnt should limit the forecast to 3 days');
+  tester.assertEqual(air.aqi, 2);
+  tester.assertEqual(uv, null, 'UV needs One Call; the retired /uvi endpoint is not used');
+  tester.assert(forecast[0].pop !== null && forecast[0].dew_point_avg !== null, 'Forecast should carry PoP and dew point');
+  tester.assertEqual(requestsTo('uvi'), 0);
+});
+
+tester.test('E2E - One Call supplies daily UV, moon phase and alerts in a single request', async () => {
+  const before = requestsTo('onecall');
+  const api = createApi({ oneCall: true });
+
+  const snapshot = await api.getSnapshot(7, false);
+  const [today] = snapshot.forecast;
+
+  tester.assertEqual(requestsTo('onecall') - before, 1, 'Forecast, UV and alerts should share one call');
+  tester.assertEqual(snapshot.forecast.length, 7);
+  tester.assertEqual(snapshot.uvIndex.uv_index, 3.4);
+  tester.assertEqual(today.uv_max, 3.9);
+  tester.assertEqual(today.moon_phase, 0.61);
+  tester.assert(today.hourly.length > 0 && today.hourly[0].uvi !== null, 'First days should keep hourly slots');
+  tester.assertEqual(snapshot.forecast[2].pop, 0.6);
+  tester.assertEqual(snapshot.alerts.length, 1);
+  tester.assertEqual(snapshot.alerts[0].event, 'Cod galben de vânt puternic');
+});
+
+tester.test('E2E - Meteoalarm feed adds the ANM warnings for the location only', async () => {
+  const api = createApi({
+    warningsFeed: 'meteoalarm',
+    warningsFeedUrl: `http://${server.host}:${server.port}/api/v1/warnings/feeds-romania`
+  });
+
+  const alerts = await api.getAlerts(false);
+  const feed = alerts.filter(alert => alert.sender === 'Administrația Națională de Meteorologie');
+
+  tester.assertEqual(feed.length, 1, 'The Constanța warning should be filtered out');
+  tester.assertEqual(feed[0].code, 'galben');
+  tester.assertEqual(feed[0].phenomenon, 'vant');
+  tester.assertEqual(feed[0].area, 'Municipiul Bucuresti');
+  tester.assertEqual(feed[0].event, 'Cod galben de vânt puternic', 'The Romanian text should be preferred');
+});
+
+tester.test('E2E - 401 maps to the API key error', async () => {
+  server.setFault({ type: 401, endpoint: 'weather', times: 1 });
+  await expectError(createApi().getCurrent(false), 'API key invalid');
+});
+
+tester.test('E2E - 404 maps to city not found', async () => {
+  server.setFault({ type: 404, endpoint: 'weather', times: 1 });
+  await expectError(createApi().getCurrent(false), 'Orașul nu a fost găsit');
+});
+
+tester.test('E2E - 429 maps to the rate limit error', async () => {
+  server.setFault({ type: 429, endpoint: 'weather', times: 1 });
+  await expectError(createApi().getCurrent(false), 'Prea multe cereri');
+});
+
+tester.test('E2E - A short Retry-After is honored and the request retried', async () => {
+  const before = requestsTo('weather');
+  server.setFault({ type: 429, endpoint: 'weather', times: 1, retryAfter: 1 });
+
+  const started = Date.now();
+  const current = await createApi().getCurrent(false);
+
+  tester.assertEqual(current.temp, 16);
+  tester.assertEqual(requestsTo('weather') - before, 2);
+  tester.assert(Date.now() - started >= 1000, 'Should wait for Retry-After');
+});
+
+tester.test('E2E - Calls are counted against the shared quota', async () => {
+  const api = createApi();
+  await api.getCurrent(false);
+  await api.getForecast(1, false);
+
+  const quota = await api.getQuota();
+  tester.assertEqual(quota.usedToday, 2);
+  tester.assertEqual(quota.endpoints.weather, 1);
+  tester.assertEqual(quota.endpoints.forecast, 1);
+});
+
+tester.test('E2E - A single 500 is retried and succeeds', async () => {
+  const before = requestsTo('weather');
+  server.setFault({ type: 500, endpoint: 'weather', times: 1 });
+
+  const current = await createApi().getCurrent(false);
+
+  tester.assertEqual(current.temp, 16);
+  tester.assertEqual(requestsTo('weather') - before, 2, 'Should retry exactly once');
+});
+
+tester.test('E2E - Persistent 500 gives up after the retry budget', async () => {
+  server.setFault({ type: 500, endpoint: 'weather', times: 2 });
+  await expectError(createApi().getCurrent(false), 'Eroare API');
+});
+
+tester.test('E2E - Timeout maps to the timeout error', async () => {
+  server.setFault({ type: 'timeout', endpoint: 'weather', times: 2 });
+  await expectError(createApi().getCurrent(false), 'Timeout');
+});
+
+tester.test('E2E - Unreachable server maps to the network error', async () => {
+  await expectError(createApi({ baseUrl: 'http://127.0.0.1:9/data/2.5' }).getCurrent(false), 'Eroare de rețea');
+});
+
+tester.test('E2E - Network failure falls back to the last saved observation', async () => {
+  const api = createApi({ cacheTTL: { current: 0 } });
+  await api.getCurrent(false);
+
+  server.setFault({ type: 500, endpoint: 'weather', times: 2 });
+  const fallback = await api.getCurrent(false);
+
+  tester.assertEqual(fallback.offline, true);
+  tester.assertEqual(fallback.temp, 16);
+});
+
+tester.test('E2E - Webhook channel POSTs the notification as JSON', async () => {
+  const url = `http://127.0.0.1:${echoServer.address().port}/hooks/weather`;
+  await new WebhookChannel({ url }).send(notification);
+
+  const request = received.http.find(item => item.path === '/hooks/weather');
+  tester.assertEqual(request.body.title, notification.title);
+  tester.assert(request.body.text.includes('37°C'), 'Chat webhooks need a text field');
+});
+
+tester.test('E2E - Telegram channel calls sendMessage on the configured Bot API', async () => {
+  const channel = new TelegramChannel({
+    token: '123:abc',
+    chatId: '42',
+    baseApiUrl: `http://127.0.0.1:${echoServer.address().port}`
+  });
+  await channel.send(notification);
+
+  const request = received.http.find(item => item.path === '/bot123:abc/sendMessage');
+  tester.assert(request, 'sendMessage should reach the stand-in');
+  tester.assertEqual(String(request.body.chat_id), '42');
+  tester.assert(request.body.text.startsWith(notification.title));
+});
+
+tester.test('E2E - Email channel delivers through SMTP', async () => {
+  const channel = new EmailChannel({ host: '127.0.0.1', port: smtpSink.address().port, to: 'ops@example.ro' });
+  await channel.send(notification);
+
+  tester.assertEqual(received.mail.length, 1);
+  tester.assert(received.mail[0].includes('ops@example.ro'), 'Recipient should be in the headers');
+  tester.assert(received.mail[0].includes('Subject:'), 'Message should carry a subject');
+});
+
+tester.test('E2E - Desktop channel runs the configured command', async () => {
+  const output = path.join(process.env.BUCHAREST_WEATHER_HOME, 'desktop-notify.txt');
+  const script = path.join(process.env.BUCHAREST_WEATHER_HOME, 'notify.sh');
+  await fs.writeFile(script, `#!/bin/sh\nprintf '%s|%s' "$1" "$2" > ${JSON.stringify(output)}\n`, { mode: 0o755 });
+
+  await new DesktopChannel({ command: script }).send(notification);
+  tester.assertEqual(await fs.readFile(output, 'utf8'), `${notification.title}|${notification.message}`);
+});
+
+tester.test('E2E - LLM summary from an OpenAI-compatible endpoint, rules when it fails', async () => {
+  const home = process.env.BUCHAREST_WEATHER_HOME;
+  const llm = new LLMInsights({
+    provider: 'openai-compatible',
+    backendOptions: { baseUrl: `http://${server.host}:${server.port}/v1`, model: 'stub', timeout: 2000 },
+    cacheTTL: 0,
+    usageFile: path.join(home, 'e2e-llm-usage.json')
+  });
+  const ai = new AIInsights({ llm });
+  const current = await createApi().getCurrent(false);
+
+  const { summary } = await ai.generateInsights(current);
+  tester.assertEqual(summary.source, 'llm');
+  tester.assertEqual(summary.text, `${current.location}: ${current.description}, 16°C acum.`);
+  tester.assert(summary.usage.input > 0, 'Usage should come from the response');
+  tester.assertEqual((await llm.getUsage()).requests, 1);
+
+  server.setFault({ type: 500, endpoint: 'chat_completions', times: 1 });
+  const fallback = (await ai.generateInsights(current)).summary;
+  tester.assertEqual(fallback.source, 'rules');
+  tester.assert(fallback.reason.startsWith('🧠 OpenAI-compatible'), `Unexpected reason: ${fallback.reason}`);
+});
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  await server.start();
+  await listen(echoServer);
+  await listen(smtpSink);
+  try {
+    await tester.run();
+  } finally {
+    await server.stop();
+    echoServer.closeAllConnections();
+    await new Promise(resolve => echoServer.close(resolve));
+    await new Promise(resolve => smtpSink.close(resolve));
+  }
+}
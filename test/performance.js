@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+/**
+ * Performance checks against the bundled OpenWeatherMap stub server
+ * Measures network fetches, persistent cache hits and template rendering
+ */
+
+import { WeatherAPI } from '../src/weather.js';
+import { AIInsights } from '../src/ai-insights.js';
+import { WeatherTemplates } from '../src/templates/weather-templates.js';
+import { DevServer } from '../src/dev-server.js';
+import { performance } from 'perf_hooks';
+import { table } from 'table';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import chalk from 'chalk';
+
+const ITERATIONS = 20;
+
+// Keep history, quota and cache out of the real home directory
+const home = await fs.mkdtemp(path.join(os.tmpdir(), 'bw-perf-'));
+process.env.BUCHAREST_WEATHER_HOME = home;
+
+// Average milliseconds allowed per operation
+const BUDGETS = {
+  'Fetch current (stub)': 100,
+  'Fetch forecast (stub)': 150,
+  'Current from disk cache': 20,
+  'AI insights': 10,
+  'Render template': 20
+};
+
+async function measure(fn) {
+  const times = [];
+  for (let i = 0; i < ITERATIONS; i++) {
+    const start = performance.now();
+    await fn(i);
+    times.push(performance.now() - start);
+  }
+  return {
+    avg: times.reduce((a, b) => a + b, 0) / times.length,
+    max: Math.max(...times)
+  };
+}
+
+async function main() {
+  const server = new DevServer({ port: 0 });
+  await server.start();
+
+  try {
+    const api = new WeatherAPI({ provider: 'openweathermap', baseUrl: server.baseUrl, cacheDir: path.join(home, 'cache') });
+    const ai = new AIInsights({ seed: 1 });
+    const templates = new WeatherTemplates({ seed: 1 });
+
+    const current = await api.getCurrent();
+    const forecast = await api.getForecast(5);
+    const insights = await ai.generateInsights(current, forecast);
+    const templateNames = templates.getAvailableTemplates().map(template => template.name);
+
+    const results = {
+      'Fetch current (stub)': await measure(() => api.getCurrent(false)),
+      'Fetch forecast (stub)': await measure(() => api.getForecast(5, false)),
+      'Current from disk cache': await measure(() => api.getCurrent()),
+      'AI insights': await measure(() => ai.generateInsights(current, forecast)),
+      'Render template': await measure(i =>
+        templates.renderTemplate(templateNames[i % templateNames.length], current, forecast, insights))
+    };
+
+    const rows = Object.entries(results).map(([name, { avg, max }]) => {
+      const ok = avg <= BUDGETS[name];
+      return [name, `${avg.toFixed(2)} ms`, `${max.toFixed(2)} ms`, `${BUDGETS[name]} ms`, ok ? chalk.green('✅') : chalk.red('❌')];
+    });
+
+    console.log(chalk.blue(`⚡ Performance (${ITERATIONS} iterații)\n`));
+    console.log(table([['Operație', 'Medie', 'Max', 'Buget', ''], ...rows]));
+
+    const overBudget = Object.entries(results).filter(([name, { avg }]) => avg > BUDGETS[name]);
+    if (overBudget.length > 0) {
+      console.log(chalk.red(`❌ Peste buget: ${overBudget.map(([name]) => name).join(', ')}`));
+      process.exitCode = 1;
+    }
+  } finally {
+    await server.stop();
+    await fs.rm(home, { recursive: true, force: true });
+  }
+}
+
+main().catch(error => {
+  console.error(chalk.red('❌ Eroare:'), error.message);
+  process.exit(1);
+});
@@ -7,6 +7,32 @@
 
 import { WeatherAPI } from '../src/weather.js';
 import { AIInsights } from '../src/ai-insights.js';
+import { createProvider } from '../src/providers/index.js';
+import { LocationStore } from '../src/locations.js';
+import { Gazetteer } from '../src/gazetteer.js';
+import { DiskCache } from '../src/cache.js';
+import { RateLimiter } from '../src/rate-limiter.js';
+import { WeatherHistory } from '../src/history.js';
+import { WeatherDaemon } from '../src/daemon.js';
+import { AlertRules } from '../src/alert-rules.js';
+import { WeatherWarnings } from '../src/warnings.js';
+import { WeatherMetrics } from '../src/metrics.js';
+import { LLMInsights } from '../src/llm-insights.js';
+import { InsightRules } from '../src/insight-rules.js';
+import { UserProfile } from '../src/profile.js';
+import { CommutePlanner } from '../src/commute.js';
+import { BaseLLMBackend } from '../src/llm/index.js';
+import { WeatherTemplates } from '../src/templates/weather-templates.js';
+import { TextTemplate } from '../src/templates/custom-templates.js';
+import { TemplateConfig } from '../src/templates/template-config.js';
+import { registry } from '../src/templates/registry.js';
+import { I18n } from '../src/i18n.js';
+import { Units } from '../src/units.js';
+import axios from 'axios';
+import fs from 'fs/promises';
+import { rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
 import chalk from 'chalk';
 
 class SimpleTest {
@@ -55,6 +81,10 @@ class SimpleTest {
   }
 }
 
+// Keep persistent state (cache, locations) out of the real home directory
+process.env.BUCHAREST_WEATHER_HOME = await fs.mkdtemp(path.join(os.tmpdir(), 'bw-test-'));
+process.on('exit', () => rmSync(process.env.BUCHAREST_WEATHER_HOME, { recursive: true, force: true }));
+
 // Test Suite
 const tester = new SimpleTest();
 
@@ -148,6 +178,884 @@ tester.test('WeatherAPI - API Key Validation', () => {
   tester.assert(api.baseUrl.includes('openweathermap'), 'Should use OpenWeatherMap URL');
 });
 
+// Provider layer
+tester.test('Providers - Unknown provider is rejected', () => {
+  let error = null;
+  try {
+    createProvider('nope');
+  } catch (e) {
+    error = e;
+  }
+  tester.assert(error && error.message.includes('openweathermap'), 'Should list available providers');
+});
+
+tester.test('Providers - Open-Meteo normalizes hourly data into daily forecast', async () => {
+  const hours = [0, 3, 6, 27].map(h => Date.UTC(2026, 0, 1, 9 + h) / 1000);
+  const http = {
+    get: async () => ({
+      data: {
+        hourly: {
+          time: hours,
+          temperature_2m: [2, 6, 4, 10],
+          apparent_temperature: [0, 4, 2, 8],
+          relative_humidity_2m: [80, 70, 75, 60],
+          precipitation: [0.5, 1, 0, 0],
+          weather_code: [61, 61, 3, 0],
+          wind_speed_10m: [3, 5, 4, 2],
+          is_day: [1, 1, 1, 1]
+        }
+      }
+    })
+  };
+  const provider = createProvider('open-meteo', { http });
+  const forecast = await provider.getForecast({ lat: 44.43, lon: 26.1 }, 2);
+
+  tester.assertEqual(forecast.length, 2, 'Should group slots into two days');
+  tester.assertEqual(forecast[0].temp_max, 6);
+  tester.assertEqual(forecast[0].precipitation_total, 1.5);
+  tester.assertEqual(forecast[0].description, 'ploaie ușoară');
+  tester.assertEqual(forecast[1].hourly[0].icon, '01d');
+});
+
+tester.test('Providers - Open-Meteo snowfall drives ninsori and leaves the rain to ploi', async () => {
+  const hours = [0, 3, 6, 9, 24, 27, 30, 33].map(h => Date.UTC(2026, 0, 10, 9 + h) / 1000);
+  const http = {
+    get: async () => ({
+      data: {
+        hourly: {
+          time: hours,
+          temperature_2m: [-2, -2, -3, -3, 1, 2, 2, 1],
+          apparent_temperature: [-5, -5, -6, -6, -1, 0, 0, -1],
+          relative_humidity_2m: [90, 90, 90, 90, 95, 95, 95, 95],
+          precipitation: [5, 5, 5, 5, 10, 10, 10, 10],
+          snowfall: [3.5, 3.5, 3.5, 3.5, 0.5, 0.5, 0.5, 0.5],
+          weather_code: [73, 73, 73, 73, 65, 65, 65, 65],
+          wind_speed_10m: [3, 3, 3, 3, 4, 4, 4, 4],
+          is_day: [1, 1, 1, 1, 1, 1, 1, 1]
+        }
+      }
+    })
+  };
+  const forecast = await createProvider('open-meteo', { http }).getForecast({ lat: 44.43, lon: 26.1 }, 2);
+  const warnings = new WeatherWarnings().derive(forecast);
+  const snow = warnings.filter(warning => warning.phenomenon === 'ninsori');
+  const rain = warnings.filter(warning => warning.phenomenon === 'ploi');
+
+  tester.assertEqual(forecast[0].hourly[0].snow, 5, 'Snowfall becomes mm of water, like precipitation');
+  tester.assertEqual(snow.length, 1, 'Only the 14 cm day is a snow warning');
+  tester.assertEqual(snow[0].code, 'galben');
+  tester.assertEqual(rain.length, 1, 'The 37 l/m² of rain next to a little snow still warn');
+  tester.assertEqual(rain[0].code, 'galben');
+});
+
+tester.test('WeatherAPI - File provider serves fixture data', async () => {
+  const fixtureFile = path.join(os.tmpdir(), `bw-fixture-${process.pid}.json`);
+  await fs.writeFile(fixtureFile, JSON.stringify({
+    current: { temp: 12, description: 'cer senin', main: 'Clear', humidity: 50 },
+    forecast: [{ date: '01 Jan 2026', temp_min: 1, temp_max: 5 }]
+  }));
+
+  const api = new WeatherAPI({ provider: 'file', fixtureFile });
+  const current = await api.getCurrent();
+  const forecast = await api.getForecast(5);
+  const air = await api.getAirQuality();
+  await fs.unlink(fixtureFile);
+
+  tester.assertEqual(current.temp, 12);
+  tester.assertEqual(current.fromCache, false);
+  tester.assertEqual(forecast.length, 1);
+  tester.assertEqual(air, null, 'Missing sections should yield null');
+});
+
+// Saved locations
+tester.test('LocationStore - Add, default and lookup ignore diacritics', async () => {
+  const store = new LocationStore();
+  await store.init();
+
+  await store.add({ name: 'Cluj-Napoca', lat: 46.77, lon: 23.59 });
+  tester.assert(await store.setDefault('cluj-napoca'), 'Should set default by key');
+  tester.assertEqual(store.get('București').lat, 44.4268);
+  tester.assertEqual(store.getDefault().name, 'Cluj-Napoca');
+
+  tester.assertEqual(store.get('constructor'), null, 'Object prototype names are not saved locations');
+  tester.assert(!(await store.setDefault('toString')), 'Unknown names cannot become the default');
+  tester.assert(!(await store.remove('__proto__')), 'Unknown names cannot be removed');
+
+  let error = null;
+  await store.add({ name: '__proto__', lat: 1, lon: 1 }).catch(caught => { error = caught; });
+  tester.assert(error?.message.includes('__proto__'), 'Prototype keys cannot be saved');
+  tester.assertEqual(Object.getPrototypeOf(store.data.locations), Object.prototype);
+});
+
+tester.test('WeatherAPI - Location coordinates drive every endpoint', () => {
+  const api = new WeatherAPI({ city: 'Cluj' });
+  tester.assertEqual(api.coordinates, null, 'Non-Bucharest cities should be geocoded, not pinned');
+
+  api.setLocation({ name: 'Iași', city: 'Iasi', country: 'RO', lat: 47.16, lon: 27.58 });
+  const location = api.getLocation();
+  tester.assertEqual(location.name, 'Iași');
+  tester.assertEqual(location.lat, 47.16);
+});
+
+// Offline geocoding
+tester.test('Gazetteer - Diacritic-insensitive match, county disambiguation and suggestions', () => {
+  const gazetteer = new Gazetteer();
+
+  tester.assertEqual(gazetteer.resolve('targu mures').name, 'Târgu Mureș');
+  tester.assertEqual(gazetteer.resolve('Sfântu Gheorghe, Tulcea').county, 'TL');
+  tester.assertEqual(gazetteer.lookup('Sfantu Gheorghe').candidates.length, 2, 'Should be ambiguous without county');
+
+  let error = null;
+  try {
+    gazetteer.resolve('Timisoar');
+  } catch (e) {
+    error = e;
+  }
+  tester.assert(error && error.message.includes('Ai vrut să spui'), 'Should suggest close matches');
+  tester.assertEqual(error.suggestions[0].name, 'Timișoara');
+});
+
+tester.test('WeatherAPI - Romanian cities resolve coordinates before any API call', async () => {
+  const api = new WeatherAPI({ city: 'Cluj' });
+  const location = await api.resolveLocation();
+
+  tester.assertEqual(location.lat, 46.77);
+  tester.assertEqual(location.name, 'Cluj-Napoca');
+});
+
+// Persistent cache
+tester.test('DiskCache - Evicts oldest entries beyond the size limit', async () => {
+  const cache = new DiskCache({ dir: path.join(process.env.BUCHAREST_WEATHER_HOME, 'limit-cache'), maxEntries: 2 });
+
+  // Writes in the same millisecond would tie on storedAt
+  const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+  await cache.set('a', 1);
+  await tick();
+  await cache.set('b', 2);
+  await tick();
+  await cache.set('c', 3);
+  const stats = await cache.stats();
+
+  tester.assertEqual(stats.entries, 2);
+  tester.assertEqual(await cache.get('a'), null, 'Oldest entry should be evicted');
+  tester.assertEqual((await cache.get('c')).value, 3);
+
+  // Another process's write in progress survives a prune; a temp file left by a crash does not
+  const inFlight = path.join(cache.dir, 'other.json.123.abcd.tmp');
+  const leftover = path.join(cache.dir, 'old.json.456.ef01.tmp');
+  await fs.writeFile(inFlight, '{"key":');
+  await fs.writeFile(leftover, '{"key":');
+  const hourAgo = new Date(Date.now() - 3600000);
+  await fs.utimes(leftover, hourAgo, hourAgo);
+  await cache.prune();
+  tester.assert(await fs.stat(inFlight).then(() => true, () => false), 'Fresh temp files belong to a writer');
+  tester.assert(await fs.stat(leftover).then(() => false, () => true), 'Old temp files are removed');
+});
+
+tester.test('WeatherAPI - Serves stale cache immediately and revalidates in background', async () => {
+  let calls = 0;
+  const api = new WeatherAPI({
+    cacheDir: path.join(process.env.BUCHAREST_WEATHER_HOME, 'swr-cache'),
+    cacheTTL: { current: 0 }
+  });
+  api.provider = { name: 'stub', getCurrent: async () => ({ temp: ++calls }) };
+
+  const first = await api.getCurrent();
+  const second = await api.getCurrent();
+  await api.waitForRevalidation();
+  const third = await api.getCurrent();
+
+  tester.assertEqual(first.fromCache, false);
+  tester.assertEqual(second.stale, true, 'Expired entry should be served as stale');
+  tester.assertEqual(second.temp, 1);
+  tester.assertEqual(third.temp, 2, 'Background refresh should have replaced the entry');
+});
+
+tester.test('WeatherAPI - Cached descriptions never cross languages', async () => {
+  const api = new WeatherAPI({ cacheDir: path.join(process.env.BUCHAREST_WEATHER_HOME, 'language-cache'), language: 'ro' });
+  api.provider = { name: 'stub', getCurrent: async () => ({ temp: 20, description: api.provider.language === 'en' ? 'clear sky' : 'cer senin' }) };
+
+  tester.assertEqual((await api.getCurrent()).description, 'cer senin');
+  api.setLanguage('en');
+  tester.assertEqual((await api.getCurrent()).description, 'clear sky', 'Another language is another cache entry');
+});
+
+// Request coalescing
+tester.test('WeatherAPI - Concurrent identical requests share one provider call', async () => {
+  const api = new WeatherAPI({ cacheDir: path.join(process.env.BUCHAREST_WEATHER_HOME, 'coalesce-cache') });
+  const calls = { current: 0, forecast: 0 };
+  const delay = value => new Promise(resolve => setTimeout(() => resolve(value), 20));
+  api.provider = {
+    name: 'stub',
+    getCurrent: async () => { calls.current++; return delay({ temp: 10 }); },
+    getForecast: async () => { calls.forecast++; return delay([{ temp_min: 5, temp_max: 12 }]); },
+    getAirQuality: async () => null,
+    getUVIndex: async () => null,
+    getAlerts: async () => []
+  };
+
+  const results = await Promise.all([api.getCurrent(false), api.getCurrent(false), api.getCurrent(false)]);
+  const snapshot = await api.getSnapshot(1, false);
+
+  tester.assertEqual(calls.current, 2, 'Three parallel calls should cost one request (plus one for the snapshot)');
+  tester.assert(results.every(result => result.temp === 10));
+  tester.assertEqual(calls.forecast, 1);
+  tester.assertEqual(snapshot.current.temp, 10);
+  tester.assertEqual(snapshot.forecast.length, 1);
+  tester.assert(!Number.isNaN(Date.parse(snapshot.timestamp)), 'Snapshot should carry one timestamp');
+});
+
+// Offline mode
+tester.test('WeatherAPI - Falls back to last saved data when the network is down', async () => {
+  const api = new WeatherAPI({
+    cacheDir: path.join(process.env.BUCHAREST_WEATHER_HOME, 'offline-cache'),
+    cacheTTL: { current: 0 },
+    cacheMaxStale: 1
+  });
+  let online = true;
+  api.provider = {
+    name: 'stub',
+    getCurrent: async () => {
+      if (!online) throw new axios.AxiosError('getaddrinfo ENOTFOUND', 'ENOTFOUND');
+      return { temp: 21, description: 'senin' };
+    },
+    getForecast: async () => {
+      if (!online) throw new axios.AxiosError('getaddrinfo ENOTFOUND', 'ENOTFOUND');
+      return [];
+    }
+  };
+
+  await api.getCurrent();
+  await api.getForecast(1);
+  online = false;
+  await new Promise(resolve => setTimeout(resolve, 1600)); // past cacheMaxStale
+  const fallback = await api.getCurrent();
+
+  tester.assertEqual(fallback.temp, 21, 'Should serve the saved observation');
+  tester.assertEqual(fallback.offline, true);
+  tester.assert(fallback.dataAge >= 1, 'Should report the data age');
+
+  api.setOffline();
+  const explicit = await api.getCurrent();
+  tester.assertEqual(explicit.offline, true, '--offline should never hit the provider');
+
+  const output = new WeatherTemplates().renderTemplate('minimal', { ...fallback, feels_like: 20, humidity: 50, wind_speed: 2 }, null, { clothing: 'x' });
+  tester.assert(output.includes('OFFLINE'), 'Templates should label offline data');
+
+  // A fresh observation does not hide an offline forecast
+  const { source } = await api.getForecastWithSource(1);
+  tester.assertEqual(source.offline, true);
+  const observation = { temp: 21, feels_like: 20, humidity: 50, wind_speed: 2, description: 'senin' };
+  const templates = new WeatherTemplates();
+  tester.assert(templates.renderTemplate('minimal', observation, [], { clothing: 'x' }, source).includes('OFFLINE'), 'Forecast templates should label an offline forecast');
+  tester.assert(templates.renderHourly('minimal', observation, [], null, source).includes('OFFLINE'), 'Hourly templates should label an offline forecast');
+  tester.assert(templates.renderDataAgeNotice(observation, source).includes(templates.formatAge(source.dataAge)));
+});
+
+tester.test('WeatherAPI - Offline mode without saved data fails instead of inventing numbers', async () => {
+  const api = new WeatherAPI({
+    cacheDir: path.join(process.env.BUCHAREST_WEATHER_HOME, 'empty-offline-cache'),
+    offline: true
+  });
+
+  let message = '';
+  try {
+    await api.getForecast(5);
+  } catch (error) {
+    message = error.message;
+  }
+
+  tester.assert(message.includes('Mod offline'), 'Should explain that no data was saved');
+});
+
+// Hourly timeline
+tester.test('WeatherAPI - Hourly slots cover the requested window', async () => {
+  const api = new WeatherAPI({ provider: 'demo', scenario: 'thunderstorm' });
+  const hourly = await api.getHourly(24);
+  const horizon = Date.now() + 24 * 3600 * 1000;
+
+  tester.assert(hourly.length >= 8, 'Should return 3-hourly slots for a full day');
+  tester.assert(hourly.every(slot => slot.dt <= horizon), 'No slot beyond the requested hours');
+  tester.assert(hourly.every(slot => 'precipitation' in slot && 'wind_speed' in slot));
+
+  const templates = new WeatherTemplates();
+  ['dashboard', 'minimal', 'gauge'].forEach(name => {
+    const output = templates.renderHourly(name, { location: 'București' }, hourly);
+    tester.assert(output.includes(hourly[0].time), `${name} should render every slot`);
+  });
+});
+
+// Rate limiting
+tester.test('RateLimiter - Budget is shared between instances and honors Retry-After', async () => {
+  const file = path.join(process.env.BUCHAREST_WEATHER_HOME, 'quota-test.json');
+  const limits = { perMinute: 2, perDay: 3 };
+  const first = new RateLimiter({ file, maxWait: 0 });
+  const second = new RateLimiter({ file, maxWait: 0 });
+
+  await first.acquire('owm', limits, 'weather');
+  await second.acquire('owm', limits, 'forecast');
+
+  let error = null;
+  try {
+    await first.acquire('owm', limits, 'weather');
+  } catch (e) {
+    error = e;
+  }
+  tester.assertEqual(error?.code, 'RATE_LIMITED', 'Third call in the same minute should be refused');
+
+  const usage = await second.getUsage('owm', limits);
+  tester.assertEqual(usage.usedToday, 2);
+  tester.assertEqual(usage.remainingToday, 1);
+
+  await second.penalize('other', 30);
+  tester.assert((await first.getUsage('other', limits)).blockedUntil !== null, 'Retry-After should block the bucket');
+  tester.assertEqual(RateLimiter.parseRetryAfter('120'), 120);
+});
+
+// Demo scenarios
+tester.test('Demo provider - Same scenario and seed give identical data', async () => {
+  const options = { scenario: 'heatwave', seed: 7, referenceDate: '2026-07-20T12:00:00Z' };
+  const first = createProvider('demo', options);
+  const second = createProvider('demo', options);
+  const location = { name: 'București', lat: 44.4268, lon: 26.1025 };
+
+  tester.assertEqual(JSON.stringify(await first.getForecast(location, 3)), JSON.stringify(await second.getForecast(location, 3)));
+  tester.assertEqual((await first.getCurrent(location)).temp, (await second.getCurrent(location)).temp);
+  tester.assert((await first.getCurrent(location)).temp >= 35, 'Heatwave should be hot');
+  tester.assertEqual((await createProvider('demo', { scenario: 'smog' }).getAirQuality(location)).aqi, 5);
+});
+
+tester.test('AIInsights - Seeded insights are reproducible', async () => {
+  const weather = { ...new WeatherAPI().getMockData(), description: 'cer senin', main: 'Clear' };
+  const first = await new AIInsights({ seed: 'docs' }).generateInsights(weather);
+  const second = await new AIInsights({ seed: 'docs' }).generateInsights(weather);
+
+  tester.assertEqual(first.activities, second.activities);
+  tester.assertEqual(first.locations, second.locations);
+});
+
+// Extended forecast model
+tester.test('Forecast model - PoP, dew point, UV and moon phase per day', async () => {
+  const provider = createProvider('demo', { scenario: 'thunderstorm', referenceDate: '2026-07-20T12:00:00Z' });
+  const [today] = await provider.getForecast({ name: 'București', lat: 44.4268, lon: 26.1025 }, 1);
+
+  tester.assert(today.pop >= 0 && today.pop <= 1, 'PoP should be a 0-1 probability');
+  tester.assert(today.dew_point_avg !== null && today.uv_max > 0, 'Dew point and UV should be aggregated');
+  tester.assert(today.feels_like_min <= today.feels_like_max, 'Feels-like extremes should be ordered');
+  tester.assertEqual(provider.getMoonPhaseName(provider.getMoonPhase(Date.UTC(2026, 0, 3, 10))), 'Lună plină');
+  tester.assertEqual(provider.getDewPoint(20, 50), 9.3);
+});
+
+tester.test('AIInsights - Official alerts and rain chance reach the advice', async () => {
+  const weather = { ...new WeatherAPI().getMockData(), rain_1h: 0, rain_3h: 0 };
+  const alerts = [{ event: 'Cod portocaliu de caniculă', sender: 'ANM', severity: 'severe', start: new Date().toISOString(), end: null }];
+  const insights = await new AIInsights({ seed: 1 }).generateInsights(weather, [{ pop: 0.9, uv_max: 9, dew_point_avg: 21 }], null, null, alerts);
+
+  tester.assertEqual(insights.alerts[0].level, 'danger');
+  tester.assert(insights.alerts[0].message.includes('Cod portocaliu'), 'Official alert should be listed first');
+  tester.assert(insights.clothing.includes('umbrelă'), 'High PoP should suggest an umbrella');
+  tester.assert(insights.health.includes('SPF 50+'), "The day's UV peak should count");
+  tester.assertEqual(insights.officialAlerts.length, 1);
+});
+
+tester.test('AIInsights - Forecast windows for rain, frost tonight and a run', async () => {
+  const noon = new Date(2026, 3, 10, 12, 0).getTime();
+  const hourly = Array.from({ length: 24 }, (_, i) => {
+    const hour = (12 + i) % 24;
+    const night = hour >= 22 || hour < 7;
+    return {
+      dt: noon + i * 3600000,
+      temp: night ? -2 : hour >= 17 ? 8 : 14,
+      feels_like: night ? -4 : hour >= 17 ? 6 : 14,
+      wind_speed: 3,
+      precipitation: hour >= 17 && hour < 19 ? 1.5 : 0,
+      pop: hour >= 17 && hour < 19 ? 0.8 : 0.1,
+      uvi: 2
+    };
+  });
+  const weather = { ...new WeatherAPI().getMockData(), timestamp: new Date(noon).toISOString() };
+
+  const windows = await new AIInsights({ seed: 1 }).getForecastWindows(weather, [{ hourly }]);
+  const byType = Object.fromEntries(windows.map(window => [window.type, window]));
+
+  tester.assertEqual(byType.rain.start, new Date(noon + 5 * 3600000).toISOString(), 'Rain starts at 17:00');
+  tester.assert(byType.rain.message.includes('de la 17:00'), `Unexpected message: ${byType.rain.message}`);
+  tester.assertEqual(byType.frost.temp_min, -2);
+  tester.assert(byType.frost.message.includes('protejează plantele'), 'A light April frost should warn about plants');
+  tester.assertEqual(byType.run.start, new Date(noon).toISOString(), 'The dry 14°C afternoon is the best run');
+  tester.assertEqual(byType.heat, undefined);
+  tester.assert(windows.every((window, i) => i === 0 || window.start >= windows[i - 1].start), 'Windows are ordered by start');
+});
+
+tester.test('WeatherWarnings - ANM codes from the forecast and from official alerts', async () => {
+  const warnings = new WeatherWarnings();
+  const day = (offset, temps, extra = {}) => {
+    const start = new Date(2026, 6, 10 + offset).getTime();
+    return {
+      dt: start,
+      hourly: temps.map((temp, i) => ({ dt: start + (9 + i * 3) * 3600000, temp, wind_speed: 3, precipitation: 0, ...extra }))
+    };
+  };
+  const forecast = [day(0, [30, 36, 37, 33]), day(1, [31, 38, 39, 34]), day(2, [25, 28, 27, 24])];
+
+  const [heat] = warnings.derive(forecast, 'București');
+  tester.assertEqual(heat.code, 'portocaliu', '39°C is an orange heat warning');
+  tester.assertEqual(heat.phenomenon, 'canicula');
+  tester.assertEqual(heat.start, new Date(forecast[0].hourly[1].dt).toISOString(), 'Validity starts at the first hot slot');
+  tester.assertEqual(heat.end, new Date(forecast[1].hourly[2].dt + 3 * 3600000).toISOString(), 'Consecutive days merge into one warning');
+  tester.assertEqual(warnings.derive([day(0, [-2, -1], { precipitation: 8 })])[0].phenomenon, 'ninsori', 'Precipitation below 0°C counts as snow');
+
+  const official = warnings.fromOfficial({ event: 'Cod roșu de viscol', sender: 'ANM', severity: null, start: forecast[0].dt, end: null });
+  tester.assertEqual(official.code, 'rosu');
+  tester.assertEqual(official.phenomenon, 'ninsori');
+  tester.assertEqual(warnings.fromOfficial({ event: 'Thunderstorm', severity: 'severe', start: forecast[0].dt }).code, 'portocaliu', 'CAP severity is the fallback');
+
+  const merged = warnings.build(forecast, [{ event: 'Cod galben de caniculă', start: forecast[0].dt, end: forecast[2].dt }]);
+  tester.assertEqual(merged.length, 1, 'An official warning replaces the derived one for the same phenomenon');
+  tester.assertEqual(merged[0].official, true);
+});
+
+// Observation history
+tester.test('WeatherHistory - Daily aggregates and comparison with yesterday', async () => {
+  const history = new WeatherHistory({ file: path.join(process.env.BUCHAREST_WEATHER_HOME, 'history-test.jsonl') });
+  const location = { name: 'București', lat: 44.4268, lon: 26.1025 };
+  const hoursAgo = hours => ({ temp: 20, humidity: 50, timestamp: new Date(Date.now() - hours * 3600 * 1000).toISOString() });
+
+  await history.record({ ...hoursAgo(24), temp: 15 }, location, 'openweathermap');
+  await history.record({ ...hoursAgo(26), temp: 11 }, location, 'openweathermap');
+  await history.record({ ...hoursAgo(24), temp: 30 }, { name: 'Cluj-Napoca', lat: 46.77, lon: 23.6 }, 'openweathermap');
+
+  const days = await history.getDaily({ location });
+  tester.assertEqual(days.reduce((sum, day) => sum + day.count, 0), 2, 'Other locations should be filtered out');
+
+  const comparison = await history.compare({ temp: 20 }, location);
+  tester.assertEqual(comparison.yesterday.diff, 5, 'Closest observation to the same hour yesterday wins');
+
+  const insights = await new AIInsights({ seed: 1, history }).generateInsights({ ...new WeatherAPI().getMockData(), temp: 20, coord: location });
+  tester.assert(insights.trend.includes('Cu 5°C mai cald decât ieri'), `Unexpected trend: ${insights.trend}`);
+
+  await history.clear({ location: { name: 'Cluj-Napoca', lat: 46.77, lon: 23.6 } });
+  tester.assertEqual((await history.query()).length, 2, 'Clearing one location keeps the others');
+
+  const kept = new WeatherHistory({ file: path.join(process.env.BUCHAREST_WEATHER_HOME, 'history-retention.jsonl'), retentionDays: 30 });
+  await kept.record({ ...hoursAgo(24 * 40), temp: 3 }, location, 'openweathermap');
+  await kept.record(hoursAgo(1), location, 'openweathermap');
+  tester.assertEqual((await kept.query()).length, 1, 'Observations past the retention are dropped on record');
+});
+
+// Daemon
+tester.test('WeatherDaemon - Collects on start, runs handlers and releases the pidfile', async () => {
+  const home = process.env.BUCHAREST_WEATHER_HOME;
+  const daemon = new WeatherDaemon({
+    weather: new WeatherAPI({ provider: 'demo', scenario: 'heatwave', cacheDir: path.join(home, 'daemon-cache') }),
+    interval: 3600,
+    pidFile: path.join(home, 'daemon-test.pid'),
+    stateFile: path.join(home, 'daemon-test.json'),
+    logFile: path.join(home, 'logs', 'daemon-test.log')
+  });
+  const seen = [];
+  daemon.addHandler(async snapshot => seen.push(snapshot.current.temp));
+  const listeners = process.listenerCount('SIGTERM');
+
+  await fs.writeFile(path.join(home, 'daemon-test.pid'), '999999999'); // left behind by a crash
+  await daemon.run();
+  const running = await daemon.status();
+  await daemon.shutdown();
+
+  tester.assertEqual(process.listenerCount('SIGTERM'), listeners, 'Signal handlers are removed on shutdown');
+  tester.assertEqual(running.pid, process.pid);
+  tester.assertEqual(running.runs, 1);
+  tester.assertEqual(seen.length, 1, 'Handlers should receive the first snapshot');
+  tester.assertEqual((await daemon.status()).running, false, 'Pidfile should be removed on shutdown');
+
+  // A reused PID that daemon.json does not name is never signalled
+  await fs.writeFile(path.join(home, 'daemon-test.pid'), String(process.pid));
+  tester.assertEqual(await daemon.stop(), null);
+  tester.assertEqual((await daemon.status()).running, false, 'The stale pidfile is removed instead');
+});
+
+// Alert rules
+tester.test('AlertRules - Duration, cooldown and quiet hours gate notifications', async () => {
+  const home = process.env.BUCHAREST_WEATHER_HOME;
+  const rules = new AlertRules({ file: path.join(home, 'alerts-test.json'), stateFile: path.join(home, 'alerts-test-state.json') });
+  await rules.load();
+  const rule = await rules.add({ ...AlertRules.parseCondition('temp > 35'), duration: 30, cooldown: 60, channels: ['webhook'] });
+  const hot = { current: { temp: 37, location: 'București' } };
+  const noon = new Date(2025, 6, 1, 12, 0).getTime();
+  const minutes = count => noon + count * 60000;
+
+  tester.assertEqual(rules.evaluate(hot, noon).length, 0, 'Condition must hold for 30 minutes first');
+  tester.assertEqual(rules.evaluate({ current: { temp: 30 } }, minutes(10)).length, 0);
+  tester.assertEqual(rules.evaluate(hot, minutes(40)).length, 0, 'A dip resets the duration');
+
+  const [fired] = rules.evaluate(hot, minutes(70));
+  tester.assertEqual(fired.rule.id, rule.id);
+  tester.assert(fired.notification.message.includes('37°C'), `Unexpected message: ${fired.notification.message}`);
+  tester.assertEqual(rules.evaluate(hot, minutes(100)).length, 0, 'Cooldown should hold back repeats');
+  tester.assertEqual(rules.evaluate(hot, minutes(131)).length, 1);
+
+  tester.assert(rules.isQuietTime('22:00-07:00', new Date(2025, 6, 1, 23, 30).getTime()), 'Quiet hours wrap around midnight');
+  tester.assert(!rules.isQuietTime('22:00-07:00', noon));
+  tester.assertEqual(AlertRules.parseCondition('aqi>=4').operator, '>=');
+});
+
+// Declarative advice rules
+tester.test('InsightRules - User overrides, exclusive groups and explanations', async () => {
+  const file = path.join(process.env.BUCHAREST_WEATHER_HOME, 'insight-rules-test.json');
+  await fs.writeFile(file, JSON.stringify({
+    rules: [
+      { id: 'health.uv', enabled: false },
+      { id: 'clothing.cold', message: { ro: '🧣 Fular și geacă' } },
+      { id: 'health.frost', section: 'health', group: 'temperature', priority: 60, when: { field: 'current.temp', op: '<', value: 0 }, message: '🧤 Mănuși groase' }
+    ]
+  }));
+
+  const ai = new AIInsights({ rulesFile: file });
+  const weather = { temp: -2, feels_like: -6, humidity: 50, wind_speed: 2, description: 'cer senin', main: 'Clear' };
+  const insights = await ai.generateInsights(weather, [{ pop: 0.6, uv_max: 9, date: '10 Jan 2025' }]);
+
+  tester.assertEqual(insights.clothing, '🧥 Echipament de iarnă complet + umbrelă (60% șanse de ploaie)');
+  tester.assertEqual(insights.health, '🧤 Mănuși groase', 'The stronger user rule should take the temperature group; UV is disabled');
+  tester.assertEqual((await ai.generateInsights({ ...weather, temp: 5 })).clothing, '🧣 Fular și geacă');
+
+  const health = (await ai.explainRules(weather)).find(item => item.section === 'health').results;
+  const cold = health.find(result => result.rule.id === 'health.cold');
+  tester.assertEqual(cold.status, 'suppressed');
+  tester.assertEqual(cold.suppressedBy, 'health.frost');
+  tester.assertEqual(ai.rules.describeCheck(cold.checks[0]), 'current.temp = -2 < 5');
+
+  await fs.writeFile(file, JSON.stringify({ rules: [{ id: 'bad', section: 'health', when: { field: 'current.temp', op: '~' }, message: 'x' }] }));
+  await ai.rules.load();
+  tester.assert(ai.rules.error.includes('bad'), 'A broken user file should be reported');
+  tester.assert(ai.rules.rules.every(rule => rule.source === 'default'), 'and the defaults used instead');
+
+  await fs.writeFile(file, JSON.stringify({ rules: [{ id: 'scalar', section: 'health', when: { field: 'current.temp', op: 'in', value: 5 }, message: 'x' }] }));
+  await ai.rules.load();
+  tester.assert(ai.rules.error?.includes('scalar'), '"in" needs a list of values');
+  tester.assert(typeof (await ai.generateInsights({ ...weather, temp: 5 })).clothing === 'string', 'The defaults keep working');
+});
+
+tester.test('WeatherMetrics - Comfort indices match reference values and reach the rules', async () => {
+  const near = (actual, expected, message) => tester.assert(Math.abs(actual - expected) < 0.5, `${message}: ${actual} vs ${expected}`);
+
+  near(WeatherMetrics.heatIndex(32.2, 70), 41.1, 'NWS table: 90°F at 70% is 106°F');
+  near(WeatherMetrics.windChill(-10, 20 / 3.6), -17.9, 'Environment Canada: -10°C with 20 km/h');
+  near(WeatherMetrics.dewPoint(25, 60), 16.7, 'Dew point at 25°C and 60%');
+  near(WeatherMetrics.humidex(30, 15), 33.9, 'Humidex at 30°C with a 15°C dew point');
+  tester.assertEqual(WeatherMetrics.heatIndex(20, 90), null, 'No heat index below 26.7°C');
+  tester.assertEqual(WeatherMetrics.windChill(15, 10), null, 'No wind chill above 10°C');
+
+  const imperial = WeatherMetrics.compute({ temp: 14, humidity: 60, wind_speed: 12.4 }, 'imperial');
+  tester.assertEqual(imperial.wind_chill, Math.round(WeatherMetrics.windChill(-10, 20 / 3.6) * 9 / 5 + 32), 'Imperial data gets °F back');
+
+  const [day] = WeatherMetrics.enrichForecast([{ temp_min: -8, temp_max: -2, hourly: [
+    { temp: -2, humidity: 80, wind_speed: 3 },
+    { temp: -8, humidity: 85, wind_speed: 9 }
+  ] }]);
+  tester.assertEqual(day.hourly[1].wind_chill, Math.round(WeatherMetrics.windChill(-8, 9)));
+  tester.assertEqual(day.wind_chill_min, day.hourly[1].wind_chill, 'The day keeps its coldest wind chill');
+  tester.assertEqual(day.heat_index_max, null);
+
+  const weather = { temp: -8, humidity: 85, wind_speed: 9, description: 'ninsoare', main: 'Snow' };
+  const insights = await new AIInsights().generateInsights({ ...weather, ...WeatherMetrics.compute(weather) });
+  tester.assert(insights.health.startsWith(`🥶 Vântul răcește ca la ${day.wind_chill_min}°C`), 'The wind chill rule should replace the plain cold advice');
+});
+
+tester.test('UserProfile - Commute, sensitivities, activities and comfort temperature change the advice', async () => {
+  const profile = new UserProfile({ file: path.join(process.env.BUCHAREST_WEATHER_HOME, 'profile-test.json') });
+  const ai = new AIInsights({ profile, seed: 1 });
+  const weather = { temp: 17, humidity: 50, wind_speed: 4, description: 'cer senin', main: 'Clear', timestamp: '2025-05-10T08:00:00Z' };
+
+  const generic = await ai.generateInsights(weather, null, { aqi: 3 });
+  tester.assertEqual(generic.clothing, '👔 Jachetă ușoară, bluză');
+  tester.assertEqual(generic.health, '✅ Condiții normale pentru sănătate');
+
+  await profile.update({ commute: 'bike', sensitivities: 'pollution,pollen', activities: ['running'], comfortTemp: 24 });
+  const personal = await ai.generateInsights(weather, [{ pop: 0.7, date: '10 May 2025' }], { aqi: 3 });
+  tester.assertEqual(personal.clothing, '🧥 Jachetă, pulover + pelerină și husă impermeabilă pentru drum, + umbrelă (70% șanse de ploaie)', 'At a comfort of 24°C, 17°C dresses like 14°C');
+  tester.assert(personal.activities.includes('🏃 Alergare'), 'The preferred activity should come first');
+  tester.assert(personal.health.startsWith('😷 Aer de calitate medie') && personal.health.includes('🤧 Polen'));
+  tester.assert(personal.alerts.some(alert => alert.message.includes('sensibil la poluare')), 'AQI 3 should alert someone sensitive to pollution');
+  tester.assert((await ai.generateInsights({ ...weather, wind_speed: 12 })).alerts.some(alert => alert.message.includes('Vânt puternic')), 'Cyclists get wind alerts sooner');
+
+  let error = null;
+  try {
+    await profile.update({ commute: 'rocket' });
+  } catch (e) {
+    error = e;
+  }
+  tester.assert(error && error.message.includes('rocket'), 'Unknown values should be rejected');
+  tester.assertEqual((await new UserProfile({ file: profile.file }).load()).commute, 'bike', 'and the saved profile kept');
+});
+
+tester.test('CommutePlanner - Verdicts per transport mode for departure and return', async () => {
+  const planner = new CommutePlanner({ file: path.join(process.env.BUCHAREST_WEATHER_HOME, 'commute-test.json') });
+  await planner.save({ departure: '08:00', return: '18:00' });
+
+  const day = new Date(2025, 3, 14);
+  const now = new Date(2025, 3, 14, 6, 0).getTime();
+  const slot = (hour, extra = {}) => ({ dt: new Date(2025, 3, 14, hour).getTime(), temp: 12, humidity: 60, wind_speed: 3, precipitation: 0, pop: 0, description: 'cer senin', ...extra });
+  const forecast = [{ dt: day.getTime(), date: '14 Apr 2025', temp_min: 8, temp_max: 16, hourly: [
+    slot(7), slot(8), slot(9),
+    slot(17, { precipitation: 2.5, pop: 0.9, description: 'ploaie moderată' }), slot(18, { precipitation: 1.5, pop: 0.8 }), slot(19)
+  ] }];
+
+  const result = planner.evaluate({ from: { location: { name: 'București' }, forecast } }, { now });
+  const verdict = (kind, mode) => result.trips.find(trip => trip.kind === kind).verdicts.find(item => item.mode === mode);
+
+  tester.assertEqual(result.day, '2025-04-14');
+  tester.assertEqual(verdict('departure', 'bike').level, 'go');
+  tester.assertEqual(verdict('return', 'bike').level, 'no-go', 'Rain at 2.5 mm/h keeps the bike home');
+  tester.assertEqual(verdict('return', 'walk').level, 'caution');
+  tester.assertEqual(verdict('return', 'transit').level, 'go');
+  tester.assert(verdict('return', 'bike').reasons.includes('🌧️ ploaie 2,5 mm/h'));
+  tester.assertEqual(result.overall.find(item => item.mode === 'bike').level, 'no-go', 'A day is as good as its worst trip');
+
+  // After the return trip the plan moves to tomorrow, for which this forecast has no slots
+  const later = planner.evaluate({ from: { location: { name: 'București' }, forecast } }, { now: new Date(2025, 3, 14, 20, 0).getTime() });
+  tester.assertEqual(later.day, '2025-04-15');
+  tester.assertEqual(later.trips[0].conditions, null);
+});
+
+tester.test('CommutePlanner - Open-Meteo snowfall below zero is snow, not freezing rain', async () => {
+  const planner = new CommutePlanner({ file: path.join(process.env.BUCHAREST_WEATHER_HOME, 'commute-snow-test.json') });
+  await planner.save({ departure: '08:00', return: '18:00' });
+
+  const hours = [7, 8, 9, 17, 18, 19];
+  const http = {
+    get: async () => ({
+      data: {
+        hourly: {
+          time: hours.map(hour => new Date(2026, 0, 14, hour).getTime() / 1000),
+          temperature_2m: [-3, -3, -3, -3, -3, -3],
+          apparent_temperature: [-7, -7, -7, -7, -7, -7],
+          relative_humidity_2m: [90, 90, 90, 90, 90, 90],
+          precipitation: [1, 1, 1, 1, 1, 1], // mm of water
+          snowfall: [0.7, 0.7, 0.7, 0.7, 0.7, 0.7], // cm of snow
+          weather_code: [73, 73, 73, 73, 73, 73],
+          wind_speed_10m: [2, 2, 2, 2, 2, 2],
+          is_day: [1, 1, 1, 1, 1, 1]
+        }
+      }
+    })
+  };
+  const forecast = await createProvider('open-meteo', { http }).getForecast({ lat: 44.43, lon: 26.1 }, 1);
+  const result = planner.evaluate({ from: { location: { name: 'București' }, forecast } }, { now: new Date(2026, 0, 14, 6, 0).getTime() });
+  const departure = result.trips.find(trip => trip.kind === 'departure');
+  const car = departure.verdicts.find(item => item.mode === 'car');
+
+  tester.assertEqual(departure.conditions.snow, true);
+  tester.assertEqual(departure.conditions.ice, false, 'Snow is not freezing rain');
+  tester.assertEqual(departure.conditions.rain, 0, 'Snowfall leaves no rain behind');
+  tester.assertEqual(car.level, 'caution', 'Snow slows the car down, it does not keep it home');
+});
+
+// LLM summaries
+tester.test('LLMInsights - Cached answers, daily budget and fallback to the rules', async () => {
+  const home = process.env.BUCHAREST_WEATHER_HOME;
+  const backend = new BaseLLMBackend({ model: 'fake', pricing: { input: 1, output: 2 } });
+  let calls = 0;
+  backend.complete = async ({ prompt }) => {
+    calls++;
+    return { text: prompt.includes('"temp":-3') ? 'Ger și cer senin.' : 'Altceva.', usage: { input: 400, output: 100 } };
+  };
+
+  const llm = new LLMInsights({
+    backend,
+    maxTokens: 200,
+    budget: { tokens: 1100, cost: 1 },
+    cacheDir: path.join(home, 'llm-cache'),
+    usageFile: path.join(home, 'llm-usage-test.json')
+  });
+  const ai = new AIInsights({ llm });
+  const weather = { temp: -3.2, feels_like: -7, humidity: 70, wind_speed: 2, description: 'cer senin', main: 'Clear', location: 'București', timestamp: '2025-01-10T08:00:00Z' };
+
+  const first = await ai.generateInsights(weather);
+  tester.assertEqual(first.summary.source, 'llm');
+  tester.assertEqual(first.summary.text, 'Ger și cer senin.');
+  tester.assertEqual((await ai.generateInsights(weather)).summary.cached, true, 'The same snapshot should be answered from the cache');
+  tester.assertEqual(calls, 1);
+
+  const usage = await llm.getUsage();
+  tester.assertEqual(usage.tokens, 500);
+  tester.assertEqual(usage.cost, 0.0006);
+
+  // 1000 tokens used + 200 for the answer would overrun the budget of 1100
+  await ai.generateInsights({ ...weather, temp: 1 });
+  const fallback = await ai.generateInsights({ ...weather, temp: 2 });
+  tester.assertEqual(calls, 2);
+  tester.assertEqual(fallback.summary.source, 'rules');
+  tester.assert(fallback.summary.reason.includes('Bugetul zilnic'), `Unexpected reason: ${fallback.summary.reason}`);
+  tester.assert(fallback.summary.text.startsWith('Cer senin, 2°C'), `Unexpected fallback: ${fallback.summary.text}`);
+});
+
+// Message catalogs
+tester.test('I18n - Catalogs, plurals and locale-aware formatting', async () => {
+  const ro = new I18n();
+  tester.assertEqual(ro.getLocale(), 'ro');
+  tester.assertEqual(ro.t('templates.age.hours', { count: 1 }), 'acum o oră');
+  tester.assertEqual(ro.t('templates.age.hours', { count: 5 }), 'acum 5 ore');
+  tester.assertEqual(ro.t('templates.age.hours', { count: 20 }), 'acum 20 de ore', 'Romanian needs "de" from 20 up');
+  tester.assertEqual(ro.formatNumber(2.5), '2,5');
+
+  const es = new I18n({ locale: 'es-ES' });
+  tester.assertEqual(es.getLocale(), 'es');
+  tester.assertEqual(es.t('commute.levels.go'), 'SÍ');
+  tester.assertEqual(es.formatNumber(2.5), '2,5');
+  tester.assertEqual(new I18n({ locale: 'en' }).formatNumber(12345.5), '12,345.5');
+
+  // Keys missing from a locale fall back to English, then to the key itself
+  const partial = new I18n({ locale: 'fr', catalogs: { fr: { a: 'Bonjour' }, en: { a: 'Hello', b: 'Only {name}' } } });
+  tester.assertEqual(partial.t('a'), 'Bonjour');
+  tester.assertEqual(partial.t('b', { name: 'English' }), 'Only English');
+  tester.assertEqual(partial.t('missing.key'), 'missing.key');
+
+  let error = null;
+  try {
+    ro.setLocale('xx');
+  } catch (caught) {
+    error = caught;
+  }
+  tester.assert(error && error.message.includes('ro, en, es, fr'), 'Unknown locales should be rejected');
+  tester.assertEqual(ro.getLocale(), 'ro');
+
+  const rules = new InsightRules({ file: path.join(process.env.BUCHAREST_WEATHER_HOME, 'no-rules.json') });
+  await rules.load();
+  tester.assert(rules.rules.every(rule => ['ro', 'en', 'es', 'fr'].every(language => typeof rules.render(rule, {}, language) === 'string')));
+});
+
+tester.test('Units - Imperial, mixed and Beaufort conversions reach templates and alert rules', async () => {
+  tester.assertEqual(Units.stringify(Units.parse('imperial,temp=C')), 'imperial,temperature=c');
+  tester.assertEqual(new Units('metric,wind=km/h').get('wind'), 'kmh');
+  tester.assertEqual(Units.convertTo('temperature', 30, 'f'), 86);
+  tester.assertEqual(Units.convertTo('temperature', 5, 'f', { delta: true }), 9, 'A difference of 5°C is 9°F');
+  tester.assertEqual(Units.convertTo('wind', 10, 'bft'), 5);
+  tester.assertEqual(Units.convertTo('wind', 10, 'kmh'), 36);
+
+  const imperial = new Units('imperial');
+  const current = imperial.convertFields({ temp: 30, wind_speed: 10, pressure: 1013, humidity: 40, hourly: [{ temp: 0 }] });
+  tester.assertEqual(current.temp, 86);
+  tester.assertEqual(current.wind_speed, 22.4);
+  tester.assertEqual(current.pressure, 29.91);
+  tester.assertEqual(current.humidity, 40, 'Fields without a quantity stay as they are');
+  tester.assertEqual(current.hourly[0].temp, 32);
+  tester.assertEqual(imperial.format('temperature', null), '—');
+
+  let error = null;
+  try {
+    new Units('wind=furlongs');
+  } catch (caught) {
+    error = caught;
+  }
+  tester.assertEqual(error?.code, 'INVALID_UNITS', 'Unknown units should be rejected');
+
+  const output = new WeatherTemplates({ units: imperial }).renderTemplate('classic', { temp: 30, feels_like: 32, humidity: 50, wind_speed: 2, pressure: 1013, description: 'senin' }, null, { clothing: 'x' });
+  tester.assert(output.includes('86°F') && !output.includes('°C'), `Templates should render in °F: ${output}`);
+
+  // A threshold typed in °F keeps comparing in °F, whatever the display units are later
+  const home = process.env.BUCHAREST_WEATHER_HOME;
+  const rules = new AlertRules({ file: path.join(home, 'alerts-units.json'), stateFile: path.join(home, 'alerts-units-state.json'), units: imperial });
+  const rule = await rules.add({ ...AlertRules.parseCondition('temp > 95'), channels: ['webhook'] });
+  tester.assertEqual(rule.unit, 'f');
+  tester.assertEqual(rules.test(rule, { current: { temp: 34 } }).matches, false, '34°C is 93°F');
+  tester.assertEqual(rules.test(rule, { current: { temp: 36 } }).value, 97);
+  tester.assert(rules.buildNotification(rule, 97, { current: {} }).message.includes('95°F'));
+});
+
+tester.test('Custom templates - Discovered, validated and rendered next to the built-ins', async () => {
+  const dir = path.join(process.env.BUCHAREST_WEATHER_HOME, 'custom-templates-test');
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, 'status.tpl'), [
+    '---',
+    'description: One line per day',
+    '---',
+    '{{location | upper}} {{current.temp}}{{units.temperature}}{{#if current.temp > 25}} hot{{else}} mild{{/if}}',
+    '{{#each forecast}}{{@number}}.{{temp_max}} {{pop | percent}}|{{/each}}'
+  ].join('\n'));
+  await fs.writeFile(path.join(dir, 'broken.tpl'), '{{#each forecast}}\n{{temp | nope}}');
+  await fs.writeFile(path.join(dir, 'classic.tpl'), 'shadowing a built-in');
+
+  const templates = new WeatherTemplates();
+  const custom = await templates.loadCustomTemplates(dir);
+  const listed = templates.getAvailableTemplates().find(template => template.name === 'status');
+  tester.assertEqual(listed?.description, 'One line per day');
+  tester.assertEqual(listed?.custom, true);
+  tester.assert(!templates.hasTemplate('broken'), 'Broken templates are never rendered');
+  tester.assert(custom.getErrors().find(item => item.name === 'broken').error.includes('2'), 'Errors should name the line');
+  tester.assert(custom.getErrors().some(item => item.name === 'classic'), 'Built-in names are reserved');
+
+  const output = templates.renderTemplate('status', { temp: 30, location: 'București' }, [{ temp_max: 31, pop: 0.4 }, { temp_max: 28, pop: 0 }]);
+  tester.assertEqual(output, 'BUCUREȘTI 30°C hot\n1.31 40%|2.28 0%|');
+
+  let error = null;
+  try {
+    new TextTemplate('{{#if current.temp}}{{process.env}}{{/if}}');
+  } catch (caught) {
+    error = caught;
+  }
+  tester.assertEqual(error?.code, 'INVALID_TEMPLATE', 'Only the documented fields can be read');
+  const parseError = source => {
+    try {
+      new TextTemplate(source);
+      return null;
+    } catch (caught) {
+      return caught.code;
+    }
+  };
+  tester.assertEqual(parseError('{{current.constructor.constructor}}'), 'INVALID_TEMPLATE', 'Object internals cannot be reached');
+  tester.assertEqual(parseError('{{#each forecast}}{{__proto__}}{{/each}}'), 'INVALID_TEMPLATE', 'not even inside a loop');
+  tester.assertEqual(new TextTemplate('{{#each forecast}}{{toString}}|{{/each}}').render({ forecast: [{}] }), '|', 'Inherited members are not fields');
+  tester.assertEqual(new TextTemplate('{{location | pad 400000000}}').render({ location: 'x' }).length, 200, 'Padding is capped');
+  tester.assert(templates.renderTemplate('nope', { temp: 20 }, null, { clothing: 'x' }).includes('nope'), 'An unknown template name is reported');
+});
+
+tester.test('TemplateRegistry - Built-ins, bw-template-* plugins and capabilities in one place', async () => {
+  const modules = path.join(process.env.BUCHAREST_WEATHER_HOME, 'plugins-test', 'node_modules');
+  const plugin = async (name, source) => {
+    await fs.mkdir(path.join(modules, name), { recursive: true });
+    await fs.writeFile(path.join(modules, name, 'package.json'), JSON.stringify({ name, version: '1.0.0', type: 'module' }));
+    await fs.writeFile(path.join(modules, name, 'index.js'), source);
+  };
+  await plugin('bw-template-tram', [
+    'export default function register({ registerTemplate, registerTheme }) {',
+    "  registerTemplate({ name: 'tram', description: { ro: 'Linie', en: 'Line' }, supportsForecast: true, minWidth: 40,",
+    "    render: (weather, { forecast, colors }) => `${weather.temp} ${forecast?.length ?? 0} ${colors.primary}` });",
+    "  registerTemplate({ name: 'tram-stop', render: (weather, { helpers }) => `${helpers.getLocationLabel(weather)} ${Object.keys(helpers).includes('renderClassicProfessional')}` });",
+    "  registerTheme({ name: 'stb', colors: { primary: 'yellow' } });",
+    '}'
+  ].join('\n'));
+  await plugin('bw-template-greedy', "export default ({ registerTemplate }) => { registerTemplate({ name: 'greedy', render: () => '' }); registerTemplate({ name: 'classic', render: () => '' }); };");
+  await plugin('not-a-template', 'throw new Error("never imported");');
+  const loaded = { plugins: [...registry.plugins], errors: [...registry.errors] };
+
+  try {
+    await registry.loadPlugins([modules]);
+    tester.assertEqual(registry.plugins.map(item => item.name).join(','), 'bw-template-tram');
+    tester.assert(registry.errors.find(item => item.name === 'bw-template-greedy').error.includes('classic'), 'Built-in names cannot be taken');
+    tester.assert(!registry.hasTemplate('greedy'), 'A failed plugin leaves nothing registered');
+
+    const templates = new WeatherTemplates();
+    templates.setTheme('stb');
+    tester.assertEqual(templates.renderTemplate('tram', { temp: 21 }, [{}, {}]), '21 2 yellow');
+    tester.assertEqual(templates.renderTemplate('tram-stop', { location: 'Cluj' }), 'Cluj false', 'Plugins get the documented helpers, not the renderer');
+    const listed = templates.getAvailableTemplates().find(template => template.name === 'tram');
+    tester.assertEqual(listed.source, 'plugin:bw-template-tram');
+    tester.assert(listed.supportsForecast && listed.minWidth === 40 && !listed.supportsHourly, 'Capabilities are listed');
+    tester.assertEqual(templates.getAvailableThemes().find(theme => theme.name === 'stb').colors.danger, 'red', 'Missing theme colors come from the default theme');
+
+    const config = new TemplateConfig();
+    await config.init();
+    tester.assert(await config.setTemplate('ascii'), 'Every built-in template can be selected');
+    tester.assert(await config.setTemplate('tram'), 'Plugin templates can be selected');
+    tester.assert(!(await config.setTemplate('nope')), 'Unknown templates are refused');
+  } finally {
+    registry.removeTemplates('plugin:bw-template-tram');
+    registry.removeThemes('plugin:bw-template-tram');
+    registry.plugins = loaded.plugins;
+    registry.errors = loaded.errors;
+  }
+});
+
 // Run all tests
 if (import.meta.url === `file://${process.argv[1]}`) {
   tester.run().catch(console.error);